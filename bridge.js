@@ -0,0 +1,406 @@
+// bridge.js
+// Serves an open serial.js session on a local TCP port so other tools can share the UART.
+// Exposes: startBridge, stopBridge, listBridges, stopAll
+//
+// protocol 'raw' passes bytes through unchanged; 'rfc2217' speaks Telnet with the COM-PORT-OPTION
+// (RFC 2217), so remote baud rate, framing, DTR/RTS, BREAK and purge requests are applied to the
+// port. Every client receives everything the port receives; only one client at a time (the
+// first to connect, then the longest-connected one) may write or change settings.
+// The agent keeps reading the session as usual: the bridge taps the stream without consuming it.
+// A client that stops reading is disconnected once maxBacklog bytes wait in its socket buffer,
+// so one stalled terminal cannot grow the process memory without bound.
+
+import net from 'node:net';
+import * as serial from './serial.js';
+
+const IAC = 255;
+const DONT = 254;
+const DO = 253;
+const WONT = 252;
+const WILL = 251;
+const SB = 250;
+const SE = 240;
+const OPT_BINARY = 0;
+const OPT_ECHO = 1;
+const OPT_SGA = 3;
+const OPT_COM_PORT = 44;
+
+// COM-PORT-OPTION client commands; the server answers with the code + 100
+const CPO = {
+  SET_BAUDRATE: 1,
+  SET_DATASIZE: 2,
+  SET_PARITY: 3,
+  SET_STOPSIZE: 4,
+  SET_CONTROL: 5,
+  NOTIFY_LINESTATE: 6,
+  NOTIFY_MODEMSTATE: 7,
+  FLOWCONTROL_SUSPEND: 8,
+  FLOWCONTROL_RESUME: 9,
+  SET_LINESTATE_MASK: 10,
+  SET_MODEMSTATE_MASK: 11,
+  PURGE_DATA: 12,
+};
+const SERVER_OFFSET = 100;
+
+const CONTROL_SIGNALS = {
+  5: { brk: true },
+  6: { brk: false },
+  8: { dtr: true },
+  9: { dtr: false },
+  11: { rts: true },
+  12: { rts: false },
+};
+
+const PARITY_TO_CODE = { none: 1, odd: 2, even: 3, mark: 4, space: 5 };
+const CODE_TO_PARITY = { 1: 'none', 2: 'odd', 3: 'even', 4: 'mark', 5: 'space' };
+
+/** @type {Map<string, object>} bridgeId -> bridge */
+const bridges = new Map();
+let nextBridgeId = 1;
+
+function describeClient(c) {
+  return {
+    remote: c.remote,
+    writer: c.bridge.writer === c,
+    bytesIn: c.bytesIn,
+    bytesOut: c.bytesOut,
+    connectedAt: c.connectedAt,
+  };
+}
+
+function describeBridge(b) {
+  return {
+    bridgeId: b.id,
+    sessionId: b.sessionId,
+    protocol: b.protocol,
+    host: b.host,
+    port: b.port,
+    allowWrite: b.allowWrite,
+    maxClients: b.maxClients,
+    maxBacklog: b.maxBacklog,
+    clients: Array.from(b.clients).map(describeClient),
+    bytesToClients: b.bytesToClients,
+    bytesFromClients: b.bytesFromClients,
+    slowClientsDropped: b.slowClientsDropped,
+    startedAt: b.startedAt,
+  };
+}
+
+// Hand the writer role to the longest-connected remaining client
+function electWriter(b) {
+  if (!b.allowWrite) return;
+  if (b.writer && b.clients.has(b.writer)) return;
+  b.writer = b.clients.values().next().value || null;
+}
+
+// Returns false when the client is gone or has just been dropped for not reading
+function sendToClient(c, buf) {
+  if (c.socket.destroyed) return false;
+  if (c.socket.writableLength + buf.length > c.bridge.maxBacklog) {
+    c.bridge.slowClientsDropped++;
+    c.socket.destroy();
+    return false;
+  }
+  c.socket.write(buf);
+  c.bytesOut += buf.length;
+  return true;
+}
+
+// Telnet data must double 0xFF bytes
+function escapeIac(buf) {
+  if (!buf.includes(IAC)) return buf;
+  const out = [];
+  for (const b of buf) {
+    out.push(b);
+    if (b === IAC) out.push(IAC);
+  }
+  return Buffer.from(out);
+}
+
+function broadcast(b, chunk) {
+  const rfc = b.protocol === 'rfc2217' ? escapeIac(chunk) : chunk;
+  for (const c of b.clients) {
+    if (c.suspended) continue; // RFC 2217 FLOWCONTROL-SUSPEND: data is dropped for this client
+    if (sendToClient(c, rfc)) b.bytesToClients += chunk.length;
+  }
+}
+
+// ---------------------------
+// RFC 2217
+// ---------------------------
+
+function sendCommand(c, cmd, option) {
+  sendToClient(c, Buffer.from([IAC, cmd, option]));
+}
+
+function sendSubnegotiation(c, code, value) {
+  sendToClient(c, Buffer.concat([Buffer.from([IAC, SB, OPT_COM_PORT, code + SERVER_OFFSET]), escapeIac(value), Buffer.from([IAC, SE])]));
+}
+
+function handleNegotiation(c, cmd, option) {
+  const supported = option === OPT_BINARY || option === OPT_SGA || option === OPT_COM_PORT;
+  // Answer only requests that change state, so the negotiation cannot loop
+  const state = cmd === DO || cmd === DONT ? c.local : c.peer;
+  const want = (cmd === DO || cmd === WILL) && supported;
+  if (state.get(option) === want) return;
+  state.set(option, want);
+  if (cmd === DO || cmd === DONT) sendCommand(c, want ? WILL : WONT, option);
+  else sendCommand(c, want ? DO : DONT, option);
+}
+
+async function modemState(sessionId) {
+  try {
+    const { inputs } = await serial.getSignals({ sessionId });
+    return (inputs.cts ? 0x10 : 0) | (inputs.dsr ? 0x20 : 0) | (inputs.dcd ? 0x80 : 0);
+  } catch {
+    return 0;
+  }
+}
+
+// Apply one COM-PORT-OPTION request and answer with the resulting value. Requests from
+// read-only clients are answered with the current value and not applied.
+async function handleComPort(c, code, data) {
+  const b = c.bridge;
+  const canWrite = b.writer === c;
+  const info = serial.getPortInfo({ sessionId: b.sessionId });
+  const settings = info.settings;
+  const apply = async (changes) => {
+    if (canWrite) return (await serial.updateSettings({ sessionId: b.sessionId, ...changes })).settings;
+    return settings;
+  };
+
+  switch (code) {
+    case CPO.SET_BAUDRATE: {
+      const rate = data.length >= 4 ? data.readUInt32BE(0) : 0;
+      const s = rate > 0 ? await apply({ baudRate: rate }) : settings;
+      const out = Buffer.alloc(4);
+      out.writeUInt32BE(s.baudRate >>> 0);
+      return sendSubnegotiation(c, code, out);
+    }
+    case CPO.SET_DATASIZE: {
+      const bits = data[0] || 0;
+      const s = bits >= 5 && bits <= 8 ? await apply({ dataBits: bits }) : settings;
+      return sendSubnegotiation(c, code, Buffer.from([s.dataBits]));
+    }
+    case CPO.SET_PARITY: {
+      const parity = CODE_TO_PARITY[data[0]];
+      const s = parity ? await apply({ parity }) : settings;
+      return sendSubnegotiation(c, code, Buffer.from([PARITY_TO_CODE[s.parity] || 1]));
+    }
+    case CPO.SET_STOPSIZE: {
+      // serialport has no 1.5 stop bits; code 3 is answered with the unchanged value
+      const stop = data[0] === 1 ? 1 : data[0] === 2 ? 2 : 0;
+      const s = stop ? await apply({ stopBits: stop }) : settings;
+      return sendSubnegotiation(c, code, Buffer.from([s.stopBits === 2 ? 2 : 1]));
+    }
+    case CPO.SET_CONTROL: {
+      // 0-3 outbound flow control, 4-6 BREAK, 7-9 DTR, 10-12 RTS (query, on, off); the answer
+      // is always the resulting state. Inbound flow control values (13+) are echoed.
+      const v = data[0] || 0;
+      if (v >= 1 && v <= 3) await apply({ rtscts: v === 3, xon: v === 2, xoff: v === 2 });
+      if (canWrite && CONTROL_SIGNALS[v]) await serial.setSignals({ sessionId: b.sessionId, ...CONTROL_SIGNALS[v] });
+      const now = serial.getPortInfo({ sessionId: b.sessionId });
+      let answer = v;
+      if (v <= 3) answer = now.settings.rtscts ? 3 : now.settings.xon || now.settings.xoff ? 2 : 1;
+      else if (v <= 6) answer = now.signals.brk ? 5 : 6;
+      else if (v <= 9) answer = now.signals.dtr ? 8 : 9;
+      else if (v <= 12) answer = now.signals.rts ? 11 : 12;
+      return sendSubnegotiation(c, code, Buffer.from([answer]));
+    }
+    case CPO.NOTIFY_MODEMSTATE:
+      return sendSubnegotiation(c, code, Buffer.from([await modemState(b.sessionId)]));
+    case CPO.NOTIFY_LINESTATE:
+      return sendSubnegotiation(c, code, Buffer.from([0]));
+    case CPO.SET_LINESTATE_MASK:
+    case CPO.SET_MODEMSTATE_MASK:
+      return sendSubnegotiation(c, code, Buffer.from([data[0] || 0]));
+    case CPO.FLOWCONTROL_SUSPEND:
+    case CPO.FLOWCONTROL_RESUME:
+      c.suspended = code === CPO.FLOWCONTROL_SUSPEND;
+      return sendSubnegotiation(c, code, Buffer.alloc(0));
+    case CPO.PURGE_DATA:
+      // 1 = receive buffer, 2 = transmit, 3 = both; only the receive side is buffered here
+      if (canWrite && (data[0] === 1 || data[0] === 3)) serial.flushInput({ sessionId: b.sessionId });
+      return sendSubnegotiation(c, code, Buffer.from([data[0] || 0]));
+    default:
+      return undefined;
+  }
+}
+
+// Split Telnet input into data bytes and commands. Partial sequences wait for more input.
+function parseTelnet(c, chunk) {
+  const buf = c.pending.length ? Buffer.concat([c.pending, chunk]) : chunk;
+  const data = [];
+  const requests = [];
+  let i = 0;
+  while (i < buf.length) {
+    const b = buf[i];
+    if (b !== IAC) {
+      data.push(b);
+      i += 1;
+      continue;
+    }
+    if (i + 1 >= buf.length) break;
+    const cmd = buf[i + 1];
+    if (cmd === IAC) {
+      data.push(IAC);
+      i += 2;
+    } else if (cmd >= WILL && cmd <= DONT) {
+      if (i + 2 >= buf.length) break;
+      handleNegotiation(c, cmd, buf[i + 2]);
+      i += 3;
+    } else if (cmd === SB) {
+      // Find IAC SE, skipping doubled IACs inside the payload
+      let j = i + 2;
+      let end = -1;
+      while (j + 1 < buf.length) {
+        if (buf[j] === IAC && buf[j + 1] === SE) { end = j; break; }
+        j += buf[j] === IAC ? 2 : 1;
+      }
+      if (end < 0) break;
+      const body = [];
+      for (let k = i + 2; k < end; k++) {
+        body.push(buf[k]);
+        if (buf[k] === IAC) k += 1;
+      }
+      if (body[0] === OPT_COM_PORT && body.length >= 2) requests.push({ code: body[1], data: Buffer.from(body.slice(2)) });
+      i = end + 2;
+    } else {
+      i += 2; // NOP, AYT, etc.
+    }
+  }
+  c.pending = Buffer.from(buf.subarray(i));
+  return { data: Buffer.from(data), requests };
+}
+
+// ---------------------------
+// Clients
+// ---------------------------
+
+function handleClient(b, socket) {
+  if (b.clients.size >= b.maxClients) {
+    socket.end('Bridge is full\r\n');
+    return;
+  }
+  const c = {
+    bridge: b,
+    socket,
+    remote: `${socket.remoteAddress}:${socket.remotePort}`,
+    bytesIn: 0,
+    bytesOut: 0,
+    pending: Buffer.alloc(0),
+    local: new Map(), // options we perform (answers to DO/DONT)
+    peer: new Map(), // options the client performs (answers to WILL/WONT)
+    queue: Promise.resolve(),
+    connectedAt: new Date().toISOString(),
+  };
+  b.clients.add(c);
+  electWriter(b);
+  socket.setNoDelay(true);
+
+  if (b.protocol === 'rfc2217') {
+    c.local.set(OPT_BINARY, true).set(OPT_SGA, true).set(OPT_ECHO, false);
+    c.peer.set(OPT_BINARY, true).set(OPT_COM_PORT, true);
+    sendToClient(c, Buffer.from([IAC, WILL, OPT_BINARY, IAC, DO, OPT_BINARY, IAC, WILL, OPT_SGA, IAC, DO, OPT_COM_PORT]));
+  }
+
+  socket.on('data', (chunk) => {
+    c.bytesIn += chunk.length;
+    // Requests are handled strictly in order; setting changes and writes must not interleave
+    c.queue = c.queue.then(async () => {
+      let data = chunk;
+      if (b.protocol === 'rfc2217') {
+        const parsed = parseTelnet(c, chunk);
+        for (const r of parsed.requests) {
+          try { await handleComPort(c, r.code, r.data); } catch {}
+        }
+        data = parsed.data;
+      }
+      if (data.length === 0 || b.writer !== c) return; // read-only clients are ignored
+      b.bytesFromClients += data.length;
+      await serial.writeRaw({ sessionId: b.sessionId, buffer: data });
+    }).catch(() => {});
+  });
+  const drop = () => {
+    if (!b.clients.delete(c)) return;
+    if (b.writer === c) b.writer = null;
+    electWriter(b);
+  };
+  socket.on('close', drop);
+  socket.on('error', drop);
+}
+
+// startBridge: listen on host:port (port 0 picks a free one) and serve the session
+export async function startBridge({ sessionId, protocol = 'raw', host = '127.0.0.1', port = 0, allowWrite = true, maxClients = 8, maxBacklog = 1024 * 1024 } = {}) {
+  if (protocol !== 'raw' && protocol !== 'rfc2217') throw new Error('protocol must be "raw" or "rfc2217"');
+  if (!Number.isInteger(maxClients) || maxClients < 1) throw new Error('maxClients must be a positive integer');
+  if (!Number.isInteger(maxBacklog) || maxBacklog < 1024) throw new Error('maxBacklog must be an integer >= 1024');
+  const info = serial.getPortInfo({ sessionId });
+  const b = {
+    id: `b${nextBridgeId++}`,
+    sessionId: info.sessionId,
+    protocol,
+    host,
+    port: null,
+    allowWrite,
+    maxClients,
+    maxBacklog,
+    clients: new Set(),
+    writer: null,
+    bytesToClients: 0,
+    bytesFromClients: 0,
+    slowClientsDropped: 0,
+    server: null,
+    unsubscribe: null,
+    startedAt: new Date().toISOString(),
+  };
+  b.server = net.createServer((socket) => handleClient(b, socket));
+  await new Promise((resolve, reject) => {
+    b.server.once('error', reject);
+    b.server.listen(port, host, () => {
+      b.server.off('error', reject);
+      resolve();
+    });
+  });
+  b.port = b.server.address().port;
+  b.unsubscribe = serial.subscribe({
+    sessionId: b.sessionId,
+    data: (chunk) => broadcast(b, chunk),
+    close: () => { closeBridge(b).catch(() => {}); },
+  });
+  bridges.set(b.id, b);
+  return { ...describeBridge(b), message: `Serving session ${b.sessionId} (${info.path}) over ${protocol} on ${host}:${b.port} (bridge ${b.id})` };
+}
+
+async function closeBridge(b) {
+  if (!bridges.delete(b.id)) return;
+  b.unsubscribe?.();
+  for (const c of b.clients) c.socket.destroy();
+  b.clients.clear();
+  await new Promise((resolve) => b.server.close(() => resolve()));
+}
+
+// stopBridge: stop one bridge by id, or every bridge of a session
+export async function stopBridge({ bridgeId, sessionId } = {}) {
+  let targets;
+  if (bridgeId) {
+    const b = bridges.get(String(bridgeId));
+    if (!b) throw new Error(`Unknown bridge: ${bridgeId}`);
+    targets = [b];
+  } else {
+    const id = sessionId != null && sessionId !== '' ? serial.getPortInfo({ sessionId }).sessionId : null;
+    targets = Array.from(bridges.values()).filter((b) => id == null || b.sessionId === id);
+  }
+  if (targets.length === 0) return { stopped: [], message: 'No bridge running' };
+  for (const b of targets) await closeBridge(b);
+  const ids = targets.map((b) => b.id);
+  return { stopped: ids, message: `Stopped bridge ${ids.join(', ')}` };
+}
+
+export function listBridges() {
+  return Array.from(bridges.values()).map(describeBridge);
+}
+
+export async function stopAll() {
+  for (const b of Array.from(bridges.values())) await closeBridge(b);
+}
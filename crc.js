@@ -0,0 +1,63 @@
+// crc.js
+// Checksums shared by the serial protocol modules.
+// Exposes: crc16Xmodem, crc16CcittFalse, crc16Modbus, crc32, checksum8
+
+// CRC-16/XMODEM (poly 0x1021, init 0x0000, no reflection)
+export function crc16Xmodem(buf) {
+  let crc = 0;
+  for (const b of buf) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF, no reflection)
+export function crc16CcittFalse(buf) {
+  let crc = 0xffff;
+  for (const b of buf) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// CRC-16/MODBUS (reflected poly 0xA001, init 0xFFFF); transmitted low byte first
+export function crc16Modbus(buf) {
+  let crc = 0xffff;
+  for (const b of buf) {
+    crc ^= b;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+    }
+  }
+  return crc;
+}
+
+// CRC-32 (IEEE 802.3 / zlib: reflected poly 0xEDB88320, init and xorout 0xFFFFFFFF)
+let crc32Table = null;
+
+export function crc32(buf) {
+  if (!crc32Table) {
+    crc32Table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? (c >>> 1) ^ 0xedb88320 : c >>> 1;
+      crc32Table[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const b of buf) crc = crc32Table[(crc ^ b) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 8-bit arithmetic sum (classic XMODEM checksum)
+export function checksum8(buf) {
+  let sum = 0;
+  for (const b of buf) sum = (sum + b) & 0xff;
+  return sum;
+}
@@ -0,0 +1,469 @@
+// debug.js
+// Run control for whichever GDB server is running (st-util, OpenOCD or JLinkGDBServer) over
+// gdbrsp.js: halt, continue, run-to and stop-reason reporting, core register and memory access,
+// typed variable access by name, Cortex-M fault analysis and SVD peripheral registers.
+// Exposes: resolveServer, getClient, halt, resume, runTo, getStatus, readCoreRegisters,
+//          writeCoreRegister, writeMemory, readVariable, writeVariable, analyzeFault,
+//          readPeripheral, writePeripheral
+//
+// The server is the one started with st.startDebug / ocd.startDebug / jlink.startDebug; pass
+// `server` when several are running, or `port` for a GDB server started elsewhere. The GDB
+// connection is shared with the st.* GDB tools, so breakpoints set there are reported here.
+
+import * as gdbrsp from './gdbrsp.js';
+import * as stlink from './stlink.js';
+import * as openocd from './openocd.js';
+import * as jlink from './jlink.js';
+import { loadElf, findSymbol, symbolize } from './elf.js';
+import * as dwarf from './dwarf.js';
+import * as svd from './svd.js';
+import { SCB, decodeFaultStatus, isFault, exceptionName, parseExcReturn, parseStackedFrame, summarize } from './fault.js';
+
+const SERVERS = {
+  stlink: { module: stlink, start: 'st.startDebug' },
+  openocd: { module: openocd, start: 'ocd.startDebug' },
+  jlink: { module: jlink, start: 'jlink.startDebug' },
+};
+
+const hex32 = (v) => `0x${(v >>> 0).toString(16).padStart(8, '0')}`;
+
+function parseAddress(value, name) {
+  if (typeof value === 'number') return value >>> 0;
+  const v = String(value).trim().toLowerCase().startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+  if (!Number.isFinite(v)) throw new Error(`${name} is not a valid number`);
+  return v >>> 0;
+}
+
+export function resolveServer({ server, port } = {}) {
+  if (port) return { server: server || 'gdb', port };
+  if (server) {
+    const entry = SERVERS[server];
+    if (!entry) throw new Error(`Unknown debug server ${server} (expected ${Object.keys(SERVERS).join(', ')})`);
+    const info = entry.module.getDebugServer();
+    if (!info) throw new Error(`${server} debug server is not running; start it with ${entry.start}`);
+    return info;
+  }
+  const running = Object.values(SERVERS).map((e) => e.module.getDebugServer()).filter(Boolean);
+  if (running.length === 0) throw new Error('No debug server running. Start one with st.startDebug, ocd.startDebug or jlink.startDebug (or pass port).');
+  if (running.length > 1) throw new Error(`Several debug servers are running (${running.map((r) => r.server).join(', ')}); pass server`);
+  return running[0];
+}
+
+export async function getClient(opts = {}) {
+  const info = resolveServer(opts);
+  return { info, gdb: await gdbrsp.getClient({ port: info.port }) };
+}
+
+// Normalized reason: breakpoint, watchpoint, interrupted, exited, or signal
+function classifyStop(gdb, stop, pc) {
+  const res = { reason: 'signal', signal: stop?.signal ?? null, signalName: stop?.signalName ?? null, breakpoint: null, watchpoint: null };
+  if (!stop) return res;
+  if (stop.reason === 'exited' || stop.reason === 'terminated') return { ...res, reason: 'exited', exitCode: stop.code };
+  const bp = gdb.breakpoints.get(pc);
+  if (['watch', 'rwatch', 'awatch'].includes(stop.reason)) {
+    res.reason = 'watchpoint';
+    res.watchpoint = { addr: stop.address != null ? hex32(stop.address) : null, kind: { watch: 'write', rwatch: 'read', awatch: 'access' }[stop.reason] };
+  } else if (stop.reason === 'swbreak' || stop.reason === 'hwbreak' || (bp && stop.signal === 5)) {
+    res.reason = 'breakpoint';
+    res.breakpoint = { addr: hex32(pc), type: bp ? (bp.type === 1 ? 'hardware' : 'software') : stop.reason === 'hwbreak' ? 'hardware' : 'software' };
+  } else if (stop.signal === 2) {
+    res.reason = 'interrupted';
+  }
+  return res;
+}
+
+async function haltedStatus(info, gdb, { elf } = {}) {
+  const stop = gdb.lastStop;
+  const regs = await gdb.readRegisters();
+  const status = {
+    server: info.server,
+    port: info.port,
+    state: 'halted',
+    pc: hex32(regs.pc),
+    ...classifyStop(gdb, stop, regs.pc),
+    stoppedAt: stop?.at || null,
+    breakpoints: Array.from(gdb.breakpoints, ([addr, b]) => ({ addr: hex32(addr), type: b.type === 1 ? 'hardware' : 'software' })),
+  };
+  if (elf) {
+    const where = symbolize(await loadElf(elf), regs.pc);
+    status.symbol = where ? where.symbol : null;
+  }
+  return status;
+}
+
+function runningStatus(info, gdb) {
+  return { server: info.server, port: info.port, state: 'running', breakpoints: Array.from(gdb.breakpoints.keys(), hex32) };
+}
+
+// getStatus: halted (with stop reason and pc) or running; does not disturb the target
+export async function getStatus({ server, port, elf } = {}) {
+  const { info, gdb } = await getClient({ server, port });
+  if (gdb.running) return runningStatus(info, gdb);
+  return await haltedStatus(info, gdb, { elf });
+}
+
+// halt: interrupt a running core and wait for it to stop
+export async function halt({ server, port, timeoutMs = 2000, elf } = {}) {
+  const { info, gdb } = await getClient({ server, port });
+  const wasRunning = gdb.running;
+  if (wasRunning) await gdb.interrupt({ timeoutMs });
+  return { ...(await haltedStatus(info, gdb, { elf })), alreadyHalted: !wasRunning };
+}
+
+// resume: continue the core; with wait, block up to timeoutMs for the next stop
+export async function resume({ server, port, wait = false, timeoutMs = 10000, elf } = {}) {
+  const { info, gdb } = await getClient({ server, port });
+  if (gdb.running) throw new Error('Target is already running');
+  const stop = await gdb.cont({ timeoutMs: wait ? timeoutMs : 0 });
+  if (!stop) return { ...runningStatus(info, gdb), message: wait ? `Still running after ${timeoutMs} ms` : 'Target resumed' };
+  return await haltedStatus(info, gdb, { elf });
+}
+
+// runTo: temporary breakpoint at addr (or an ELF symbol), continue, and remove it again.
+// If the target has not arrived within timeoutMs it is halted wherever it is.
+export async function runTo({ addr, symbol, elf, hardware = true, timeoutMs = 5000, server, port } = {}) {
+  if (addr == null && !symbol) throw new Error('runTo requires addr or symbol');
+  let target;
+  if (symbol) {
+    if (!elf) throw new Error('runTo with a symbol requires elf (path to the firmware ELF file)');
+    target = findSymbol(await loadElf(elf), symbol).addr;
+  } else {
+    target = parseAddress(addr, 'addr') & ~1;
+  }
+  const { info, gdb } = await getClient({ server, port });
+  if (gdb.running) throw new Error('Target is running; halt it first');
+  const type = hardware ? 1 : 0;
+  const temporary = !gdb.breakpoints.has(target);
+  if (temporary) await gdb.insertBreakpoint(target, { type });
+  let stop;
+  try {
+    stop = await gdb.cont({ timeoutMs });
+    if (!stop) await gdb.interrupt();
+  } catch (e) {
+    // A core that will not halt keeps the temporary breakpoint armed and gdb.breakpoints would
+    // report it as the user's: drop the connection so the server removes it, and the next call
+    // reconnects with a clean breakpoint list
+    if (!temporary || !gdb.running || gdb.closed) throw e;
+    gdb.close();
+    throw new Error(`${e.message}; GDB connection closed to drop the temporary breakpoint at ${hex32(target)}`);
+  } finally {
+    if (temporary && !gdb.running && !gdb.closed) await gdb.removeBreakpoint(target, { type });
+  }
+  const status = await haltedStatus(info, gdb, { elf });
+  const reached = parseInt(status.pc, 16) === target;
+  if (reached && temporary) {
+    status.reason = 'breakpoint';
+    status.breakpoint = { addr: hex32(target), type: hardware ? 'hardware' : 'software', temporary: true };
+  }
+  return { ...status, target: hex32(target), reached, timedOut: !stop };
+}
+
+// ----------------------
+// Core registers and memory
+// ----------------------
+// r0-r15 and xPSR go through 'p'/'P' (or 'g'/'G'). MSP, PSP and the mask/CONTROL registers use
+// the target description when the server publishes them; otherwise they are reached through the
+// Cortex-M debug core register selector (DCRSR/DCRDR), which works on any halted core.
+
+const SPECIAL_REGISTERS = ['msp', 'psp', 'primask', 'basepri', 'faultmask', 'control'];
+const REGISTER_NAMES = [...gdbrsp.CORE_REGISTERS, ...SPECIAL_REGISTERS];
+const REGISTER_ALIASES = { r13: 'sp', r14: 'lr', r15: 'pc', psr: 'xpsr', cpsr: 'xpsr' };
+
+const DHCSR = 0xe000edf0;
+const DCRSR = 0xe000edf4;
+const DCRDR = 0xe000edf8;
+const REGWNR = 1 << 16;
+const S_REGRDY = 1 << 16;
+// DCRSR REGSEL 20 packs CONTROL, FAULTMASK, BASEPRI and PRIMASK one byte each
+const REGSEL = { msp: 17, psp: 18 };
+const PACKED_SHIFT = { primask: 0, basepri: 8, faultmask: 16, control: 24 };
+const BYTE_REGISTER_MAX = { primask: 1, faultmask: 1, basepri: 0xff, control: 0x7 };
+
+function le32(v) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(v >>> 0);
+  return b;
+}
+
+function registerName(name) {
+  const n = String(name || '').trim().toLowerCase();
+  const canonical = REGISTER_ALIASES[n] || n;
+  if (!REGISTER_NAMES.includes(canonical)) throw new Error(`Unknown core register ${name} (expected ${REGISTER_NAMES.join(', ')})`);
+  return canonical;
+}
+
+async function dcrsrWait(gdb) {
+  for (let i = 0; i < 20; i++) {
+    if ((await gdb.readMemory(DHCSR, 4)).readUInt32LE(0) & S_REGRDY) return;
+  }
+  throw new Error('Core register transfer did not complete (DHCSR.S_REGRDY stayed clear); is the core halted?');
+}
+
+async function dcrsrRead(gdb, sel) {
+  await gdb.writeMemory(DCRSR, le32(sel));
+  await dcrsrWait(gdb);
+  return (await gdb.readMemory(DCRDR, 4)).readUInt32LE(0);
+}
+
+async function dcrsrWrite(gdb, sel, value) {
+  await gdb.writeMemory(DCRDR, le32(value));
+  await gdb.writeMemory(DCRSR, le32(sel | REGWNR));
+  await dcrsrWait(gdb);
+}
+
+async function readSpecial(gdb, tdesc, name) {
+  const d = tdesc?.find((r) => r.name === name);
+  if (d) {
+    const bytes = await gdb.readRegister(d.regnum);
+    if (bytes && bytes.length) return bytes.readUIntLE(0, Math.min(bytes.length, 4));
+  }
+  if (REGSEL[name] != null) return await dcrsrRead(gdb, REGSEL[name]);
+  return (await dcrsrRead(gdb, 20) >>> PACKED_SHIFT[name]) & 0xff;
+}
+
+// readCoreRegisters: r0-r12, sp, lr, pc, xpsr, msp, psp, primask, basepri, faultmask, control
+export async function readCoreRegisters({ server, port } = {}) {
+  const { info, gdb } = await getClient({ server, port });
+  const core = await gdb.readRegisters();
+  const tdesc = await gdb.targetDescription();
+  const registers = {};
+  for (const name of gdbrsp.CORE_REGISTERS) if (core[name] != null) registers[name] = hex32(core[name]);
+  for (const name of SPECIAL_REGISTERS) registers[name] = hex32(await readSpecial(gdb, tdesc, name));
+  return { server: info.server, port: info.port, registers, targetDescription: !!tdesc };
+}
+
+// writeCoreRegister: set one register on the halted core and read it back
+export async function writeCoreRegister({ name, value, server, port } = {}) {
+  const reg = registerName(name);
+  if (value == null) throw new Error('writeCoreRegister requires value');
+  const v = parseAddress(value, 'value');
+  if (BYTE_REGISTER_MAX[reg] != null && v > BYTE_REGISTER_MAX[reg]) throw new Error(`${reg} accepts 0..${BYTE_REGISTER_MAX[reg]}`);
+  const { info, gdb } = await getClient({ server, port });
+  const tdesc = await gdb.targetDescription();
+  const d = tdesc?.find((r) => r.name === reg);
+
+  if (gdbrsp.CORE_REGISTERS.includes(reg)) {
+    const index = gdbrsp.CORE_REGISTERS.indexOf(reg);
+    const hex = await gdb.readRegistersHex();
+    // Legacy ARM layout (no target description) keeps cpsr at register 25 / byte 164
+    const legacy = hex.length >= 168 * 2;
+    const regnum = d ? d.regnum : reg === 'xpsr' && legacy ? 25 : index;
+    if (!(await gdb.writeRegister(regnum, le32(v)))) {
+      const offset = (reg === 'xpsr' && legacy ? 164 : index * 4) * 2;
+      await gdb.writeRegistersHex(hex.slice(0, offset) + le32(v).toString('hex') + hex.slice(offset + 8));
+    }
+  } else if (!(d && (await gdb.writeRegister(d.regnum, d.bitsize <= 8 ? Buffer.from([v]) : le32(v))))) {
+    if (REGSEL[reg] != null) {
+      await dcrsrWrite(gdb, REGSEL[reg], v);
+    } else {
+      const packed = await dcrsrRead(gdb, 20);
+      const shift = PACKED_SHIFT[reg];
+      await dcrsrWrite(gdb, 20, ((packed & ~(0xff << shift)) | (v << shift)) >>> 0);
+    }
+  }
+
+  const readBack = gdbrsp.CORE_REGISTERS.includes(reg) ? (await gdb.readRegisters())[reg] : await readSpecial(gdb, tdesc, reg);
+  return { server: info.server, port: info.port, name: reg, value: hex32(readBack), written: hex32(v), ok: readBack === v };
+}
+
+function parseBytes(data) {
+  if (Array.isArray(data)) {
+    if (!data.every((b) => Number.isInteger(b) && b >= 0 && b <= 0xff)) throw new Error('data array must contain byte values 0..255');
+    return Buffer.from(data);
+  }
+  const hex = String(data).replace(/^0x/i, '').replace(/[\s:_-]/g, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(hex)) throw new Error('data must be a hex string (e.g. "deadbeef") or an array of bytes');
+  return Buffer.from(hex, 'hex');
+}
+
+// writeMemory: one value of width 8/16/32 bits (little endian, one aligned access) or a byte
+// array / hex string. verify reads the bytes back (skip it for registers with side effects).
+export async function writeMemory({ addr, value, width = 32, data, verify = false, server, port } = {}) {
+  if (addr == null) throw new Error('writeMemory requires addr');
+  const address = parseAddress(addr, 'addr');
+  let buf;
+  if (data != null) {
+    buf = parseBytes(data);
+    if (buf.length === 0) throw new Error('data is empty');
+  } else {
+    if (value == null) throw new Error('writeMemory requires value (with width) or data');
+    if (![8, 16, 32].includes(width)) throw new Error('width must be 8, 16 or 32');
+    const bytes = width / 8;
+    if (address % bytes) throw new Error(`addr must be ${bytes}-byte aligned for a ${width}-bit write`);
+    const v = parseAddress(value, 'value');
+    if (width < 32 && v >= 2 ** width) throw new Error(`value does not fit in ${width} bits`);
+    buf = Buffer.alloc(bytes);
+    buf.writeUIntLE(v, 0, bytes);
+  }
+  const { info, gdb } = await getClient({ server, port });
+  await gdb.writeMemory(address, buf);
+  const res = { server: info.server, port: info.port, addr: hex32(address), bytes: buf.length, data: buf.toString('hex') };
+  if (data == null) res.width = width;
+  if (verify) {
+    const back = await gdb.readMemory(address, buf.length);
+    res.verified = back.equals(buf);
+    if (!res.verified) res.readBack = back.toString('hex');
+  }
+  return res;
+}
+
+// readVariable / writeVariable: a global variable (or `cfg.field[2]`-style path into it) decoded
+// with the DWARF types of the firmware ELF; see dwarf.js for the value tree layout
+export async function readVariable({ name, elf, maxElements, server, port } = {}) {
+  if (!name) throw new Error('readVariable requires name');
+  if (!elf) throw new Error('readVariable requires elf (the firmware image the target runs)');
+  const { info, gdb } = await getClient({ server, port });
+  const res = await dwarf.readVariable({ elf, name, maxElements, readMemory: (a, n) => gdb.readMemory(a, n) });
+  return { server: info.server, port: info.port, ...res };
+}
+
+export async function writeVariable({ name, value, elf, server, port } = {}) {
+  if (!name) throw new Error('writeVariable requires name');
+  if (value == null) throw new Error('writeVariable requires value');
+  if (!elf) throw new Error('writeVariable requires elf (the firmware image the target runs)');
+  const { info, gdb } = await getClient({ server, port });
+  const res = await dwarf.writeVariable({
+    elf,
+    name,
+    value,
+    readMemory: (a, n) => gdb.readMemory(a, n),
+    writeMemory: (a, buf) => gdb.writeMemory(a, buf),
+  });
+  return { server: info.server, port: info.port, ...res };
+}
+
+// ----------------------
+// Fault analysis
+// ----------------------
+
+const hexOrNull = (v) => (v == null ? null : hex32(v));
+
+// Code address with its function and, when the ELF has line tables, source line. `lookupAddr`
+// lets return addresses be looked up at the call instruction rather than after it.
+async function codeLocation(elf, addr, lookupAddr = addr) {
+  const loc = { addr: hex32(addr) };
+  if (!elf) return loc;
+  const where = symbolize(await loadElf(elf), addr);
+  loc.symbol = where ? where.symbol : null;
+  try {
+    const line = dwarf.sourceLine(await dwarf.loadDebugInfo(elf), lookupAddr);
+    if (line) Object.assign(loc, line);
+  } catch {
+    // No DWARF info: the function name is all there is
+  }
+  return loc;
+}
+
+// analyzeFault: halt, read the SCB fault registers, find the exception frame from EXC_RETURN and
+// decode everything. excReturn overrides LR when the handler has already overwritten it.
+export async function analyzeFault({ elf, excReturn, timeoutMs = 2000, server, port } = {}) {
+  const { info, gdb } = await getClient({ server, port });
+  const wasRunning = gdb.running;
+  if (wasRunning) await gdb.interrupt({ timeoutMs });
+
+  const regs = await gdb.readRegisters();
+  const tdesc = await gdb.targetDescription();
+  const msp = await readSpecial(gdb, tdesc, 'msp');
+  const psp = await readSpecial(gdb, tdesc, 'psp');
+  const scb = await gdb.readMemory(SCB.CFSR, 24);
+  const [cfsr, hfsr, dfsr, mmfar, bfar, afsr] = [0, 4, 8, 12, 16, 20].map((o) => scb.readUInt32LE(o));
+  const icsr = (await gdb.readMemory(SCB.ICSR, 4)).readUInt32LE(0);
+  const shcsr = (await gdb.readMemory(SCB.SHCSR, 4)).readUInt32LE(0);
+
+  const exception = regs.xpsr & 0x1ff; // IPSR
+  const faults = decodeFaultStatus({ cfsr, hfsr, dfsr });
+  const names = new Set(faults.map((f) => f.name));
+  const faultAddress = names.has('MMARVALID') ? hex32(mmfar) : names.has('BFARVALID') ? hex32(bfar) : null;
+  const notes = [];
+
+  const exc = parseExcReturn(excReturn != null ? parseAddress(excReturn, 'excReturn') : regs.lr);
+  let frame = null;
+  if (exc) {
+    const addr = exc.stack === 'psp' ? psp : msp;
+    try {
+      frame = parseStackedFrame(await gdb.readMemory(addr, 32), addr, exc);
+    } catch (e) {
+      notes.push(`Could not read the exception frame at ${hex32(addr)} (${e.message}); the ${exc.stack.toUpperCase()} value is probably corrupt`);
+    }
+    if (exc.stack === 'msp' && excReturn == null) {
+      notes.push('Frame taken from MSP: if the handler pushed registers before halting, MSP has moved and the frame is offset');
+    }
+  } else if (exception) {
+    notes.push(`LR (${hex32(regs.lr)}) is not an EXC_RETURN value, so the handler has already called other code; pass excReturn (e.g. 0xfffffffd) to unwind the frame`);
+  } else {
+    notes.push('Core is in Thread mode: no exception is active');
+  }
+
+  const res = {
+    server: info.server,
+    port: info.port,
+    wasRunning,
+    faulted: faults.some(isFault),
+    exception: { number: exception, name: exceptionName(exception) },
+    registers: {
+      CFSR: hex32(cfsr), HFSR: hex32(hfsr), DFSR: hex32(dfsr), MMFAR: hex32(mmfar), BFAR: hex32(bfar), AFSR: hex32(afsr), ICSR: hex32(icsr), SHCSR: hex32(shcsr),
+    },
+    faults,
+    faultAddress,
+    excReturn: exc ? { ...exc, value: hex32(exc.value) } : null,
+    stackedFrame: null,
+    spBeforeException: null,
+    pc: null,
+    lr: null,
+    current: { ...(await codeLocation(elf, regs.pc)), sp: hex32(regs.sp), msp: hex32(msp), psp: hex32(psp) },
+  };
+  if (frame) {
+    const stackedPc = frame.registers.pc & ~1;
+    const stackedLr = frame.registers.lr;
+    res.stackedFrame = { addr: hex32(frame.addr), ...Object.fromEntries(Object.entries(frame.registers).map(([k, v]) => [k, hex32(v)])) };
+    res.spBeforeException = hex32(frame.spBeforeException);
+    res.pc = await codeLocation(elf, stackedPc);
+    res.lr = parseExcReturn(stackedLr) || stackedLr === 0xffffffff
+      ? { addr: hex32(stackedLr) }
+      : await codeLocation(elf, stackedLr & ~1, Math.max(0, (stackedLr & ~1) - 2));
+    if (names.has('IMPRECISERR')) notes.push('Imprecise bus fault: the stacked PC is somewhere after the faulting store');
+  }
+  const where = res.pc ? (res.pc.file ? `${res.pc.symbol} (${res.pc.file}:${res.pc.line})` : res.pc.symbol || res.pc.addr) : null;
+  res.summary = summarize({ exception, faults, faultAddress, pc: where });
+  res.notes = notes;
+  return res;
+}
+
+// ----------------------
+// Peripheral registers (CMSIS-SVD)
+// ----------------------
+
+// readPeripheral: `GPIOA.ODR` read through the server and decoded into fields. With `value` the
+// register is only decoded, without touching the target.
+export async function readPeripheral({ svd: svdPath, register, value, server, port } = {}) {
+  if (!register) throw new Error('readPeripheral requires register (e.g. GPIOA.ODR)');
+  const device = await svd.loadSvd(svdPath);
+  if (value != null) {
+    const { peripheral, register: reg, address } = svd.findRegister(device, register);
+    return { register: `${peripheral.name}.${reg.name}`, address: hex32(address), size: reg.size, ...svd.decodeRegister(reg, parseAddress(value, 'value')) };
+  }
+  const { info, gdb } = await getClient({ server, port });
+  const res = await svd.readRegister({ device, name: register, readMemory: (a, n) => gdb.readMemory(a, n) });
+  return { server: info.server, port: info.port, ...res };
+}
+
+// writePeripheral: read-modify-write of fields ({ NAME: value }, or one field + value)
+export async function writePeripheral({ svd: svdPath, register, fields, field, value, server, port } = {}) {
+  if (!register) throw new Error('writePeripheral requires register (e.g. GPIOA.ODR)');
+  const values = { ...(fields || {}) };
+  if (field) {
+    if (value == null) throw new Error('field requires value');
+    values[field] = value;
+  }
+  if (!Object.keys(values).length) throw new Error('writePeripheral requires fields or field + value');
+  const device = await svd.loadSvd(svdPath);
+  const { info, gdb } = await getClient({ server, port });
+  const res = await svd.writeFields({
+    device,
+    name: register,
+    fields: values,
+    readMemory: (a, n) => gdb.readMemory(a, n),
+    writeMemory: (a, buf) => gdb.writeMemory(a, buf),
+  });
+  return { server: info.server, port: info.port, ...res };
+}
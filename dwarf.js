@@ -0,0 +1,830 @@
+// dwarf.js
+// DWARF (versions 2-5) type information for global variables in a firmware ELF, typed
+// reads/writes of those variables through a memory accessor, and address -> source line lookup.
+// Exposes: loadDebugInfo, sourceLine, resolveVariable, decodeValue, encodeValue, readVariable,
+//          writeVariable
+//
+// Only what variable access needs is parsed: statically located variables (DW_OP_addr /
+// DW_OP_addrx), base types, enums, pointers, structs/unions (including bitfields), arrays,
+// typedefs and qualifiers. Expressions are a variable name followed by `.member` and `[index]`
+// steps, e.g. `cfg.in.flags[1]`. Pointer dereference is not supported.
+
+import { loadElf, getSection, findSymbol } from './elf.js';
+
+const TAG = {
+  array_type: 0x01, class_type: 0x02, enumeration_type: 0x04, member: 0x0d, pointer_type: 0x0f,
+  compile_unit: 0x11, structure_type: 0x13, subroutine_type: 0x15, typedef: 0x16, union_type: 0x17,
+  subrange_type: 0x21, base_type: 0x24, const_type: 0x26, enumerator: 0x28, subprogram: 0x2e,
+  variable: 0x34, volatile_type: 0x35, restrict_type: 0x37, atomic_type: 0x47, skeleton_unit: 0x4a,
+};
+
+const AT = {
+  location: 0x02, name: 0x03, byte_size: 0x0b, bit_offset: 0x0c, bit_size: 0x0d, stmt_list: 0x10,
+  comp_dir: 0x1b, const_value: 0x1c, lower_bound: 0x22, upper_bound: 0x2f, count: 0x37,
+  data_member_location: 0x38, encoding: 0x3e, external: 0x3f, specification: 0x47, type: 0x49,
+  data_bit_offset: 0x6b, str_offsets_base: 0x72, addr_base: 0x73,
+};
+
+// DW_ATE_* base type encodings
+const ENCODINGS = { 1: 'address', 2: 'boolean', 4: 'float', 5: 'signed', 6: 'signed_char', 7: 'unsigned', 8: 'unsigned_char', 0x10: 'utf' };
+
+const MAX_ELEMENTS = 64;
+
+// ----------------------
+// Section reader
+// ----------------------
+
+function reader(buf, pos = 0) {
+  const r = {
+    buf,
+    pos,
+    u8: () => buf[r.pos++],
+    u16: () => { const v = buf.readUInt16LE(r.pos); r.pos += 2; return v; },
+    u32: () => { const v = buf.readUInt32LE(r.pos); r.pos += 4; return v; },
+    u64: () => { const v = Number(buf.readBigUInt64LE(r.pos)); r.pos += 8; return v; },
+    uN: (n) => (n === 1 ? r.u8() : n === 2 ? r.u16() : n === 4 ? r.u32() : n === 8 ? r.u64() : (() => { const v = buf.readUIntLE(r.pos, n); r.pos += n; return v; })()),
+    uleb: () => {
+      let result = 0;
+      let mul = 1;
+      for (;;) {
+        const b = buf[r.pos++];
+        result += (b & 0x7f) * mul;
+        mul *= 128;
+        if (!(b & 0x80)) return result;
+      }
+    },
+    sleb: () => {
+      let result = 0;
+      let mul = 1;
+      let b;
+      do {
+        b = buf[r.pos++];
+        result += (b & 0x7f) * mul;
+        mul *= 128;
+      } while (b & 0x80);
+      return b & 0x40 ? result - mul : result;
+    },
+    cstr: () => {
+      const end = buf.indexOf(0, r.pos);
+      const s = buf.toString('utf8', r.pos, end);
+      r.pos = end + 1;
+      return s;
+    },
+    bytes: (n) => { const v = buf.subarray(r.pos, r.pos + n); r.pos += n; return v; },
+  };
+  return r;
+}
+
+function cstrAt(buf, offset) {
+  if (!buf || offset >= buf.length) return null;
+  const end = buf.indexOf(0, offset);
+  return buf.toString('utf8', offset, end < 0 ? buf.length : end);
+}
+
+function parseAbbrevs(buf, offset) {
+  const r = reader(buf, offset);
+  const table = new Map();
+  for (;;) {
+    const code = r.uleb();
+    if (code === 0) return table;
+    const tag = r.uleb();
+    const hasChildren = r.u8() === 1;
+    const specs = [];
+    for (;;) {
+      const name = r.uleb();
+      const form = r.uleb();
+      if (name === 0 && form === 0) break;
+      specs.push({ name, form, implicit: form === 0x21 ? r.sleb() : undefined });
+    }
+    table.set(code, { tag, hasChildren, specs });
+  }
+}
+
+// Read one attribute value. Strings are resolved later (strx needs str_offsets_base); references
+// become absolute .debug_info offsets.
+function readForm(r, form, cu, spec) {
+  switch (form) {
+    case 0x01: return r.uN(cu.addrSize); // addr
+    case 0x03: return r.bytes(r.u16()); // block2
+    case 0x04: return r.bytes(r.u32()); // block4
+    case 0x05: return r.u16(); // data2
+    case 0x06: return r.u32(); // data4
+    case 0x07: return r.u64(); // data8
+    case 0x08: return { str: r.cstr() }; // string
+    case 0x09: case 0x18: return r.bytes(r.uleb()); // block, exprloc
+    case 0x0a: return r.bytes(r.u8()); // block1
+    case 0x0b: return r.u8(); // data1
+    case 0x0c: return r.u8() !== 0; // flag
+    case 0x0d: return r.sleb(); // sdata
+    case 0x0e: return { strp: r.uN(cu.offsetSize) }; // strp
+    case 0x0f: return r.uleb(); // udata
+    case 0x10: return { ref: r.uN(cu.version <= 2 ? cu.addrSize : cu.offsetSize) }; // ref_addr
+    case 0x11: return { ref: cu.offset + r.u8() };
+    case 0x12: return { ref: cu.offset + r.u16() };
+    case 0x13: return { ref: cu.offset + r.u32() };
+    case 0x14: return { ref: cu.offset + r.u64() };
+    case 0x15: return { ref: cu.offset + r.uleb() };
+    case 0x16: return readForm(r, r.uleb(), cu, spec); // indirect
+    case 0x17: return r.uN(cu.offsetSize); // sec_offset
+    case 0x19: return true; // flag_present
+    case 0x1a: return { strx: r.uleb() };
+    case 0x1b: return { addrx: r.uleb() };
+    case 0x1c: return r.u32(); // ref_sup4
+    case 0x1d: return { strp: r.uN(cu.offsetSize), sup: true }; // strp_sup
+    case 0x1e: return r.bytes(16); // data16
+    case 0x1f: return { lineStrp: r.uN(cu.offsetSize) }; // line_strp
+    case 0x20: return r.bytes(8); // ref_sig8
+    case 0x21: return spec.implicit; // implicit_const
+    case 0x22: case 0x23: return r.uleb(); // loclistx, rnglistx
+    case 0x24: return r.u64(); // ref_sup8
+    case 0x25: return { strx: r.u8() };
+    case 0x26: return { strx: r.u16() };
+    case 0x27: return { strx: r.uN(3) };
+    case 0x28: return { strx: r.u32() };
+    case 0x29: return { addrx: r.u8() };
+    case 0x2a: return { addrx: r.u16() };
+    case 0x2b: return { addrx: r.uN(3) };
+    case 0x2c: return { addrx: r.u32() };
+    default: throw new Error(`Unsupported DWARF form 0x${form.toString(16)}`);
+  }
+}
+
+// ----------------------
+// DIE tree
+// ----------------------
+
+function parseUnits(sections) {
+  const info = sections.info;
+  const dies = new Map();
+  const units = [];
+  let pos = 0;
+  while (pos + 11 <= info.length) {
+    const r = reader(info, pos);
+    let length = r.u32();
+    let offsetSize = 4;
+    if (length === 0xffffffff) {
+      length = r.u64();
+      offsetSize = 8;
+    }
+    const end = r.pos + length;
+    const version = r.u16();
+    let unitType = 0x01;
+    let addrSize;
+    let abbrevOffset;
+    if (version >= 5) {
+      unitType = r.u8();
+      addrSize = r.u8();
+      abbrevOffset = r.uN(offsetSize);
+      if (unitType === 0x02 || unitType === 0x06) r.pos += 8 + offsetSize; // type units: signature + type offset
+      else if (unitType === 0x04 || unitType === 0x05) r.pos += 8; // skeleton/split: dwo id
+    } else {
+      abbrevOffset = r.uN(offsetSize);
+      addrSize = r.u8();
+    }
+    const cu = { offset: pos, version, offsetSize, addrSize, unitType, strOffsetsBase: 8, addrBase: 8, roots: [] };
+    const abbrevs = parseAbbrevs(sections.abbrev, abbrevOffset);
+    const stack = [];
+    while (r.pos < end) {
+      const dieOffset = r.pos;
+      const code = r.uleb();
+      if (code === 0) {
+        stack.pop();
+        continue;
+      }
+      const ab = abbrevs.get(code);
+      if (!ab) throw new Error(`Bad DWARF abbreviation ${code} at 0x${dieOffset.toString(16)}`);
+      const die = { offset: dieOffset, tag: ab.tag, attrs: {}, children: [], cu, parent: stack[stack.length - 1] || null };
+      for (const spec of ab.specs) die.attrs[spec.name] = readForm(r, spec.form, cu, spec);
+      dies.set(dieOffset, die);
+      if (die.parent) die.parent.children.push(die);
+      else cu.roots.push(die);
+      if (ab.tag === TAG.compile_unit || ab.tag === TAG.skeleton_unit) {
+        if (typeof die.attrs[AT.str_offsets_base] === 'number') cu.strOffsetsBase = die.attrs[AT.str_offsets_base];
+        if (typeof die.attrs[AT.addr_base] === 'number') cu.addrBase = die.attrs[AT.addr_base];
+      }
+      if (ab.hasChildren) stack.push(die);
+    }
+    units.push(cu);
+    pos = end;
+  }
+  return { dies, units };
+}
+
+function makeContext(elf) {
+  const info = getSection(elf, '.debug_info');
+  const abbrev = getSection(elf, '.debug_abbrev');
+  if (!info || !abbrev) throw new Error(`${elf.path} has no DWARF debug info (build with -g)`);
+  const sections = {
+    info,
+    abbrev,
+    str: getSection(elf, '.debug_str'),
+    lineStr: getSection(elf, '.debug_line_str'),
+    strOffsets: getSection(elf, '.debug_str_offsets'),
+    addr: getSection(elf, '.debug_addr'),
+    line: getSection(elf, '.debug_line'),
+  };
+  const { dies, units } = parseUnits(sections);
+  const ctx = { elf, sections, dies, units, types: new Map() };
+
+  ctx.string = (v, cu) => {
+    if (v == null) return null;
+    if (typeof v === 'string') return v;
+    if (v.str != null) return v.str;
+    if (v.strp != null) return cstrAt(sections.str, v.strp);
+    if (v.lineStrp != null) return cstrAt(sections.lineStr, v.lineStrp);
+    if (v.strx != null && sections.strOffsets) {
+      const o = cu.strOffsetsBase + v.strx * cu.offsetSize;
+      return cstrAt(sections.str, cu.offsetSize === 8 ? Number(sections.strOffsets.readBigUInt64LE(o)) : sections.strOffsets.readUInt32LE(o));
+    }
+    return null;
+  };
+  ctx.str = (die, at) => ctx.string(die.attrs[at], die.cu);
+  ctx.ref = (die, at) => {
+    const v = die.attrs[at];
+    return v && v.ref != null ? dies.get(v.ref) || null : null;
+  };
+  ctx.addrx = (cu, index) => {
+    if (!sections.addr) return null;
+    return sections.addr.readUIntLE(cu.addrBase + index * cu.addrSize, cu.addrSize);
+  };
+  return ctx;
+}
+
+// Attribute lookup that follows DW_AT_specification (definitions of declared variables)
+function attr(ctx, die, at) {
+  for (let d = die, hops = 0; d && hops < 4; d = ctx.ref(d, AT.specification), hops++) {
+    if (d.attrs[at] !== undefined) return { die: d, value: d.attrs[at] };
+  }
+  return null;
+}
+
+function numberAttr(die, at) {
+  const v = die.attrs[at];
+  return typeof v === 'number' ? v : null;
+}
+
+// ----------------------
+// Types
+// ----------------------
+
+function memberLocation(v) {
+  if (typeof v === 'number') return v;
+  if (Buffer.isBuffer(v) && v[0] === 0x23) return reader(v, 1).uleb(); // DW_OP_plus_uconst
+  return 0;
+}
+
+function arrayDims(ctx, die) {
+  const dims = [];
+  for (const c of die.children) {
+    if (c.tag !== TAG.subrange_type) continue;
+    const count = numberAttr(c, AT.count);
+    const upper = numberAttr(c, AT.upper_bound);
+    const lower = numberAttr(c, AT.lower_bound) || 0;
+    dims.push(count != null ? count : upper != null ? upper - lower + 1 : 0);
+  }
+  return dims.length ? dims : [0];
+}
+
+// Normalized type: { kind, name, size, ... }. Typedefs and qualifiers keep their display name
+// but expose the underlying type as `base`, so decoding looks through them.
+function resolveType(ctx, die) {
+  if (!die) return { kind: 'void', name: 'void', size: 0 };
+  const cached = ctx.types.get(die.offset);
+  if (cached) return cached;
+  const name = ctx.str(die, AT.name);
+  const size = numberAttr(die, AT.byte_size);
+  let t;
+  switch (die.tag) {
+    case TAG.base_type:
+      t = { kind: 'base', name: name || 'int', size: size ?? 4, encoding: ENCODINGS[die.attrs[AT.encoding]] || 'unsigned' };
+      break;
+    case TAG.enumeration_type: {
+      const under = ctx.ref(die, AT.type);
+      t = { kind: 'enum', name: name ? `enum ${name}` : 'enum', size: size ?? 4, enumerators: [] };
+      t.signed = under ? resolveType(ctx, under).encoding === 'signed' : false;
+      for (const c of die.children) {
+        if (c.tag === TAG.enumerator) t.enumerators.push({ name: ctx.str(c, AT.name), value: numberAttr(c, AT.const_value) ?? 0 });
+      }
+      if (!under) t.signed = t.enumerators.some((e) => e.value < 0);
+      break;
+    }
+    case TAG.structure_type:
+    case TAG.class_type:
+    case TAG.union_type: {
+      const kind = die.tag === TAG.union_type ? 'union' : 'struct';
+      t = { kind, name: name ? `${kind} ${name}` : kind, size: size ?? 0, members: [] };
+      ctx.types.set(die.offset, t); // before members, for self-referencing structs
+      for (const c of die.children) {
+        if (c.tag !== TAG.member) continue;
+        const m = { name: ctx.str(c, AT.name) || `<anon@${c.offset.toString(16)}>`, type: resolveType(ctx, ctx.ref(c, AT.type)) };
+        const bitSize = numberAttr(c, AT.bit_size);
+        const byteOffset = memberLocation(c.attrs[AT.data_member_location]);
+        if (bitSize != null) {
+          // Bit position counted from the struct start, least significant bit first
+          const dataBitOffset = numberAttr(c, AT.data_bit_offset);
+          if (dataBitOffset != null) {
+            m.bitPos = dataBitOffset;
+          } else {
+            const storage = numberAttr(c, AT.byte_size) ?? m.type.size;
+            m.bitPos = byteOffset * 8 + storage * 8 - (numberAttr(c, AT.bit_offset) || 0) - bitSize;
+          }
+          m.bitSize = bitSize;
+          m.offset = Math.floor(m.bitPos / 8);
+        } else {
+          m.offset = byteOffset;
+        }
+        t.members.push(m);
+      }
+      return t;
+    }
+    case TAG.array_type: {
+      const element = resolveType(ctx, ctx.ref(die, AT.type));
+      const dims = arrayDims(ctx, die);
+      t = { kind: 'array', element, dims, name: `${element.name}${dims.map((d) => `[${d}]`).join('')}` };
+      t.size = dims.reduce((a, d) => a * d, 1) * element.size;
+      break;
+    }
+    case TAG.pointer_type: {
+      const target = ctx.ref(die, AT.type);
+      let targetName = 'void';
+      if (target) targetName = target.tag === TAG.subroutine_type ? 'function' : ctx.str(target, AT.name) || typeKeyword(target.tag);
+      t = { kind: 'pointer', name: `${targetName} *`, size: size ?? die.cu.addrSize };
+      break;
+    }
+    case TAG.typedef:
+    case TAG.const_type:
+    case TAG.volatile_type:
+    case TAG.restrict_type:
+    case TAG.atomic_type: {
+      const base = resolveType(ctx, ctx.ref(die, AT.type));
+      const qualifier = { [TAG.const_type]: 'const', [TAG.volatile_type]: 'volatile', [TAG.restrict_type]: 'restrict', [TAG.atomic_type]: '_Atomic' }[die.tag];
+      const display = die.tag === TAG.typedef ? name : `${qualifier} ${base.name}`;
+      t = { ...(base.base || base), name: display, base: base.base || base };
+      break;
+    }
+    case TAG.subroutine_type:
+      t = { kind: 'function', name: 'function', size: 0 };
+      break;
+    default:
+      t = { kind: 'unknown', name: name || `tag 0x${die.tag.toString(16)}`, size: size ?? 0 };
+  }
+  ctx.types.set(die.offset, t);
+  return t;
+}
+
+// Type of one step into an array: the element, or the remaining dimensions of a multi-dimensional one
+function elementType(type) {
+  const dims = type.dims.slice(1);
+  if (!dims.length) return type.element;
+  const { element } = type;
+  return { kind: 'array', element, dims, name: `${element.name}${dims.map((d) => `[${d}]`).join('')}`, size: dims.reduce((a, d) => a * d, 1) * element.size };
+}
+
+function typeKeyword(tag) {
+  if (tag === TAG.structure_type) return 'struct';
+  if (tag === TAG.union_type) return 'union';
+  if (tag === TAG.enumeration_type) return 'enum';
+  return 'type';
+}
+
+function locationAddress(ctx, die) {
+  const loc = attr(ctx, die, AT.location);
+  if (!loc || !Buffer.isBuffer(loc.value)) return null;
+  const expr = loc.value;
+  if (expr[0] === 0x03 && expr.length === 1 + die.cu.addrSize) return expr.readUIntLE(1, die.cu.addrSize); // DW_OP_addr
+  if (expr[0] === 0xa1) return ctx.addrx(die.cu, reader(expr, 1).uleb()); // DW_OP_addrx
+  return null;
+}
+
+// name -> { name, addr, die } for variables with a static address. Globals win over file statics.
+function collectVariables(ctx) {
+  const vars = new Map();
+  const visit = (die) => {
+    if (die.tag === TAG.variable) {
+      const addr = locationAddress(ctx, die);
+      const nameAttr = attr(ctx, die, AT.name);
+      if (addr != null && nameAttr) {
+        const name = ctx.str(nameAttr.die, AT.name);
+        const external = !!attr(ctx, die, AT.external)?.value;
+        const prev = vars.get(name);
+        if (!prev || (external && !prev.external)) vars.set(name, { name, addr, die, external });
+      }
+    }
+    // Function-local statics are skipped: their names are only meaningful inside the function
+    if (die.tag !== TAG.subprogram) for (const c of die.children) visit(c);
+  };
+  for (const cu of ctx.units) for (const root of cu.roots) visit(root);
+  return vars;
+}
+
+const debugInfoCache = new Map();
+
+// loadDebugInfo: parse (and cache per ELF image) the variables and their types
+export async function loadDebugInfo(elfPath) {
+  const elf = await loadElf(elfPath);
+  const hit = debugInfoCache.get(elfPath);
+  if (hit && hit.elf === elf) return hit;
+  const ctx = makeContext(elf);
+  const info = { elf, ctx, variables: collectVariables(ctx) };
+  debugInfoCache.set(elfPath, info);
+  return info;
+}
+
+// ----------------------
+// Line tables
+// ----------------------
+
+function joinPath(dir, name) {
+  if (!dir || /^([/\\]|[A-Za-z]:)/.test(name)) return name;
+  return `${dir.replace(/[/\\]+$/, '')}/${name}`;
+}
+
+function readEntryFormats(r) {
+  const formats = [];
+  for (let n = r.u8(); n > 0; n--) formats.push({ type: r.uleb(), form: r.uleb() });
+  return formats;
+}
+
+// DWARF 5 directory/file tables: each entry is a list of (content type, form) values
+function readEntries(ctx, r, formats, hdrCu, cu) {
+  const entries = [];
+  for (let n = r.uleb(); n > 0; n--) {
+    const e = {};
+    for (const f of formats) {
+      const v = readForm(r, f.form, hdrCu, {});
+      if (f.type === 1) e.path = ctx.string(v, cu); // DW_LNCT_path
+      else if (f.type === 2) e.dir = v; // DW_LNCT_directory_index
+    }
+    entries.push(e);
+  }
+  return entries;
+}
+
+// One line-number program: sequences of rows { addr, file, line }, each covering [start, end)
+function parseLineProgram(ctx, offset, cu, compDir) {
+  const buf = ctx.sections.line;
+  const r = reader(buf, offset);
+  let length = r.u32();
+  let offsetSize = 4;
+  if (length === 0xffffffff) {
+    length = r.u64();
+    offsetSize = 8;
+  }
+  const end = r.pos + length;
+  const version = r.u16();
+  let addrSize = cu.addrSize;
+  if (version >= 5) {
+    addrSize = r.u8();
+    r.u8(); // segment selector size
+  }
+  const headerLength = r.uN(offsetSize);
+  const programStart = r.pos + headerLength;
+  const minInst = r.u8();
+  if (version >= 4) r.u8(); // maximum operations per instruction (VLIW only)
+  const defaultIsStmt = r.u8() !== 0;
+  const lineBase = (r.u8() << 24) >> 24;
+  const lineRange = r.u8();
+  const opcodeBase = r.u8();
+  const opLengths = [0];
+  for (let i = 1; i < opcodeBase; i++) opLengths.push(r.u8());
+
+  let dirs;
+  let files;
+  if (version >= 5) {
+    const hdrCu = { offset: 0, version, offsetSize, addrSize };
+    dirs = readEntries(ctx, r, readEntryFormats(r), hdrCu, cu).map((e) => e.path);
+    files = readEntries(ctx, r, readEntryFormats(r), hdrCu, cu).map((e) => ({ name: e.path, dir: e.dir || 0 }));
+  } else {
+    dirs = [compDir];
+    for (let d = r.cstr(); d; d = r.cstr()) dirs.push(d);
+    files = [null]; // file numbers start at 1 before DWARF 5
+    for (let f = r.cstr(); f; f = r.cstr()) {
+      files.push({ name: f, dir: r.uleb() });
+      r.uleb();
+      r.uleb();
+    }
+  }
+  const fileName = (i) => {
+    const f = files[i];
+    if (!f) return null;
+    const base = dirs[0] || compDir;
+    return joinPath(f.dir === 0 ? base : joinPath(base, dirs[f.dir]), f.name);
+  };
+
+  r.pos = programStart;
+  const sequences = [];
+  let rows = [];
+  let st;
+  const reset = () => { st = { addr: 0, file: 1, line: 1, isStmt: defaultIsStmt }; };
+  const emit = () => rows.push({ addr: st.addr, file: st.file, line: st.line });
+  reset();
+  while (r.pos < end) {
+    const op = r.u8();
+    if (op >= opcodeBase) {
+      const adj = op - opcodeBase;
+      st.addr += Math.floor(adj / lineRange) * minInst;
+      st.line += lineBase + (adj % lineRange);
+      emit();
+    } else if (op === 0) {
+      const len = r.uleb();
+      const next = r.pos + len;
+      const sub = r.u8();
+      if (sub === 1) {
+        // DW_LNE_end_sequence
+        if (rows.length) sequences.push({ start: rows[0].addr, end: st.addr, rows });
+        rows = [];
+        reset();
+      } else if (sub === 2) {
+        st.addr = r.uN(len - 1);
+      }
+      r.pos = next;
+    } else if (op === 1) emit();
+    else if (op === 2) st.addr += r.uleb() * minInst;
+    else if (op === 3) st.line += r.sleb();
+    else if (op === 4) st.file = r.uleb();
+    else if (op === 6) st.isStmt = !st.isStmt;
+    else if (op === 8) st.addr += Math.floor((255 - opcodeBase) / lineRange) * minInst;
+    else if (op === 9) st.addr += r.u16();
+    else for (let i = 0; i < opLengths[op]; i++) r.uleb(); // column, basic_block, prologue_end, isa...
+  }
+  return sequences.map((q) => ({ ...q, fileName }));
+}
+
+function lineTables(info) {
+  if (info.lines) return info.lines;
+  const { ctx } = info;
+  info.lines = [];
+  if (!ctx.sections.line) return info.lines;
+  const seen = new Set();
+  for (const cu of ctx.units) {
+    const root = cu.roots[0];
+    const offset = root && numberAttr(root, AT.stmt_list);
+    if (offset == null || seen.has(offset)) continue;
+    seen.add(offset);
+    info.lines.push(...parseLineProgram(ctx, offset, cu, ctx.str(root, AT.comp_dir)));
+  }
+  return info.lines;
+}
+
+// sourceLine: { file, line } of the instruction at addr, or null when no line table covers it
+export function sourceLine(info, addr) {
+  for (const seq of lineTables(info)) {
+    if (addr < seq.start || addr >= seq.end) continue;
+    let row = null;
+    for (const rw of seq.rows) {
+      if (rw.addr > addr) break;
+      row = rw;
+    }
+    if (row) return { file: seq.fileName(row.file), line: row.line };
+  }
+  return null;
+}
+
+// ----------------------
+// Expressions
+// ----------------------
+
+function parseExpression(expr) {
+  const text = String(expr || '').trim();
+  const m = /^([A-Za-z_]\w*)/.exec(text);
+  if (!m) throw new Error(`Invalid variable expression "${expr}"`);
+  const steps = [];
+  let rest = text.slice(m[0].length);
+  while (rest.length) {
+    let s;
+    if ((s = /^\s*\.\s*([A-Za-z_]\w*)/.exec(rest))) steps.push({ member: s[1] });
+    else if ((s = /^\s*\[\s*(0x[0-9a-fA-F]+|\d+)\s*\]/.exec(rest))) steps.push({ index: Number(s[1]) });
+    else if (/^\s*->/.test(rest)) throw new Error('Pointer dereference (->) is not supported; read the pointer and use its address');
+    else throw new Error(`Invalid variable expression "${expr}" near "${rest}"`);
+    rest = rest.slice(s[0].length);
+  }
+  return { name: m[1], steps };
+}
+
+// resolveVariable: expression -> { expression, addr, size, type, bitPos?, bitSize? }
+export function resolveVariable(info, expression) {
+  const { name, steps } = parseExpression(expression);
+  const v = info.variables.get(name);
+  let addr;
+  let type;
+  if (v) {
+    const typeAttr = attr(info.ctx, v.die, AT.type);
+    addr = v.addr;
+    type = resolveType(info.ctx, typeAttr ? info.ctx.ref(typeAttr.die, AT.type) : null);
+  } else {
+    // No DWARF entry (e.g. built without -g for that file): fall back to the symbol as raw bytes
+    const sym = findSymbol(info.elf, name);
+    if (steps.length) throw new Error(`${name} has no DWARF type information; member/index access is not possible`);
+    return { expression: name, addr: sym.addr, size: sym.size || 4, type: { kind: 'bytes', name: 'bytes', size: sym.size || 4 } };
+  }
+  let bit = null;
+  let path = name;
+  for (const step of steps) {
+    if (step.member != null) {
+      if (type.kind !== 'struct' && type.kind !== 'union') throw new Error(`${path} is ${type.name}, not a struct or union`);
+      const m = type.members.find((mm) => mm.name === step.member);
+      if (!m) throw new Error(`${type.name} has no member ${step.member} (members: ${type.members.map((mm) => mm.name).join(', ')})`);
+      if (m.bitSize != null) bit = { bitPos: m.bitPos - m.offset * 8, bitSize: m.bitSize };
+      addr += m.offset;
+      type = m.type;
+      path += `.${step.member}`;
+    } else {
+      if (type.kind !== 'array') throw new Error(`${path} is ${type.name}, not an array`);
+      const [n] = type.dims;
+      if (n && step.index >= n) throw new Error(`${path}[${step.index}] is out of bounds (length ${n})`);
+      const sub = elementType(type);
+      addr += step.index * sub.size;
+      type = sub;
+      path += `[${step.index}]`;
+    }
+  }
+  const res = { expression: path, addr, size: type.size, type };
+  if (bit) {
+    Object.assign(res, bit);
+    res.size = Math.ceil((bit.bitPos + bit.bitSize) / 8);
+  }
+  return res;
+}
+
+// ----------------------
+// Values
+// ----------------------
+
+function readInt(buf, offset, size, signed) {
+  if (size === 8) {
+    const big = signed ? buf.readBigInt64LE(offset) : buf.readBigUInt64LE(offset);
+    return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big.toString();
+  }
+  if (size < 1 || size > 6) return buf.subarray(offset, offset + size).toString('hex');
+  return signed ? buf.readIntLE(offset, size) : buf.readUIntLE(offset, size);
+}
+
+function readBits(buf, bitPos, bitSize, signed) {
+  let raw = 0n;
+  const nbytes = Math.ceil((bitPos + bitSize) / 8);
+  for (let i = nbytes - 1; i >= 0; i--) raw = (raw << 8n) | BigInt(buf[i]);
+  let v = (raw >> BigInt(bitPos)) & ((1n << BigInt(bitSize)) - 1n);
+  if (signed && v & (1n << BigInt(bitSize - 1))) v -= 1n << BigInt(bitSize);
+  return Number(v);
+}
+
+const hex32 = (v) => `0x${(v >>> 0).toString(16).padStart(8, '0')}`;
+
+function isSigned(type) {
+  return type.kind === 'enum' ? type.signed : type.encoding === 'signed' || type.encoding === 'signed_char';
+}
+
+function scalarNode(type, v) {
+  if (type.kind === 'enum') {
+    const e = type.enumerators.find((en) => en.value === v);
+    return { type: type.name, value: v, enumerator: e ? e.name : null };
+  }
+  if (type.kind === 'pointer') return { type: type.name, value: typeof v === 'number' ? hex32(v) : v };
+  if (type.encoding === 'boolean') return { type: type.name, value: v !== 0 };
+  return { type: type.name, value: v };
+}
+
+// decodeValue: bytes -> { type, value } leaves, { type, members } for structs/unions and
+// { type, elements } for arrays (char arrays holding printable text also get `string`)
+export function decodeValue(type, buf, { offset = 0, maxElements = MAX_ELEMENTS, bitPos, bitSize } = {}) {
+  if (bitSize != null) return scalarNode(type, readBits(buf.subarray(offset), bitPos, bitSize, isSigned(type)));
+  switch (type.kind) {
+    case 'base':
+      if (type.encoding === 'float') {
+        if (type.size === 4) return { type: type.name, value: buf.readFloatLE(offset) };
+        if (type.size === 8) return { type: type.name, value: buf.readDoubleLE(offset) };
+      }
+      return scalarNode(type, readInt(buf, offset, type.size, isSigned(type)));
+    case 'enum':
+    case 'pointer':
+      return scalarNode(type, readInt(buf, offset, type.size, isSigned(type)));
+    case 'struct':
+    case 'union': {
+      const members = {};
+      for (const m of type.members) {
+        members[m.name] = m.bitSize != null
+          ? decodeValue(m.type, buf, { offset: offset + m.offset, bitPos: m.bitPos - m.offset * 8, bitSize: m.bitSize })
+          : decodeValue(m.type, buf, { offset: offset + m.offset, maxElements });
+      }
+      return { type: type.name, members };
+    }
+    case 'array': {
+      const [n, ...dims] = type.dims;
+      const sub = elementType(type);
+      const count = Math.min(n, maxElements);
+      const elements = [];
+      for (let i = 0; i < count; i++) elements.push(decodeValue(sub, buf, { offset: offset + i * sub.size, maxElements }));
+      const node = { type: type.name, elements };
+      if (count < n) node.truncated = true;
+      const el = type.element;
+      if (!dims.length && el.kind === 'base' && el.size === 1 && /char/.test(el.encoding)) {
+        const bytes = buf.subarray(offset, offset + n);
+        const end = bytes.indexOf(0);
+        const text = bytes.subarray(0, end < 0 ? bytes.length : end);
+        if (text.every((b) => (b >= 0x20 && b < 0x7f) || b === 0x09 || b === 0x0a || b === 0x0d)) node.string = text.toString('latin1');
+      }
+      return node;
+    }
+    default:
+      return { type: type.name, hex: buf.subarray(offset, offset + type.size).toString('hex') };
+  }
+}
+
+function parseScalar(type, value) {
+  if (type.kind === 'enum' && typeof value === 'string' && /^[A-Za-z_]\w*$/.test(value.trim())) {
+    const e = type.enumerators.find((en) => en.name === value.trim());
+    if (!e) throw new Error(`${value} is not an enumerator of ${type.name} (${type.enumerators.map((en) => en.name).join(', ')})`);
+    return e.value;
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string') {
+    const s = value.trim().toLowerCase();
+    if (s === 'true' || s === 'false') return s === 'true' ? 1 : 0;
+    if (/^-?0x[0-9a-f]+$/.test(s)) return s.startsWith('-') ? -parseInt(s.slice(1), 16) : parseInt(s, 16);
+    const n = Number(s);
+    if (s === '' || !Number.isFinite(n)) throw new Error(`"${value}" is not a number`);
+    return n;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new Error('value must be a number, boolean, enumerator name or numeric string');
+  return value;
+}
+
+// encodeValue: a scalar value -> little-endian bytes for the type (not for bitfields)
+export function encodeValue(type, value) {
+  if (!['base', 'enum', 'pointer'].includes(type.kind)) throw new Error(`Cannot write ${type.name} as a whole; write its members or elements`);
+  const v = parseScalar(type, value);
+  const buf = Buffer.alloc(type.size);
+  if (type.kind === 'base' && type.encoding === 'float') {
+    if (type.size === 4) buf.writeFloatLE(v);
+    else if (type.size === 8) buf.writeDoubleLE(v);
+    else throw new Error(`Unsupported float size ${type.size}`);
+    return buf;
+  }
+  if (!Number.isInteger(v)) throw new Error(`${type.name} needs an integer value`);
+  const signed = isSigned(type);
+  const bits = BigInt(type.size * 8);
+  const big = BigInt(v);
+  const min = signed ? -(1n << (bits - 1n)) : 0n;
+  const max = signed ? (1n << (bits - 1n)) - 1n : (1n << bits) - 1n;
+  if (big < min || big > max) throw new Error(`${v} does not fit in ${type.name} (${min}..${max})`);
+  let u = big < 0n ? big + (1n << bits) : big;
+  for (let i = 0; i < type.size; i++) {
+    buf[i] = Number(u & 0xffn);
+    u >>= 8n;
+  }
+  return buf;
+}
+
+// ----------------------
+// Target access
+// ----------------------
+// readMemory(addr, length) -> Buffer and writeMemory(addr, Buffer) come from the caller
+// (the GDB client of whichever debug server is running).
+
+function describe(res) {
+  const out = { name: res.expression, addr: hex32(res.addr), size: res.size, type: res.type.name };
+  if (res.bitSize != null) Object.assign(out, { bitOffset: res.bitPos, bitSize: res.bitSize });
+  return out;
+}
+
+export async function readVariable({ elf, name, readMemory, maxElements = MAX_ELEMENTS }) {
+  const info = await loadDebugInfo(elf);
+  const res = resolveVariable(info, name);
+  if (res.size > 65536) throw new Error(`${res.expression} is ${res.size} bytes; read a member or element instead`);
+  const bytes = await readMemory(res.addr, res.size);
+  const value = res.type.kind === 'bytes'
+    ? { type: 'bytes', hex: bytes.toString('hex') }
+    : decodeValue(res.type, bytes, { maxElements, bitPos: res.bitPos, bitSize: res.bitSize });
+  return { ...describe(res), value };
+}
+
+export async function writeVariable({ elf, name, value, readMemory, writeMemory }) {
+  const info = await loadDebugInfo(elf);
+  const res = resolveVariable(info, name);
+  if (res.type.kind === 'bytes') throw new Error(`${res.expression} has no DWARF type information; use a raw memory write`);
+  let bytes;
+  if (res.bitSize != null) {
+    if (!['base', 'enum'].includes(res.type.kind)) throw new Error(`Cannot write bitfield of ${res.type.name}`);
+    let v = BigInt(parseScalar(res.type, value));
+    const width = BigInt(res.bitSize);
+    const min = isSigned(res.type) ? -(1n << (width - 1n)) : 0n;
+    const max = isSigned(res.type) ? (1n << (width - 1n)) - 1n : (1n << width) - 1n;
+    if (v < min || v > max) throw new Error(`${value} does not fit in the ${res.bitSize}-bit field ${res.expression}`);
+    if (v < 0n) v += 1n << width;
+    // Read-modify-write of the bytes holding the field
+    bytes = Buffer.from(await readMemory(res.addr, res.size));
+    let raw = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) raw = (raw << 8n) | BigInt(bytes[i]);
+    const mask = ((1n << width) - 1n) << BigInt(res.bitPos);
+    raw = (raw & ~mask) | (v << BigInt(res.bitPos));
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Number(raw & 0xffn);
+      raw >>= 8n;
+    }
+  } else {
+    bytes = encodeValue(res.type, value);
+  }
+  await writeMemory(res.addr, bytes);
+  const back = await readMemory(res.addr, res.size);
+  return { ...describe(res), value: decodeValue(res.type, back, { bitPos: res.bitPos, bitSize: res.bitSize }) };
+}
@@ -0,0 +1,111 @@
+// elf.js
+// Reads the symbol table of a 32-bit little-endian ELF image (arm-none-eabi-gcc output).
+// Exposes: loadElf, getSection, findSymbol, symbolize
+//
+// Symbols keep their raw st_value; for Thumb functions bit 0 is set, so `addr` is the value with
+// bit 0 cleared when the symbol is a function. Results are cached per path and mtime.
+
+import { readFile, stat } from 'node:fs/promises';
+
+const SYMBOL_TYPES = ['notype', 'object', 'func', 'section', 'file'];
+const SYMBOL_BINDS = ['local', 'global', 'weak'];
+
+const cache = new Map();
+
+function parseElf(buf, filePath) {
+  if (buf.length < 52 || buf.readUInt32BE(0) !== 0x7f454c46) throw new Error(`${filePath} is not an ELF file`);
+  if (buf[4] !== 1 || buf[5] !== 1) throw new Error(`${filePath}: only 32-bit little-endian ELF images are supported`);
+  const shoff = buf.readUInt32LE(32);
+  const shentsize = buf.readUInt16LE(46);
+  const shnum = buf.readUInt16LE(48);
+  const shstrndx = buf.readUInt16LE(50);
+  const sections = [];
+  for (let i = 0; i < shnum; i++) {
+    const o = shoff + i * shentsize;
+    sections.push({
+      nameOffset: buf.readUInt32LE(o),
+      type: buf.readUInt32LE(o + 4),
+      flags: buf.readUInt32LE(o + 8),
+      addr: buf.readUInt32LE(o + 12),
+      offset: buf.readUInt32LE(o + 16),
+      size: buf.readUInt32LE(o + 20),
+      link: buf.readUInt32LE(o + 24),
+      entsize: buf.readUInt32LE(o + 36),
+    });
+  }
+  const cstr = (offset) => {
+    const end = buf.indexOf(0, offset);
+    return buf.toString('latin1', offset, end < 0 ? buf.length : end);
+  };
+  const shstr = sections[shstrndx];
+  for (const s of sections) s.name = shstr ? cstr(shstr.offset + s.nameOffset) : '';
+
+  const symbols = [];
+  const symtab = sections.find((s) => s.type === 2); // SHT_SYMTAB
+  if (symtab) {
+    const strtab = sections[symtab.link];
+    const entsize = symtab.entsize || 16;
+    for (let o = symtab.offset + entsize; o + entsize <= symtab.offset + symtab.size; o += entsize) {
+      const name = cstr(strtab.offset + buf.readUInt32LE(o));
+      const info = buf[o + 12];
+      const type = SYMBOL_TYPES[info & 0xf] || `type${info & 0xf}`;
+      if (!name || type === 'section' || type === 'file') continue;
+      const value = buf.readUInt32LE(o + 4);
+      const shndx = buf.readUInt16LE(o + 14);
+      symbols.push({
+        name,
+        addr: type === 'func' ? value & ~1 : value,
+        value,
+        size: buf.readUInt32LE(o + 8),
+        type,
+        bind: SYMBOL_BINDS[info >> 4] || `bind${info >> 4}`,
+        section: shndx > 0 && shndx < sections.length ? sections[shndx].name : null,
+      });
+    }
+  }
+  return {
+    path: filePath,
+    machine: buf.readUInt16LE(18),
+    entry: buf.readUInt32LE(24),
+    sections: sections.map(({ name, type, flags, addr, offset, size }) => ({ name, type, flags, addr, offset, size })),
+    symbols,
+    buffer: buf,
+  };
+}
+
+export async function loadElf(filePath) {
+  if (!filePath) throw new Error('An ELF file path is required');
+  const st = await stat(filePath);
+  const hit = cache.get(filePath);
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit.elf;
+  const elf = parseElf(await readFile(filePath), filePath);
+  cache.set(filePath, { mtimeMs: st.mtimeMs, elf });
+  return elf;
+}
+
+// Raw bytes of a section by name (e.g. '.debug_info'), or null when absent
+export function getSection(elf, name) {
+  const s = elf.sections.find((sec) => sec.name === name);
+  if (!s || s.type === 8) return null; // SHT_NOBITS has no file contents
+  return elf.buffer.subarray(s.offset, s.offset + s.size);
+}
+
+// Global symbols win over locals of the same name (e.g. a static `counter` in another file)
+export function findSymbol(elf, name) {
+  const matches = elf.symbols.filter((s) => s.name === name && (s.type === 'func' || s.type === 'object' || s.type === 'notype'));
+  if (matches.length === 0) throw new Error(`Symbol ${name} not found in ${elf.path}`);
+  return matches.find((s) => s.bind !== 'local') || matches[0];
+}
+
+// Function or object containing addr, as { name, offset, symbol: 'name+0x12' }
+export function symbolize(elf, addr) {
+  let best = null;
+  for (const s of elf.symbols) {
+    if (s.type !== 'func' && s.type !== 'object') continue;
+    const inside = s.size ? addr >= s.addr && addr < s.addr + s.size : addr === s.addr;
+    if (inside && (!best || s.size < best.size)) best = s;
+  }
+  if (!best) return null;
+  const offset = addr - best.addr;
+  return { name: best.name, offset, symbol: offset ? `${best.name}+0x${offset.toString(16)}` : best.name };
+}
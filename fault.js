@@ -0,0 +1,124 @@
+// fault.js
+// Cortex-M fault decoding: SCB fault status bits, EXC_RETURN and the stacked exception frame.
+// Exposes: SCB, decodeFaultStatus, isFault, exceptionName, parseExcReturn, parseStackedFrame,
+//          summarize
+//
+// Pure functions over register values; debug.analyzeFault reads them from the halted core.
+// Bit meanings follow the ARMv7-M Architecture Reference Manual (B3.2), plus the ARMv8-M
+// stack limit fault (STKOF). ARMv6-M has no CFSR/HFSR; there the registers read as zero.
+
+export const SCB = {
+  ICSR: 0xe000ed04,
+  SHCSR: 0xe000ed24,
+  CFSR: 0xe000ed28,
+  HFSR: 0xe000ed2c,
+  DFSR: 0xe000ed30,
+  MMFAR: 0xe000ed34,
+  BFAR: 0xe000ed38,
+  AFSR: 0xe000ed3c,
+};
+
+// [register, bit, name, description]
+const FAULT_BITS = [
+  ['CFSR', 0, 'IACCVIOL', 'MemManage: instruction fetch from a location the MPU (or XN default map) does not allow; the stacked PC is the faulting instruction'],
+  ['CFSR', 1, 'DACCVIOL', 'MemManage: data access violating the MPU configuration; the stacked PC is the faulting instruction'],
+  ['CFSR', 3, 'MUNSTKERR', 'MemManage: MPU violation while unstacking on exception return'],
+  ['CFSR', 4, 'MSTKERR', 'MemManage: MPU violation while stacking on exception entry (stack pointer likely corrupt or overflowed)'],
+  ['CFSR', 5, 'MLSPERR', 'MemManage: MPU violation during lazy floating-point state preservation'],
+  ['CFSR', 7, 'MMARVALID', 'MMFAR holds the address of the faulting data access'],
+  ['CFSR', 8, 'IBUSERR', 'BusFault: bus error on instruction fetch (e.g. jump to an invalid or erased address)'],
+  ['CFSR', 9, 'PRECISERR', 'BusFault: precise data bus error; the stacked PC is the faulting instruction'],
+  ['CFSR', 10, 'IMPRECISERR', 'BusFault: imprecise data bus error (buffered write); the stacked PC is after the faulting instruction'],
+  ['CFSR', 11, 'UNSTKERR', 'BusFault: bus error while unstacking on exception return'],
+  ['CFSR', 12, 'STKERR', 'BusFault: bus error while stacking on exception entry (stack pointer likely corrupt or overflowed)'],
+  ['CFSR', 13, 'LSPERR', 'BusFault: bus error during lazy floating-point state preservation'],
+  ['CFSR', 15, 'BFARVALID', 'BFAR holds the address of the faulting data access'],
+  ['CFSR', 16, 'UNDEFINSTR', 'UsageFault: undefined instruction executed'],
+  ['CFSR', 17, 'INVSTATE', 'UsageFault: invalid EPSR state, typically a branch to an address with bit 0 clear (ARM state) or a corrupted function pointer'],
+  ['CFSR', 18, 'INVPC', 'UsageFault: invalid EXC_RETURN value on exception return (corrupted LR or stack)'],
+  ['CFSR', 19, 'NOCP', 'UsageFault: coprocessor instruction with the coprocessor disabled (FPU not enabled in CPACR?)'],
+  ['CFSR', 20, 'STKOF', 'UsageFault: stack pointer limit check failed (stack overflow, ARMv8-M)'],
+  ['CFSR', 24, 'UNALIGNED', 'UsageFault: unaligned access with CCR.UNALIGN_TRP set, or an unaligned LDM/STM/LDRD'],
+  ['CFSR', 25, 'DIVBYZERO', 'UsageFault: integer division by zero with CCR.DIV_0_TRP set'],
+  ['HFSR', 1, 'VECTTBL', 'HardFault: bus error reading the vector table on exception entry'],
+  ['HFSR', 30, 'FORCED', 'HardFault: escalated from a configurable fault (MemManage/BusFault/UsageFault) that was disabled or could not run; see CFSR'],
+  ['HFSR', 31, 'DEBUGEVT', 'HardFault: debug event while halting debug was disabled (e.g. a BKPT instruction without a debugger)'],
+  ['DFSR', 0, 'HALTED', 'Debug: halt request or step'],
+  ['DFSR', 1, 'BKPT', 'Debug: breakpoint (BKPT instruction or FPB comparator)'],
+  ['DFSR', 2, 'DWTTRAP', 'Debug: DWT watchpoint or PC match'],
+  ['DFSR', 3, 'VCATCH', 'Debug: vector catch'],
+  ['DFSR', 4, 'EXTERNAL', 'Debug: external debug request (EDBGRQ)'],
+];
+
+// Flags that qualify another bit rather than report a fault of their own
+const VALIDITY_BITS = ['MMARVALID', 'BFARVALID'];
+
+// isFault: a decoded bit that reports a fault (not a debug event or an address-valid flag)
+export function isFault(f) {
+  return f.register !== 'DFSR' && !VALIDITY_BITS.includes(f.name);
+}
+
+// decodeFaultStatus: every set bit of CFSR/HFSR/DFSR as { register, bit, name, description }
+export function decodeFaultStatus({ cfsr = 0, hfsr = 0, dfsr = 0 } = {}) {
+  const values = { CFSR: cfsr, HFSR: hfsr, DFSR: dfsr };
+  return FAULT_BITS.filter(([reg, bit]) => (values[reg] >>> bit) & 1).map(([register, bit, name, description]) => ({ register, bit, name, description }));
+}
+
+const EXCEPTION_NAMES = {
+  0: 'Thread mode',
+  1: 'Reset',
+  2: 'NMI',
+  3: 'HardFault',
+  4: 'MemManage',
+  5: 'BusFault',
+  6: 'UsageFault',
+  7: 'SecureFault',
+  11: 'SVCall',
+  12: 'DebugMonitor',
+  14: 'PendSV',
+  15: 'SysTick',
+};
+
+export function exceptionName(n) {
+  if (EXCEPTION_NAMES[n]) return EXCEPTION_NAMES[n];
+  return n >= 16 ? `IRQ${n - 16}` : `Reserved(${n})`;
+}
+
+// parseExcReturn: LR holding EXC_RETURN (0xFFFFFFxx) -> which stack holds the frame and its layout;
+// null for any other LR value
+export function parseExcReturn(lr) {
+  const v = lr >>> 0;
+  if (v >>> 24 !== 0xff) return null;
+  return {
+    value: v,
+    stack: v & 0x4 ? 'psp' : 'msp',
+    returnMode: v & 0x8 ? 'thread' : 'handler',
+    fpFrame: (v & 0x10) === 0, // extended frame with S0-S15/FPSCR
+  };
+}
+
+const FRAME_REGISTERS = ['r0', 'r1', 'r2', 'r3', 'r12', 'lr', 'pc', 'xpsr'];
+
+// parseStackedFrame: the 8 words pushed on exception entry. spBeforeException undoes the push,
+// including the FP extension (0x68 bytes in total) and the 4-byte realignment (xPSR bit 9).
+export function parseStackedFrame(buf, addr, { fpFrame = false } = {}) {
+  if (buf.length < 32) throw new Error('A stacked exception frame is 32 bytes');
+  const frame = {};
+  FRAME_REGISTERS.forEach((name, i) => { frame[name] = buf.readUInt32LE(i * 4); });
+  const size = (fpFrame ? 0x68 : 0x20) + (frame.xpsr & 0x200 ? 4 : 0);
+  return { addr, registers: frame, size, spBeforeException: (addr + size) >>> 0 };
+}
+
+// summarize: one sentence for the most specific fault found
+export function summarize({ exception, faults, faultAddress, pc }) {
+  const fault = faults.find((f) => f.register === 'CFSR' && isFault(f))
+    || faults.find((f) => f.register === 'HFSR' && f.name !== 'FORCED')
+    || faults.find((f) => f.register === 'HFSR');
+  if (!fault) {
+    return exception > 0 ? `In ${exceptionName(exception)} with no fault status bits set` : 'No fault recorded (core in Thread mode)';
+  }
+  let text = `${fault.name}: ${fault.description.replace(/^[A-Za-z]+: /, '')}`;
+  if (faultAddress) text += `; fault address ${faultAddress}`;
+  if (pc) text += `; at ${pc}`;
+  return text;
+}
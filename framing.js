@@ -0,0 +1,260 @@
+// framing.js
+// Packet framing codecs used by serial.js sessions opened with a framing mode.
+// Exposes: FRAMING_MODES, CRC_TYPES, normalizeFraming, encodePacket, createDecoder,
+//          cobsEncode, cobsDecode, slipEncode, slipDecode
+//
+// Modes:
+// - raw: no framing (byte stream, the default)
+// - cobs: Consistent Overhead Byte Stuffing, packets terminated by 0x00
+// - slip: RFC 1055, packets terminated by 0xC0 (an END is also sent before each packet)
+// - length-prefixed: 1/2/4-byte length header counting the bytes that follow it
+// An optional CRC trailer is computed over the payload and appended before encoding.
+
+import { crc16CcittFalse, crc16Xmodem, crc16Modbus, crc32 } from './crc.js';
+
+export const FRAMING_MODES = ['raw', 'cobs', 'slip', 'length-prefixed'];
+
+const CRCS = {
+  none: { size: 0, fn: null },
+  'crc16-ccitt': { size: 2, fn: crc16CcittFalse },
+  'crc16-xmodem': { size: 2, fn: crc16Xmodem },
+  'crc16-modbus': { size: 2, fn: crc16Modbus },
+  crc32: { size: 4, fn: crc32 },
+};
+
+export const CRC_TYPES = Object.keys(CRCS);
+
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+
+// Validate framing options and fill in defaults; a bare mode string is accepted.
+export function normalizeFraming(framing) {
+  const opts = typeof framing === 'string' ? { mode: framing } : { ...(framing || {}) };
+  const {
+    mode = 'raw',
+    crc = 'none',
+    crcEndian = 'little',
+    lengthBytes = 2,
+    lengthEndian = 'little',
+    maxPacketSize = 4096,
+  } = opts;
+  if (!FRAMING_MODES.includes(mode)) throw new Error(`Unknown framing mode: ${mode} (expected ${FRAMING_MODES.join(', ')})`);
+  if (!CRCS[crc]) throw new Error(`Unknown framing crc: ${crc} (expected ${CRC_TYPES.join(', ')})`);
+  if (mode === 'raw' && crc !== 'none') throw new Error('A CRC trailer requires a packet framing mode');
+  if (![1, 2, 4].includes(lengthBytes)) throw new Error('lengthBytes must be 1, 2 or 4');
+  for (const [name, v] of [['crcEndian', crcEndian], ['lengthEndian', lengthEndian]]) {
+    if (v !== 'little' && v !== 'big') throw new Error(`${name} must be "little" or "big"`);
+  }
+  if (!Number.isInteger(maxPacketSize) || maxPacketSize < 1) throw new Error('maxPacketSize must be a positive integer');
+  return { mode, crc, crcEndian, lengthBytes, lengthEndian, maxPacketSize };
+}
+
+export function cobsEncode(data) {
+  const out = Buffer.alloc(data.length + Math.ceil(data.length / 254) + 1);
+  let codeIdx = 0;
+  let o = 1;
+  let code = 1;
+  for (const b of data) {
+    if (b === 0) {
+      out[codeIdx] = code;
+      codeIdx = o++;
+      code = 1;
+      continue;
+    }
+    out[o++] = b;
+    if (++code === 0xff) {
+      out[codeIdx] = code;
+      codeIdx = o++;
+      code = 1;
+    }
+  }
+  out[codeIdx] = code;
+  return out.subarray(0, o);
+}
+
+// Decode one COBS frame (without the 0x00 delimiter); throws on malformed input
+export function cobsDecode(frame) {
+  const out = Buffer.alloc(frame.length);
+  let o = 0;
+  let i = 0;
+  while (i < frame.length) {
+    const code = frame[i++];
+    if (code === 0) throw new Error('COBS: unexpected zero byte');
+    if (i + code - 1 > frame.length) throw new Error('COBS: truncated block');
+    for (let k = 1; k < code; k++) out[o++] = frame[i++];
+    if (code !== 0xff && i < frame.length) out[o++] = 0;
+  }
+  return out.subarray(0, o);
+}
+
+export function slipEncode(data) {
+  const out = [SLIP_END];
+  for (const b of data) {
+    if (b === SLIP_END) out.push(SLIP_ESC, SLIP_ESC_END);
+    else if (b === SLIP_ESC) out.push(SLIP_ESC, SLIP_ESC_ESC);
+    else out.push(b);
+  }
+  out.push(SLIP_END);
+  return Buffer.from(out);
+}
+
+// Decode one SLIP frame (without END bytes); throws on an invalid escape
+export function slipDecode(frame) {
+  const out = Buffer.alloc(frame.length);
+  let o = 0;
+  for (let i = 0; i < frame.length; i++) {
+    const b = frame[i];
+    if (b !== SLIP_ESC) {
+      out[o++] = b;
+      continue;
+    }
+    const next = frame[++i];
+    if (next === SLIP_ESC_END) out[o++] = SLIP_END;
+    else if (next === SLIP_ESC_ESC) out[o++] = SLIP_ESC;
+    else throw new Error(next == null ? 'SLIP: frame ends with ESC' : `SLIP: invalid escape 0x${next.toString(16)}`);
+  }
+  return out.subarray(0, o);
+}
+
+function writeUInt(buf, value, bytes, endian, offset = 0) {
+  if (bytes === 1) buf.writeUInt8(value, offset);
+  else if (bytes === 2) endian === 'big' ? buf.writeUInt16BE(value, offset) : buf.writeUInt16LE(value, offset);
+  else endian === 'big' ? buf.writeUInt32BE(value, offset) : buf.writeUInt32LE(value, offset);
+}
+
+function readUInt(buf, bytes, endian, offset = 0) {
+  if (bytes === 1) return buf.readUInt8(offset);
+  if (bytes === 2) return endian === 'big' ? buf.readUInt16BE(offset) : buf.readUInt16LE(offset);
+  return endian === 'big' ? buf.readUInt32BE(offset) : buf.readUInt32LE(offset);
+}
+
+function appendCrc(payload, f) {
+  const { size, fn } = CRCS[f.crc];
+  if (!size) return payload;
+  const trailer = Buffer.alloc(size);
+  writeUInt(trailer, fn(payload), size, f.crcEndian);
+  return Buffer.concat([payload, trailer]);
+}
+
+// Encode one payload into wire bytes for the given (normalized) framing
+export function encodePacket(payload, f) {
+  if (payload.length > f.maxPacketSize) throw new Error(`Packet of ${payload.length} bytes exceeds maxPacketSize ${f.maxPacketSize}`);
+  const body = appendCrc(payload, f);
+  if (f.mode === 'cobs') return Buffer.concat([cobsEncode(body), Buffer.from([0])]);
+  if (f.mode === 'slip') return slipEncode(body);
+  if (f.mode === 'length-prefixed') {
+    const head = Buffer.alloc(f.lengthBytes);
+    if (body.length >= 2 ** (8 * f.lengthBytes)) throw new Error(`Packet too long for a ${f.lengthBytes}-byte length header`);
+    writeUInt(head, body.length, f.lengthBytes, f.lengthEndian);
+    return Buffer.concat([head, body]);
+  }
+  return payload;
+}
+
+// Streaming decoder: push() received chunks, get back whole packets and framing errors.
+// Errors are { type: 'decode' | 'crc' | 'oversize', message, bytes } where bytes is the
+// size of the discarded frame; decoding resumes at the next frame boundary.
+export function createDecoder(f) {
+  const crc = CRCS[f.crc];
+  const maxFrame = f.maxPacketSize + crc.size;
+  let pending = Buffer.alloc(0);
+  let discarding = 0; // bytes skipped while waiting for the delimiter after an oversize frame
+
+  function checkCrc(body, packets, errors) {
+    if (body.length < crc.size) {
+      errors.push({ type: 'crc', message: `Frame of ${body.length} bytes is shorter than the ${f.crc} trailer`, bytes: body.length });
+      return;
+    }
+    const payload = body.subarray(0, body.length - crc.size);
+    if (crc.size) {
+      const expected = crc.fn(payload);
+      const got = readUInt(body, crc.size, f.crcEndian, payload.length);
+      if (got !== expected) {
+        errors.push({ type: 'crc', message: `${f.crc} mismatch: got 0x${got.toString(16)}, expected 0x${expected.toString(16)}`, bytes: body.length });
+        return;
+      }
+    }
+    if (payload.length > f.maxPacketSize) {
+      errors.push({ type: 'oversize', message: `Packet of ${payload.length} bytes exceeds maxPacketSize ${f.maxPacketSize}`, bytes: body.length });
+      return;
+    }
+    packets.push(Buffer.from(payload));
+  }
+
+  function pushDelimited(chunk, delimiter, decode, packets, errors) {
+    // Worst-case stuffing roughly doubles SLIP frames; COBS adds 1 byte per 254
+    const maxEncoded = f.mode === 'slip' ? maxFrame * 2 : maxFrame + Math.ceil(maxFrame / 254) + 1;
+    let start = 0;
+    while (start < chunk.length) {
+      const idx = chunk.indexOf(delimiter, start);
+      const piece = chunk.subarray(start, idx < 0 ? chunk.length : idx);
+      if (discarding > 0) {
+        discarding += piece.length;
+      } else {
+        pending = pending.length === 0 ? Buffer.from(piece) : Buffer.concat([pending, piece]);
+        if (pending.length > maxEncoded) {
+          discarding = pending.length;
+          pending = Buffer.alloc(0);
+        }
+      }
+      if (idx < 0) break;
+      if (discarding > 0) {
+        errors.push({ type: 'oversize', message: `Frame exceeds maxPacketSize ${f.maxPacketSize}; discarded`, bytes: discarding });
+        discarding = 0;
+      } else if (pending.length > 0) {
+        // Back-to-back delimiters are idle fill, not empty packets
+        try {
+          checkCrc(decode(pending), packets, errors);
+        } catch (e) {
+          errors.push({ type: 'decode', message: e.message, bytes: pending.length });
+        }
+      }
+      pending = Buffer.alloc(0);
+      start = idx + 1;
+    }
+  }
+
+  function pushLengthPrefixed(chunk, packets, errors) {
+    pending = pending.length === 0 ? Buffer.from(chunk) : Buffer.concat([pending, chunk]);
+    let skipped = 0;
+    while (pending.length >= f.lengthBytes) {
+      const len = readUInt(pending, f.lengthBytes, f.lengthEndian);
+      if (len > maxFrame) {
+        // Lost sync: skip a byte and look for a plausible header
+        skipped += 1;
+        pending = pending.subarray(1);
+        continue;
+      }
+      if (skipped > 0) {
+        errors.push({ type: 'oversize', message: `Length header exceeded maxPacketSize ${f.maxPacketSize}; skipped ${skipped} bytes to resync`, bytes: skipped });
+        skipped = 0;
+      }
+      if (pending.length < f.lengthBytes + len) break;
+      checkCrc(pending.subarray(f.lengthBytes, f.lengthBytes + len), packets, errors);
+      pending = pending.subarray(f.lengthBytes + len);
+    }
+    if (skipped > 0) {
+      errors.push({ type: 'oversize', message: `Length header exceeded maxPacketSize ${f.maxPacketSize}; skipped ${skipped} bytes to resync`, bytes: skipped });
+    }
+  }
+
+  return {
+    push(chunk) {
+      const packets = [];
+      const errors = [];
+      if (f.mode === 'cobs') pushDelimited(chunk, 0x00, cobsDecode, packets, errors);
+      else if (f.mode === 'slip') pushDelimited(chunk, SLIP_END, slipDecode, packets, errors);
+      else if (f.mode === 'length-prefixed') pushLengthPrefixed(chunk, packets, errors);
+      return { packets, errors };
+    },
+    reset() {
+      pending = Buffer.alloc(0);
+      discarding = 0;
+    },
+    get pendingBytes() {
+      return pending.length;
+    },
+  };
+}
@@ -0,0 +1,515 @@
+// gdbrsp.js
+// GDB Remote Serial Protocol client for debug servers (st-util, OpenOCD, JLinkGDBServer).
+// Exposes: connect, getClient, closeClient, closeAll, framePacket, createPacketParser,
+//          decodePayload, parseStopReply, parseRegisters, parseTargetDescription, CORE_REGISTERS
+//
+// Packets are `$payload#cs` with a modulo-256 checksum. '$', '#', '}' and '*' inside a payload
+// are escaped as '}' followed by the byte XOR 0x20; replies may be run-length encoded ('*' plus
+// a repeat count + 29). Each packet is acknowledged with '+' (or '-' to request a resend) until
+// QStartNoAckMode is negotiated, which connect() does when qSupported offers it.
+//
+// The protocol is all-stop: after 's' or 'c' the server answers only once the target halts
+// (a stop reply such as S05 or T05...). While the target runs, the only thing that may be sent is
+// an interrupt (0x03); request() refuses other packets until the stop reply has arrived.
+
+import net from 'node:net';
+
+const DEFAULT_TIMEOUT_MS = 2000;
+const MAX_RESENDS = 3;
+
+// r0..r15 then xPSR; these are the names accepted by readRegister-style callers
+export const CORE_REGISTERS = ['r0', 'r1', 'r2', 'r3', 'r4', 'r5', 'r6', 'r7', 'r8', 'r9', 'r10', 'r11', 'r12', 'sp', 'lr', 'pc', 'xpsr'];
+
+function checksum(buf) {
+  let sum = 0;
+  for (const b of buf) sum = (sum + b) & 0xff;
+  return sum;
+}
+
+function escapePayload(payload) {
+  const src = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'latin1');
+  const out = [];
+  for (const b of src) {
+    if (b === 0x24 || b === 0x23 || b === 0x7d || b === 0x2a) out.push(0x7d, b ^ 0x20);
+    else out.push(b);
+  }
+  return Buffer.from(out);
+}
+
+// `$payload#cs` with escaping applied
+export function framePacket(payload) {
+  const body = escapePayload(payload);
+  return Buffer.concat([Buffer.from('$'), body, Buffer.from(`#${checksum(body).toString(16).padStart(2, '0')}`)]);
+}
+
+// Undo escaping and run-length encoding of a received payload
+export function decodePayload(raw) {
+  const out = [];
+  for (let i = 0; i < raw.length; i++) {
+    const b = raw[i];
+    if (b === 0x7d && i + 1 < raw.length) {
+      out.push(raw[++i] ^ 0x20);
+    } else if (b === 0x2a && i + 1 < raw.length && out.length) {
+      const repeat = raw[++i] - 29;
+      const prev = out[out.length - 1];
+      for (let n = 0; n < repeat; n++) out.push(prev);
+    } else {
+      out.push(b);
+    }
+  }
+  return Buffer.from(out);
+}
+
+// Byte-stream parser: onPacket(payloadBuffer) for each valid packet, onAck('+' | '-'), and
+// onBadChecksum() so the caller can ask for a resend. '%' notifications are skipped.
+export function createPacketParser({ onPacket, onAck, onBadChecksum }) {
+  let state = 'idle';
+  let body = [];
+  let cs = '';
+  let notification = false;
+  return function feed(chunk) {
+    for (const b of chunk) {
+      if (state === 'idle') {
+        if (b === 0x24 || b === 0x25) {
+          state = 'body';
+          notification = b === 0x25;
+          body = [];
+        } else if (b === 0x2b || b === 0x2d) {
+          onAck?.(String.fromCharCode(b));
+        }
+      } else if (state === 'body') {
+        if (b === 0x23) {
+          state = 'cs';
+          cs = '';
+        } else {
+          body.push(b);
+        }
+      } else {
+        cs += String.fromCharCode(b);
+        if (cs.length < 2) continue;
+        state = 'idle';
+        const raw = Buffer.from(body);
+        if (parseInt(cs, 16) !== checksum(raw)) {
+          onBadChecksum?.();
+        } else if (!notification) {
+          onPacket(decodePayload(raw));
+        }
+      }
+    }
+  };
+}
+
+const SIGNALS = { 0x02: 'SIGINT', 0x05: 'SIGTRAP', 0x06: 'SIGABRT', 0x0b: 'SIGSEGV', 0x13: 'SIGSTOP' };
+
+// S05 / T05thread:1;0f:xxxxxxxx;swbreak:; / W00 / X09 -> structured stop information
+export function parseStopReply(text) {
+  const kind = text[0];
+  if (kind === 'W' || kind === 'X') {
+    const code = parseInt(text.slice(1, 3), 16);
+    return { reason: kind === 'W' ? 'exited' : 'terminated', code, raw: text };
+  }
+  if (kind !== 'S' && kind !== 'T') return null;
+  const signal = parseInt(text.slice(1, 3), 16);
+  const stop = { reason: 'signal', signal, signalName: SIGNALS[signal] || null, raw: text };
+  if (kind === 'T') {
+    const registers = {};
+    for (const field of text.slice(3).split(';')) {
+      if (!field) continue;
+      const [key, value = ''] = field.split(':');
+      if (/^[0-9a-fA-F]+$/.test(key)) {
+        const idx = parseInt(key, 16);
+        registers[CORE_REGISTERS[idx] || `reg${idx}`] = value.length === 8 ? Buffer.from(value, 'hex').readUInt32LE(0) : value;
+      } else if (key === 'thread') {
+        stop.thread = value;
+      } else if (['swbreak', 'hwbreak', 'watch', 'rwatch', 'awatch'].includes(key)) {
+        stop.reason = key;
+        if (value) stop.address = parseInt(value, 16);
+      }
+    }
+    if (Object.keys(registers).length) stop.registers = registers;
+  }
+  return stop;
+}
+
+// 'g' reply -> { r0..pc, xpsr }. Servers without a target description use GDB's legacy ARM
+// layout (r0-r15, f0-f7 at 12 bytes each, fps, cpsr = 168 bytes); otherwise xPSR follows pc.
+export function parseRegisters(hex) {
+  const buf = Buffer.from(hex.replace(/x/gi, '0'), 'hex');
+  if (buf.length < 64) throw new Error(`Register reply too short (${buf.length} bytes)`);
+  const regs = {};
+  for (let i = 0; i < 16; i++) regs[CORE_REGISTERS[i]] = buf.readUInt32LE(i * 4);
+  if (buf.length >= 168) regs.xpsr = buf.readUInt32LE(164);
+  else if (buf.length >= 68) regs.xpsr = buf.readUInt32LE(64);
+  return regs;
+}
+
+// <reg name="msp" bitsize="32" regnum="26" .../> elements of a target description, numbered
+// as GDB does: an explicit regnum restarts the count, otherwise registers follow each other
+export function parseTargetDescription(xml) {
+  const regs = [];
+  let next = 0;
+  for (const m of xml.matchAll(/<reg\b([^>]*?)\/?>/g)) {
+    const attrs = {};
+    for (const a of m[1].matchAll(/([\w-]+)\s*=\s*"([^"]*)"/g)) attrs[a[1]] = a[2];
+    if (!attrs.name) continue;
+    const regnum = attrs.regnum != null ? parseInt(attrs.regnum, 10) : next;
+    next = regnum + 1;
+    regs.push({ name: attrs.name.toLowerCase(), regnum, bitsize: parseInt(attrs.bitsize || '32', 10), group: attrs.group || null });
+  }
+  return regs;
+}
+
+function gdbError(payload, text) {
+  const e = new Error(`Debug server returned ${text} for ${payload.split(/[:,]/)[0]}`);
+  e.gdbError = text;
+  return e;
+}
+
+// connect: open a TCP connection to a GDB server and negotiate features.
+// Returns a client object; all calls are serialized, one packet in flight at a time.
+export async function connect({ host = '127.0.0.1', port, timeoutMs = DEFAULT_TIMEOUT_MS, noAck = true } = {}) {
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('connect requires a TCP port');
+  const socket = await new Promise((resolve, reject) => {
+    const s = net.connect({ host, port });
+    const timer = setTimeout(() => { s.destroy(); reject(new Error(`Timed out connecting to GDB server ${host}:${port}`)); }, timeoutMs);
+    s.once('connect', () => { clearTimeout(timer); resolve(s); });
+    s.once('error', (e) => { clearTimeout(timer); reject(new Error(`Cannot connect to GDB server ${host}:${port}: ${e.message}`)); });
+  });
+  socket.setNoDelay(true);
+
+  const c = {
+    host,
+    port,
+    features: {},
+    noAck: false,
+    running: false,
+    lastStop: null,
+    closed: false,
+    console: '',
+    // addr -> { type, kind } for breakpoints inserted through this client
+    breakpoints: new Map(),
+  };
+  let ackMode = true;
+  let lastSent = null;
+  let resends = 0;
+  let waiter = null; // { resolve, reject, timer } for the reply to the packet in flight
+  const stopWaiters = new Set();
+  let chain = Promise.resolve();
+
+  function send(buf) {
+    lastSent = buf;
+    resends = 0;
+    socket.write(buf);
+  }
+
+  function settleStop(stop) {
+    c.running = false;
+    c.lastStop = { ...stop, at: new Date().toISOString() };
+    for (const w of stopWaiters) w(c.lastStop);
+    stopWaiters.clear();
+  }
+
+  const feed = createPacketParser({
+    onPacket(buf) {
+      if (ackMode) socket.write('+');
+      const text = buf.toString('latin1');
+      if (c.running) {
+        // Console output from the target while it runs (e.g. semihosting via monitor)
+        if (text[0] === 'O' && text.length > 1 && text !== 'OK') {
+          c.console += Buffer.from(text.slice(1), 'hex').toString('latin1');
+          if (c.console.length > 65536) c.console = c.console.slice(-65536);
+          return;
+        }
+        const stop = parseStopReply(text);
+        if (stop) {
+          settleStop(stop);
+          return;
+        }
+      }
+      const w = waiter;
+      waiter = null;
+      if (w) {
+        clearTimeout(w.timer);
+        w.resolve(buf);
+      }
+    },
+    onAck(a) {
+      if (a === '-' && lastSent && resends < MAX_RESENDS) {
+        resends += 1;
+        socket.write(lastSent);
+      }
+    },
+    onBadChecksum() {
+      if (ackMode) socket.write('-');
+    },
+  });
+
+  function fail(err) {
+    c.closed = true;
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.reject(err);
+      waiter = null;
+    }
+    for (const w of stopWaiters) w(undefined);
+    stopWaiters.clear();
+  }
+  socket.on('data', feed);
+  socket.on('error', (e) => fail(new Error(`GDB connection error: ${e.message}`)));
+  socket.on('close', () => fail(new Error('GDB server closed the connection')));
+
+  // Replies carry no request id, so after a timeout a late reply would answer the next packet:
+  // the connection is closed instead, and getClient reconnects on the next call
+  function waitReply(resolve, reject, ms, message) {
+    waiter = {
+      resolve,
+      reject,
+      timer: setTimeout(() => {
+        waiter = null;
+        c.close();
+        reject(new Error(`${message}; connection closed`));
+      }, ms),
+    };
+  }
+
+  function exchange(payload, ms) {
+    if (c.closed) return Promise.reject(new Error('GDB connection is closed'));
+    return new Promise((resolve, reject) => {
+      waitReply(resolve, reject, ms, `No reply from GDB server to ${payload.split(/[:,]/)[0] || 'packet'} within ${ms} ms`);
+      send(framePacket(payload));
+    });
+  }
+
+  function serialize(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  // Send one packet and return the reply payload as a Buffer (binary replies) or text
+  c.requestRaw = (payload, { timeoutMs: ms = timeoutMs } = {}) => serialize(async () => {
+    if (c.running) throw new Error('Target is running; halt it before sending other commands');
+    return await exchange(payload, ms);
+  });
+
+  // Send one packet and return the reply text; E NN replies become errors, empty means unsupported
+  c.request = async (payload, opts) => {
+    const text = (await c.requestRaw(payload, opts)).toString('latin1');
+    if (/^E[0-9a-fA-F]{2}$/.test(text) || /^E\./.test(text)) throw gdbError(payload, text);
+    return text;
+  };
+
+  function expectOk(payload, text) {
+    if (text === '') throw new Error(`${payload.split(/[:,]/)[0]} is not supported by this debug server`);
+    if (text !== 'OK') throw new Error(`Unexpected reply to ${payload.split(/[:,]/)[0]}: ${text}`);
+  }
+
+  // Wait for a running target to stop. Resolves with the stop, or null when it is still
+  // running at the deadline (no deadline when timeoutMs is omitted).
+  c.waitForStop = ({ timeoutMs: ms } = {}) => {
+    if (!c.running) return Promise.resolve(c.lastStop);
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const done = (stop) => {
+        clearTimeout(timer);
+        stopWaiters.delete(done);
+        if (stop === undefined && c.closed) reject(new Error('GDB server closed the connection'));
+        else resolve(stop || null);
+      };
+      stopWaiters.add(done);
+      if (ms != null) timer = setTimeout(() => done(null), ms);
+    });
+  };
+
+  // Resume with 's' or 'c' and wait up to timeoutMs for the stop reply
+  function resume(cmd, ms) {
+    return serialize(async () => {
+      if (c.closed) throw new Error('GDB connection is closed');
+      if (c.running) throw new Error('Target is already running');
+      c.running = true;
+      send(framePacket(cmd));
+    }).then(() => c.waitForStop({ timeoutMs: ms }));
+  }
+
+  c.step = ({ timeoutMs: ms = timeoutMs } = {}) => resume('s', ms);
+  c.cont = ({ timeoutMs: ms } = {}) => resume('c', ms);
+
+  // Halt a running target (0x03) and wait for its stop reply
+  c.interrupt = async ({ timeoutMs: ms = timeoutMs } = {}) => {
+    if (!c.running) return c.lastStop;
+    const wait = c.waitForStop({ timeoutMs: ms });
+    socket.write(Buffer.from([0x03]));
+    const stop = await wait;
+    if (!stop) throw new Error(`Target did not halt within ${ms} ms`);
+    return stop;
+  };
+
+  c.haltReason = async () => parseStopReply(await c.request('?'));
+
+  c.readRegisters = async () => parseRegisters(await c.request('g'));
+
+  // Raw 'g' hex, for read-modify-write with 'G' on servers without 'P'
+  c.readRegistersHex = async () => await c.request('g');
+
+  c.writeRegistersHex = async (hex) => expectOk('G', await c.request(`G${hex}`));
+
+  // Single registers by GDB register number ('p' / 'P'); values are target (little) endian bytes.
+  // Both return null when the server does not implement the packet.
+  c.readRegister = async (regnum) => {
+    const text = await c.request(`p${regnum.toString(16)}`);
+    return text === '' ? null : Buffer.from(text.replace(/x/gi, '0'), 'hex');
+  };
+
+  c.writeRegister = async (regnum, bytes) => {
+    const payload = `P${regnum.toString(16)}=${bytes.toString('hex')}`;
+    const text = await c.request(payload);
+    if (text === '') return null;
+    expectOk(payload, text);
+    return true;
+  };
+
+  // Target description registers via qXfer:features:read (following xi:include), or null when
+  // the server offers none. Cached for the lifetime of the connection.
+  let tdesc;
+  async function readFeature(annex) {
+    let xml = '';
+    for (;;) {
+      const reply = await c.requestRaw(`qXfer:features:read:${annex}:${xml.length.toString(16)},fff`);
+      const text = reply.toString('utf8');
+      if (text === '' || text[0] === 'E') return null;
+      xml += text.slice(1);
+      if (text[0] === 'l') return xml;
+      if (text[0] !== 'm') throw new Error(`Unexpected reply to qXfer:features:read: ${text.slice(0, 20)}`);
+    }
+  }
+  c.targetDescription = async () => {
+    if (tdesc !== undefined) return tdesc;
+    tdesc = null;
+    if (c.features['qXfer:features:read'] === false || !('qXfer:features:read' in c.features)) return tdesc;
+    let xml = await readFeature('target.xml');
+    if (xml == null) return tdesc;
+    for (const inc of Array.from(xml.matchAll(/<xi:include\s+href="([^"]+)"\s*\/>/g))) {
+      xml = xml.replace(inc[0], (await readFeature(inc[1])) || '');
+    }
+    tdesc = parseTargetDescription(xml);
+    return tdesc;
+  };
+
+  // Memory transfers are split to fit the server's PacketSize
+  const maxChunk = () => Math.max(16, Math.min(4096, Math.floor(((c.features.PacketSize || 400) - 32) / 2)));
+
+  c.readMemory = async (addr, length) => {
+    const parts = [];
+    for (let off = 0; off < length; ) {
+      const n = Math.min(maxChunk(), length - off);
+      const payload = `m${(addr + off).toString(16)},${n.toString(16)}`;
+      const text = await c.request(payload);
+      if (text === '') throw new Error('Memory read is not supported by this debug server');
+      const part = Buffer.from(text, 'hex');
+      if (part.length === 0) throw new Error(`Memory at 0x${(addr + off).toString(16)} could not be read`);
+      parts.push(part);
+      off += part.length;
+    }
+    return Buffer.concat(parts);
+  };
+
+  c.writeMemory = async (addr, data) => {
+    for (let off = 0; off < data.length; ) {
+      const n = Math.min(maxChunk(), data.length - off);
+      const payload = `M${(addr + off).toString(16)},${n.toString(16)}:${data.subarray(off, off + n).toString('hex')}`;
+      expectOk(payload, await c.request(payload));
+      off += n;
+    }
+  };
+
+  // type 0 = software, 1 = hardware breakpoint; kind 2 = 16-bit Thumb instruction
+  c.insertBreakpoint = async (addr, { type = 0, kind = 2 } = {}) => {
+    const payload = `Z${type},${addr.toString(16)},${kind}`;
+    expectOk(payload, await c.request(payload));
+    c.breakpoints.set(addr, { type, kind });
+  };
+
+  c.removeBreakpoint = async (addr, { type = 0, kind = 2 } = {}) => {
+    const payload = `z${type},${addr.toString(16)},${kind}`;
+    expectOk(payload, await c.request(payload));
+    c.breakpoints.delete(addr);
+  };
+
+  // qRcmd: server monitor command; output arrives as O packets before the final OK
+  c.monitor = (cmd, { timeoutMs: ms = timeoutMs } = {}) => serialize(async () => {
+    if (c.running) throw new Error('Target is running; halt it before sending other commands');
+    let out = '';
+    let buf = await exchange(`qRcmd,${Buffer.from(cmd).toString('hex')}`, ms);
+    for (;;) {
+      const text = buf.toString('latin1');
+      if (text[0] === 'O' && text !== 'OK') {
+        out += Buffer.from(text.slice(1), 'hex').toString('utf8');
+      } else if (text === '') {
+        throw new Error('monitor commands are not supported by this debug server');
+      } else if (/^E[0-9a-fA-F]{2}$/.test(text)) {
+        throw gdbError('qRcmd', text);
+      } else {
+        if (text !== 'OK') out += Buffer.from(text, 'hex').toString('utf8');
+        return out;
+      }
+      buf = await new Promise((resolve, reject) => {
+        waitReply(resolve, reject, ms, `monitor ${cmd} timed out`);
+      });
+    }
+  });
+
+  c.close = () => {
+    c.closed = true;
+    socket.destroy();
+  };
+
+  // Feature negotiation: qSupported, then no-ack mode when offered
+  try {
+    const reply = await c.request('qSupported:swbreak+;hwbreak+');
+    for (const item of reply.split(';')) {
+      if (!item) continue;
+      const m = /^(.+?)(?:=(.*)|([+\-?]))$/.exec(item);
+      if (!m) continue;
+      if (m[2] != null) c.features[m[1]] = m[1] === 'PacketSize' ? parseInt(m[2], 16) : m[2];
+      else c.features[m[1]] = m[3] === '+';
+    }
+    if (noAck && c.features.QStartNoAckMode) {
+      if ((await c.request('QStartNoAckMode')) === 'OK') {
+        ackMode = false;
+        c.noAck = true;
+      }
+    }
+    c.lastStop = await c.haltReason().catch(() => null);
+  } catch (e) {
+    c.close();
+    throw e;
+  }
+  return c;
+}
+
+const clients = new Map();
+
+// getClient: reuse one connection per server (GDB servers accept a single client, and dropping
+// the connection makes them remove breakpoints)
+export async function getClient({ host = '127.0.0.1', port, timeoutMs } = {}) {
+  const key = `${host}:${port}`;
+  const existing = clients.get(key);
+  if (existing && !existing.closed) return existing;
+  const client = await connect({ host, port, timeoutMs });
+  clients.set(key, client);
+  return client;
+}
+
+export function closeClient({ host = '127.0.0.1', port } = {}) {
+  const key = `${host}:${port}`;
+  const client = clients.get(key);
+  if (!client) return false;
+  client.close();
+  clients.delete(key);
+  return true;
+}
+
+export function closeAll() {
+  for (const client of clients.values()) client.close();
+  clients.clear();
+}
@@ -4,7 +4,7 @@
 // - ST-Link tools delegate to ./stlink.js (child_process to st-* / ST-LINK_CLI)
 
 // 使用 MCP 高级封装以兼容不同版本的 SDK
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 // 引入 StdioServerTransport：修复模块导入路径（使用已安装包中的实际导出路径）
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import * as serial from './serial.js';
@@ -14,6 +14,15 @@ import * as project from './project.js';
 import { z } from 'zod';
 import * as openocd from './openocd.js';
 import * as jlink from './jlink.js';
+import * as uartboot from './uartboot.js';
+import * as xmodem from './xmodem.js';
+import * as modbus from './modbus.js';
+import * as portwatch from './portwatch.js';
+import * as bridge from './bridge.js';
+import * as telemetry from './telemetry.js';
+import * as debug from './debug.js';
+import * as svd from './svd.js';
+import * as probe from './probe.js';
 
 // No local state needed; state lives in modules
 
@@ -23,7 +32,7 @@ import * as jlink from './jlink.js';
 
 // 兼容适配器：原始代码使用 server.addTool(...) 接口，但 SDK 提供的是 McpServer.registerTool
 // 这里构造一个轻量的兼容封装，使原来的 server.addTool 调用继续有效。
-const _mcp = new McpServer({ name: 'mcp-serialport-service', version: '0.1.0' });
+const _mcp = new McpServer({ name: 'mcp-serialport-service', version: '0.1.0' }, { capabilities: { logging: {} } });
 
 // ---------------------------
 // JSON Schema -> Zod Raw Shape (minimal mapper)
@@ -96,6 +105,9 @@ function toZodType(s) {
         innerShape[k] = t;
       }
       let out = z.object(innerShape);
+      // Map-like objects ({ NAME: value }) keep their keys instead of being stripped
+      if (s.additionalProperties === true) out = out.catchall(z.any());
+      else if (s.additionalProperties && typeof s.additionalProperties === 'object') out = out.catchall(toZodType(s.additionalProperties));
       return s.nullable ? z.union([out, z.null()]) : out;
     }
     default:
@@ -148,6 +160,27 @@ class CompatServer {
 
 const server = new CompatServer(_mcp);
 
+// Build an onProgress callback that forwards to MCP progress notifications when the
+// client supplied a progressToken; returns undefined otherwise. Within a phase, updates are
+// throttled to roughly every 5% so large transfers don't flood the client.
+function progressReporter(extra) {
+  const token = extra?._meta?.progressToken;
+  if (token == null || typeof extra?.sendNotification !== 'function') return undefined;
+  let step = 0;
+  let lastPhase = null;
+  let lastDone = 0;
+  return ({ phase, done, total, message }) => {
+    if (phase === lastPhase && !message && total > 0 && done < total && done - lastDone < total / 20) return;
+    lastPhase = phase;
+    lastDone = done;
+    step += 1;
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken: token, progress: step, message: message || `${phase}: ${done}/${total} bytes` },
+    }).catch(() => {});
+  };
+}
+
 // Serial: listPorts(): Return available COM ports (Windows) or serial device paths
 server.addTool(
   {
@@ -169,12 +202,13 @@ server.addTool(
 server.addTool(
   {
     name: 'openPort',
-    description: 'Open a serial port by name (e.g., COM3) with the given baud rate.',
+    description: 'Open a serial port by name (e.g., COM3) with the given baud rate. Returns a session id; several ports may be open at once. With a framing mode, read/write move whole packets.',
     inputSchema: {
       type: 'object',
       properties: {
         name: { type: 'string', description: 'Port name, e.g., COM3' },
         baudRate: { type: 'integer', minimum: 1, default: 9600 },
+        bufferSize: { type: 'integer', minimum: 1024, maximum: 67108864, default: 1048576, description: 'Receive buffer capacity in bytes; oldest bytes are dropped when full' },
         dataBits: { type: 'integer', enum: [5, 6, 7, 8], default: 8 },
         stopBits: { type: 'integer', enum: [1, 2], default: 1 },
         parity: { type: 'string', enum: ['none', 'even', 'odd', 'mark', 'space'], default: 'none' },
@@ -182,6 +216,20 @@ server.addTool(
         xon: { type: 'boolean', default: false },
         xoff: { type: 'boolean', default: false },
         xany: { type: 'boolean', default: false },
+        framing: {
+          type: 'object',
+          description: 'Packet framing for read/write (default raw byte stream)',
+          properties: {
+            mode: { type: 'string', enum: ['raw', 'cobs', 'slip', 'length-prefixed'], default: 'raw' },
+            crc: { type: 'string', enum: ['none', 'crc16-ccitt', 'crc16-xmodem', 'crc16-modbus', 'crc32'], default: 'none', description: 'CRC trailer over the payload, checked on receive and appended on send' },
+            crcEndian: { type: 'string', enum: ['little', 'big'], default: 'little' },
+            lengthBytes: { type: 'integer', enum: [1, 2, 4], default: 2, description: 'length-prefixed: header size; the length counts payload plus CRC' },
+            lengthEndian: { type: 'string', enum: ['little', 'big'], default: 'little' },
+            maxPacketSize: { type: 'integer', minimum: 1, maximum: 16777216, default: 4096, description: 'Larger frames are discarded as framing errors' },
+          },
+          additionalProperties: false,
+        },
+        format: { type: 'string', enum: ['text', 'hexdump', 'escaped'], default: 'text', description: 'Default rendering for read on this session' },
       },
       required: ['name'],
       additionalProperties: false,
@@ -193,14 +241,28 @@ server.addTool(
   }
 );
 
-// Serial: write({ data, encoding })
+// Serial: listOpenPorts(): sessions with settings, byte counters and buffer fill
+server.addTool(
+  {
+    name: 'listOpenPorts',
+    description: 'List open serial sessions with their settings, byte counters and receive buffer fill.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+  async () => {
+    const res = serial.listOpenPorts();
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+// Serial: write({ sessionId?, data, encoding })
 server.addTool(
   {
     name: 'write',
-    description: 'Write data to the open serial port.',
+    description: 'Write data to an open serial port (sessionId defaults to the only open session). On a framed session the data is sent as one packet.',
     inputSchema: {
       type: 'object',
       properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
         data: { type: 'string', description: 'Data to send' },
         encoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], default: 'utf8' },
         appendNewline: { type: 'boolean', default: false },
@@ -211,20 +273,24 @@ server.addTool(
   },
   async (args) => {
     const res = await serial.write(args);
-    return { content: [{ type: 'text', text: `Wrote ${res.bytes} bytes` }] };
+    const wire = res.wireBytes != null ? ` as one packet (${res.wireBytes} bytes on the wire)` : '';
+    return { content: [{ type: 'text', text: `Wrote ${res.bytes} bytes${wire}` }] };
   }
 );
 
-// Serial: read({ maxBytes?, encoding?, timeoutMs? })
+// Serial: read({ sessionId?, maxBytes?, encoding?, format?, timeoutMs? })
 server.addTool(
   {
     name: 'read',
-    description: 'Read data from the open serial port receive buffer. Optionally wait for data.',
+    description: 'Read data from an open serial port receive buffer, as text, a hexdump or escaped text. Optionally wait for data. On a framed session returns whole packets and framing errors as JSON.',
     inputSchema: {
       type: 'object',
       properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
         maxBytes: { type: 'integer', minimum: 1, maximum: 1048576, default: 65536 },
-        encoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], default: 'utf8' },
+        maxPackets: { type: 'integer', minimum: 1, maximum: 10000, default: 100, description: 'Framed sessions: packets to return at most' },
+        encoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], description: 'format "text" only. Default utf8 (hex for framed sessions)' },
+        format: { type: 'string', enum: ['text', 'hexdump', 'escaped'], description: 'text: decode with encoding; hexdump: offset, hex columns and ASCII gutter; escaped: printable text with other bytes as \\xNN. Default: the session format from openPort' },
         timeoutMs: { type: 'integer', minimum: 0, maximum: 60000, default: 0 },
       },
       required: [],
@@ -233,240 +299,1509 @@ server.addTool(
   },
   async (args) => {
     const res = await serial.read(args || {});
+    if (res.packets) return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
     return { content: [{ type: 'text', text: res.data }] };
   }
 );
 
-// Serial: closePort()
+// Serial: readUntil({ sessionId?, delimiter | pattern | length, timeoutMs? })
 server.addTool(
   {
-    name: 'closePort',
-    description: 'Close the currently open serial port.',
-    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    name: 'readUntil',
+    description: 'Wait for one framed message: up to a delimiter (e.g. "\\n", "\\r\\n" or hex bytes), a regex match, or an exact byte count. The remainder stays buffered.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        delimiter: { type: 'string', description: 'Delimiter that ends the message' },
+        delimiterEncoding: { type: 'string', enum: ['utf8', 'hex'], default: 'utf8' },
+        pattern: { type: 'string', description: 'Regular expression that ends the message' },
+        flags: { type: 'string', description: 'Regex flags, e.g. "i"' },
+        length: { type: 'integer', minimum: 1, maximum: 1048576, description: 'Exact number of bytes to read' },
+        includeDelimiter: { type: 'boolean', default: false },
+        encoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], default: 'utf8' },
+        timeoutMs: { type: 'integer', minimum: 0, maximum: 60000, default: 1000 },
+      },
+      required: [],
+      additionalProperties: false,
+    },
   },
-  async () => {
-    const res = await serial.closePort();
-    return { content: [{ type: 'text', text: res.message }] };
+  async (args) => {
+    const res = await serial.readUntil(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
-// ---------------------------
-// ST-Link Tools
-// ---------------------------
-
+// Serial: readLines({ sessionId?, maxLines?, timeoutMs? })
 server.addTool(
   {
-    name: 'st.listDevices',
-    description: 'List available ST-Link devices using st-info or ST-LINK_CLI.',
-    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    name: 'readLines',
+    description: 'Read complete lines from the receive buffer as an array; a trailing partial line stays buffered.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        maxLines: { type: 'integer', minimum: 1, maximum: 10000, default: 100 },
+        encoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], default: 'utf8' },
+        timeoutMs: { type: 'integer', minimum: 0, maximum: 60000, default: 0 },
+        skipEmpty: { type: 'boolean', default: false },
+      },
+      required: [],
+      additionalProperties: false,
+    },
   },
-  async () => {
-    const res = await stlink.listDevices();
+  async (args) => {
+    const res = await serial.readLines(args || {});
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
+// Serial: send-and-expect transactions (AT commands, bootloader prompts)
+const transactStepProperties = {
+  send: { type: 'string', description: 'Payload to send (omit to only wait)' },
+  encoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], default: 'utf8' },
+  appendNewline: { type: 'boolean', default: false },
+  expect: { type: 'array', items: { type: 'string' }, description: 'Success regexes, e.g. ["OK"]' },
+  errors: { type: 'array', items: { type: 'string' }, description: 'Failure regexes, e.g. ["ERROR", "\\+CME ERROR: (\\d+)"]' },
+  flags: { type: 'string', description: 'Regex flags, e.g. "i"' },
+  flush: { type: 'boolean', default: true, description: 'Discard stale received data before sending' },
+  timeoutMs: { type: 'integer', minimum: 0, maximum: 600000, default: 1000 },
+  retries: { type: 'integer', minimum: 0, maximum: 100, default: 0 },
+  retryDelayMs: { type: 'integer', minimum: 0, maximum: 60000, default: 0 },
+};
+
 server.addTool(
   {
-    name: 'st.flashFirmware',
-    description: 'Flash firmware to MCU using st-flash or ST-LINK_CLI.',
+    name: 'serial.transact',
+    description: 'Flush, send a payload and wait for one of the expected success/error patterns, with timeout and retries.',
     inputSchema: {
       type: 'object',
       properties: {
-        path: { type: 'string', description: 'Absolute or relative path to firmware binary/hex' },
-        addr: { type: 'string', description: 'Load address (hex like 0x08000000) or decimal', nullable: true },
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        ...transactStepProperties,
       },
-      required: ['path'],
+      required: [],
       additionalProperties: false,
     },
   },
   async (args) => {
-    const res = await stlink.flashFirmware(args);
+    const res = await serial.transact(args || {});
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
 server.addTool(
   {
-    name: 'st.readRegister',
-    description: 'Read memory/register at address using st-flash dump.',
+    name: 'serial.runScript',
+    description: 'Run an ordered list of send/expect steps; reports the failed step and the captured transcript.',
     inputSchema: {
       type: 'object',
       properties: {
-        addr: { type: 'string', description: 'Address (0x... or decimal)' },
-        length: { type: 'integer', minimum: 1, maximum: 1024, default: 4 },
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        steps: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              delayMs: { type: 'integer', minimum: 0, maximum: 600000, description: 'Pause before this step' },
+              ...transactStepProperties,
+            },
+          },
+        },
+        stopOnError: { type: 'boolean', default: true },
       },
-      required: ['addr'],
+      required: ['steps'],
       additionalProperties: false,
     },
   },
   async (args) => {
-    const res = await stlink.readRegister(args);
+    const res = await serial.runScript(args);
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
+// Serial: continuous capture of received bytes to a log file
 server.addTool(
   {
-    name: 'st.writeRegister',
-    description: 'Write memory/register value (requires GDB flow; returns error if unsupported).',
+    name: 'serial.startCapture',
+    description: 'Tee all received bytes of a session to a log file (text mode with per-line host timestamps, or raw binary), with optional size-based rotation.',
     inputSchema: {
       type: 'object',
       properties: {
-        addr: { type: 'string', description: 'Address (0x... or decimal)' },
-        value: { type: 'string', description: 'Value (0x... or decimal)' },
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        path: { type: 'string', description: 'Log file path' },
+        mode: { type: 'string', enum: ['text', 'raw'], default: 'text' },
+        timestamps: { type: 'boolean', default: true, description: 'Prefix each line with a host timestamp (text mode)' },
+        append: { type: 'boolean', default: false },
+        maxFileBytes: { type: 'integer', minimum: 0, default: 0, description: 'Rotate when the file would exceed this size (0 = no rotation)' },
+        maxFiles: { type: 'integer', minimum: 0, maximum: 100, default: 5, description: 'Rotated files to keep (file.1 ... file.N)' },
       },
-      required: ['addr', 'value'],
+      required: ['path'],
       additionalProperties: false,
     },
   },
   async (args) => {
-    const res = await stlink.writeRegister(args);
+    const res = serial.startCapture(args);
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
 server.addTool(
   {
-    name: 'st.resetDevice',
-    description: 'Reset target MCU using st-flash or ST-LINK_CLI.',
-    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    name: 'serial.stopCapture',
+    description: 'Stop capturing a session to file and return capture statistics.',
+    inputSchema: {
+      type: 'object',
+      properties: { sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' } },
+      additionalProperties: false,
+    },
   },
-  async () => {
-    const res = await stlink.resetDevice();
+  async (args) => {
+    const res = serial.stopCapture(args || {});
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
+// Serial: modem control lines, BREAK and reset/bootloader entry sequences
 server.addTool(
   {
-    name: 'st.startDebug',
-    description: 'Start st-util GDB server (default port 4242).',
+    name: 'serial.setSignals',
+    description: 'Set DTR/RTS (and BREAK) output lines; lines not given keep their current level.',
     inputSchema: {
       type: 'object',
-      properties: { port: { type: 'integer', minimum: 1, maximum: 65535, default: 4242 } },
-      required: [],
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        dtr: { type: 'boolean' },
+        rts: { type: 'boolean' },
+        brk: { type: 'boolean' },
+      },
       additionalProperties: false,
     },
   },
   async (args) => {
-    const res = await stlink.startDebug(args || {});
-    return { content: [{ type: 'text', text: res.message }] };
+    const res = await serial.setSignals(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
 server.addTool(
   {
-    name: 'st.stopDebug',
-    description: 'Stop st-util GDB server if running.',
-    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    name: 'serial.getSignals',
+    description: 'Read CTS/DSR/DCD input lines and the current DTR/RTS output levels.',
+    inputSchema: {
+      type: 'object',
+      properties: { sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' } },
+      additionalProperties: false,
+    },
   },
-  async () => {
-    const res = await stlink.stopDebug();
+  async (args) => {
+    const res = await serial.getSignals(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'serial.sendBreak',
+    description: 'Send a BREAK condition for the given duration.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        durationMs: { type: 'integer', minimum: 1, maximum: 10000, default: 250 },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await serial.sendBreak(args || {});
     return { content: [{ type: 'text', text: res.message }] };
   }
 );
 
-// GDB-like helpers
 server.addTool(
   {
-    name: 'st.setBreakpoint',
-    description: 'Set a breakpoint at given address via st-util monitor.',
-    inputSchema: { type: 'object', properties: { addr: { type: 'string' } }, required: ['addr'], additionalProperties: false },
+    name: 'serial.signalSequence',
+    description: 'Run a named control-line sequence (reset, reset-to-bootloader, reset-to-app) driving BOOT0/NRST via RTS/DTR, or explicit steps.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        sequence: { type: 'string', enum: serial.SIGNAL_SEQUENCES },
+        steps: {
+          type: 'array',
+          description: 'Explicit steps instead of a named sequence',
+          items: { type: 'object', properties: { dtr: { type: 'boolean' }, rts: { type: 'boolean' }, brk: { type: 'boolean' }, delayMs: { type: 'integer', minimum: 0 } } },
+        },
+        boot0Line: { type: 'string', enum: ['rts', 'dtr'], default: 'rts' },
+        resetLine: { type: 'string', enum: ['dtr', 'rts'], default: 'dtr' },
+        invertBoot0: { type: 'boolean', default: true, description: 'Asserted line drives BOOT0 low' },
+        invertReset: { type: 'boolean', default: true, description: 'Asserted line drives NRST low' },
+        resetPulseMs: { type: 'integer', minimum: 1, maximum: 10000, default: 100 },
+        settleMs: { type: 'integer', minimum: 0, maximum: 10000, default: 50 },
+        releaseBoot0: { type: 'boolean', default: true, description: 'Return BOOT0 low once the bootloader has started' },
+        flush: { type: 'boolean', default: false, description: 'Discard received data after the sequence' },
+      },
+      additionalProperties: false,
+    },
   },
   async (args) => {
-    const res = await stlink.setBreakpoint(args);
+    const res = await serial.runSignalSequence(args || {});
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
+// Serial: baud rate detection for devices with an unknown UART speed
 server.addTool(
   {
-    name: 'st.step',
-    description: 'Single step via st-util monitor.',
-    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+    name: 'serial.detectBaud',
+    description: 'Find the baud rate (and optionally framing) of an unknown device: open the port at each candidate, optionally send a probe, and rank the rates by printable ratio or a regex match.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Port name, e.g., COM3 (must not be open)' },
+        rates: { type: 'array', items: { type: 'integer', minimum: 1 }, description: 'Candidate baud rates (default 115200, 9600, 57600, 38400, 19200, 230400, 460800, 921600, 4800, 2400, 1200)' },
+        framings: { type: 'array', items: { type: 'string', pattern: '^[5-8][NEOMSneoms][12]$' }, description: 'Framings to try, e.g. ["8N1", "7E1"] (default ["8N1"])' },
+        listenMs: { type: 'integer', minimum: 50, maximum: 60000, default: 500, description: 'How long to listen at each candidate' },
+        probe: { type: 'string', description: 'Data to send after opening, e.g. "\\r" or "AT\\r"' },
+        probeEncoding: { type: 'string', enum: ['utf8', 'hex', 'base64'], default: 'utf8' },
+        pattern: { type: 'string', description: 'Regex that identifies the right rate, e.g. "OK|login:"' },
+        flags: { type: 'string', default: '' },
+        minBytes: { type: 'integer', minimum: 1, default: 4, description: 'Candidates receiving fewer bytes score 0' },
+        stopOnMatch: { type: 'boolean', default: true, description: 'Stop at the first pattern match (or near-perfect printable score)' },
+      },
+      required: ['name'],
+      additionalProperties: false,
+    },
   },
-  async () => {
-    const res = await stlink.step();
+  async (args, extra) => {
+    const res = await serial.detectBaud({ ...args, onProgress: progressReporter(extra) });
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
+// Serial: XMODEM / XMODEM-1K / YMODEM file transfer
 server.addTool(
   {
-    name: 'st.readVar',
-    description: 'Attempt to read a variable using GDB print (requires running debug server).',
-    inputSchema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'], additionalProperties: false },
+    name: 'serial.sendFile',
+    description: 'Send a file over the serial session using XMODEM (checksum/CRC), XMODEM-1K or YMODEM batch mode. Returns transfer statistics.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        protocol: { type: 'string', enum: ['xmodem', 'xmodem-1k', 'ymodem'], default: 'xmodem' },
+        path: { type: 'string', description: 'File to send' },
+        paths: { type: 'array', items: { type: 'string' }, description: 'Several files (ymodem batch)' },
+        startTimeoutMs: { type: 'integer', minimum: 100, maximum: 600000, default: 60000, description: 'How long to wait for the receiver to start' },
+        blockTimeoutMs: { type: 'integer', minimum: 100, maximum: 60000, default: 10000 },
+        retries: { type: 'integer', minimum: 0, maximum: 100, default: 10 },
+      },
+      required: [],
+      additionalProperties: false,
+    },
   },
-  async (args) => {
-    const res = await stlink.readVar(args);
+  async (args, extra) => {
+    const res = await xmodem.sendFile({ ...args, onProgress: progressReporter(extra), signal: extra?.signal });
     return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
-// ---------------------------
-// OpenOCD Tools
-// ---------------------------
+server.addTool(
+  {
+    name: 'serial.receiveFile',
+    description: 'Receive a file over the serial session using XMODEM (checksum/CRC), XMODEM-1K or YMODEM batch mode. Returns transfer statistics.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        protocol: { type: 'string', enum: ['xmodem', 'xmodem-1k', 'ymodem'], default: 'xmodem' },
+        path: { type: 'string', description: 'Target file (xmodem) or directory (ymodem)' },
+        crc: { type: 'boolean', default: true, description: 'Request CRC-16 instead of the 8-bit checksum (xmodem)' },
+        trimPadding: { type: 'boolean', default: true, description: 'Strip trailing 0x1A padding when the size is unknown' },
+        startTimeoutMs: { type: 'integer', minimum: 100, maximum: 600000, default: 60000, description: 'How long to wait for the sender to start' },
+        blockTimeoutMs: { type: 'integer', minimum: 100, maximum: 60000, default: 10000 },
+        retries: { type: 'integer', minimum: 0, maximum: 100, default: 10 },
+      },
+      required: ['path'],
+      additionalProperties: false,
+    },
+  },
+  async (args, extra) => {
+    const res = await xmodem.receiveFile({ ...args, onProgress: progressReporter(extra), signal: extra?.signal });
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+// Serial: hot-plug watcher. Port add/remove and session close/reopen events are sent as MCP
+// log messages (logger "serial.watch"); add/remove also signal a resource list change, since
+// every port is exposed as a serial://port/{path} resource.
+_mcp.registerResource(
+  'serial-port',
+  new ResourceTemplate('serial://port/{path}', {
+    // An enumeration failure must not break resources/list for the client
+    list: async () => ({
+      resources: (await serial.listPorts().catch(() => [])).map((p) => ({
+        uri: `serial://port/${encodeURIComponent(p.path)}`,
+        name: p.path,
+        description: [p.manufacturer, p.friendlyName].filter(Boolean).join(' - ') || undefined,
+        mimeType: 'application/json',
+      })),
+    }),
+  }),
+  { title: 'Serial port', description: 'A serial port with its USB identity and any open session', mimeType: 'application/json' },
+  async (uri, { path: encoded }) => {
+    const portPath = decodeURIComponent(encoded);
+    const port = (await serial.listPorts()).find((p) => p.path === portPath) || null;
+    const session = serial.listOpenPorts().find((s) => s.path === portPath) || null;
+    return { contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify({ path: portPath, port, session }, null, 2) }] };
+  }
+);
+
+const WATCH_EVENT_LEVELS = { added: 'info', removed: 'warning', 'session-closed': 'warning', 'session-reopened': 'info', 'reopen-expired': 'warning' };
+
+function notifyWatchEvent(event) {
+  _mcp.server.sendLoggingMessage({ level: WATCH_EVENT_LEVELS[event.type] || 'info', logger: 'serial.watch', data: event }).catch(() => {});
+  if (event.type === 'added' || event.type === 'removed') _mcp.sendResourceListChanged();
+}
 
 server.addTool(
   {
-    name: 'ocd.startDebug',
-    description: 'Start OpenOCD GDB server. Accepts interface/target configs.',
-    inputSchema: { type: 'object', properties: { interface: { type: 'string' }, target: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } }, port: { type: 'integer' } }, additionalProperties: false },
+    name: 'serial.startWatch',
+    description: 'Watch the serial port list for hot-plug changes: notify on add/remove, close sessions whose device vanished and optionally reopen them when the device returns.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        intervalMs: { type: 'integer', minimum: 100, maximum: 60000, default: 1000 },
+        autoClose: { type: 'boolean', default: true, description: 'Close sessions whose device disappeared' },
+        autoReopen: { type: 'boolean', default: false, description: 'Reopen a closed session (same id and settings) when a device with the same serial number/VID/PID returns' },
+        reopenWindowMs: { type: 'integer', minimum: 1000, maximum: 3600000, default: 60000, description: 'Give up reopening after this long' },
+      },
+      additionalProperties: false,
+    },
   },
   async (args) => {
-    const res = await openocd.startDebug(args || {});
-    return { content: [{ type: 'text', text: res.message }] };
+    const res = await portwatch.startWatch({ ...args, onEvent: notifyWatchEvent });
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
   }
 );
 
 server.addTool(
-  { name: 'ocd.stopDebug', description: 'Stop OpenOCD GDB server.', inputSchema: { type: 'object', properties: {}, additionalProperties: false } },
-  async () => ({ content: [{ type: 'text', text: (await openocd.stopDebug()).message }] })
+  {
+    name: 'serial.stopWatch',
+    description: 'Stop the serial hot-plug watcher.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+  async () => {
+    const res = portwatch.stopWatch();
+    return { content: [{ type: 'text', text: res.message }] };
+  }
 );
 
 server.addTool(
-  { name: 'ocd.flashFirmware', description: 'Flash via OpenOCD program command.', inputSchema: { type: 'object', properties: { path: { type: 'string' }, addr: { type: 'string', nullable: true }, interface: { type: 'string' }, target: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } } }, required: ['path'], additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.flashFirmware(args), null, 2) }] })
+  {
+    name: 'serial.getWatchStatus',
+    description: 'Report the hot-plug watcher state: known ports, sessions waiting to be reopened and recent events.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+  async () => {
+    const res = portwatch.getWatchStatus();
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
 );
 
+// Serial: share a session over TCP (raw or RFC 2217) with other tools on this machine
 server.addTool(
-  { name: 'ocd.resetDevice', description: 'Reset target via OpenOCD.', inputSchema: { type: 'object', properties: { interface: { type: 'string' }, target: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } } }, additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.resetDevice(args || {}), null, 2) }] })
+  {
+    name: 'serial.startBridge',
+    description: 'Serve an open serial session on a TCP port (raw or RFC 2217). All clients see received data; one client at a time may write and, with RFC 2217, change baud rate, framing and control lines.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        protocol: { type: 'string', enum: ['raw', 'rfc2217'], default: 'raw' },
+        host: { type: 'string', default: '127.0.0.1', description: 'Listen address; use 0.0.0.0 only on trusted networks' },
+        port: { type: 'integer', minimum: 0, maximum: 65535, default: 0, description: 'TCP port (0 picks a free one)' },
+        allowWrite: { type: 'boolean', default: true, description: 'false makes every client read-only' },
+        maxClients: { type: 'integer', minimum: 1, maximum: 64, default: 8 },
+        maxBacklog: { type: 'integer', minimum: 1024, default: 1048576, description: 'Bytes that may wait unsent to one client before it is disconnected as too slow' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await bridge.startBridge(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
 );
 
 server.addTool(
-  { name: 'ocd.readRegister', description: 'Read memory via OpenOCD dump_image.', inputSchema: { type: 'object', properties: { addr: { type: 'string' }, length: { type: 'integer', default: 4 }, interface: { type: 'string' }, target: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } } }, required: ['addr'], additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.readRegister(args), null, 2) }] })
+  {
+    name: 'serial.stopBridge',
+    description: 'Stop a TCP bridge by id, or every bridge of a session (all bridges when neither is given).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bridgeId: { type: 'string', description: 'Bridge id returned by serial.startBridge' },
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await bridge.stopBridge(args || {});
+    return { content: [{ type: 'text', text: res.message }] };
+  }
 );
 
-// ---------------------------
-// J-Link Tools
-// ---------------------------
-
 server.addTool(
-  { name: 'jlink.startDebug', description: 'Start JLinkGDBServerCL.', inputSchema: { type: 'object', properties: { device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' }, port: { type: 'integer' } }, additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: (await jlink.startDebug(args || {})).message }] })
+  {
+    name: 'serial.listBridges',
+    description: 'List running TCP bridges with their connected clients and byte counters.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+  async () => {
+    const res = bridge.listBridges();
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
 );
 
+// Serial: numeric telemetry parsed from text lines (key=value, CSV or regex)
 server.addTool(
-  { name: 'jlink.stopDebug', description: 'Stop JLinkGDBServerCL.', inputSchema: { type: 'object', properties: {}, additionalProperties: false } },
-  async () => ({ content: [{ type: 'text', text: (await jlink.stopDebug()).message }] })
+  {
+    name: 'serial.startTelemetry',
+    description: 'Parse incoming lines of a session into named numeric series (key=value, CSV or regex) with host timestamps. The session can still be read normally.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        format: { type: 'string', enum: ['kv', 'csv', 'regex'], default: 'kv', description: 'kv: "adc=1234 temp=25.1"; csv: delimited numbers; regex: groups of pattern' },
+        pattern: { type: 'string', description: 'regex format: named groups become channels, e.g. "T=(?<temp>[\\d.]+)"' },
+        flags: { type: 'string', default: '' },
+        columns: { type: 'array', items: { type: 'string' }, description: 'csv format: channel names (default: header line or col1..colN)' },
+        delimiter: { type: 'string', default: ',', description: 'csv format: field delimiter' },
+        encoding: { type: 'string', enum: ['utf8', 'latin1', 'ascii'], default: 'utf8', description: 'Character encoding of the incoming text' },
+        maxRecords: { type: 'integer', minimum: 1, maximum: 1000000, default: 10000, description: 'Parsed lines kept for samples and CSV export' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = telemetry.startTelemetry(args || {});
+    return { content: [{ type: 'text', text: res.message }] };
+  }
 );
 
 server.addTool(
-  { name: 'jlink.flashFirmware', description: 'Flash via J-Link Commander.', inputSchema: { type: 'object', properties: { path: { type: 'string' }, device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' }, addr: { type: 'string' } }, required: ['path'], additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.flashFirmware(args), null, 2) }] })
+  {
+    name: 'serial.getTelemetry',
+    description: 'Per-channel min/max/mean/last, sample rate and downsampled samples ([msSinceStart, value]); optionally export the retained records as CSV.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+        channels: { type: 'array', items: { type: 'string' }, description: 'Channels to report (default all)' },
+        maxPoints: { type: 'integer', minimum: 1, maximum: 10000, default: 100, description: 'Samples per channel after downsampling' },
+        includeSamples: { type: 'boolean', default: true },
+        csvPath: { type: 'string', description: 'Write retained records to this CSV file' },
+        reset: { type: 'boolean', default: false, description: 'Clear the series after reporting' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = telemetry.getTelemetry(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
 );
 
 server.addTool(
-  { name: 'jlink.resetDevice', description: 'Reset via J-Link Commander.', inputSchema: { type: 'object', properties: { device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' } }, additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.resetDevice(args || {}), null, 2) }] })
+  {
+    name: 'serial.stopTelemetry',
+    description: 'Stop telemetry parsing on a session and return the final statistics.',
+    inputSchema: {
+      type: 'object',
+      properties: { sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' } },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = telemetry.stopTelemetry(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
 );
 
+// Serial: closePort({ sessionId? })
 server.addTool(
-  { name: 'jlink.readRegister', description: 'Read memory via J-Link mem32 (text output).', inputSchema: { type: 'object', properties: { addr: { type: 'string' }, length: { type: 'integer' }, device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' } }, required: ['addr'], additionalProperties: false } },
-  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.readRegister(args), null, 2) }] })
+  {
+    name: 'closePort',
+    description: 'Close an open serial port (sessionId defaults to the only open session).',
+    inputSchema: {
+      type: 'object',
+      properties: { sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' } },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await serial.closePort(args || {});
+    return { content: [{ type: 'text', text: res.message }] };
+  }
+);
+
+// ---------------------------
+// STM32 UART bootloader Tools
+// ---------------------------
+
+const uartBootProperties = {
+  sessionId: { type: 'string', description: 'Existing session opened with parity "even"' },
+  port: { type: 'string', description: 'Port name to open (8E1) for the duration of the call, e.g. COM5' },
+  baudRate: { type: 'integer', minimum: 1200, maximum: 115200, default: 115200 },
+  enterBootloader: { type: 'boolean', default: false, description: 'Run the reset-to-bootloader control-line sequence first' },
+  signalOptions: {
+    type: 'object',
+    description: 'Options for the reset-to-bootloader sequence (see serial.signalSequence)',
+    properties: {
+      boot0Line: { type: 'string', enum: ['rts', 'dtr'] },
+      resetLine: { type: 'string', enum: ['dtr', 'rts'] },
+      invertBoot0: { type: 'boolean' },
+      invertReset: { type: 'boolean' },
+      resetPulseMs: { type: 'integer', minimum: 1 },
+      settleMs: { type: 'integer', minimum: 0 },
+    },
+  },
+  syncAttempts: { type: 'integer', minimum: 1, maximum: 50, default: 5 },
+  ackTimeoutMs: { type: 'integer', minimum: 10, maximum: 60000, default: 1000 },
+};
+
+server.addTool(
+  {
+    name: 'uart.getInfo',
+    description: 'Connect to the STM32 USART ROM bootloader (AN3155) and report version, supported commands and product id.',
+    inputSchema: { type: 'object', properties: { ...uartBootProperties }, additionalProperties: false },
+  },
+  async (args) => {
+    const res = await uartboot.getInfo(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'uart.flashFirmware',
+    description: 'Flash a .bin/.hex image over the STM32 USART ROM bootloader: sync, erase, write, verify and GO.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Firmware .bin or Intel .hex file' },
+        addr: { type: 'string', description: 'Load address for .bin files (default 0x08000000)' },
+        erase: { type: 'string', enum: ['mass', 'pages', 'none'], default: 'mass' },
+        pages: { type: 'array', items: { type: 'integer', minimum: 0 }, description: 'Page/sector numbers for erase "pages"' },
+        verify: { type: 'boolean', default: true },
+        go: { type: 'boolean', default: true, description: 'Start the application when done' },
+        goAddress: { type: 'string', description: 'GO address (default: start of the image)' },
+        eraseTimeoutMs: { type: 'integer', minimum: 100, maximum: 600000, default: 60000 },
+        ...uartBootProperties,
+      },
+      required: ['path'],
+      additionalProperties: false,
+    },
+  },
+  async (args, extra) => {
+    const res = await uartboot.flashFirmware({ ...args, onProgress: progressReporter(extra) });
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+// ---------------------------
+// Modbus RTU master Tools
+// ---------------------------
+
+const modbusProperties = {
+  sessionId: { type: 'string', description: 'Session id returned by openPort (or the port name)' },
+  unitId: { type: 'integer', minimum: 0, maximum: 247, default: 1, description: 'Server (slave) address; 0 broadcasts writes without a response' },
+  address: { type: 'integer', minimum: 0, maximum: 65535, description: '0-based protocol address (holding register 40001 = 0)' },
+  timeoutMs: { type: 'integer', minimum: 10, maximum: 60000, default: 1000 },
+  retries: { type: 'integer', minimum: 0, maximum: 10, default: 0, description: 'Retries on timeout or CRC error (exception responses are not retried)' },
+};
+
+const modbusTypeProperties = {
+  type: { type: 'string', enum: ['uint16', 'int16', 'uint32', 'int32', 'float32'], default: 'uint16' },
+  wordOrder: { type: 'string', enum: ['big', 'little'], default: 'big', description: 'Register order of 32-bit values ("big" = high word first)' },
+  byteOrder: { type: 'string', enum: ['big', 'little'], default: 'big', description: 'Byte order within each register' },
+};
+
+const modbusReadTools = [
+  ['modbus.readCoils', 'Read coils (function 0x01) as booleans.', modbus.readCoils, false],
+  ['modbus.readDiscreteInputs', 'Read discrete inputs (function 0x02) as booleans.', modbus.readDiscreteInputs, false],
+  ['modbus.readHoldingRegisters', 'Read holding registers (function 0x03), decoded as uint16/int16/uint32/int32/float32.', modbus.readHoldingRegisters, true],
+  ['modbus.readInputRegisters', 'Read input registers (function 0x04), decoded as uint16/int16/uint32/int32/float32.', modbus.readInputRegisters, true],
+];
+
+for (const [name, description, fn, typed] of modbusReadTools) {
+  server.addTool(
+    {
+      name,
+      description,
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ...modbusProperties,
+          count: typed
+            ? { type: 'integer', minimum: 1, maximum: 125, default: 1, description: 'Number of values of the given type: at most 125 for 16-bit types, 62 for 32-bit types' }
+            : { type: 'integer', minimum: 1, maximum: 2000, default: 1, description: 'Number of bits' },
+          ...(typed ? modbusTypeProperties : {}),
+        },
+        required: ['address'],
+        additionalProperties: false,
+      },
+    },
+    async (args) => {
+      const res = await fn(args || {});
+      return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+    }
+  );
+}
+
+server.addTool(
+  {
+    name: 'modbus.writeSingleCoil',
+    description: 'Write one coil (function 0x05).',
+    inputSchema: {
+      type: 'object',
+      properties: { ...modbusProperties, value: { type: 'boolean' } },
+      required: ['address', 'value'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await modbus.writeSingleCoil(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'modbus.writeSingleRegister',
+    description: 'Write one holding register (function 0x06).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...modbusProperties,
+        value: { type: 'integer', minimum: -32768, maximum: 65535 },
+        type: { type: 'string', enum: ['uint16', 'int16'], default: 'uint16' },
+      },
+      required: ['address', 'value'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await modbus.writeSingleRegister(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'modbus.writeMultipleCoils',
+    description: 'Write consecutive coils (function 0x0F).',
+    inputSchema: {
+      type: 'object',
+      properties: { ...modbusProperties, values: { type: 'array', items: { type: 'boolean' }, minItems: 1, maxItems: 1968 } },
+      required: ['address', 'values'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await modbus.writeMultipleCoils(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'modbus.writeMultipleRegisters',
+    description: 'Write consecutive holding registers (function 0x10), encoding values as uint16/int16/uint32/int32/float32.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...modbusProperties,
+        values: {
+          type: 'array',
+          items: { type: 'number', minimum: -3.4028234663852886e38, maximum: 3.4028234663852886e38 },
+          minItems: 1,
+          maxItems: 123,
+          description: 'Integers within the type range (uint16 0..65535, int16 -32768..32767, uint32 0..4294967295, int32 -2147483648..2147483647) or, for float32, finite numbers',
+        },
+        ...modbusTypeProperties,
+      },
+      required: ['address', 'values'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await modbus.writeMultipleRegisters(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+// ---------------------------
+// ST-Link Tools
+// ---------------------------
+
+// Probe selection when several ST-Links are attached (see st.listDevices)
+const stProbeProperties = {
+  serial: { type: 'string', description: 'Serial number of the ST-Link probe to use' },
+  probeId: { type: 'integer', minimum: 0, description: 'Index of the probe in st.listDevices (instead of serial)' },
+};
+
+server.addTool(
+  {
+    name: 'st.listDevices',
+    description: 'List attached ST-Link probes (serial, firmware version, chip id, flash/SRAM size, device family) using st-info, ST-LINK_CLI or STM32_Programmer_CLI.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+  async () => {
+    const res = await stlink.listDevices();
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.flashFirmware',
+    description: 'Flash firmware to MCU using st-flash or ST-LINK_CLI.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Absolute or relative path to firmware binary/hex' },
+        addr: { type: 'string', description: 'Load address (hex like 0x08000000) or decimal', nullable: true },
+        ...stProbeProperties,
+      },
+      required: ['path'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.flashFirmware(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.readRegister',
+    description: 'Read memory/register at address using st-flash dump.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        addr: { type: 'string', description: 'Address (0x... or decimal)' },
+        length: { type: 'integer', minimum: 1, maximum: 1024, default: 4 },
+        ...stProbeProperties,
+      },
+      required: ['addr'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.readRegister(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.writeRegister',
+    description: 'Write a 32-bit memory/peripheral register value through the running st-util (st.startDebug) over GDB.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        addr: { type: 'string', description: 'Address (0x... or decimal), 32-bit aligned' },
+        value: { type: 'string', description: 'Value (0x... or decimal)' },
+        port: { type: 'integer', description: 'GDB port of a server not started by st.startDebug' },
+      },
+      required: ['addr', 'value'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.writeRegister(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.resetDevice',
+    description: 'Reset target MCU using st-flash or ST-LINK_CLI.',
+    inputSchema: { type: 'object', properties: { ...stProbeProperties }, additionalProperties: false },
+  },
+  async (args) => {
+    const res = await stlink.resetDevice(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.startDebug',
+    description: 'Start st-util GDB server (default port 4242).',
+    inputSchema: {
+      type: 'object',
+      properties: { port: { type: 'integer', minimum: 1, maximum: 65535, default: 4242 }, ...stProbeProperties },
+      required: [],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.startDebug(args || {});
+    return { content: [{ type: 'text', text: res.message }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.stopDebug',
+    description: 'Stop st-util GDB server if running.',
+    inputSchema: { type: 'object', properties: {}, additionalProperties: false },
+  },
+  async () => {
+    const res = await stlink.stopDebug();
+    return { content: [{ type: 'text', text: res.message }] };
+  }
+);
+
+// GDB-like helpers
+server.addTool(
+  {
+    name: 'st.setBreakpoint',
+    description: 'Insert (Z0/Z1) or remove (z0/z1) a breakpoint over GDB RSP on the running st-util. With resume, continue and wait for the target to halt.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        addr: { type: 'string', description: 'Instruction address (hex 0x... or decimal)' },
+        remove: { type: 'boolean', default: false },
+        hardware: { type: 'boolean', default: false, description: 'Hardware breakpoint (Z1); needed for flash on some servers' },
+        resume: { type: 'boolean', default: false, description: 'Continue after inserting and wait for the target to stop' },
+        timeoutMs: { type: 'integer', minimum: 1, maximum: 600000, default: 5000, description: 'resume: how long to wait for the halt' },
+        port: { type: 'integer', description: 'GDB port of a server not started by st.startDebug' },
+      },
+      required: ['addr'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.setBreakpoint(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.step',
+    description: 'Single-step the halted target over GDB RSP and report the new pc.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer', minimum: 1, maximum: 10000, default: 1 },
+        timeoutMs: { type: 'integer', minimum: 1, maximum: 60000, default: 2000 },
+        port: { type: 'integer', description: 'GDB port of a server not started by st.startDebug' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.step(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'st.readVar',
+    description: 'Read a core register (r0-r12, sp, lr, pc, xpsr), memory at an address, or (with elf) a typed variable by name over GDB RSP on the halted target.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Register name, address, or variable name/path when elf is given' },
+        elf: { type: 'string', description: 'Firmware ELF with DWARF info, for variable names' },
+        maxElements: { type: 'integer', minimum: 1, default: 64, description: 'Array elements decoded per array (variables only)' },
+        addr: { type: 'string', description: 'Memory address (hex 0x... or decimal)' },
+        length: { type: 'integer', minimum: 1, maximum: 65536, default: 4, description: 'Bytes to read from addr' },
+        port: { type: 'integer', description: 'GDB port of a server not started by st.startDebug' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await stlink.readVar(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+// ---------------------------
+// OpenOCD Tools
+// ---------------------------
+
+server.addTool(
+  {
+    name: 'ocd.startDebug',
+    description: 'Start OpenOCD GDB server. Accepts interface/target/board configs (names are checked against the OpenOCD scripts directory; see ocd.listConfigs). While it runs, ocd.* tools use its Tcl RPC port (tclPort, default 6666) or telnet port (telnetPort, default 4444) instead of launching openocd again.',
+    inputSchema: { type: 'object', properties: { interface: { type: 'string' }, target: { type: 'string' }, board: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } }, port: { type: 'integer' }, tclPort: { type: 'integer' }, telnetPort: { type: 'integer' } }, additionalProperties: false },
+  },
+  async (args) => {
+    const res = await openocd.startDebug(args || {});
+    return { content: [{ type: 'text', text: res.message }] };
+  }
+);
+
+server.addTool(
+  { name: 'ocd.stopDebug', description: 'Stop OpenOCD GDB server.', inputSchema: { type: 'object', properties: {}, additionalProperties: false } },
+  async () => ({ content: [{ type: 'text', text: (await openocd.stopDebug()).message }] })
+);
+
+server.addTool(
+  { name: 'ocd.flashFirmware', description: 'Flash via OpenOCD program command (sent to the running server when ocd.startDebug is active).', inputSchema: { type: 'object', properties: { path: { type: 'string' }, addr: { type: 'string', nullable: true }, interface: { type: 'string' }, target: { type: 'string' }, board: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } } }, required: ['path'], additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.flashFirmware(args), null, 2) }] })
+);
+
+server.addTool(
+  { name: 'ocd.resetDevice', description: 'Reset target via OpenOCD.', inputSchema: { type: 'object', properties: { interface: { type: 'string' }, target: { type: 'string' }, board: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } } }, additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.resetDevice(args || {}), null, 2) }] })
+);
+
+server.addTool(
+  { name: 'ocd.readRegister', description: 'Read memory via OpenOCD dump_image, or mdb on the running server when ocd.startDebug is active.', inputSchema: { type: 'object', properties: { addr: { type: 'string' }, length: { type: 'integer', default: 4 }, interface: { type: 'string' }, target: { type: 'string' }, board: { type: 'string' }, searchDir: { type: 'string' }, speed: { type: 'integer' }, configFiles: { type: 'array', items: { type: 'string' } }, extraCmds: { type: 'array', items: { type: 'string' } } }, required: ['addr'], additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.readRegister(args), null, 2) }] })
+);
+
+server.addTool(
+  {
+    name: 'ocd.listConfigs',
+    description: 'List OpenOCD interface/target/board config names (usable as interface, target, board) with their descriptions. The scripts directory is taken from searchDir, OPENOCD_SCRIPTS, OPENOCD_PATH or openocd itself.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        kind: { type: 'string', enum: ['interface', 'target', 'board'] },
+        filter: { type: 'string', description: 'Case-insensitive substring of the config name' },
+        searchDir: { type: 'string', description: 'OpenOCD scripts directory' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.listConfigs(args || {}), null, 2) }] })
+);
+
+server.addTool(
+  {
+    name: 'ocd.command',
+    description: 'Run an OpenOCD command (halt, mdw, mww, reg, flash banks, ...) on the running server via its Tcl RPC port, falling back to telnet. Returns { ok, output } plus a parsed result for mdw/mdh/mdb, reg, halt/poll, flash banks, targets and version.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'One OpenOCD command line, e.g. "mdw 0x08000000 4"' },
+        parse: { type: 'boolean', default: true },
+        timeoutMs: { type: 'integer', default: 10000 },
+        host: { type: 'string', description: 'Host of a server started elsewhere (default 127.0.0.1)' },
+        port: { type: 'integer', description: 'Tcl RPC port of a server started elsewhere' },
+        telnetPort: { type: 'integer', description: 'Use the telnet port instead of Tcl RPC' },
+      },
+      required: ['command'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await openocd.command(args), null, 2) }] })
+);
+
+// ---------------------------
+// J-Link Tools
+// ---------------------------
+
+server.addTool(
+  { name: 'jlink.startDebug', description: 'Start JLinkGDBServerCL.', inputSchema: { type: 'object', properties: { device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' }, port: { type: 'integer' } }, additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: (await jlink.startDebug(args || {})).message }] })
+);
+
+server.addTool(
+  { name: 'jlink.stopDebug', description: 'Stop JLinkGDBServerCL.', inputSchema: { type: 'object', properties: {}, additionalProperties: false } },
+  async () => ({ content: [{ type: 'text', text: (await jlink.stopDebug()).message }] })
+);
+
+server.addTool(
+  { name: 'jlink.flashFirmware', description: 'Flash via J-Link Commander.', inputSchema: { type: 'object', properties: { path: { type: 'string' }, device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' }, addr: { type: 'string' } }, required: ['path'], additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.flashFirmware(args), null, 2) }] })
+);
+
+server.addTool(
+  { name: 'jlink.resetDevice', description: 'Reset via J-Link Commander.', inputSchema: { type: 'object', properties: { device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' } }, additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.resetDevice(args || {}), null, 2) }] })
+);
+
+server.addTool(
+  { name: 'jlink.readRegister', description: 'Read memory via J-Link Commander as a byte array: mem8/mem16/mem32 with the given access width, or savebin for reads over 256 bytes without a width.', inputSchema: { type: 'object', properties: { addr: { type: 'string' }, length: { type: 'integer', default: 4 }, width: { type: 'integer', enum: [8, 16, 32] }, device: { type: 'string' }, if: { type: 'string' }, speed: { type: 'integer' } }, required: ['addr'], additionalProperties: false } },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.readRegister(args), null, 2) }] })
+);
+
+server.addTool(
+  {
+    name: 'jlink.writeMemory',
+    description: 'Write memory via J-Link Commander: one 8/16/32-bit value (w1/w2/w4, single aligned access), a byte array, or a binary file (loadbin).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        addr: { type: 'string', description: 'Address (0x... or decimal)' },
+        value: { type: 'string', description: 'Value for a single 8/16/32-bit write (0x... or decimal)' },
+        width: { type: 'integer', enum: [8, 16, 32], default: 32 },
+        data: {
+          description: 'Bytes to write instead of value: hex string ("deadbeef") or array of byte values',
+          anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'integer', minimum: 0, maximum: 255 } }],
+        },
+        path: { type: 'string', description: 'Binary file to load at addr instead of value/data' },
+        verify: { type: 'boolean', default: false, description: 'Read the bytes back afterwards' },
+        device: { type: 'string' },
+        if: { type: 'string' },
+        speed: { type: 'integer' },
+      },
+      required: ['addr'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => ({ content: [{ type: 'text', text: JSON.stringify(await jlink.writeMemory(args), null, 2) }] })
+);
+
+// ---------------------------
+// Probe Tools (one interface over ST-Link / OpenOCD / J-Link)
+// ---------------------------
+
+const probeTargetProperties = {
+  backend: { type: 'string', enum: ['stlink', 'openocd', 'jlink'], description: 'Probe backend; defaults to the one whose debug server is running' },
+  device: { type: 'string', description: 'J-Link device name (e.g. STM32F407VG)' },
+  interface: { type: 'string', description: 'OpenOCD interface config (e.g. stlink), or J-Link target interface (SWD, JTAG)' },
+  target: { type: 'string', description: 'OpenOCD target config (e.g. stm32f4x)' },
+  board: { type: 'string', description: 'OpenOCD board config' },
+  speed: { type: 'integer', description: 'Adapter speed in kHz (OpenOCD, J-Link)' },
+  serial: { type: 'string', description: 'ST-Link probe serial number (see probe.listProbes)' },
+  probeId: { type: 'integer', minimum: 0, description: 'ST-Link probe index in st.listDevices (instead of serial)' },
+  options: { type: 'object', additionalProperties: true, description: 'Extra backend-specific arguments (e.g. searchDir, configFiles, extraCmds, tclPort)' },
+};
+
+// Probe results and errors share one JSON shape: { ok: true, backend, operation, ... } or
+// { ok: false, error: { code, backend, operation, message } }
+async function probeResult(fn) {
+  try {
+    return { content: [{ type: 'text', text: JSON.stringify(await fn(), null, 2) }] };
+  } catch (e) {
+    return { isError: true, content: [{ type: 'text', text: JSON.stringify({ ok: false, error: probe.describeError(e) }, null, 2) }] };
+  }
+}
+
+server.addTool(
+  {
+    name: 'probe.listProbes',
+    description: 'List attached debug probes across ST-Link and J-Link (OpenOCD cannot enumerate), with the capability matrix of every backend. Backends whose tools are missing are reported under errors.',
+    inputSchema: { type: 'object', properties: { backend: probeTargetProperties.backend }, additionalProperties: false },
+  },
+  async (args) => probeResult(() => probe.listProbes(args || {}))
+);
+
+server.addTool(
+  {
+    name: 'probe.connect',
+    description: 'Check that a probe reaches the target by reading the Cortex-M CPUID; returns the core, revision and the backend capabilities.',
+    inputSchema: { type: 'object', properties: { ...probeTargetProperties }, additionalProperties: false },
+  },
+  async (args) => probeResult(() => probe.connect(args || {}))
+);
+
+server.addTool(
+  {
+    name: 'probe.flash',
+    description: 'Flash a firmware image through the chosen probe backend.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...probeTargetProperties, path: { type: 'string' }, addr: { type: 'string', description: 'Load address for raw .bin images' } },
+      required: ['path'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => probeResult(() => probe.flash(args))
+);
+
+server.addTool(
+  {
+    name: 'probe.reset',
+    description: 'Reset the target and let it run.',
+    inputSchema: { type: 'object', properties: { ...probeTargetProperties }, additionalProperties: false },
+  },
+  async (args) => probeResult(() => probe.reset(args || {}))
+);
+
+server.addTool(
+  {
+    name: 'probe.readMemory',
+    description: 'Read target memory as bytes. Uses the backend\'s running debug server when there is one. width (8/16/32 access) is J-Link only.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...probeTargetProperties,
+        addr: { type: 'string', description: 'Address (0x... or decimal)' },
+        length: { type: 'integer', default: 4 },
+        width: { type: 'integer', enum: [8, 16, 32] },
+      },
+      required: ['addr'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => probeResult(() => probe.readMemory(args))
+);
+
+server.addTool(
+  {
+    name: 'probe.writeMemory',
+    description: 'Write target memory: one 8/16/32-bit value (single aligned access) or bytes. ST-Link needs probe.startDebug first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...probeTargetProperties,
+        addr: { type: 'string', description: 'Address (0x... or decimal)' },
+        value: { type: 'string', description: 'Value for a single 8/16/32-bit write (0x... or decimal)' },
+        width: { type: 'integer', enum: [8, 16, 32], default: 32 },
+        data: {
+          description: 'Bytes to write instead of value: hex string ("deadbeef") or array of byte values',
+          anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'integer', minimum: 0, maximum: 255 } }],
+        },
+        verify: { type: 'boolean', default: false },
+      },
+      required: ['addr'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => probeResult(() => probe.writeMemory(args))
+);
+
+server.addTool(
+  {
+    name: 'probe.startDebug',
+    description: 'Start the backend\'s GDB server (st-util, openocd or JLinkGDBServer); debug.* tools then use it.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...probeTargetProperties, port: { type: 'integer', description: 'GDB port (defaults: stlink 4242, openocd 3333, jlink 2331)' } },
+      required: ['backend'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => probeResult(() => probe.startDebug(args))
+);
+
+server.addTool(
+  {
+    name: 'probe.stopDebug',
+    description: 'Stop the backend\'s GDB server.',
+    inputSchema: { type: 'object', properties: { backend: probeTargetProperties.backend }, additionalProperties: false },
+  },
+  async (args) => probeResult(() => probe.stopDebug(args || {}))
+);
+
+// ---------------------------
+// Debug run control Tools (st-util / OpenOCD / JLinkGDBServer over GDB RSP)
+// ---------------------------
+
+const debugTargetProperties = {
+  server: { type: 'string', enum: ['stlink', 'openocd', 'jlink'], description: 'Which started debug server to use when several are running' },
+  port: { type: 'integer', description: 'GDB port of a server not started through this MCP server' },
+};
+
+const debugServerProperties = {
+  ...debugTargetProperties,
+  elf: { type: 'string', description: 'Firmware ELF file; adds the symbol at pc to the result' },
+};
+
+server.addTool(
+  {
+    name: 'debug.status',
+    description: 'Report whether the core is halted or running; when halted, the pc, stop signal and the breakpoint/watchpoint that triggered.',
+    inputSchema: { type: 'object', properties: { ...debugServerProperties }, additionalProperties: false },
+  },
+  async (args) => {
+    const res = await debug.getStatus(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.halt',
+    description: 'Halt the running core and report where it stopped.',
+    inputSchema: {
+      type: 'object',
+      properties: { ...debugServerProperties, timeoutMs: { type: 'integer', minimum: 1, maximum: 60000, default: 2000 } },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.halt(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.continue',
+    description: 'Resume the halted core. With wait, block until it stops (breakpoint, watchpoint, fault) or timeoutMs passes, and report the stop reason.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugServerProperties,
+        wait: { type: 'boolean', default: false },
+        timeoutMs: { type: 'integer', minimum: 1, maximum: 600000, default: 10000, description: 'wait: how long to wait for the stop' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.resume(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.runTo',
+    description: 'Run until an address or function (symbol looked up in the ELF) using a temporary breakpoint. Halts the core if it does not get there within timeoutMs.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugServerProperties,
+        addr: { type: 'string', description: 'Target address (hex 0x... or decimal)' },
+        symbol: { type: 'string', description: 'Function name; requires elf' },
+        hardware: { type: 'boolean', default: true, description: 'Use a hardware breakpoint (Z1); required for code in flash on most servers' },
+        timeoutMs: { type: 'integer', minimum: 1, maximum: 600000, default: 5000 },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.runTo(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.readCoreRegisters',
+    description: 'Read the named core registers of the halted core: r0-r12, sp, lr, pc, xpsr, msp, psp, primask, basepri, faultmask, control.',
+    inputSchema: { type: 'object', properties: { ...debugTargetProperties }, additionalProperties: false },
+  },
+  async (args) => {
+    const res = await debug.readCoreRegisters(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.writeCoreRegister',
+    description: 'Write one core register of the halted core (r0-r15/sp/lr/pc, xpsr, msp, psp, primask, basepri, faultmask, control) and read it back.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        name: { type: 'string', description: 'Register name, e.g. r0, pc, msp, control' },
+        value: { type: 'string', description: 'Value (0x... or decimal)' },
+      },
+      required: ['name', 'value'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.writeCoreRegister(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.writeMemory',
+    description: 'Write target memory through the running GDB server: one 8/16/32-bit value (single aligned access, suitable for peripheral registers) or a byte array.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        addr: { type: 'string', description: 'Address (0x... or decimal)' },
+        value: { type: 'string', description: 'Value for a single 8/16/32-bit write (0x... or decimal)' },
+        width: { type: 'integer', enum: [8, 16, 32], default: 32 },
+        data: {
+          description: 'Bytes to write instead of value: hex string ("deadbeef") or array of byte values',
+          anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'integer', minimum: 0, maximum: 255 } }],
+        },
+        verify: { type: 'boolean', default: false, description: 'Read the bytes back and compare (not for registers with side effects)' },
+      },
+      required: ['addr'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.writeMemory(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.readVariable',
+    description: 'Read a global variable by name using the firmware ELF symbol table and DWARF types; returns a typed value tree (structs, arrays, enums, bitfields). Paths like cfg.in.flags[1] select a member or element.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        name: { type: 'string', description: 'Variable name or path (e.g. counter, cfg.gain, table[2][1])' },
+        elf: { type: 'string', description: 'Firmware ELF built with -g (the image running on the target)' },
+        maxElements: { type: 'integer', minimum: 1, default: 64, description: 'Array elements decoded per array' },
+      },
+      required: ['name', 'elf'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.readVariable(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.writeVariable',
+    description: 'Write a scalar global variable, struct member, array element or bitfield by name, encoded with its DWARF type (range-checked; enums accept enumerator names). Returns the value read back.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        name: { type: 'string', description: 'Variable name or path (e.g. cfg.mode, cfg.bits)' },
+        value: { description: 'Number, boolean, numeric string (0x... allowed) or enumerator name', anyOf: [{ type: 'number' }, { type: 'boolean' }, { type: 'string' }] },
+        elf: { type: 'string', description: 'Firmware ELF built with -g (the image running on the target)' },
+      },
+      required: ['name', 'value', 'elf'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.writeVariable(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'debug.analyzeFault',
+    description: 'Explain a Cortex-M crash: halt the core, read SCB CFSR/HFSR/DFSR/MMFAR/BFAR/AFSR, pick the stack from EXC_RETURN, unwind the stacked exception frame (r0-r3, r12, LR, PC, xPSR) and decode every fault bit. With elf, the stacked PC/LR are shown as function and source line.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        elf: { type: 'string', description: 'Firmware ELF file; symbolizes the stacked PC/LR to function and source line' },
+        excReturn: { type: 'string', description: 'EXC_RETURN to use when LR no longer holds it (e.g. 0xfffffffd)' },
+        timeoutMs: { type: 'integer', minimum: 1, default: 2000, description: 'Time allowed for halting a running core' },
+      },
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.analyzeFault(args || {});
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+// ---------------------------
+// Peripheral register (CMSIS-SVD) Tools
+// ---------------------------
+
+const svdFileProperty = { type: 'string', description: 'Path to the device CMSIS-SVD file (e.g. STM32F407.svd)' };
+
+server.addTool(
+  {
+    name: 'svd.listPeripherals',
+    description: 'List the peripherals of a CMSIS-SVD device description with base addresses and register counts.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        svd: svdFileProperty,
+        filter: { type: 'string', description: 'Only peripherals whose name or group contains this text' },
+      },
+      required: ['svd'],
+      additionalProperties: false,
+    },
+  },
+  async ({ svd: svdPath, filter }) => {
+    const device = await svd.loadSvd(svdPath);
+    const res = { device: device.name, peripherals: svd.listPeripherals(device, { filter }) };
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'svd.listRegisters',
+    description: 'List the registers of one SVD peripheral with addresses, access, reset values and bitfield layout.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        svd: svdFileProperty,
+        peripheral: { type: 'string', description: 'Peripheral name, e.g. GPIOA' },
+      },
+      required: ['svd', 'peripheral'],
+      additionalProperties: false,
+    },
+  },
+  async ({ svd: svdPath, peripheral }) => {
+    const res = svd.listRegisters(await svd.loadSvd(svdPath), peripheral);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'svd.readRegister',
+    description: 'Read a peripheral register by name (e.g. GPIOA.ODR) through the running GDB server and decode every bitfield with its enumerated value name. Pass value to decode a known value offline.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        svd: svdFileProperty,
+        register: { type: 'string', description: 'PERIPHERAL.REGISTER, e.g. GPIOA.ODR or DMA1.CH2.CNDTR' },
+        value: { type: 'string', description: 'Decode this value instead of reading the target (0x... or decimal)' },
+      },
+      required: ['svd', 'register'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.readPeripheral(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
+);
+
+server.addTool(
+  {
+    name: 'svd.writeField',
+    description: 'Write bitfields of a peripheral register by name with read-modify-write (other fields keep their value; write-1-to-clear flags are not disturbed). Values may be numbers or enumerated value names.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...debugTargetProperties,
+        svd: svdFileProperty,
+        register: { type: 'string', description: 'PERIPHERAL.REGISTER, e.g. GPIOA.MODER' },
+        field: { type: 'string', description: 'Field name, e.g. MODER5' },
+        value: { description: 'Field value: number, 0x.../0b... string or enumerated value name', anyOf: [{ type: 'integer' }, { type: 'string' }] },
+        fields: { type: 'object', description: 'Several fields at once: { "MODER5": "Output", "MODER6": 1 }', additionalProperties: { anyOf: [{ type: 'integer' }, { type: 'string' }] } },
+      },
+      required: ['svd', 'register'],
+      additionalProperties: false,
+    },
+  },
+  async (args) => {
+    const res = await debug.writePeripheral(args);
+    return { content: [{ type: 'text', text: JSON.stringify(res, null, 2) }] };
+  }
 );
 
 // Compiler Tools
@@ -604,7 +1939,9 @@ await server.connect(transport);
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
-  try { await serial.closePort(); } catch {}
+  portwatch.stopWatch();
+  try { await bridge.stopAll(); } catch {}
+  try { await serial.closeAll(); } catch {}
   process.exit(0);
 });
 
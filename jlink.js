@@ -1,12 +1,19 @@
 // jlink.js
 // Provides J-Link (SEGGER) operations using JLink.exe / JLinkExe and JLinkGDBServerCL.exe.
-// Exposes: startDebug, stopDebug, flashFirmware, resetDevice, readRegister, version
+// Exposes: startDebug, stopDebug, getDebugServer, listProbes, flashFirmware, resetDevice,
+//          readRegister, writeMemory, version
+//
+// Commander (JLinkExe) runs a script file; its output is scanned for error lines ("Cannot connect
+// to target.", "Could not read memory.", ...), which become Errors carrying `code`, `lines` and
+// `output`. Memory is assumed little endian.
 
 import { spawn, execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { access } from 'node:fs/promises';
+import { access, writeFile, readFile, unlink } from 'node:fs/promises';
 import { constants as fsConstants } from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
+import * as gdbrsp from './gdbrsp.js';
 
 const execFileAsync = promisify(execFile);
 
@@ -34,10 +41,69 @@ async function isExecutable(cmd) {
   }
 }
 
-export async function version() {
+// Commander error lines -> error code
+const COMMANDER_ERRORS = [
+  [/Cannot connect to J-Link|Connecting to J-Link via USB\.*FAILED|No emulators? (found|connected)/i, 'NO_PROBE'],
+  [/(Cannot|Could not) connect to target|Failed to attach to CPU|Target voltage too low/i, 'NO_TARGET'],
+  [/Unknown device|Device ".*" (is )?unknown/i, 'UNKNOWN_DEVICE'],
+  [/(Could not|Failed to|Cannot) (read|write) (target )?memory|(Reading|Writing) target memory failed/i, 'MEMORY'],
+  [/(Could not|Failed to|Cannot|Unable to) open file|File not found/i, 'FILE'],
+  [/Unknown command|Syntax error/i, 'COMMAND'],
+  [/^\s*\*+\s*Error:|^\s*ERROR:/i, 'ERROR'],
+];
+
+// Error for the first Commander error line in `output`, or null
+function commanderError(what, output) {
+  const lines = [];
+  let code = null;
+  for (const line of output.split(/\r?\n/)) {
+    const hit = COMMANDER_ERRORS.find(([re]) => re.test(line));
+    if (!hit) continue;
+    lines.push(line.replace(/^J-Link>/, '').trim());
+    code = code || hit[1];
+  }
+  if (!lines.length) return null;
+  const err = new Error(`J-Link ${what} failed: ${lines[0]}`);
+  err.code = code;
+  err.lines = lines;
+  err.output = output;
+  return err;
+}
+
+const quoteFile = (p) => (/\s/.test(p) ? `"${p}"` : p);
+
+// Run a Commander script: device/interface/speed selection, `commands`, exit. Throws a
+// structured error when Commander reports one.
+async function runCommander(what, { device, if: iface = 'SWD', speed = 4000 }, commands, { connect = false } = {}) {
   const bin = resolveJlink();
   if (!(await isExecutable(bin))) throw new Error('J-Link CLI not found. Set JLINK_EXE_PATH or add to PATH.');
-  const { stdout } = await execFileAsync(bin, ['-CommanderScript', '-'], { windowsHide: true, input: 'exit\n' });
+  const script = [
+    device ? `device ${device}` : null,
+    iface ? `if ${iface}` : null,
+    speed ? `speed ${speed}` : null,
+    connect && device ? 'connect' : null,
+    ...commands,
+    'exit',
+  ].filter(Boolean).join('\n');
+  const scriptFile = path.join(os.tmpdir(), `jlink_${Date.now()}_${Math.random().toString(16).slice(2)}.jlink`);
+  await writeFile(scriptFile, `${script}\n`);
+  let stdout;
+  let stderr;
+  try {
+    ({ stdout, stderr } = await execFileAsync(bin, ['-CommanderScript', scriptFile], { windowsHide: true, maxBuffer: 10 * 1024 * 1024 }));
+  } catch (e) {
+    const output = `${e?.stdout || ''}${e?.stderr || ''}`;
+    throw commanderError(what, output) || new Error(`J-Link ${what} failed: ${output || e?.message || String(e)}`);
+  } finally {
+    try { await unlink(scriptFile); } catch {}
+  }
+  const err = commanderError(what, `${stdout}${stderr}`);
+  if (err) throw err;
+  return { stdout, stderr };
+}
+
+export async function version() {
+  const { stdout } = await runCommander('version', { if: null, speed: null }, []);
   return { tool: 'jlink', stdout };
 }
 
@@ -77,8 +143,31 @@ export async function startDebug({ device, if: iface = 'SWD', speed = 4000, port
   });
 }
 
+// listProbes: connected J-Links from ShowEmuList
+// ("J-Link[0]: Connection: USB, Serial number: 801012345, ProductName: J-Link EDU")
+export async function listProbes() {
+  let stdout;
+  try {
+    ({ stdout } = await runCommander('list', { if: null, speed: null }, ['ShowEmuList']));
+  } catch (e) {
+    if (e.code === 'NO_PROBE') return { tool: 'jlink', probes: [] };
+    throw e;
+  }
+  const probes = [];
+  for (const m of stdout.matchAll(/J-Link\[(\d+)\]:\s*Connection:\s*([^,]+),\s*Serial number:\s*(\d+),\s*ProductName:\s*(.+?)\s*$/gm)) {
+    probes.push({ index: Number(m[1]), connection: m[2].trim(), serial: m[3], product: m[4] });
+  }
+  return { tool: 'jlink', probes };
+}
+
+// GDB port of the JLinkGDBServer started by startDebug, or null
+export function getDebugServer() {
+  return gdbServerProc ? { server: 'jlink', port: gdbPort } : null;
+}
+
 export async function stopDebug() {
   if (!gdbServerProc) return { message: 'JLinkGDBServer not running' };
+  gdbrsp.closeClient({ port: gdbPort });
   return await new Promise((resolve) => {
     const child = gdbServerProc;
     gdbServerProc = null;
@@ -94,68 +183,143 @@ export async function stopDebug() {
 
 export async function flashFirmware({ path: fwPath, device, if: iface = 'SWD', speed = 4000, addr }) {
   if (typeof fwPath !== 'string' || fwPath.length === 0) throw new Error('Invalid firmware path');
-  const bin = resolveJlink();
-  if (!(await isExecutable(bin))) throw new Error('J-Link CLI not found. Set JLINK_EXE_PATH or add to PATH.');
   const abs = path.isAbsolute(fwPath) ? fwPath : path.resolve(process.cwd(), fwPath);
-  const script = [
-    device ? `device ${device}` : null,
-    `if ${iface}`,
-    `speed ${speed}`,
+  const { stdout, stderr } = await runCommander('flash', { device, if: iface, speed }, [
     'r',
-    addr ? `loadfile ${abs} ${addr}` : `loadfile ${abs}`,
+    addr ? `loadfile ${quoteFile(abs)} ${addr}` : `loadfile ${quoteFile(abs)}`,
     'r',
     'g',
-    'exit'
-  ].filter(Boolean).join('\n');
-  try {
-    const { stdout, stderr } = await execFileAsync(bin, ['-CommanderScript', '-'], { windowsHide: true, input: script });
-    return { tool: 'jlink', stdout, stderr };
-  } catch (e) {
-    const msg = e?.stderr || e?.stdout || e?.message || String(e);
-    throw new Error(`J-Link flash failed: ${msg}`);
-  }
+  ]);
+  return { tool: 'jlink', stdout, stderr };
 }
 
 export async function resetDevice({ device, if: iface = 'SWD', speed = 4000 }) {
-  const bin = resolveJlink();
-  if (!(await isExecutable(bin))) throw new Error('J-Link CLI not found. Set JLINK_EXE_PATH or add to PATH.');
-  const script = [
-    device ? `device ${device}` : null,
-    `if ${iface}`,
-    `speed ${speed}`,
-    'r',
-    'g',
-    'exit'
-  ].filter(Boolean).join('\n');
-  try {
-    const { stdout, stderr } = await execFileAsync(bin, ['-CommanderScript', '-'], { windowsHide: true, input: script });
-    return { tool: 'jlink', stdout, stderr };
-  } catch (e) {
-    const msg = e?.stderr || e?.stdout || e?.message || String(e);
-    throw new Error(`J-Link reset failed: ${msg}`);
+  const { stdout, stderr } = await runCommander('reset', { device, if: iface, speed }, ['r', 'g']);
+  return { tool: 'jlink', stdout, stderr };
+}
+
+function parseNumber(value, name) {
+  if (typeof value === 'number') return value >>> 0;
+  const v = String(value).trim().toLowerCase().startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+  if (!Number.isFinite(v)) throw new Error(`${name} is not a valid number`);
+  return v >>> 0;
+}
+
+const hex = (v) => `0x${(v >>> 0).toString(16)}`;
+const hex32 = (v) => `0x${(v >>> 0).toString(16).padStart(8, '0')}`;
+
+// mem8/mem16/mem32 output: "20000000 = 12345678 9ABCDEF0 ..." (mem8 adds an ASCII column) -> bytes
+function parseMemOutput(output, address, count, width) {
+  const size = width / 8;
+  const digits = size * 2;
+  const line = new RegExp(`^\\s*([0-9A-Fa-f]{8})\\s*=\\s*((?:[0-9A-Fa-f]{${digits}} )*[0-9A-Fa-f]{${digits}})(?=\\s|$)`);
+  const buf = Buffer.alloc(count * size);
+  let n = 0;
+  for (const text of output.split(/\r?\n/)) {
+    const m = line.exec(text.replace(/^J-Link>/, ''));
+    if (!m || parseInt(m[1], 16) !== (address + n * size) >>> 0) continue;
+    for (const v of m[2].split(' ')) {
+      if (n >= count) break;
+      buf.writeUIntLE(parseInt(v, 16), n * size, size);
+      n += 1;
+    }
   }
+  if (n !== count) throw new Error(`J-Link read failed: expected ${count} ${width}-bit values at ${hex32(address)}, got ${n}`);
+  return buf;
 }
 
-export async function readRegister({ addr, length = 4, device, if: iface = 'SWD', speed = 4000 }) {
-  // J-Link Commander does not provide a simple binary dump command; using mem read prints ASCII.
-  // For MVP, read 32-bit register via mem32.
+// readRegister: `length` bytes as { bytes }. width 8/16/32 reads with mem8/mem16/mem32 (addr and
+// length aligned to the width); without width, up to 256 bytes use mem32 when aligned (mem8
+// otherwise) and longer reads go through savebin.
+export async function readRegister({ addr, length = 4, width, device, if: iface = 'SWD', speed = 4000 }) {
   if (addr == null) throw new Error('addr required');
-  const bin = resolveJlink();
-  if (!(await isExecutable(bin))) throw new Error('J-Link CLI not found. Set JLINK_EXE_PATH or add to PATH.');
-  const script = [
-    device ? `device ${device}` : null,
-    `if ${iface}`,
-    `speed ${speed}`,
-    `mem32 ${addr} ${Math.max(1, Math.ceil((typeof length === 'string' ? parseInt(length, 10) : length) / 4))}`,
-    'exit'
-  ].filter(Boolean).join('\n');
-  try {
-    const { stdout } = await execFileAsync(bin, ['-CommanderScript', '-'], { windowsHide: true, input: script });
-    return { tool: 'jlink', output: stdout };
-  } catch (e) {
-    const msg = e?.stderr || e?.stdout || e?.message || String(e);
-    throw new Error(`J-Link read failed: ${msg}`);
+  const address = parseNumber(addr, 'addr');
+  const size = typeof length === 'string' ? parseInt(length, 10) : length;
+  if (!Number.isInteger(size) || size < 1) throw new Error('length must be a positive integer');
+  if (width != null && ![8, 16, 32].includes(width)) throw new Error('width must be 8, 16 or 32');
+  const opts = { device, if: iface, speed };
+  if (width == null && size > 256) {
+    const tmpFile = path.join(os.tmpdir(), `jlinkread_${Date.now()}_${Math.random().toString(16).slice(2)}.bin`);
+    try {
+      await runCommander('read', opts, [`savebin ${quoteFile(tmpFile)}, ${hex(address)}, ${hex(size)}`], { connect: true });
+      const data = await readFile(tmpFile);
+      if (data.length !== size) throw new Error(`J-Link read failed: savebin wrote ${data.length} of ${size} bytes`);
+      return { tool: 'jlink', addr: hex32(address), access: 'savebin', bytes: Array.from(data.values()) };
+    } finally {
+      try { await unlink(tmpFile); } catch {}
+    }
   }
+  const w = width ?? (address % 4 === 0 && size % 4 === 0 ? 32 : 8);
+  const bytesPer = w / 8;
+  if (address % bytesPer || size % bytesPer) throw new Error(`addr and length must be ${bytesPer}-byte aligned for ${w}-bit reads`);
+  const count = size / bytesPer;
+  const { stdout } = await runCommander('read', opts, [`mem${w} ${hex(address)}, ${hex(count)}`], { connect: true });
+  const data = parseMemOutput(stdout, address, count, w);
+  return { tool: 'jlink', addr: hex32(address), access: `mem${w}`, bytes: Array.from(data.values()) };
 }
 
+function parseBytes(data) {
+  if (Array.isArray(data)) {
+    if (!data.every((b) => Number.isInteger(b) && b >= 0 && b <= 0xff)) throw new Error('data array must contain byte values 0..255');
+    return Buffer.from(data);
+  }
+  const text = String(data).replace(/^0x/i, '').replace(/[\s:_-]/g, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(text)) throw new Error('data must be a hex string (e.g. "deadbeef") or an array of bytes');
+  return Buffer.from(text, 'hex');
+}
 
+// writeMemory: one 8/16/32-bit value (w1/w2/w4, a single aligned access), a byte array / hex
+// string (w1 per byte up to 64 bytes, loadbin from a temporary file beyond that), or a binary
+// file (`path`, loadbin). verify reads the bytes back.
+export async function writeMemory({ addr, value, width = 32, data, path: binPath, verify = false, device, if: iface = 'SWD', speed = 4000 } = {}) {
+  if (addr == null) throw new Error('writeMemory requires addr');
+  const address = parseNumber(addr, 'addr');
+  const opts = { device, if: iface, speed };
+  let buf;
+  let method;
+  let commands;
+  let tmpFile = null;
+  if (binPath) {
+    const abs = path.isAbsolute(binPath) ? binPath : path.resolve(process.cwd(), binPath);
+    buf = await readFile(abs);
+    method = 'loadbin';
+    commands = [`loadbin ${quoteFile(abs)}, ${hex(address)}`];
+  } else if (data != null) {
+    buf = parseBytes(data);
+    if (buf.length === 0) throw new Error('data is empty');
+    if (buf.length <= 64) {
+      method = 'w1';
+      commands = Array.from(buf.values(), (b, i) => `w1 ${hex(address + i)}, ${hex(b)}`);
+    } else {
+      tmpFile = path.join(os.tmpdir(), `jlinkwrite_${Date.now()}_${Math.random().toString(16).slice(2)}.bin`);
+      await writeFile(tmpFile, buf);
+      method = 'loadbin';
+      commands = [`loadbin ${quoteFile(tmpFile)}, ${hex(address)}`];
+    }
+  } else {
+    if (value == null) throw new Error('writeMemory requires value (with width), data or path');
+    if (![8, 16, 32].includes(width)) throw new Error('width must be 8, 16 or 32');
+    const bytes = width / 8;
+    if (address % bytes) throw new Error(`addr must be ${bytes}-byte aligned for a ${width}-bit write`);
+    const v = parseNumber(value, 'value');
+    if (width < 32 && v >= 2 ** width) throw new Error(`value does not fit in ${width} bits`);
+    buf = Buffer.alloc(bytes);
+    buf.writeUIntLE(v, 0, bytes);
+    method = `w${bytes}`;
+    commands = [`w${bytes} ${hex(address)}, ${hex(v)}`];
+  }
+  try {
+    await runCommander('write', opts, commands, { connect: true });
+  } finally {
+    if (tmpFile) try { await unlink(tmpFile); } catch {}
+  }
+  const res = { tool: 'jlink', addr: hex32(address), access: method, bytes: buf.length };
+  if (buf.length <= 64) res.data = buf.toString('hex');
+  if (verify) {
+    const readWidth = data == null && !binPath ? width : undefined;
+    const back = Buffer.from((await readRegister({ addr: address, length: buf.length, width: readWidth, ...opts })).bytes);
+    res.verified = back.equals(buf);
+    if (!res.verified) res.readBack = back.toString('hex');
+  }
+  return res;
+}
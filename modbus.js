@@ -0,0 +1,317 @@
+// modbus.js
+// Modbus RTU master over an open serial.js session.
+// Exposes: readCoils, readDiscreteInputs, readHoldingRegisters, readInputRegisters,
+//          writeSingleCoil, writeSingleRegister, writeMultipleCoils, writeMultipleRegisters,
+//          decodeRegisters, encodeValues
+//
+// Frames are [unit, function, data..., crcLo, crcHi]. Before each request the master keeps
+// the bus silent for 3.5 character times (fixed 1.75 ms above 19200 baud) and drops stale input.
+// Register data can be decoded as uint16/int16/uint32/int32/float32; 32-bit values span two
+// registers ordered by wordOrder ('big' = high word first) and byteOrder within each register.
+// Addresses are 0-based protocol addresses (holding register 40001 is address 0).
+
+import * as serial from './serial.js';
+import { crc16Modbus } from './crc.js';
+
+const FC = {
+  READ_COILS: 0x01,
+  READ_DISCRETE_INPUTS: 0x02,
+  READ_HOLDING_REGISTERS: 0x03,
+  READ_INPUT_REGISTERS: 0x04,
+  WRITE_SINGLE_COIL: 0x05,
+  WRITE_SINGLE_REGISTER: 0x06,
+  WRITE_MULTIPLE_COILS: 0x0f,
+  WRITE_MULTIPLE_REGISTERS: 0x10,
+};
+
+const EXCEPTIONS = {
+  1: 'Illegal function',
+  2: 'Illegal data address',
+  3: 'Illegal data value',
+  4: 'Server device failure',
+  5: 'Acknowledge (request accepted, processing)',
+  6: 'Server device busy',
+  8: 'Memory parity error',
+  10: 'Gateway path unavailable',
+  11: 'Gateway target device failed to respond',
+};
+
+const TYPE_REGISTERS = { uint16: 1, int16: 1, uint32: 2, int32: 2, float32: 2 };
+// Values outside these ranges (or fractional ones) are refused instead of being wrapped or truncated
+const TYPE_RANGES = {
+  uint16: [0, 0xffff],
+  int16: [-0x8000, 0x7fff],
+  uint32: [0, 0xffffffff],
+  int32: [-0x80000000, 0x7fffffff],
+};
+const FLOAT32_MAX = 3.4028234663852886e38;
+
+// sessionId -> timestamp (ms) when the bus last carried a frame
+const lastBusActivity = new Map();
+// sessionId -> tail of the request chain: one request/response on the bus at a time
+const busChains = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function serialize(id, fn) {
+  const run = (busChains.get(id) || Promise.resolve()).then(fn, fn);
+  const tail = run.catch(() => {});
+  busChains.set(id, tail);
+  tail.then(() => {
+    if (busChains.get(id) === tail) busChains.delete(id);
+  });
+  return run;
+}
+
+function silenceMs(baudRate) {
+  // 3.5 characters of 11 bits each; the spec fixes 1750 us above 19200 baud
+  if (!baudRate || baudRate > 19200) return 1.75;
+  return (3.5 * 11 * 1000) / baudRate;
+}
+
+function withCrc(pdu) {
+  const crc = crc16Modbus(pdu);
+  return Buffer.concat([pdu, Buffer.from([crc & 0xff, crc >> 8])]);
+}
+
+function checkUnit(unitId, allowBroadcast) {
+  if (!Number.isInteger(unitId) || unitId < (allowBroadcast ? 0 : 1) || unitId > 247) {
+    throw new Error(`unitId must be ${allowBroadcast ? '0' : '1'}..247`);
+  }
+}
+
+function checkRange(name, v, min, max) {
+  if (!Number.isInteger(v) || v < min || v > max) throw new Error(`${name} must be an integer in ${min}..${max}`);
+}
+
+function exceptionError(unitId, fc, code) {
+  const text = EXCEPTIONS[code] || 'Unknown exception';
+  const e = new Error(`Modbus exception ${code} (${text}) from unit ${unitId} for function 0x${fc.toString(16).padStart(2, '0')}`);
+  e.exceptionCode = code;
+  e.exceptionText = text;
+  return e;
+}
+
+async function readExact(sessionId, length, timeoutMs, what) {
+  const buf = await serial.readRaw({ sessionId, length, timeoutMs });
+  if (!buf) throw new Error(`Modbus timeout waiting for ${what}`);
+  return buf;
+}
+
+// Receive one response. Length follows from the function code, so no silence detection is needed.
+async function readResponse(sessionId, unitId, fc, timeoutMs, charTimeoutMs) {
+  const head = await readExact(sessionId, 2, timeoutMs, `response from unit ${unitId}`);
+  let rest;
+  if (head[1] === (fc | 0x80)) {
+    rest = await readExact(sessionId, 3, charTimeoutMs, 'exception frame');
+  } else if (fc <= FC.READ_INPUT_REGISTERS) {
+    const count = await readExact(sessionId, 1, charTimeoutMs, 'byte count');
+    rest = Buffer.concat([count, await readExact(sessionId, count[0] + 2, charTimeoutMs, 'response data')]);
+  } else {
+    rest = await readExact(sessionId, 6, charTimeoutMs, 'response data');
+  }
+  const frame = Buffer.concat([head, rest]);
+  const crc = crc16Modbus(frame.subarray(0, frame.length - 2));
+  if (frame.readUInt16LE(frame.length - 2) !== crc) throw new Error(`Modbus CRC error in response from unit ${unitId}`);
+  if (frame[0] !== unitId) throw new Error(`Modbus response from unexpected unit ${frame[0]} (expected ${unitId})`);
+  if (frame[1] === (fc | 0x80)) throw exceptionError(unitId, fc, frame[2]);
+  if (frame[1] !== fc) throw new Error(`Modbus response has function 0x${frame[1].toString(16)} (expected 0x${fc.toString(16)})`);
+  return frame.subarray(2, frame.length - 2);
+}
+
+// Send a request PDU and return the response PDU data (without unit, function and CRC).
+// Timeouts and CRC errors are retried; exception responses are not. Requests on one session are
+// queued, so concurrent callers never read each other's response.
+async function request({ sessionId, unitId, fc, data, timeoutMs = 1000, retries = 0 }) {
+  const info = serial.getPortInfo({ sessionId });
+  const id = info.sessionId;
+  const silence = silenceMs(info.settings.baudRate);
+  // Generous inter-character allowance: USB adapters deliver frames in bursts
+  const charTimeoutMs = Math.max(50, Math.ceil(silence * 10));
+  const frame = withCrc(Buffer.concat([Buffer.from([unitId, fc]), data]));
+  return serialize(id, async () => {
+    let lastError = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const since = Date.now() - (lastBusActivity.get(id) || 0);
+      if (since < silence) await sleep(Math.ceil(silence - since));
+      serial.flushInput({ sessionId: id });
+      await serial.writeRaw({ sessionId: id, buffer: frame });
+      try {
+        if (unitId === 0) return null; // broadcast: no response
+        return await readResponse(id, unitId, fc, timeoutMs, charTimeoutMs);
+      } catch (e) {
+        if (e.exceptionCode != null) throw e;
+        lastError = e;
+      } finally {
+        lastBusActivity.set(id, Date.now());
+      }
+    }
+    throw lastError;
+  });
+}
+
+// ---------------------------
+// Typed register values
+// ---------------------------
+
+function registersToBuffer(regs, { wordOrder = 'big', byteOrder = 'big' } = {}, width = 1) {
+  const buf = Buffer.alloc(regs.length * 2);
+  for (let i = 0; i < regs.length; i += width) {
+    const group = regs.slice(i, i + width);
+    if (wordOrder === 'little') group.reverse();
+    group.forEach((r, j) => {
+      if (byteOrder === 'little') buf.writeUInt16LE(r, (i + j) * 2);
+      else buf.writeUInt16BE(r, (i + j) * 2);
+    });
+  }
+  return buf;
+}
+
+export function decodeRegisters(regs, { type = 'uint16', wordOrder = 'big', byteOrder = 'big' } = {}) {
+  const width = TYPE_REGISTERS[type];
+  if (!width) throw new Error(`Unknown register type: ${type}`);
+  const buf = registersToBuffer(regs, { wordOrder, byteOrder }, width);
+  const out = [];
+  for (let off = 0; off + width * 2 <= buf.length; off += width * 2) {
+    if (type === 'uint16') out.push(buf.readUInt16BE(off));
+    else if (type === 'int16') out.push(buf.readInt16BE(off));
+    else if (type === 'uint32') out.push(buf.readUInt32BE(off));
+    else if (type === 'int32') out.push(buf.readInt32BE(off));
+    else out.push(buf.readFloatBE(off));
+  }
+  return out;
+}
+
+export function encodeValues(values, { type = 'uint16', wordOrder = 'big', byteOrder = 'big' } = {}) {
+  const width = TYPE_REGISTERS[type];
+  if (!width) throw new Error(`Unknown register type: ${type}`);
+  values.forEach((v, i) => {
+    if (TYPE_RANGES[type]) checkRange(`${type} value ${v} at index ${i}`, v, ...TYPE_RANGES[type]);
+    else if (typeof v !== 'number' || !(Math.abs(v) <= FLOAT32_MAX)) throw new Error(`float32 value ${v} at index ${i} must be a finite number within the float32 range`);
+  });
+  const buf = Buffer.alloc(values.length * width * 2);
+  values.forEach((v, i) => {
+    const off = i * width * 2;
+    if (type === 'uint16') buf.writeUInt16BE(v, off);
+    else if (type === 'int16') buf.writeInt16BE(v, off);
+    else if (type === 'uint32') buf.writeUInt32BE(v, off);
+    else if (type === 'int32') buf.writeInt32BE(v, off);
+    else buf.writeFloatBE(v, off);
+  });
+  // Big-endian words in big-endian order, then reshuffle with the inverse of registersToBuffer
+  const regs = [];
+  for (let off = 0; off < buf.length; off += width * 2) {
+    const group = [];
+    for (let j = 0; j < width; j++) group.push(buf.readUInt16BE(off + j * 2));
+    if (wordOrder === 'little') group.reverse();
+    for (const r of group) regs.push(byteOrder === 'little' ? ((r & 0xff) << 8) | (r >> 8) : r);
+  }
+  return regs;
+}
+
+// ---------------------------
+// Function codes
+// ---------------------------
+
+async function readBits(fc, { sessionId, unitId = 1, address = 0, count = 1, timeoutMs, retries }) {
+  checkUnit(unitId, false);
+  checkRange('address', address, 0, 0xffff);
+  checkRange('count', count, 1, 2000);
+  const data = Buffer.alloc(4);
+  data.writeUInt16BE(address, 0);
+  data.writeUInt16BE(count, 2);
+  const pdu = await request({ sessionId, unitId, fc, data, timeoutMs, retries });
+  const bytes = pdu.subarray(1, 1 + pdu[0]);
+  const values = [];
+  for (let i = 0; i < count; i++) values.push(((bytes[i >> 3] >> (i & 7)) & 1) === 1);
+  return { unitId, address, count, values };
+}
+
+async function readRegisters(fc, { sessionId, unitId = 1, address = 0, count = 1, type = 'uint16', wordOrder = 'big', byteOrder = 'big', timeoutMs, retries }) {
+  checkUnit(unitId, false);
+  checkRange('address', address, 0, 0xffff);
+  const width = TYPE_REGISTERS[type];
+  if (!width) throw new Error(`Unknown register type: ${type}`);
+  // A read returns at most 125 registers: 125 16-bit or 62 32-bit values
+  checkRange(`count of ${type} values`, count, 1, Math.floor(125 / width));
+  const quantity = count * width;
+  const data = Buffer.alloc(4);
+  data.writeUInt16BE(address, 0);
+  data.writeUInt16BE(quantity, 2);
+  const pdu = await request({ sessionId, unitId, fc, data, timeoutMs, retries });
+  if (pdu[0] !== quantity * 2) throw new Error(`Modbus response carries ${pdu[0]} bytes, expected ${quantity * 2}`);
+  const raw = [];
+  for (let i = 0; i < quantity; i++) raw.push(pdu.readUInt16BE(1 + i * 2));
+  return { unitId, address, type, wordOrder, byteOrder, raw, values: decodeRegisters(raw, { type, wordOrder, byteOrder }) };
+}
+
+export async function readCoils(args = {}) {
+  return await readBits(FC.READ_COILS, args);
+}
+
+export async function readDiscreteInputs(args = {}) {
+  return await readBits(FC.READ_DISCRETE_INPUTS, args);
+}
+
+export async function readHoldingRegisters(args = {}) {
+  return await readRegisters(FC.READ_HOLDING_REGISTERS, args);
+}
+
+export async function readInputRegisters(args = {}) {
+  return await readRegisters(FC.READ_INPUT_REGISTERS, args);
+}
+
+export async function writeSingleCoil({ sessionId, unitId = 1, address, value, timeoutMs, retries } = {}) {
+  checkUnit(unitId, true);
+  checkRange('address', address, 0, 0xffff);
+  const data = Buffer.alloc(4);
+  data.writeUInt16BE(address, 0);
+  data.writeUInt16BE(value ? 0xff00 : 0x0000, 2);
+  await request({ sessionId, unitId, fc: FC.WRITE_SINGLE_COIL, data, timeoutMs, retries });
+  return { ok: true, unitId, address, value: !!value };
+}
+
+export async function writeSingleRegister({ sessionId, unitId = 1, address, value, type = 'uint16', timeoutMs, retries } = {}) {
+  checkUnit(unitId, true);
+  checkRange('address', address, 0, 0xffff);
+  if (type !== 'uint16' && type !== 'int16') throw new Error('writeSingleRegister supports uint16/int16; use writeMultipleRegisters for 32-bit types');
+  const [reg] = encodeValues([value], { type });
+  const data = Buffer.alloc(4);
+  data.writeUInt16BE(address, 0);
+  data.writeUInt16BE(reg, 2);
+  await request({ sessionId, unitId, fc: FC.WRITE_SINGLE_REGISTER, data, timeoutMs, retries });
+  return { ok: true, unitId, address, value, raw: [reg] };
+}
+
+export async function writeMultipleCoils({ sessionId, unitId = 1, address, values, timeoutMs, retries } = {}) {
+  checkUnit(unitId, true);
+  checkRange('address', address, 0, 0xffff);
+  if (!Array.isArray(values)) throw new Error('values must be an array of booleans');
+  checkRange('coil count', values.length, 1, 1968);
+  const bytes = Buffer.alloc(Math.ceil(values.length / 8));
+  values.forEach((v, i) => { if (v) bytes[i >> 3] |= 1 << (i & 7); });
+  const head = Buffer.alloc(5);
+  head.writeUInt16BE(address, 0);
+  head.writeUInt16BE(values.length, 2);
+  head[4] = bytes.length;
+  await request({ sessionId, unitId, fc: FC.WRITE_MULTIPLE_COILS, data: Buffer.concat([head, bytes]), timeoutMs, retries });
+  return { ok: true, unitId, address, count: values.length };
+}
+
+export async function writeMultipleRegisters({ sessionId, unitId = 1, address, values, type = 'uint16', wordOrder = 'big', byteOrder = 'big', timeoutMs, retries } = {}) {
+  checkUnit(unitId, true);
+  checkRange('address', address, 0, 0xffff);
+  if (!Array.isArray(values) || values.length === 0) throw new Error('values must be a non-empty array');
+  const regs = encodeValues(values, { type, wordOrder, byteOrder });
+  checkRange('register quantity', regs.length, 1, 123);
+  const head = Buffer.alloc(5);
+  head.writeUInt16BE(address, 0);
+  head.writeUInt16BE(regs.length, 2);
+  head[4] = regs.length * 2;
+  const body = Buffer.alloc(regs.length * 2);
+  regs.forEach((r, i) => body.writeUInt16BE(r, i * 2));
+  await request({ sessionId, unitId, fc: FC.WRITE_MULTIPLE_REGISTERS, data: Buffer.concat([head, body]), timeoutMs, retries });
+  return { ok: true, unitId, address, type, count: values.length, raw: regs };
+}
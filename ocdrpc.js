@@ -0,0 +1,291 @@
+// ocdrpc.js
+// Client for a running OpenOCD's command ports: the Tcl RPC port (default 6666) and, as a
+// fallback, the telnet port (default 4444). Output of common commands is parsed.
+// Exposes: connect, getClient, closeClient, closeAll, tclQuote, parseOutput
+//
+// Tcl RPC: each script is sent terminated by 0x1a and the result comes back terminated by 0x1a.
+// Commands are wrapped as `catch {capture {...}}` so that both the printed output and the error
+// status come back (capture needs OpenOCD 0.11 or later; older servers fall back to the command
+// result only). Telnet: the command is sent as a line and the reply is everything up to the next
+// `> ` prompt, minus the echo and telnet negotiation bytes; errors are recognized by their text.
+// One command is in flight per connection; a timeout closes it (getClient then reconnects).
+
+import net from 'node:net';
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const TCL_TERMINATOR = 0x1a;
+const MAX_REPLY = 4 * 1024 * 1024;
+
+// tclQuote: one Tcl word holding `s` verbatim (braces when balanced, backslashes otherwise)
+export function tclQuote(s) {
+  const str = String(s);
+  let depth = 0;
+  let balanced = !/\\$/.test(str);
+  for (const ch of str) {
+    if (ch === '{') depth += 1;
+    else if (ch === '}' && --depth < 0) balanced = false;
+  }
+  if (balanced && depth === 0 && !/\\[{}]/.test(str)) return `{${str}}`;
+  return str.replace(/[\\{}[\]$";\s]/g, (ch) => (ch === '\n' ? '\\n' : `\\${ch}`));
+}
+
+// Strip telnet IAC sequences (option negotiation and subnegotiation)
+function stripTelnet(buf) {
+  const out = [];
+  for (let i = 0; i < buf.length; i++) {
+    if (buf[i] !== 0xff) {
+      out.push(buf[i]);
+      continue;
+    }
+    const cmd = buf[i + 1];
+    if (cmd === 0xff) {
+      out.push(0xff);
+      i += 1;
+    } else if (cmd === 0xfa) {
+      const end = buf.indexOf(0xf0, i + 2);
+      i = end < 0 ? buf.length : end;
+    } else if (cmd >= 0xfb && cmd <= 0xfe) {
+      i += 2;
+    } else {
+      i += 1;
+    }
+  }
+  return Buffer.from(out);
+}
+
+const TELNET_ERROR = /^\s*(error\b|invalid command name|.*: command requires more arguments)/im;
+
+export async function connect({ host = '127.0.0.1', port, mode = 'tcl', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error('connect requires a TCP port');
+  if (mode !== 'tcl' && mode !== 'telnet') throw new Error("mode must be 'tcl' or 'telnet'");
+  const socket = await new Promise((resolve, reject) => {
+    const s = net.connect({ host, port });
+    const timer = setTimeout(() => { s.destroy(); reject(new Error(`Timed out connecting to OpenOCD ${mode} port ${host}:${port}`)); }, timeoutMs);
+    s.once('connect', () => { clearTimeout(timer); resolve(s); });
+    s.once('error', (e) => { clearTimeout(timer); reject(new Error(`Cannot connect to OpenOCD ${mode} port ${host}:${port}: ${e.message}`)); });
+  });
+  socket.setNoDelay(true);
+
+  const c = { host, port, mode, closed: false, capture: true };
+  let buf = Buffer.alloc(0);
+  let waiter = null; // { match(buf) -> reply | null, resolve, reject, timer }
+  let chain = Promise.resolve();
+
+  function pump() {
+    if (!waiter) return;
+    const reply = waiter.match();
+    if (reply == null) return;
+    const w = waiter;
+    waiter = null;
+    clearTimeout(w.timer);
+    w.resolve(reply);
+  }
+
+  socket.on('data', (d) => {
+    buf = Buffer.concat([buf, mode === 'telnet' ? stripTelnet(d) : d]);
+    if (buf.length > MAX_REPLY) buf = buf.subarray(buf.length - MAX_REPLY);
+    pump();
+  });
+
+  function fail(err) {
+    c.closed = true;
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.reject(err);
+      waiter = null;
+    }
+  }
+  socket.on('error', (e) => fail(new Error(`OpenOCD connection error: ${e.message}`)));
+  socket.on('close', () => fail(new Error('OpenOCD closed the connection')));
+
+  // Bytes up to the terminator (Tcl) or the next prompt (telnet), consumed from the buffer
+  function takeTcl() {
+    const end = buf.indexOf(TCL_TERMINATOR);
+    if (end < 0) return null;
+    const reply = buf.subarray(0, end).toString('utf8');
+    buf = buf.subarray(end + 1);
+    return reply;
+  }
+  function takeTelnet() {
+    const text = buf.toString('latin1');
+    const m = /(^|\n)> $/.exec(text);
+    if (!m) return null;
+    buf = Buffer.alloc(0);
+    return text.slice(0, m.index + m[1].length);
+  }
+
+  function exchange(data, take, ms) {
+    return new Promise((resolve, reject) => {
+      if (c.closed) return reject(new Error('OpenOCD connection is closed'));
+      waiter = {
+        match: take,
+        resolve,
+        reject,
+        // A late reply would be taken as the next command's, so the connection is dropped;
+        // getClient reconnects on the next call
+        timer: setTimeout(() => {
+          waiter = null;
+          c.close();
+          reject(new Error(`OpenOCD did not answer within ${ms} ms; connection closed`));
+        }, ms),
+      };
+      socket.write(data);
+      pump();
+    });
+  }
+
+  function serialize(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  async function tclCommand(command, ms) {
+    const inner = c.capture ? `capture ${tclQuote(command)}` : command;
+    const script = `set _mcp_rc [catch {${inner}} _mcp_out]; format "%d %s" $_mcp_rc $_mcp_out`;
+    const reply = await exchange(Buffer.concat([Buffer.from(script, 'utf8'), Buffer.from([TCL_TERMINATOR])]), takeTcl, ms);
+    const m = /^(\d+) ([\s\S]*)$/.exec(reply);
+    if (!m) return { ok: true, output: reply };
+    const code = Number(m[1]);
+    if (code !== 0 && c.capture && /invalid command name "capture"/.test(m[2])) {
+      c.capture = false; // OpenOCD before 0.11
+      return await tclCommand(command, ms);
+    }
+    return { ok: code === 0, output: m[2] };
+  }
+
+  async function telnetCommand(command, ms) {
+    const text = (await exchange(`${command}\n`, takeTelnet, ms)).replace(/\r/g, '');
+    const lines = text.split('\n');
+    if (lines[0].trim() === command.trim()) lines.shift(); // echo
+    const output = lines.join('\n').replace(/\n+$/, '');
+    return { ok: !TELNET_ERROR.test(output), output };
+  }
+
+  // command: run one OpenOCD command -> { ok, output }
+  c.command = (command, { timeoutMs: ms = timeoutMs } = {}) => {
+    if (typeof command !== 'string' || !command.trim()) return Promise.reject(new Error('command must be a non-empty string'));
+    if (/[\x1a\n]/.test(command)) return Promise.reject(new Error('command must be a single line'));
+    return serialize(() => (mode === 'tcl' ? tclCommand(command, ms) : telnetCommand(command, ms)));
+  };
+
+  c.close = () => {
+    c.closed = true;
+    socket.destroy();
+  };
+
+  if (mode === 'telnet') {
+    // Banner ("Open On-Chip Debugger") and the first prompt
+    await serialize(() => exchange('', takeTelnet, timeoutMs)).catch((e) => {
+      c.close();
+      throw e;
+    });
+  }
+  return c;
+}
+
+const clients = new Map();
+
+// getClient: one connection per host:port, reused across tool calls
+export async function getClient({ host = '127.0.0.1', port, mode = 'tcl', timeoutMs } = {}) {
+  const key = `${host}:${port}`;
+  const existing = clients.get(key);
+  if (existing && !existing.closed) return existing;
+  const client = await connect({ host, port, mode, timeoutMs });
+  clients.set(key, client);
+  return client;
+}
+
+export function closeClient({ host = '127.0.0.1', port } = {}) {
+  const key = `${host}:${port}`;
+  const client = clients.get(key);
+  if (!client) return false;
+  client.close();
+  clients.delete(key);
+  return true;
+}
+
+export function closeAll() {
+  for (const client of clients.values()) client.close();
+  clients.clear();
+}
+
+// ----------------------
+// Output parsers
+// ----------------------
+
+const MD_WIDTH = { mdd: 64, mdw: 32, mdh: 16, mdb: 8 };
+
+// mdw/mdh/mdb/mdd: "0x08000000: 20001000 08000195 ..." lines -> address + values
+function parseMemoryDisplay(width, output) {
+  const values = [];
+  let addr = null;
+  for (const line of output.split('\n')) {
+    const m = /^\s*(0x[0-9a-fA-F]+):((?:\s+[0-9a-fA-F]+)+)/.exec(line);
+    if (!m) continue;
+    if (addr == null) addr = m[1].toLowerCase();
+    for (const v of m[2].trim().split(/\s+/)) values.push(`0x${v.toLowerCase()}`);
+  }
+  if (addr == null) return null;
+  const res = { addr, width, values };
+  if (width === 8) res.bytes = values.map((v) => parseInt(v, 16));
+  return res;
+}
+
+// reg: "(0) r0 (/32): 0x00000000" (all registers) or "pc (/32): 0x08000194" (one)
+function parseReg(output) {
+  const registers = {};
+  for (const line of output.split('\n')) {
+    const m = /^\s*(?:\(\d+\)\s+)?([\w.]+)\s+\(\/(\d+)\):\s*(0x[0-9a-fA-F]+)?/.exec(line);
+    if (m) registers[m[1]] = m[3] ? m[3].toLowerCase() : null;
+  }
+  return Object.keys(registers).length ? { registers } : null;
+}
+
+// halt / poll: "[stm32f4x.cpu] halted due to debug-request, current mode: Thread"
+//              "xPSR: 0x01000000 pc: 0x08000194 msp: 0x20001000"
+function parseHaltState(output) {
+  const res = {};
+  const halted = /halted due to ([\w-]+)(?:,\s*current mode:\s*([\w ]+?))?\s*$/im.exec(output);
+  if (halted) {
+    res.state = 'halted';
+    res.reason = halted[1];
+    if (halted[2]) res.mode = halted[2].trim();
+  } else {
+    const state = /target state:\s*(\w+)/i.exec(output);
+    if (state) res.state = state[1].toLowerCase();
+  }
+  for (const m of output.matchAll(/\b(xPSR|pc|msp|psp|cpsr):\s*(0x[0-9a-fA-F]+)/g)) res[m[1].toLowerCase()] = m[2].toLowerCase();
+  return Object.keys(res).length ? res : null;
+}
+
+// flash banks: "#0 : stm32f4x.flash (stm32f2x) at 0x08000000, size 0x00100000, buswidth 0, chipwidth 0"
+function parseFlashBanks(output) {
+  const banks = [];
+  for (const m of output.matchAll(/#(\d+)\s*:\s*(\S+)\s+\((\w+)\)\s+at\s+(0x[0-9a-fA-F]+),\s*size\s+(0x[0-9a-fA-F]+)/g)) {
+    banks.push({ index: Number(m[1]), name: m[2], driver: m[3], base: m[4].toLowerCase(), size: parseInt(m[5], 16) });
+  }
+  return { banks };
+}
+
+// targets: table rows "0* stm32f4x.cpu  cortex_m  little stm32f4x.cpu  halted"
+function parseTargets(output) {
+  const targets = [];
+  for (const m of output.matchAll(/^\s*(\d+)(\*?)\s+(\S+)\s+(\S+)\s+(little|big)\s+(\S+)\s+(\S+)/gm)) {
+    targets.push({ index: Number(m[1]), current: m[2] === '*', name: m[3], type: m[4], endian: m[5], tapName: m[6], state: m[7] });
+  }
+  return { targets };
+}
+
+// parseOutput: structured result for the common commands, or null when there is nothing to parse
+export function parseOutput(command, output) {
+  const [word, sub] = String(command).trim().split(/\s+/);
+  const name = word.replace(/^ocd_/, '');
+  if (MD_WIDTH[name]) return parseMemoryDisplay(MD_WIDTH[name], output);
+  if (name === 'reg') return parseReg(output);
+  if (name === 'halt' || name === 'poll' || (name === 'reset' && sub === 'halt')) return parseHaltState(output);
+  if (name === 'flash' && sub === 'banks') return parseFlashBanks(output);
+  if (name === 'targets') return parseTargets(output);
+  if (name === 'version') return { version: output.trim() };
+  return null;
+}
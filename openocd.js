@@ -1,17 +1,26 @@
 // openocd.js
 // Provides OpenOCD-based operations by invoking the openocd CLI.
-// Exposes: startDebug, stopDebug, flashFirmware, resetDevice, readRegister, version
+// Exposes: startDebug, stopDebug, getDebugServer, command, listConfigs, flashFirmware, resetDevice,
+//          readRegister, writeMemory, version
+//
+// While the server started by startDebug runs it owns the probe, so flashFirmware, resetDevice
+// and readRegister send their commands to it over the Tcl RPC port (telnet as a fallback, see
+// ocdrpc.js) instead of spawning a second openocd.
 
 import { spawn, execFile } from 'node:child_process';
 import { promisify } from 'node:util';
-import { access } from 'node:fs/promises';
+import { access, stat, readdir, open } from 'node:fs/promises';
 import { constants as fsConstants } from 'node:fs';
 import path from 'node:path';
+import * as gdbrsp from './gdbrsp.js';
+import * as ocdrpc from './ocdrpc.js';
 
 const execFileAsync = promisify(execFile);
 
 let openocdProc = null;
 let gdbPort = 3333;
+let tclPort = 6666;
+let telnetPort = 4444;
 
 function resolveOpenOcd() {
   return process.env.OPENOCD_PATH || 'openocd';
@@ -30,14 +39,183 @@ async function isExecutable(cmd) {
   }
 }
 
-function buildArgs({ interface: iface, target, searchDir, speed, configFiles, extraCmds }) {
+// ----------------------
+// Configuration scripts
+// ----------------------
+
+const CONFIG_KINDS = ['interface', 'target', 'board'];
+const WELL_KNOWN_SCRIPT_DIRS = [
+  '/usr/share/openocd/scripts',
+  '/usr/local/share/openocd/scripts',
+  '/opt/homebrew/share/openocd/scripts',
+  '/opt/local/share/openocd/scripts',
+];
+
+async function isDir(p) {
+  try { return (await stat(p)).isDirectory(); } catch { return false; }
+}
+
+// A scripts directory has at least one of interface/, target/, board/
+async function isScriptsDir(dir) {
+  for (const kind of CONFIG_KINDS) if (await isDir(path.join(dir, kind))) return true;
+  return false;
+}
+
+// Search directories openocd reports at debug level ("add_script_search_dir(): adding <dir>")
+const reportedDirs = new Map();
+async function reportedScriptDirs(bin) {
+  if (reportedDirs.has(bin)) return reportedDirs.get(bin);
+  let text = '';
+  try {
+    const { stdout, stderr } = await execFileAsync(bin, ['-d3', '-c', 'shutdown'], { windowsHide: true, timeout: 5000 });
+    text = `${stdout}\n${stderr}`;
+  } catch (e) {
+    text = `${e?.stdout || ''}\n${e?.stderr || ''}`;
+  }
+  const dirs = [...text.matchAll(/add_script_search_dir\(\): adding (.+?)\s*$/gm)].map((m) => m[1]);
+  reportedDirs.set(bin, dirs);
+  return dirs;
+}
+
+// findScriptsDir: OpenOCD's scripts directory -> { dir, source } or null. Tried in order: searchDir,
+// OPENOCD_SCRIPTS, the layouts next to OPENOCD_PATH (share/openocd/scripts, xPack's openocd/scripts),
+// the directories openocd itself reports, then the usual install locations.
+async function findScriptsDir({ searchDir } = {}) {
+  const candidates = [];
+  if (searchDir) candidates.push({ dir: searchDir, source: 'searchDir' });
+  if (process.env.OPENOCD_SCRIPTS) candidates.push({ dir: process.env.OPENOCD_SCRIPTS, source: 'OPENOCD_SCRIPTS' });
+  if (process.env.OPENOCD_PATH) {
+    const root = path.dirname(path.dirname(path.resolve(process.env.OPENOCD_PATH)));
+    for (const rel of ['share/openocd/scripts', 'openocd/scripts', 'scripts']) candidates.push({ dir: path.join(root, rel), source: 'OPENOCD_PATH' });
+  }
+  for (const c of candidates) if (await isScriptsDir(c.dir)) return c;
+  const bin = resolveOpenOcd();
+  if (await isExecutable(bin)) {
+    for (const dir of await reportedScriptDirs(bin)) if (await isScriptsDir(dir)) return { dir, source: 'openocd' };
+  }
+  for (const dir of WELL_KNOWN_SCRIPT_DIRS) if (await isScriptsDir(dir)) return { dir, source: 'default' };
+  return null;
+}
+
+// Config names under <scriptsDir>/<kind>, relative and without .cfg (e.g. "ftdi/olimex-arm-usb-ocd")
+async function configNames(scriptsDir, kind) {
+  const base = path.join(scriptsDir, kind);
+  const names = [];
+  async function walk(dir, prefix) {
+    let entries;
+    try { entries = await readdir(dir, { withFileTypes: true }); } catch { return; }
+    for (const e of entries) {
+      if (e.isDirectory()) await walk(path.join(dir, e.name), `${prefix}${e.name}/`);
+      else if (e.name.endsWith('.cfg')) names.push(`${prefix}${e.name.slice(0, -4)}`);
+    }
+  }
+  await walk(base, '');
+  return names.sort();
+}
+
+// First line of the leading comment block, skipping license tags
+async function configDescription(file) {
+  let head;
+  try {
+    const fh = await open(file, 'r');
+    try {
+      const { buffer, bytesRead } = await fh.read(Buffer.alloc(2048), 0, 2048, 0);
+      head = buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+      await fh.close();
+    }
+  } catch {
+    return null;
+  }
+  for (const line of head.split(/\r?\n/)) {
+    const t = line.trim();
+    if (!t) continue;
+    if (!t.startsWith('#')) break;
+    const text = t.replace(/^#+\s*/, '').trim();
+    if (text && !/^SPDX-License-Identifier/i.test(text) && !/^-+$/.test(text)) return text;
+  }
+  return null;
+}
+
+// listConfigs: interface/target/board configs with their descriptions
+export async function listConfigs({ searchDir, kind, filter } = {}) {
+  if (kind && !CONFIG_KINDS.includes(kind)) throw new Error(`kind must be one of ${CONFIG_KINDS.join(', ')}`);
+  const found = await findScriptsDir({ searchDir });
+  if (!found) throw new Error('OpenOCD scripts directory not found. Pass searchDir, set OPENOCD_SCRIPTS, or set OPENOCD_PATH to an openocd installation.');
+  const needle = filter ? String(filter).toLowerCase() : null;
+  const res = { scriptsDir: found.dir, source: found.source };
+  for (const k of kind ? [kind] : CONFIG_KINDS) {
+    const names = (await configNames(found.dir, k)).filter((n) => !needle || n.toLowerCase().includes(needle));
+    res[k] = [];
+    for (const name of names) res[k].push({ name, description: await configDescription(path.join(found.dir, k, `${name}.cfg`)) });
+  }
+  return res;
+}
+
+// Closest config names for "did you mean" hints: substring matches first, then edit distance
+function suggest(name, candidates, max = 5) {
+  const n = name.toLowerCase();
+  const dist = (a, b) => {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diag = prev[0];
+      prev[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const tmp = prev[j];
+        prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diag = tmp;
+      }
+    }
+    return prev[b.length];
+  };
+  return candidates
+    .map((c) => {
+      const lc = c.toLowerCase();
+      const leaf = lc.slice(lc.lastIndexOf('/') + 1);
+      return { c, score: lc.includes(n) ? 0 : Math.min(dist(n, lc), dist(n, leaf)) };
+    })
+    .filter((x) => x.score <= Math.max(1, Math.floor(n.length / 3)))
+    .sort((a, b) => a.score - b.score || a.c.length - b.c.length)
+    .slice(0, max)
+    .map((x) => x.c);
+}
+
+// Check interface/target/board names against the scripts directory (and searchDir) before
+// launching openocd. Skipped when no scripts directory can be found.
+async function validateConfigs({ interface: iface, target, board, searchDir }) {
+  const wanted = { interface: iface, target, board };
+  if (!CONFIG_KINDS.some((k) => wanted[k])) return;
+  // openocd looks in searchDir first, then in its own scripts directory
+  const found = await findScriptsDir();
+  const dirs = [...new Set([searchDir, found?.dir].filter(Boolean))];
+  if (!found && !(searchDir && (await isScriptsDir(searchDir)))) return;
+  for (const kind of CONFIG_KINDS) {
+    const name = wanted[kind];
+    if (!name) continue;
+    const rel = `${kind}/${name.replace(/\.cfg$/, '')}.cfg`;
+    let exists = false;
+    for (const dir of dirs) {
+      try { await access(path.join(dir, rel), fsConstants.R_OK); exists = true; break; } catch {}
+    }
+    if (exists) continue;
+    const names = [];
+    for (const dir of dirs) names.push(...(await configNames(dir, kind)));
+    const hints = suggest(name, [...new Set(names)]);
+    throw new Error(`Unknown OpenOCD ${kind} config ${name} (no ${rel} in ${dirs.join(', ')})${hints.length ? `; did you mean ${hints.join(', ')}?` : '; see ocd.listConfigs'}`);
+  }
+}
+
+async function buildArgs({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds }) {
   const args = [];
   if (searchDir) args.push('-s', searchDir);
   if (Array.isArray(configFiles) && configFiles.length > 0) {
     for (const f of configFiles) args.push('-f', f);
   } else {
-    if (iface) args.push('-f', `interface/${iface}.cfg`);
-    if (target) args.push('-f', `target/${target}.cfg`);
+    await validateConfigs({ interface: iface, target, board, searchDir });
+    // A board config usually sources its own interface and target
+    if (board) args.push('-f', `board/${board.replace(/\.cfg$/, '')}.cfg`);
+    if (iface) args.push('-f', `interface/${iface.replace(/\.cfg$/, '')}.cfg`);
+    if (target) args.push('-f', `target/${target.replace(/\.cfg$/, '')}.cfg`);
   }
   if (speed) args.push('-c', `adapter speed ${speed}`);
   if (Array.isArray(extraCmds)) {
@@ -53,14 +231,16 @@ export async function version() {
   return { tool: 'openocd', stdout };
 }
 
-export async function startDebug({ interface: iface, target, searchDir, speed, configFiles, extraCmds, port = 3333 } = {}) {
+export async function startDebug({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds, port = 3333, tclPort: tcl = 6666, telnetPort: telnet = 4444 } = {}) {
   if (openocdProc) return { message: `openocd already running on :${gdbPort}` };
   const bin = resolveOpenOcd();
   if (!(await isExecutable(bin))) throw new Error('openocd not found. Set OPENOCD_PATH or add to PATH.');
   gdbPort = port || 3333;
-  const args = buildArgs({ interface: iface, target, searchDir, speed, configFiles, extraCmds });
-  // Force gdb port
-  args.push('-c', `gdb_port ${gdbPort}`);
+  tclPort = tcl || 6666;
+  telnetPort = telnet || 4444;
+  const args = await buildArgs({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds });
+  // Force gdb port, and the command ports used by command()
+  args.push('-c', `gdb_port ${gdbPort}`, '-c', `tcl_port ${tclPort}`, '-c', `telnet_port ${telnetPort}`);
   const child = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
   let started = false;
   return await new Promise((resolve, reject) => {
@@ -70,7 +250,7 @@ export async function startDebug({ interface: iface, target, searchDir, speed, c
         started = true;
         cleanup();
         openocdProc = child;
-        resolve({ message: `openocd started on :${gdbPort}` });
+        resolve({ message: `openocd started on :${gdbPort} (Tcl RPC :${tclPort}, telnet :${telnetPort})` });
       }
     };
     const onError = (err) => { cleanup(); reject(new Error(`openocd failed to start: ${err?.message || err}`)); };
@@ -88,8 +268,57 @@ export async function startDebug({ interface: iface, target, searchDir, speed, c
   });
 }
 
+// GDB port of the openocd started by startDebug, or null
+export function getDebugServer() {
+  return openocdProc ? { server: 'openocd', port: gdbPort, tclPort, telnetPort } : null;
+}
+
+// Command connection to a running server: Tcl RPC, or telnet when the Tcl port is unavailable
+async function rpcClient({ host, port, telnetPort: telnet } = {}) {
+  if (!openocdProc && !port && !telnet) throw new Error('openocd is not running; start it with ocd.startDebug (or pass the Tcl port of a server started elsewhere)');
+  const tcl = port || (openocdProc && !telnet ? tclPort : null);
+  let tclError = null;
+  if (tcl) {
+    try {
+      return await ocdrpc.getClient({ host, port: tcl, mode: 'tcl' });
+    } catch (e) {
+      tclError = e;
+    }
+  }
+  const tn = telnet || (openocdProc ? telnetPort : null);
+  if (!tn) throw tclError;
+  try {
+    return await ocdrpc.getClient({ host, port: tn, mode: 'telnet' });
+  } catch (e) {
+    throw new Error(tclError ? `${tclError.message}; ${e.message}` : e.message);
+  }
+}
+
+// command: one OpenOCD command on the running server, with parsed output for common commands
+// (mdw/mdh/mdb/mdd, reg, halt, poll, reset halt, flash banks, targets, version)
+export async function command({ command: cmd, parse = true, timeoutMs = 10000, host, port, telnetPort: telnet } = {}) {
+  const client = await rpcClient({ host, port, telnetPort: telnet });
+  const { ok, output } = await client.command(cmd, { timeoutMs });
+  const res = { ok, command: cmd, via: client.mode, output };
+  if (ok && parse) {
+    const parsed = ocdrpc.parseOutput(cmd, output);
+    if (parsed) res.result = parsed;
+  }
+  return res;
+}
+
+// Run a command on the running server; failures throw with OpenOCD's message
+async function serverCommand(cmd, what, timeoutMs) {
+  const res = await command({ command: cmd, parse: false, timeoutMs });
+  if (!res.ok) throw new Error(`openocd ${what} failed: ${res.output}`);
+  return res;
+}
+
 export async function stopDebug() {
   if (!openocdProc) return { message: 'openocd not running' };
+  gdbrsp.closeClient({ port: gdbPort });
+  ocdrpc.closeClient({ port: tclPort });
+  ocdrpc.closeClient({ port: telnetPort });
   return await new Promise((resolve) => {
     const child = openocdProc;
     openocdProc = null;
@@ -103,12 +332,17 @@ export async function stopDebug() {
   });
 }
 
-export async function flashFirmware({ path: fwPath, addr, interface: iface, target, searchDir, speed, configFiles, extraCmds }) {
+export async function flashFirmware({ path: fwPath, addr, interface: iface, target, board, searchDir, speed, configFiles, extraCmds }) {
   if (typeof fwPath !== 'string' || fwPath.length === 0) throw new Error('Invalid firmware path');
   const bin = resolveOpenOcd();
   if (!(await isExecutable(bin))) throw new Error('openocd not found. Set OPENOCD_PATH or add to PATH.');
   const abs = path.isAbsolute(fwPath) ? fwPath : path.resolve(process.cwd(), fwPath);
-  const args = buildArgs({ interface: iface, target, searchDir, speed, configFiles, extraCmds });
+  if (openocdProc) {
+    const offset = addr ? ` 0x${parseInt(addr, addr.startsWith('0x') ? 16 : 10).toString(16)}` : '';
+    const res = await serverCommand(`program ${ocdrpc.tclQuote(abs.replace(/\\/g, '/'))} verify reset${offset}`, 'program', 120000);
+    return { tool: 'openocd', via: res.via, output: res.output };
+  }
+  const args = await buildArgs({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds });
   const programCmd = addr ? `program ${JSON.stringify(abs)} verify reset 0x${parseInt(addr, addr.startsWith('0x') ? 16 : 10).toString(16)}; shutdown` : `program ${JSON.stringify(abs)} verify reset; shutdown`;
   args.push('-c', 'init');
   args.push('-c', programCmd);
@@ -121,10 +355,14 @@ export async function flashFirmware({ path: fwPath, addr, interface: iface, targ
   }
 }
 
-export async function resetDevice({ interface: iface, target, searchDir, speed, configFiles, extraCmds }) {
+export async function resetDevice({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds }) {
+  if (openocdProc) {
+    const res = await serverCommand('reset run', 'reset');
+    return { tool: 'openocd', via: res.via, output: res.output };
+  }
   const bin = resolveOpenOcd();
   if (!(await isExecutable(bin))) throw new Error('openocd not found. Set OPENOCD_PATH or add to PATH.');
-  const args = buildArgs({ interface: iface, target, searchDir, speed, configFiles, extraCmds });
+  const args = await buildArgs({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds });
   args.push('-c', 'init');
   args.push('-c', 'reset run');
   args.push('-c', 'shutdown');
@@ -137,14 +375,20 @@ export async function resetDevice({ interface: iface, target, searchDir, speed,
   }
 }
 
-export async function readRegister({ addr, length = 4, interface: iface, target, searchDir, speed, configFiles, extraCmds }) {
+export async function readRegister({ addr, length = 4, interface: iface, target, board, searchDir, speed, configFiles, extraCmds }) {
   if (addr == null) throw new Error('addr required');
   const address = typeof addr === 'string' && addr.toLowerCase().startsWith('0x') ? parseInt(addr, 16) : parseInt(addr, 10);
   if (!Number.isFinite(address)) throw new Error('addr invalid');
   const size = typeof length === 'string' ? parseInt(length, 10) : length;
+  if (openocdProc) {
+    const res = await serverCommand(`mdb 0x${address.toString(16)} ${size}`, 'read');
+    const parsed = ocdrpc.parseOutput('mdb', res.output);
+    if (!parsed || parsed.bytes.length !== size) throw new Error(`openocd read failed: unexpected output ${JSON.stringify(res.output)}`);
+    return { tool: 'openocd', via: res.via, bytes: parsed.bytes };
+  }
   const bin = resolveOpenOcd();
   if (!(await isExecutable(bin))) throw new Error('openocd not found. Set OPENOCD_PATH or add to PATH.');
-  const args = buildArgs({ interface: iface, target, searchDir, speed, configFiles, extraCmds });
+  const args = await buildArgs({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds });
   const osTmp = process.env.TEMP || process.env.TMP || process.cwd();
   const tmpFile = path.join(osTmp, `ocdread_${Date.now()}_${Math.random().toString(16).slice(2)}.bin`);
   args.push('-c', 'init');
@@ -162,4 +406,64 @@ export async function readRegister({ addr, length = 4, interface: iface, target,
   }
 }
 
+function parseNumber(value, name) {
+  if (typeof value === 'number') return value >>> 0;
+  const v = String(value).trim().toLowerCase().startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+  if (!Number.isFinite(v)) throw new Error(`${name} is not a valid number`);
+  return v >>> 0;
+}
+
+function parseBytes(data) {
+  if (Array.isArray(data)) {
+    if (!data.every((b) => Number.isInteger(b) && b >= 0 && b <= 0xff)) throw new Error('data array must contain byte values 0..255');
+    return Buffer.from(data);
+  }
+  const text = String(data).replace(/^0x/i, '').replace(/[\s:_-]/g, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(text)) throw new Error('data must be a hex string (e.g. "deadbeef") or an array of bytes');
+  return Buffer.from(text, 'hex');
+}
 
+// writeMemory: one 8/16/32-bit value (mwb/mwh/mww, a single aligned access) or a byte array / hex
+// string (write_memory, OpenOCD 0.11+). Sent to the running server, else a one-shot openocd.
+export async function writeMemory({ addr, value, width = 32, data, verify = false, interface: iface, target, board, searchDir, speed, configFiles, extraCmds } = {}) {
+  if (addr == null) throw new Error('writeMemory requires addr');
+  const address = parseNumber(addr, 'addr');
+  let buf;
+  let cmd;
+  if (data != null) {
+    buf = parseBytes(data);
+    if (buf.length === 0) throw new Error('data is empty');
+    cmd = `write_memory 0x${address.toString(16)} 8 {${Array.from(buf.values(), (b) => `0x${b.toString(16)}`).join(' ')}}`;
+  } else {
+    if (value == null) throw new Error('writeMemory requires value (with width) or data');
+    if (![8, 16, 32].includes(width)) throw new Error('width must be 8, 16 or 32');
+    const bytes = width / 8;
+    if (address % bytes) throw new Error(`addr must be ${bytes}-byte aligned for a ${width}-bit write`);
+    const v = parseNumber(value, 'value');
+    if (width < 32 && v >= 2 ** width) throw new Error(`value does not fit in ${width} bits`);
+    buf = Buffer.alloc(bytes);
+    buf.writeUIntLE(v, 0, bytes);
+    cmd = `${{ 8: 'mwb', 16: 'mwh', 32: 'mww' }[width]} 0x${address.toString(16)} 0x${v.toString(16)}`;
+  }
+  const res = { tool: 'openocd', addr: `0x${address.toString(16).padStart(8, '0')}`, bytes: buf.length };
+  if (openocdProc) {
+    res.via = (await serverCommand(cmd, 'write')).via;
+  } else {
+    const bin = resolveOpenOcd();
+    if (!(await isExecutable(bin))) throw new Error('openocd not found. Set OPENOCD_PATH or add to PATH.');
+    const args = await buildArgs({ interface: iface, target, board, searchDir, speed, configFiles, extraCmds });
+    args.push('-c', 'init', '-c', cmd, '-c', 'shutdown');
+    try {
+      await execFileAsync(bin, args, { windowsHide: true });
+    } catch (e) {
+      const msg = e?.stderr || e?.stdout || e?.message || String(e);
+      throw new Error(`openocd write failed: ${msg}`);
+    }
+  }
+  if (verify) {
+    const back = Buffer.from((await readRegister({ addr: address, length: buf.length, interface: iface, target, board, searchDir, speed, configFiles, extraCmds })).bytes);
+    res.verified = back.equals(buf);
+    if (!res.verified) res.readBack = back.toString('hex');
+  }
+  return res;
+}
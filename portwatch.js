@@ -0,0 +1,195 @@
+// portwatch.js
+// Serial port hot-plug watcher: polls serial.listPorts() and reports ports that appear or vanish.
+// Exposes: startWatch, stopWatch, getWatchStatus
+//
+// When the device behind an open session disappears the session is closed (autoClose). With
+// autoReopen, a returning device with the same USB serial number (or VID/PID, or the same path
+// when the port has no USB identity) is reopened with the previous settings under the old
+// session id, so callers can keep using it. Capture and control-line state are not restored.
+
+import * as serial from './serial.js';
+
+const MAX_EVENTS = 50;
+
+let watch = null;
+
+function identityOf(p) {
+  if (!p) return null;
+  return { serialNumber: p.serialNumber || null, vendorId: p.vendorId || null, productId: p.productId || null };
+}
+
+function sameIdentity(a, b) {
+  if (a.serialNumber || b.serialNumber) {
+    if (a.serialNumber !== b.serialNumber) return false;
+  }
+  if (a.vendorId || a.productId) return a.vendorId === b.vendorId && a.productId === b.productId;
+  return false;
+}
+
+// Pick the port a lost session should come back on: same USB identity, preferring the old path
+function findReturnedPort(lost, ports) {
+  const id = lost.identity;
+  const hasIdentity = id && (id.serialNumber || id.vendorId || id.productId);
+  const candidates = ports.filter((p) => (hasIdentity ? sameIdentity(id, identityOf(p)) : p.path === lost.path));
+  return candidates.find((p) => p.path === lost.path) || candidates[0] || null;
+}
+
+function emit(w, event) {
+  const e = { ...event, at: new Date().toISOString() };
+  w.events.push(e);
+  if (w.events.length > MAX_EVENTS) w.events.shift();
+  try {
+    w.onEvent?.(e);
+  } catch {
+    // Notification failures must not stop the watcher
+  }
+}
+
+// Snapshot open sessions so their settings and device identity survive an unexpected close
+function rememberSessions(w, portsByPath) {
+  const open = serial.listOpenPorts();
+  for (const s of open) {
+    const prev = w.known.get(s.sessionId);
+    w.known.set(s.sessionId, {
+      sessionId: s.sessionId,
+      path: s.path,
+      identity: identityOf(portsByPath.get(s.path)) || prev?.identity || null,
+      // Ports that never show up in the listing (e.g. pseudo-terminals) are never treated as removed
+      listed: portsByPath.has(s.path) || !!prev?.listed,
+      options: { name: s.path, ...s.settings, bufferSize: s.bufferSize, framing: s.framing, format: s.format },
+    });
+  }
+}
+
+async function poll(w) {
+  const ports = await serial.listPorts();
+  const byPath = new Map(ports.map((p) => [p.path, p]));
+
+  if (w.ports) {
+    for (const [p, info] of byPath) {
+      if (!w.ports.has(p)) emit(w, { type: 'added', path: p, ...identityOf(info) });
+    }
+    for (const [p, info] of w.ports) {
+      if (!byPath.has(p)) emit(w, { type: 'removed', path: p, ...identityOf(info) });
+    }
+  }
+
+  // Sessions whose device is gone: close them (serialport may already have done so on its own)
+  const openIds = new Set(serial.listOpenPorts().map((s) => s.sessionId));
+  for (const k of Array.from(w.known.values())) {
+    if (byPath.has(k.path) || !k.listed) {
+      if (!openIds.has(k.sessionId)) w.known.delete(k.sessionId); // closed by the user
+      continue;
+    }
+    if (openIds.has(k.sessionId)) {
+      if (!w.autoClose) continue;
+      try {
+        await serial.closePort({ sessionId: k.sessionId });
+      } catch {
+        // The device is gone; closing the handle may fail but the session is dropped anyway
+      }
+    }
+    w.known.delete(k.sessionId);
+    emit(w, { type: 'session-closed', sessionId: k.sessionId, path: k.path, reason: 'device removed' });
+    if (w.autoReopen) w.lost.set(k.sessionId, { ...k, lostAt: Date.now() });
+  }
+
+  // Reopen lost sessions whose device came back
+  for (const lost of Array.from(w.lost.values())) {
+    if (Date.now() - lost.lostAt > w.reopenWindowMs) {
+      w.lost.delete(lost.sessionId);
+      emit(w, { type: 'reopen-expired', sessionId: lost.sessionId, path: lost.path });
+      continue;
+    }
+    const port = findReturnedPort(lost, ports);
+    if (!port || serial.listOpenPorts().some((s) => s.path === port.path || s.sessionId === lost.sessionId)) continue;
+    try {
+      await serial.openPort({ ...lost.options, name: port.path, sessionId: lost.sessionId });
+      w.lost.delete(lost.sessionId);
+      emit(w, { type: 'session-reopened', sessionId: lost.sessionId, path: port.path, previousPath: lost.path });
+    } catch (e) {
+      // Freshly enumerated ports are often busy for a moment; retry on the next poll
+      lost.lastError = e?.message || String(e);
+    }
+  }
+
+  rememberSessions(w, byPath);
+  w.ports = byPath;
+  w.polls += 1;
+}
+
+function schedule() {
+  watch.timer = setTimeout(async () => {
+    const w = watch;
+    try {
+      await poll(w);
+      w.lastError = null;
+    } catch (e) {
+      w.lastError = e?.message || String(e);
+    }
+    if (watch === w) schedule();
+  }, watch.intervalMs);
+  watch.timer.unref?.();
+}
+
+// Start (or reconfigure) the watcher. onEvent receives every event; index.js turns them into
+// MCP notifications. The first poll runs immediately and only records the baseline.
+export async function startWatch({ intervalMs = 1000, autoClose = true, autoReopen = false, reopenWindowMs = 60000, onEvent } = {}) {
+  if (!Number.isInteger(intervalMs) || intervalMs < 100) throw new Error('intervalMs must be an integer >= 100');
+  if (autoReopen && !autoClose) throw new Error('autoReopen requires autoClose');
+  const previous = watch;
+  if (previous) clearTimeout(previous.timer);
+  watch = {
+    intervalMs,
+    autoClose,
+    autoReopen,
+    reopenWindowMs,
+    onEvent,
+    ports: previous?.ports || null,
+    known: previous?.known || new Map(),
+    lost: autoReopen ? previous?.lost || new Map() : new Map(),
+    events: previous?.events || [],
+    polls: previous?.polls || 0,
+    lastError: null,
+    startedAt: previous?.startedAt || new Date().toISOString(),
+    timer: null,
+  };
+  try {
+    await poll(watch);
+  } catch (e) {
+    watch.lastError = e?.message || String(e);
+  }
+  schedule();
+  return getWatchStatus();
+}
+
+export function stopWatch() {
+  if (!watch) return { running: false, message: 'Port watcher is not running' };
+  clearTimeout(watch.timer);
+  const { polls } = watch;
+  watch = null;
+  return { running: false, polls, message: 'Port watcher stopped' };
+}
+
+export function getWatchStatus() {
+  if (!watch) return { running: false };
+  return {
+    running: true,
+    intervalMs: watch.intervalMs,
+    autoClose: watch.autoClose,
+    autoReopen: watch.autoReopen,
+    reopenWindowMs: watch.reopenWindowMs,
+    polls: watch.polls,
+    ports: watch.ports ? Array.from(watch.ports.keys()) : [],
+    pendingReopen: Array.from(watch.lost.values()).map((l) => ({
+      sessionId: l.sessionId,
+      path: l.path,
+      ...l.identity,
+      lostAt: new Date(l.lostAt).toISOString(),
+      lastError: l.lastError || null,
+    })),
+    events: watch.events.slice(),
+    lastError: watch.lastError,
+    startedAt: watch.startedAt,
+  };
+}
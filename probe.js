@@ -0,0 +1,269 @@
+// probe.js
+// One interface over the ST-Link (stlink.js), OpenOCD (openocd.js) and J-Link (jlink.js) backends.
+// Exposes: BACKENDS, capabilities, describeError, listProbes, connect, flash, reset, readMemory,
+//          writeMemory, startDebug, stopDebug
+//
+// Results are { ok: true, backend, operation, tool, ... } with the same fields for every backend
+// (bytes as arrays, addresses as 0x%08x). Errors carry `code` (see ERROR_CODES), `backend` and
+// `operation`. Memory access goes through the backend's running debug server when there is one,
+// since that server owns the probe; without a backend, the one whose server is running is used.
+
+import * as stlink from './stlink.js';
+import * as openocd from './openocd.js';
+import * as jlink from './jlink.js';
+import * as debug from './debug.js';
+
+export const BACKENDS = ['stlink', 'openocd', 'jlink'];
+
+// What each backend can do; `needsDebugServer` operations work only while probe.startDebug runs
+const CAPABILITIES = {
+  stlink: {
+    listProbes: true, connect: true, flash: true, reset: true, readMemory: true, writeMemory: true, startDebug: true, stopDebug: true,
+    readWidths: [], writeWidths: [8, 16, 32], needsDebugServer: ['writeMemory'],
+    tools: 'st-info/st-flash/st-util, ST-LINK_CLI or STM32_Programmer_CLI',
+  },
+  openocd: {
+    listProbes: false, connect: true, flash: true, reset: true, readMemory: true, writeMemory: true, startDebug: true, stopDebug: true,
+    readWidths: [], writeWidths: [8, 16, 32], needsDebugServer: [],
+    tools: 'openocd (interface/target/board configs)',
+  },
+  jlink: {
+    listProbes: true, connect: true, flash: true, reset: true, readMemory: true, writeMemory: true, startDebug: true, stopDebug: true,
+    readWidths: [8, 16, 32], writeWidths: [8, 16, 32], needsDebugServer: [],
+    tools: 'JLinkExe (Commander) and JLinkGDBServerCL',
+  },
+};
+
+const MODULES = { stlink, openocd, jlink };
+
+export function capabilities({ backend } = {}) {
+  if (backend) return { [backend]: CAPABILITIES[checkBackend(backend, 'capabilities')] };
+  return CAPABILITIES;
+}
+
+// ----------------------
+// Errors
+// ----------------------
+
+// Message patterns from the backends' CLIs -> error code (J-Link errors already carry one)
+const ERROR_CODES = [
+  [/not found\. |No ST-Link tools found|No ST-Link \w+ tool available|requires st-flash or STM32_Programmer_CLI|ENOENT/i, 'TOOL_NOT_FOUND'],
+  [/Couldn't find any ST-Link|No ST-Link probe \d+|No ST-?LINK (detected|found)|Found 0 stlink|Cannot connect to J-Link|open failed|LIBUSB_ERROR|No J-Link|unable to open (ftdi|cmsis-dap|hid) device/i, 'NO_PROBE'],
+  [/target not examined|Error connecting DP|unable to connect to the target|(Cannot|Could not) connect to target|Failed to attach|Unknown chip id|Target voltage/i, 'NO_TARGET'],
+  [/Unknown OpenOCD \w+ config|Unknown device/i, 'BAD_CONFIG'],
+  [/debug server is not running|Debug server not running|openocd is not running/i, 'NOT_RUNNING'],
+  [/Failed to (read|write) memory|(Could not|Cannot) (read|write) memory|(Reading|Writing) target memory failed/i, 'MEMORY'],
+  [/couldn't open|(Could not|Failed to|Cannot|Unable to) open file|File not found|Invalid firmware path/i, 'FILE'],
+  [/must be|requires|invalid|is not a valid|does not fit|is empty/i, 'INVALID_ARGUMENT'],
+];
+
+const JLINK_CODES = { NO_PROBE: 'NO_PROBE', NO_TARGET: 'NO_TARGET', UNKNOWN_DEVICE: 'BAD_CONFIG', MEMORY: 'MEMORY', FILE: 'FILE' };
+
+function probeError(code, backend, operation, message, cause) {
+  const err = new Error(message);
+  err.code = code;
+  err.backend = backend;
+  err.operation = operation;
+  if (cause) err.cause = cause;
+  return err;
+}
+
+function normalizeError(backend, operation, e) {
+  if (e?.operation && e?.backend) return e;
+  const message = e?.message || String(e);
+  const code = (backend === 'jlink' && JLINK_CODES[e?.code]) || ERROR_CODES.find(([re]) => re.test(message))?.[1] || 'FAILED';
+  return probeError(code, backend, operation, message, e);
+}
+
+// describeError: the normalized { code, backend, operation, message } of a thrown error
+export function describeError(e) {
+  return { code: e?.code || 'FAILED', backend: e?.backend || null, operation: e?.operation || null, message: e?.message || String(e) };
+}
+
+function checkBackend(backend, operation) {
+  if (!backend) {
+    const running = BACKENDS.filter((b) => MODULES[b].getDebugServer());
+    if (running.length === 1) return running[0];
+    const why = running.length ? `several debug servers are running (${running.join(', ')})` : 'no debug server is running';
+    throw probeError('INVALID_ARGUMENT', null, operation, `backend is required (${BACKENDS.join(', ')}); ${why}`);
+  }
+  if (!BACKENDS.includes(backend)) throw probeError('INVALID_ARGUMENT', backend, operation, `Unknown backend ${backend} (expected ${BACKENDS.join(', ')})`);
+  return backend;
+}
+
+// Run one backend operation and shape its result
+async function run(backend, operation, fn) {
+  const b = checkBackend(backend, operation);
+  if (!CAPABILITIES[b][operation]) throw probeError('UNSUPPORTED', b, operation, `${b} does not support ${operation}`);
+  try {
+    return { ok: true, backend: b, operation, ...(await fn(b)) };
+  } catch (e) {
+    throw normalizeError(b, operation, e);
+  }
+}
+
+// ----------------------
+// Helpers
+// ----------------------
+
+const hex32 = (v) => `0x${(v >>> 0).toString(16).padStart(8, '0')}`;
+
+function parseNumber(value, name) {
+  if (typeof value === 'number') return value >>> 0;
+  const v = String(value).trim().toLowerCase().startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+  if (!Number.isFinite(v)) throw new Error(`${name} is not a valid number`);
+  return v >>> 0;
+}
+
+// Backend-specific target selection: J-Link device/interface (SWD, JTAG)/speed, OpenOCD configs,
+// ST-Link probe serial or index
+function targetOptions(backend, { device, interface: iface, target, board, speed, serial, probeId, options = {} }) {
+  if (backend === 'jlink') return { device, ...(iface ? { if: iface } : {}), speed, ...options };
+  if (backend === 'openocd') return { interface: iface, target, board, speed, ...options };
+  return { serial, probeId, ...options };
+}
+
+// Text output of a CLI run: stdout + stderr, or the server's reply
+function outputOf(res) {
+  if (res.output != null) return String(res.output).trim();
+  return [res.stdout, res.stderr].filter(Boolean).join('\n').trim();
+}
+
+// GDB connection to the backend's running debug server, or null
+async function debugClient(backend) {
+  if (!MODULES[backend].getDebugServer()) return null;
+  return (await debug.getClient({ server: backend })).gdb;
+}
+
+// Cortex-M CPUID (SCB 0xE000ED00) -> core name and revision
+const CPUID_ADDR = 0xe000ed00;
+const CORTEX_M_PARTS = {
+  0xc20: 'Cortex-M0', 0xc60: 'Cortex-M0+', 0xc21: 'Cortex-M1', 0xc23: 'Cortex-M3', 0xc24: 'Cortex-M4', 0xc27: 'Cortex-M7',
+  0xd20: 'Cortex-M23', 0xd21: 'Cortex-M33', 0xd22: 'Cortex-M55', 0xd23: 'Cortex-M85', 0xd31: 'Cortex-M35P',
+};
+
+function decodeCpuid(cpuid) {
+  const implementer = cpuid >>> 24;
+  const part = (cpuid >>> 4) & 0xfff;
+  return {
+    cpuid: hex32(cpuid),
+    core: implementer === 0x41 ? CORTEX_M_PARTS[part] || `Arm part 0x${part.toString(16)}` : null,
+    revision: `r${(cpuid >>> 20) & 0xf}p${cpuid & 0xf}`,
+  };
+}
+
+// ----------------------
+// Operations
+// ----------------------
+
+// listProbes: attached probes for every backend (or one), with the capability matrix. A backend
+// whose tools are missing is reported under `errors` instead of failing the call.
+export async function listProbes({ backend } = {}) {
+  const backends = backend ? [checkBackend(backend, 'listProbes')] : BACKENDS;
+  const probes = [];
+  const errors = [];
+  for (const b of backends) {
+    if (!CAPABILITIES[b].listProbes) continue;
+    try {
+      if (b === 'jlink') {
+        const res = await jlink.listProbes();
+        for (const p of res.probes) probes.push({ backend: b, tool: res.tool, serial: p.serial, description: p.product, connection: p.connection });
+      } else {
+        const res = await stlink.listDevices();
+        for (const p of res.probes) {
+          const description = [p.board || 'ST-Link', p.version, p.family].filter(Boolean).join(' ');
+          probes.push({ backend: b, tool: res.tool, serial: p.serial, description, connection: 'USB' });
+        }
+      }
+    } catch (e) {
+      errors.push(describeError(normalizeError(b, 'listProbes', e)));
+    }
+  }
+  return { ok: true, operation: 'listProbes', probes, errors, capabilities: backend ? capabilities({ backend }) : CAPABILITIES };
+}
+
+// Bytes at address through the backend's debug server (GDB) or its CLI
+async function readBytes(b, address, size, width, target) {
+  if (width != null && !CAPABILITIES[b].readWidths.includes(width)) {
+    throw probeError('UNSUPPORTED', b, 'readMemory', `${b} reads do not take an access width${CAPABILITIES[b].readWidths.length ? ` of ${width}` : ''}`);
+  }
+  const gdb = b !== 'openocd' ? await debugClient(b) : null;
+  if (gdb) return { tool: 'gdb', bytes: Array.from((await gdb.readMemory(address, size)).values()) };
+  const res = await MODULES[b].readRegister({ addr: hex32(address), length: size, ...(width ? { width } : {}), ...targetOptions(b, target) });
+  return { tool: res.tool, bytes: res.bytes };
+}
+
+// readMemory: `length` bytes at addr -> { addr, length, bytes, hex }
+export async function readMemory({ backend, addr, length = 4, width, ...target } = {}) {
+  return run(backend, 'readMemory', async (b) => {
+    if (addr == null) throw new Error('readMemory requires addr');
+    const address = parseNumber(addr, 'addr');
+    const size = parseNumber(length, 'length');
+    if (size < 1) throw new Error('length must be at least 1');
+    const { tool, bytes } = await readBytes(b, address, size, width, target);
+    return { tool, addr: hex32(address), length: bytes.length, bytes, hex: Buffer.from(bytes).toString('hex') };
+  });
+}
+
+// writeMemory: one value of width 8/16/32 bits, or data bytes -> { addr, length, verified? }
+export async function writeMemory({ backend, addr, value, width = 32, data, verify = false, ...target } = {}) {
+  return run(backend, 'writeMemory', async (b) => {
+    if (addr == null) throw new Error('writeMemory requires addr');
+    let res;
+    if (b === 'stlink' && !stlink.getDebugServer()) {
+      throw probeError('NOT_RUNNING', b, 'writeMemory', 'stlink memory writes need a running st-util; start it with probe.startDebug (or st.startDebug)');
+    }
+    if (b !== 'openocd' && MODULES[b].getDebugServer()) {
+      res = { tool: 'gdb', ...(await debug.writeMemory({ server: b, addr, value, width, data, verify })) };
+    } else {
+      res = await MODULES[b].writeMemory({ addr, value, width, data, verify, ...targetOptions(b, target) });
+    }
+    const out = { tool: res.tool, addr: res.addr, length: res.bytes };
+    if (res.verified != null) out.verified = res.verified;
+    if (res.readBack != null) out.readBack = res.readBack;
+    return out;
+  });
+}
+
+// connect: check that the probe reaches the core by reading the Cortex-M CPUID
+export async function connect({ backend, ...target } = {}) {
+  return run(backend, 'connect', async (b) => {
+    const mem = await readBytes(b, CPUID_ADDR, 4, null, target);
+    const cpuid = Buffer.from(mem.bytes).readUInt32LE(0);
+    if (cpuid === 0 || cpuid === 0xffffffff) throw probeError('NO_TARGET', b, 'connect', `CPUID read as ${hex32(cpuid)}; is the target powered and connected?`);
+    return { tool: mem.tool, ...decodeCpuid(cpuid), debugServer: MODULES[b].getDebugServer(), capabilities: CAPABILITIES[b] };
+  });
+}
+
+export async function flash({ backend, path: fwPath, addr, ...target } = {}) {
+  return run(backend, 'flash', async (b) => {
+    const address = addr != null ? hex32(parseNumber(addr, 'addr')) : null;
+    const res = await MODULES[b].flashFirmware({ path: fwPath, ...(address ? { addr: address } : {}), ...targetOptions(b, target) });
+    return { tool: res.tool, path: fwPath, addr: address, output: outputOf(res) };
+  });
+}
+
+export async function reset({ backend, ...target } = {}) {
+  return run(backend, 'reset', async (b) => {
+    const res = await MODULES[b].resetDevice(targetOptions(b, target));
+    return { tool: res.tool, output: outputOf(res) };
+  });
+}
+
+// startDebug: the backend's GDB server -> { server, port }
+export async function startDebug({ backend, port, ...target } = {}) {
+  if (!backend) throw probeError('INVALID_ARGUMENT', null, 'startDebug', `backend is required (${BACKENDS.join(', ')})`);
+  return run(backend, 'startDebug', async (b) => {
+    const opts = { ...targetOptions(b, target), ...(port ? { port } : {}) };
+    const { message } = await MODULES[b].startDebug(opts);
+    const info = MODULES[b].getDebugServer();
+    return { tool: { stlink: 'st-util', openocd: 'openocd', jlink: 'JLinkGDBServer' }[b], message, server: info?.server ?? b, port: info?.port ?? null };
+  });
+}
+
+export async function stopDebug({ backend } = {}) {
+  return run(backend, 'stopDebug', async (b) => {
+    const { message } = await MODULES[b].stopDebug();
+    return { message };
+  });
+}
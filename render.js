@@ -0,0 +1,84 @@
+// render.js
+// Human-readable renderings of received bytes for serial reads.
+// Exposes: READ_FORMATS, renderBytes, hexdump, escapeBytes
+//
+// - text: Buffer#toString(encoding) (utf8 / hex / base64 / latin1 ...)
+// - hexdump: offset, hex columns and an ASCII gutter, 16 bytes per row
+// - escaped: printable text (including valid multi-byte UTF-8) kept as is; control bytes and
+//   invalid UTF-8 shown as \xNN, CR/LF/TAB as \r \n \t (a line break follows each \n)
+
+export const READ_FORMATS = ['text', 'hexdump', 'escaped'];
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+export function hexdump(buf, { width = 16, startOffset = 0 } = {}) {
+  const lines = [];
+  const half = width / 2;
+  for (let off = 0; off < buf.length; off += width) {
+    const row = buf.subarray(off, off + width);
+    let hex = '';
+    let ascii = '';
+    for (let i = 0; i < width; i++) {
+      if (i === half) hex += ' ';
+      if (i < row.length) {
+        hex += `${row[i].toString(16).padStart(2, '0')} `;
+        ascii += row[i] >= 0x20 && row[i] <= 0x7e ? String.fromCharCode(row[i]) : '.';
+      } else {
+        hex += '   ';
+      }
+    }
+    lines.push(`${(startOffset + off).toString(16).padStart(8, '0')}  ${hex} |${ascii}|`);
+  }
+  return lines.join('\n');
+}
+
+function utf8SequenceLength(lead) {
+  if (lead >= 0xc2 && lead <= 0xdf) return 2;
+  if (lead >= 0xe0 && lead <= 0xef) return 3;
+  if (lead >= 0xf0 && lead <= 0xf4) return 4;
+  return 0;
+}
+
+const NAMED_ESCAPES = { 0x09: '\\t', 0x0a: '\\n\n', 0x0d: '\\r', 0x5c: '\\\\' };
+
+export function escapeBytes(buf) {
+  let out = '';
+  let i = 0;
+  while (i < buf.length) {
+    const b = buf[i];
+    if (NAMED_ESCAPES[b]) {
+      out += NAMED_ESCAPES[b];
+      i += 1;
+      continue;
+    }
+    if (b >= 0x20 && b <= 0x7e) {
+      out += String.fromCharCode(b);
+      i += 1;
+      continue;
+    }
+    const n = utf8SequenceLength(b);
+    if (n && i + n <= buf.length) {
+      try {
+        const ch = utf8.decode(buf.subarray(i, i + n));
+        // Valid UTF-8 can still encode invisible controls (C1, bidi overrides, ...)
+        if (!/\p{C}/u.test(ch)) {
+          out += ch;
+          i += n;
+          continue;
+        }
+      } catch {
+        // Invalid sequence: fall through and escape the lead byte
+      }
+    }
+    out += `\\x${b.toString(16).padStart(2, '0')}`;
+    i += 1;
+  }
+  return out;
+}
+
+export function renderBytes(buf, { format = 'text', encoding = 'utf8' } = {}) {
+  if (format === 'hexdump') return hexdump(buf);
+  if (format === 'escaped') return escapeBytes(buf);
+  if (format !== 'text') throw new Error(`Unknown read format: ${format} (expected ${READ_FORMATS.join(', ')})`);
+  return buf.toString(encoding);
+}
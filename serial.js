@@ -1,14 +1,36 @@
 // serial.js
 // Encapsulates serial (COM) port operations using the serialport library.
-// Provides: listPorts, openPort, write, read, closePort
-// This module maintains a single active port for simplicity.
+// Provides: listPorts, openPort, listOpenPorts, getPortInfo, write, read, readUntil, readLines,
+//           updateSettings, subscribe, writeRaw, readRaw, flushInput, transact, runScript,
+//           startCapture, stopCapture, setSignals, getSignals, sendBreak, runSignalSequence,
+//           detectBaud, closePort, closeAll (and setPortImplementation for offline tests)
+// Several ports can be open at once; each open port is a session addressed by its id.
+// Calls without a sessionId fall back to the only open session.
+// Each session's receive buffer is bounded (bufferSize); when full, the oldest bytes are dropped and counted.
+// A session opened with a packet framing mode (cobs, slip, length-prefixed; see framing.js) decodes
+// received bytes into a packet queue instead: read/write then move whole packets, and framing
+// errors are queued separately. The byte-stream readers refuse to run on such sessions.
 
 import { SerialPort } from 'serialport';
+import fs from 'node:fs';
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import { normalizeFraming, createDecoder, encodePacket } from './framing.js';
+import { READ_FORMATS, renderBytes, escapeBytes } from './render.js';
 
-/** @type {import('serialport').SerialPort | null} */
-let activePort = null;
-let activePortName = '';
-let rxBuffer = Buffer.alloc(0);
+/** @type {Map<string, object>} sessionId -> session */
+const sessions = new Map();
+let nextSessionId = 1;
+
+const DEFAULT_BUFFER_SIZE = 1024 * 1024;
+const MAX_QUEUED_FRAMING_ERRORS = 100;
+
+// Port class used for list/open; tests swap in SerialPortMock (or a subclass with a custom binding)
+let PortClass = SerialPort;
+
+export function setPortImplementation(cls) {
+  PortClass = cls || SerialPort;
+}
 
 function normalizeComName(name) {
   if (typeof name !== 'string' || name.length === 0) {
@@ -17,14 +39,147 @@ function normalizeComName(name) {
   return name; // serialport supports COM10+ without special prefix
 }
 
-function ensureOpen() {
-  if (!activePort || !activePort.isOpen) {
-    throw new Error(`Serial port is not open${activePortName ? `: ${activePortName}` : ''}`);
+function findSessionByPath(portPath) {
+  for (const s of sessions.values()) {
+    if (s.path === portPath) return s;
+  }
+  return null;
+}
+
+// Resolve a session by id (or port path). Without an id, the only open session is used.
+function getSession(sessionId) {
+  if (sessionId != null && sessionId !== '') {
+    const s = sessions.get(String(sessionId)) || findSessionByPath(String(sessionId));
+    if (!s) throw new Error(`Unknown serial session: ${sessionId}`);
+    return s;
+  }
+  if (sessions.size === 0) throw new Error('Serial port is not open');
+  if (sessions.size > 1) {
+    const ids = Array.from(sessions.values()).map((s) => `${s.id} (${s.path})`).join(', ');
+    throw new Error(`Multiple serial ports are open; specify sessionId: ${ids}`);
+  }
+  return sessions.values().next().value;
+}
+
+function ensureOpen(sessionId) {
+  const s = getSession(sessionId);
+  if (!s.port.isOpen) {
+    throw new Error(`Serial port is not open: ${s.path}`);
+  }
+  return s;
+}
+
+// Byte-stream operations make no sense once received bytes are decoded into packets
+function ensureStream(s, op) {
+  if (s.framing.mode !== 'raw') {
+    throw new Error(`${op} is not available on session ${s.id}: it uses ${s.framing.mode} framing (use read/write for packets)`);
+  }
+  return s;
+}
+
+function describeFraming(s) {
+  if (s.framing.mode === 'raw') return { mode: 'raw' };
+  return {
+    ...s.framing,
+    packetsReceived: s.packetsReceived,
+    packetsSent: s.packetsSent,
+    queuedPackets: s.packets.length,
+    droppedPackets: s.droppedPackets,
+    framingErrors: { ...s.framingErrorCounts },
+    pendingBytes: s.decoder.pendingBytes,
+  };
+}
+
+function describeSession(s) {
+  return {
+    sessionId: s.id,
+    path: s.path,
+    settings: { ...s.settings },
+    bytesReceived: s.bytesReceived,
+    bytesSent: s.bytesSent,
+    buffered: s.rxLength,
+    bufferSize: s.bufferSize,
+    framing: describeFraming(s),
+    format: s.format,
+    droppedBytes: s.droppedBytes,
+    overflows: s.overflows,
+    signals: { ...s.signals },
+    capture: s.capture ? describeCapture(s.capture) : null,
+    openedAt: s.openedAt,
+  };
+}
+
+// The receive buffer is a list of chunks consumed from the head (rxHead), so appending costs the
+// chunk alone however long the buffer grows. Readers that need one contiguous view call
+// peekBuffer, which joins the chunks once and keeps the result.
+
+// Append received bytes, dropping the oldest ones once bufferSize is exceeded
+function appendToBuffer(s, chunk) {
+  s.rxChunks.push(chunk);
+  s.rxLength += chunk.length;
+  if (s.rxLength > s.bufferSize) {
+    const drop = s.rxLength - s.bufferSize;
+    s.droppedBytes += drop;
+    s.overflows += 1;
+    discardFromBuffer(s, drop);
+  }
+}
+
+function discardFromBuffer(s, length) {
+  s.rxLength -= length;
+  while (length > 0) {
+    const head = s.rxChunks[s.rxHead];
+    if (head.length > length) {
+      s.rxChunks[s.rxHead] = head.subarray(length);
+      break;
+    }
+    length -= head.length;
+    s.rxChunks[s.rxHead++] = null;
+  }
+  if (s.rxLength === 0) clearBuffer(s);
+  else if (s.rxHead > 1024 && s.rxHead * 2 > s.rxChunks.length) {
+    s.rxChunks = s.rxChunks.slice(s.rxHead);
+    s.rxHead = 0;
+  }
+}
+
+function peekBuffer(s) {
+  if (s.rxLength === 0) return Buffer.alloc(0);
+  if (s.rxChunks.length - s.rxHead > 1) {
+    s.rxChunks = [Buffer.concat(s.rxChunks.slice(s.rxHead), s.rxLength)];
+    s.rxHead = 0;
+  }
+  return s.rxChunks[s.rxHead];
+}
+
+function clearBuffer(s) {
+  s.rxChunks = [];
+  s.rxHead = 0;
+  s.rxLength = 0;
+}
+
+// Queue decoded packets and framing errors. Queued packet bytes share the bufferSize bound:
+// the oldest packets are dropped first.
+function receivePackets(s, chunk) {
+  const { packets, errors } = s.decoder.push(chunk);
+  for (const p of packets) {
+    s.packets.push(p);
+    s.packetBytes += p.length;
+    s.packetsReceived += 1;
+  }
+  while (s.packetBytes > s.bufferSize && s.packets.length > 1) {
+    s.packetBytes -= s.packets.shift().length;
+    s.droppedPackets += 1;
   }
+  for (const e of errors) {
+    s.framingErrorCounts[e.type] = (s.framingErrorCounts[e.type] || 0) + 1;
+    s.framingErrors.push({ ...e, at: new Date().toISOString() });
+  }
+  if (s.framingErrors.length > MAX_QUEUED_FRAMING_ERRORS) s.framingErrors.splice(0, s.framingErrors.length - MAX_QUEUED_FRAMING_ERRORS);
 }
 
 export async function listPorts() {
-  const ports = await SerialPort.list();
+  const ports = await PortClass.list();
   return ports.map((p) => ({
     path: p.path,
     manufacturer: p.manufacturer || null,
@@ -35,71 +190,186 @@ export async function listPorts() {
   }));
 }
 
-export async function openPort(options) {
-  const {
-    name,
-    baudRate = 9600,
-    dataBits = 8,
-    stopBits = 1,
-    parity = 'none',
-    rtscts = false,
-    xon = false,
-    xoff = false,
-    xany = false,
-  } = options || {};
-
-  if (activePort && activePort.isOpen) {
-    throw new Error(`A port is already open: ${activePortName}. Close it first.`);
-  }
-
-  const path = normalizeComName(name);
-  const port = new SerialPort({
-    path,
-    baudRate,
-    dataBits,
-    stopBits,
-    parity,
-    rtscts,
-    xon,
-    xoff,
-    xany,
-    autoOpen: false,
-  });
-
+async function openHandle(portPath, settings) {
+  const port = new PortClass({ path: portPath, ...settings, autoOpen: false });
   await new Promise((resolve, reject) => {
     port.open((err) => (err ? reject(err) : resolve()));
   }).catch((err) => {
     if (err && typeof err.message === 'string') {
       if (/access\s*denied|permission/i.test(err.message)) {
-        throw new Error(`Access denied opening ${path}. In use or admin required? (${err.message})`);
+        throw new Error(`Access denied opening ${portPath}. In use or admin required? (${err.message})`);
       }
       if (/file\s*not\s*found|does\s*not\s*exist|no\s*such/i.test(err.message)) {
-        throw new Error(`Port not found: ${path}`);
+        throw new Error(`Port not found: ${portPath}`);
       }
     }
     throw err;
   });
+  return port;
+}
 
-  rxBuffer = Buffer.alloc(0);
+// Wire a port handle to its session. A handle replaced by updateSettings() closes without
+// ending the session. Received data is re-emitted as the session's 'data' event, so waiters
+// survive the handle swap.
+function attachPort(session, port) {
+  session.port = port;
   port.on('data', (chunk) => {
     if (!Buffer.isBuffer(chunk)) chunk = Buffer.from(chunk);
-    rxBuffer = rxBuffer.length === 0 ? chunk : Buffer.concat([rxBuffer, chunk]);
+    session.bytesReceived += chunk.length;
+    if (session.capture) captureChunk(session, chunk);
+    if (session.decoder) receivePackets(session, chunk);
+    else appendToBuffer(session, chunk);
+    for (const t of session.taps) {
+      try { t.data?.(chunk); } catch {}
+    }
+    session.events.emit('data');
   });
   port.on('close', () => {
-    activePort = null;
-    activePortName = '';
+    if (session.port !== port || session.reopening) return;
+    if (session.capture) endCapture(session);
+    if (sessions.get(session.id) === session) sessions.delete(session.id);
+    for (const t of session.taps) {
+      try { t.close?.(); } catch {}
+    }
+    session.taps.clear();
   });
   port.on('error', () => {
     // Non-fatal for module state; errors surface via operations
   });
+}
+
+export async function openPort(options) {
+  const {
+    name,
+    bufferSize = DEFAULT_BUFFER_SIZE,
+    framing,
+    format = 'text',
+    sessionId: reuseId,
+    baudRate = 9600,
+    dataBits = 8,
+    stopBits = 1,
+    parity = 'none',
+    rtscts = false,
+    xon = false,
+    xoff = false,
+    xany = false,
+  } = options || {};
+
+  const portPath = normalizeComName(name);
+  const existing = findSessionByPath(portPath);
+  if (existing) {
+    throw new Error(`${portPath} is already open as session ${existing.id}. Close it first.`);
+  }
+  if (!Number.isInteger(bufferSize) || bufferSize < 1) throw new Error('bufferSize must be a positive integer');
+  const framingOptions = normalizeFraming(framing);
+  if (!READ_FORMATS.includes(format)) throw new Error(`format must be one of ${READ_FORMATS.join(', ')}`);
+  // The hot-plug watcher reopens a re-enumerated device under its previous session id
+  if (reuseId != null && sessions.has(String(reuseId))) throw new Error(`Session id ${reuseId} is in use`);
+
+  const settings = { baudRate, dataBits, stopBits, parity, rtscts, xon, xoff, xany };
+  const port = await openHandle(portPath, settings);
+
+  const session = {
+    id: reuseId != null ? String(reuseId) : `s${nextSessionId++}`,
+    path: portPath,
+    port,
+    settings,
+    rxChunks: [],
+    rxHead: 0,
+    rxLength: 0,
+    bufferSize,
+    droppedBytes: 0,
+    overflows: 0,
+    bytesReceived: 0,
+    bytesSent: 0,
+    framing: framingOptions,
+    // Default rendering for read()
+    format,
+    decoder: framingOptions.mode === 'raw' ? null : createDecoder(framingOptions),
+    packets: [],
+    packetBytes: 0,
+    packetsReceived: 0,
+    packetsSent: 0,
+    droppedPackets: 0,
+    framingErrors: [],
+    framingErrorCounts: { decode: 0, crc: 0, oversize: 0 },
+    // serialport's set() rewrites every flag, so the last requested levels are tracked here
+    signals: { dtr: true, rts: true, brk: false },
+    capture: null,
+    // Extra consumers of the raw byte stream (e.g. the TCP bridge); see subscribe()
+    taps: new Set(),
+    // 'data' after each received chunk is buffered, whichever handle it came from
+    events: new EventEmitter(),
+    openedAt: new Date().toISOString(),
+  };
+  attachPort(session, port);
+
+  sessions.set(session.id, session);
+  const framed = framingOptions.mode === 'raw' ? '' : `, ${framingOptions.mode} framing`;
+  return { sessionId: session.id, path: portPath, message: `Opened ${portPath} @ ${baudRate} baud${framed} (session ${session.id})` };
+}
+
+export function listOpenPorts() {
+  return Array.from(sessions.values()).map(describeSession);
+}
+
+export function getPortInfo({ sessionId } = {}) {
+  return describeSession(getSession(sessionId));
+}
+
+// updateSettings: change the line settings of an open session. A baud rate change is applied in
+// place; anything else reopens the handle, keeping the session, its buffers and output line levels.
+export async function updateSettings({ sessionId, ...changes } = {}) {
+  const s = ensureOpen(sessionId);
+  const next = { ...s.settings };
+  for (const key of Object.keys(s.settings)) {
+    if (changes[key] !== undefined) next[key] = changes[key];
+  }
+  const changed = Object.keys(next).filter((k) => next[k] !== s.settings[k]);
+  if (changed.length === 0) return { sessionId: s.id, settings: { ...s.settings }, changed };
+  if (changed.length === 1 && changed[0] === 'baudRate') {
+    await new Promise((resolve, reject) => {
+      s.port.update({ baudRate: next.baudRate }, (err) => (err ? reject(err) : resolve()));
+    });
+  } else {
+    s.reopening = true;
+    try {
+      await new Promise((resolve) => s.port.close(() => resolve()));
+      attachPort(s, await openHandle(s.path, next));
+    } catch (e) {
+      // The old handle is gone, so the session cannot continue
+      s.reopening = false;
+      s.port.emit('close');
+      throw e;
+    }
+    s.reopening = false;
+    await applySignals(s, {});
+  }
+  s.settings = next;
+  return { sessionId: s.id, settings: { ...next }, changed };
+}
 
-  activePort = port;
-  activePortName = path;
-  return { message: `Opened ${path} @ ${baudRate} baud` };
+// subscribe: get a copy of every received chunk (the session buffer is not consumed) and a call
+// when the session ends. Returns an unsubscribe function.
+export function subscribe({ sessionId, data, close } = {}) {
+  const s = ensureOpen(sessionId);
+  const tap = { data, close };
+  s.taps.add(tap);
+  return () => s.taps.delete(tap);
 }
 
-export async function write({ data, encoding = 'utf8', appendNewline = false }) {
-  ensureOpen();
+async function writeBuffer(s, buffer) {
+  await new Promise((resolve, reject) => {
+    s.port.write(buffer, (err) => {
+      if (err) return reject(err);
+      s.port.drain((e) => (e ? reject(e) : resolve()));
+    });
+  });
+  s.bytesSent += buffer.length;
+}
+
+export async function write({ sessionId, data, encoding = 'utf8', appendNewline = false }) {
+  const s = ensureOpen(sessionId);
   let bufferToSend;
   if (encoding === 'utf8') {
     bufferToSend = Buffer.from(appendNewline ? `${data}\n` : data, 'utf8');
@@ -107,56 +377,628 @@ export async function write({ data, encoding = 'utf8', appendNewline = false })
     const raw = appendNewline ? `${data}${encoding === 'hex' ? '0a' : '\n'}` : data;
     bufferToSend = Buffer.from(raw, encoding);
   }
-  await new Promise((resolve, reject) => {
-    activePort.write(bufferToSend, (err) => {
-      if (err) return reject(err);
-      activePort.drain((e) => (e ? reject(e) : resolve()));
-    });
+  if (s.framing.mode !== 'raw') {
+    const wire = encodePacket(bufferToSend, s.framing);
+    await writeBuffer(s, wire);
+    s.packetsSent += 1;
+    return { sessionId: s.id, bytes: bufferToSend.length, wireBytes: wire.length };
+  }
+  await writeBuffer(s, bufferToSend);
+  return { sessionId: s.id, bytes: bufferToSend.length };
+}
+
+// Run extract() against the session buffer; if it yields nothing, retry on every
+// incoming chunk until it does or timeoutMs elapses (resolves null on timeout).
+function waitForBuffer(s, extract, timeoutMs) {
+  const first = extract();
+  if (first != null || !(timeoutMs > 0)) return Promise.resolve(first);
+  return new Promise((resolve) => {
+    let t;
+    const onData = () => {
+      const c = extract();
+      if (c != null) {
+        clearTimeout(t);
+        s.events.off('data', onData);
+        resolve(c);
+      }
+    };
+    s.events.on('data', onData);
+    t = setTimeout(() => {
+      s.events.off('data', onData);
+      resolve(null);
+    }, timeoutMs);
   });
-  return { bytes: bufferToSend.length };
 }
 
-export async function read({ maxBytes = 65536, encoding = 'utf8', timeoutMs = 0 } = {}) {
-  ensureOpen();
-  const readFromBuffer = () => {
-    if (rxBuffer.length === 0) return null;
-    const take = Math.min(rxBuffer.length, maxBytes);
-    const chunk = rxBuffer.subarray(0, take);
-    rxBuffer = rxBuffer.subarray(take);
-    return chunk;
+function takeFromBuffer(s, length) {
+  const chunk = peekBuffer(s).subarray(0, length);
+  discardFromBuffer(s, chunk.length);
+  return chunk;
+}
+
+// read: format 'text' decodes with `encoding`; 'hexdump' and 'escaped' render binary data
+// readably (see render.js). Without a format, the session default from openPort applies.
+export async function read({ sessionId, maxBytes = 65536, maxPackets = 100, encoding, format, timeoutMs = 0 } = {}) {
+  const s = ensureOpen(sessionId);
+  const fmt = format || s.format;
+  if (s.framing.mode !== 'raw') return await readPackets(s, { maxPackets, format: fmt, encoding: encoding || 'hex', timeoutMs });
+  const render = { format: fmt, encoding: encoding || 'utf8' };
+  renderBytes(Buffer.alloc(0), render); // validate before consuming anything
+  const chunk = await waitForBuffer(s, () => {
+    if (s.rxLength === 0) return null;
+    return takeFromBuffer(s, Math.min(s.rxLength, maxBytes));
+  }, timeoutMs);
+  if (!chunk) return { sessionId: s.id, data: '', bytes: 0 };
+  return { sessionId: s.id, data: renderBytes(chunk, render), bytes: chunk.length };
+}
+
+// Framed sessions: return whole packets, plus the framing errors seen since the last read.
+// Waits until at least one packet or error is queued (or timeoutMs elapses).
+async function readPackets(s, { maxPackets, format, encoding, timeoutMs }) {
+  renderBytes(Buffer.alloc(0), { format, encoding });
+  const got = await waitForBuffer(s, () => {
+    if (s.packets.length === 0 && s.framingErrors.length === 0) return null;
+    const packets = s.packets.splice(0, maxPackets);
+    for (const p of packets) s.packetBytes -= p.length;
+    return { packets, errors: s.framingErrors.splice(0) };
+  }, timeoutMs);
+  const { packets = [], errors = [] } = got || {};
+  return {
+    sessionId: s.id,
+    packets: packets.map((p) => ({ data: renderBytes(p, { format, encoding }), bytes: p.length })),
+    framingErrors: errors,
+    queuedPackets: s.packets.length,
   };
-  let chunk = readFromBuffer();
-  if (!chunk && timeoutMs > 0) {
-    chunk = await new Promise((resolve) => {
-      let t;
-      const onData = () => {
-        const c = readFromBuffer();
-        if (c) {
-          clearTimeout(t);
-          activePort.off('data', onData);
-          resolve(c);
+}
+
+// Binary helpers for protocol modules (bootloaders, file transfer, fieldbus) built on a session
+
+export async function writeRaw({ sessionId, buffer }) {
+  const s = ensureOpen(sessionId);
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  await writeBuffer(s, buf);
+  return { sessionId: s.id, bytes: buf.length };
+}
+
+// readRaw: wait for exactly `length` bytes; resolves null on timeout without consuming anything
+export async function readRaw({ sessionId, length, timeoutMs = 1000 }) {
+  const s = ensureStream(ensureOpen(sessionId), 'readRaw');
+  return await waitForBuffer(s, () => (s.rxLength >= length ? Buffer.from(takeFromBuffer(s, length)) : null), timeoutMs);
+}
+
+export function flushInput({ sessionId } = {}) {
+  const s = ensureOpen(sessionId);
+  const discarded = s.rxLength;
+  clearBuffer(s);
+  if (s.decoder) {
+    const packets = s.packets.length;
+    s.packets = [];
+    s.packetBytes = 0;
+    s.framingErrors = [];
+    s.decoder.reset();
+    return { sessionId: s.id, discarded, discardedPackets: packets };
+  }
+  return { sessionId: s.id, discarded };
+}
+
+function toDelimiterBuffer(delimiter, delimiterEncoding = 'utf8') {
+  const buf = Buffer.from(delimiter, delimiterEncoding);
+  if (buf.length === 0) throw new Error('delimiter must not be empty');
+  return buf;
+}
+
+// readUntil: return one framed message, ended by a delimiter, a regex match or a byte count.
+// Bytes after the frame stay buffered. On timeout nothing is consumed.
+export async function readUntil({
+  sessionId,
+  delimiter,
+  delimiterEncoding = 'utf8',
+  pattern,
+  flags = '',
+  length,
+  includeDelimiter = false,
+  encoding = 'utf8',
+  timeoutMs = 1000,
+} = {}) {
+  const modes = [delimiter != null, pattern != null, length != null].filter(Boolean).length;
+  if (modes !== 1) throw new Error('readUntil requires exactly one of delimiter, pattern or length');
+  const s = ensureStream(ensureOpen(sessionId), 'readUntil');
+
+  let extract;
+  if (delimiter != null) {
+    const delim = toDelimiterBuffer(delimiter, delimiterEncoding);
+    extract = () => {
+      const idx = peekBuffer(s).indexOf(delim);
+      if (idx < 0) return null;
+      const frame = takeFromBuffer(s, idx + delim.length);
+      return { frame: includeDelimiter ? frame : frame.subarray(0, idx) };
+    };
+  } else if (pattern != null) {
+    // latin1 keeps string indices equal to byte offsets
+    const re = new RegExp(pattern, flags.replace(/[gy]/g, ''));
+    extract = () => {
+      const m = re.exec(peekBuffer(s).toString('latin1'));
+      if (!m) return null;
+      const end = m.index + m[0].length;
+      const frame = takeFromBuffer(s, end);
+      return {
+        frame: includeDelimiter ? frame : frame.subarray(0, m.index),
+        match: Buffer.from(m[0], 'latin1').toString(encoding),
+        groups: m.slice(1).map((g) => (g == null ? null : Buffer.from(g, 'latin1').toString(encoding))),
+      };
+    };
+  } else {
+    if (!Number.isInteger(length) || length < 1) throw new Error('length must be a positive integer');
+    extract = () => (s.rxLength >= length ? { frame: takeFromBuffer(s, length) } : null);
+  }
+
+  const res = await waitForBuffer(s, extract, timeoutMs);
+  if (!res) return { sessionId: s.id, matched: false, data: '', bytes: 0, buffered: s.rxLength };
+  const out = { sessionId: s.id, matched: true, data: res.frame.toString(encoding), bytes: res.frame.length };
+  if (res.match != null) {
+    out.match = res.match;
+    out.groups = res.groups;
+  }
+  out.buffered = s.rxLength;
+  return out;
+}
+
+// readLines: return complete lines (LF or CRLF terminated); a trailing partial line stays buffered.
+export async function readLines({ sessionId, maxLines = 100, encoding = 'utf8', timeoutMs = 0, skipEmpty = false } = {}) {
+  const s = ensureStream(ensureOpen(sessionId), 'readLines');
+  const lines = await waitForBuffer(s, () => {
+    const out = [];
+    let start = 0;
+    const buf = peekBuffer(s);
+    while (out.length < maxLines) {
+      const idx = buf.indexOf(0x0a, start);
+      if (idx < 0) break;
+      const end = idx > start && buf[idx - 1] === 0x0d ? idx - 1 : idx;
+      const line = buf.subarray(start, end).toString(encoding);
+      if (!(skipEmpty && line.length === 0)) out.push(line);
+      start = idx + 1;
+    }
+    if (start === 0) return null;
+    takeFromBuffer(s, start);
+    return out.length > 0 ? out : null;
+  }, timeoutMs);
+  return { sessionId: s.id, lines: lines || [], buffered: s.rxLength };
+}
+
+function compilePatterns(list, flags) {
+  if (list == null) return [];
+  const arr = Array.isArray(list) ? list : [list];
+  return arr.map((p) => ({ source: p, re: new RegExp(p, flags.replace(/[gy]/g, '')) }));
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// transact: optionally flush the receive buffer, send a payload and wait for the first
+// success (expect) or failure (errors) pattern. Timeouts and error matches are retried.
+export async function transact({
+  sessionId,
+  send,
+  encoding = 'utf8',
+  appendNewline = false,
+  expect,
+  errors,
+  flags = '',
+  flush = true,
+  timeoutMs = 1000,
+  retries = 0,
+  retryDelayMs = 0,
+} = {}) {
+  const s = ensureStream(ensureOpen(sessionId), 'transact');
+  const okPatterns = compilePatterns(expect, flags);
+  const errPatterns = compilePatterns(errors, flags);
+  const transcript = [];
+  const started = Date.now();
+  let result = null;
+
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    if (attempt > 1 && retryDelayMs > 0) await sleep(retryDelayMs);
+    if (flush && s.rxLength > 0) {
+      transcript.push({ attempt, dir: 'flushed', data: takeFromBuffer(s, s.rxLength).toString('utf8') });
+    }
+    if (send != null) {
+      await write({ sessionId: s.id, data: send, encoding, appendNewline });
+      transcript.push({ attempt, dir: 'tx', data: send });
+    }
+    if (okPatterns.length === 0 && errPatterns.length === 0) {
+      result = { ok: true, outcome: 'sent', attempts: attempt };
+      break;
+    }
+
+    // Pick the earliest match across all patterns so a late "OK" cannot hide an earlier "ERROR"
+    const hit = await waitForBuffer(s, () => {
+      const text = peekBuffer(s).toString('latin1');
+      let best = null;
+      for (const [kind, list] of [['error', errPatterns], ['ok', okPatterns]]) {
+        for (const p of list) {
+          const m = p.re.exec(text);
+          if (m && (!best || m.index < best.m.index)) best = { kind, p, m };
         }
+      }
+      if (!best) return null;
+      const response = takeFromBuffer(s, best.m.index + best.m[0].length).toString('utf8');
+      return { ...best, response };
+    }, timeoutMs);
+
+    if (hit) {
+      transcript.push({ attempt, dir: 'rx', data: hit.response });
+      result = {
+        ok: hit.kind === 'ok',
+        outcome: hit.kind,
+        attempts: attempt,
+        matched: {
+          pattern: hit.p.source,
+          text: Buffer.from(hit.m[0], 'latin1').toString('utf8'),
+          groups: hit.m.slice(1).map((g) => (g == null ? null : Buffer.from(g, 'latin1').toString('utf8'))),
+        },
+        response: hit.response,
       };
-      activePort.on('data', onData);
-      t = setTimeout(() => {
-        activePort.off('data', onData);
-        resolve(null);
-      }, timeoutMs);
-    });
+      if (result.ok) break;
+    } else {
+      const partial = s.rxLength > 0 ? takeFromBuffer(s, s.rxLength).toString('utf8') : '';
+      transcript.push({ attempt, dir: 'rx', data: partial });
+      result = { ok: false, outcome: 'timeout', attempts: attempt, response: partial };
+    }
   }
-  if (!chunk) return { data: '', bytes: 0 };
-  return { data: chunk.toString(encoding), bytes: chunk.length };
+  return { sessionId: s.id, ...result, elapsedMs: Date.now() - started, transcript };
 }
 
-export async function closePort() {
-  if (activePort && activePort.isOpen) {
-    await new Promise((resolve, reject) => {
-      activePort.close((err) => (err ? reject(err) : resolve()));
-    });
+// runScript: execute transact steps in order. Stops at the first failed step unless
+// stopOnError is false, and reports which step failed plus the combined transcript.
+export async function runScript({ sessionId, steps, stopOnError = true } = {}) {
+  if (!Array.isArray(steps) || steps.length === 0) throw new Error('runScript requires a non-empty steps array');
+  const s = ensureOpen(sessionId);
+  const results = [];
+  const transcript = [];
+  let failedStep = null;
+  for (let i = 0; i < steps.length; i++) {
+    const { name, delayMs = 0, ...step } = steps[i] || {};
+    if (delayMs > 0) await sleep(delayMs);
+    const res = await transact({ ...step, sessionId: s.id });
+    for (const t of res.transcript) transcript.push({ step: i, ...t });
+    results.push({ step: i, name: name || null, ok: res.ok, outcome: res.outcome, attempts: res.attempts, matched: res.matched || null, elapsedMs: res.elapsedMs });
+    if (!res.ok) {
+      if (failedStep == null) failedStep = { step: i, name: name || null, outcome: res.outcome, response: res.response };
+      if (stopOnError) break;
+    }
   }
-  activePort = null;
-  activePortName = '';
-  rxBuffer = Buffer.alloc(0);
-  return { message: 'Port closed' };
+  return { sessionId: s.id, ok: failedStep == null, failedStep, steps: results, transcript };
+}
+
+// ---------------------------
+// Continuous capture to file
+// ---------------------------
+
+function describeCapture(c) {
+  return {
+    path: c.path,
+    mode: c.mode,
+    timestamps: c.timestamps,
+    bytesCaptured: c.bytesCaptured,
+    fileBytes: c.fileBytes,
+    rotations: c.rotations,
+    maxFileBytes: c.maxFileBytes,
+    error: c.error,
+    startedAt: c.startedAt,
+  };
+}
+
+// Shift file -> file.1 -> file.2 ... keeping at most maxFiles rotated files
+function rotateCaptureFile(c) {
+  fs.closeSync(c.fd);
+  for (let i = c.maxFiles - 1; i >= 1; i--) {
+    const from = `${c.path}.${i}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${c.path}.${i + 1}`);
+  }
+  if (c.maxFiles > 0) fs.renameSync(c.path, `${c.path}.1`);
+  c.fd = fs.openSync(c.path, c.maxFiles > 0 ? 'a' : 'w');
+  c.fileBytes = 0;
+  c.rotations += 1;
+}
+
+function writeCapture(c, buf) {
+  if (c.maxFileBytes > 0 && c.fileBytes > 0 && c.fileBytes + buf.length > c.maxFileBytes) rotateCaptureFile(c);
+  fs.writeSync(c.fd, buf);
+  c.fileBytes += buf.length;
+}
+
+// Called from the data handler; failures stop the capture instead of breaking the session
+function captureChunk(s, chunk) {
+  const c = s.capture;
+  try {
+    c.bytesCaptured += chunk.length;
+    if (c.mode === 'raw' || !c.timestamps) {
+      writeCapture(c, chunk);
+      return;
+    }
+    let start = 0;
+    while (start < chunk.length) {
+      const nl = chunk.indexOf(0x0a, start);
+      const end = nl < 0 ? chunk.length : nl + 1;
+      const piece = chunk.subarray(start, end);
+      writeCapture(c, c.atLineStart ? Buffer.concat([Buffer.from(`[${new Date().toISOString()}] `), piece]) : piece);
+      c.atLineStart = nl >= 0;
+      start = end;
+    }
+  } catch (e) {
+    c.error = e?.message || String(e);
+    endCapture(s);
+  }
+}
+
+function endCapture(s) {
+  const c = s.capture;
+  s.capture = null;
+  try { fs.closeSync(c.fd); } catch {}
+  return describeCapture(c);
 }
 
+// startCapture: tee every received byte of a session to a log file. Text mode prefixes each
+// line with a host timestamp; raw mode writes the bytes unchanged. maxFileBytes enables rotation.
+export function startCapture({ sessionId, path: filePath, mode = 'text', timestamps = true, append = false, maxFileBytes = 0, maxFiles = 5 } = {}) {
+  if (!filePath) throw new Error('startCapture requires a file path');
+  if (mode !== 'text' && mode !== 'raw') throw new Error(`Unknown capture mode: ${mode}`);
+  const s = ensureOpen(sessionId);
+  if (s.capture) throw new Error(`Session ${s.id} is already capturing to ${s.capture.path}`);
+  const abs = path.isAbsolute(filePath) ? filePath : path.resolve(process.cwd(), filePath);
+  fs.mkdirSync(path.dirname(abs), { recursive: true });
+  const fd = fs.openSync(abs, append ? 'a' : 'w');
+  s.capture = {
+    path: abs,
+    mode,
+    timestamps: mode === 'text' && timestamps,
+    fd,
+    fileBytes: append ? fs.fstatSync(fd).size : 0,
+    bytesCaptured: 0,
+    rotations: 0,
+    maxFileBytes,
+    maxFiles,
+    atLineStart: true,
+    error: null,
+    startedAt: new Date().toISOString(),
+  };
+  return { sessionId: s.id, message: `Capturing ${s.path} to ${abs} (${mode})`, capture: describeCapture(s.capture) };
+}
+
+export function stopCapture({ sessionId } = {}) {
+  const s = getSession(sessionId);
+  if (!s.capture) return { sessionId: s.id, message: 'No capture running' };
+  const capture = endCapture(s);
+  return { sessionId: s.id, message: `Capture stopped: ${capture.path}`, capture };
+}
+
+// ---------------------------
+// Control lines, BREAK and reset sequences
+// ---------------------------
+
+async function applySignals(s, changes) {
+  const next = { ...s.signals };
+  for (const key of ['dtr', 'rts', 'brk']) {
+    if (typeof changes[key] === 'boolean') next[key] = changes[key];
+  }
+  await new Promise((resolve, reject) => {
+    s.port.set(next, (err) => (err ? reject(err) : resolve()));
+  });
+  s.signals = next;
+  return next;
+}
+
+// setSignals: change DTR/RTS (and BREAK); lines not mentioned keep their current level
+export async function setSignals({ sessionId, dtr, rts, brk } = {}) {
+  const s = ensureOpen(sessionId);
+  const signals = await applySignals(s, { dtr, rts, brk });
+  return { sessionId: s.id, signals };
+}
+
+// getSignals: input lines (CTS/DSR/DCD) as reported by the driver plus the output levels we set
+export async function getSignals({ sessionId } = {}) {
+  const s = ensureOpen(sessionId);
+  const inputs = await new Promise((resolve, reject) => {
+    s.port.get((err, status) => (err ? reject(err) : resolve(status)));
+  });
+  return { sessionId: s.id, inputs: { cts: !!inputs?.cts, dsr: !!inputs?.dsr, dcd: !!inputs?.dcd }, outputs: { ...s.signals } };
+}
+
+export async function sendBreak({ sessionId, durationMs = 250 } = {}) {
+  const s = ensureOpen(sessionId);
+  await applySignals(s, { brk: true });
+  try {
+    await sleep(durationMs);
+  } finally {
+    await applySignals(s, { brk: false });
+  }
+  return { sessionId: s.id, message: `BREAK sent for ${durationMs} ms` };
+}
+
+// Named sequences drive MCU pins wired to the adapter's modem lines: BOOT0 (default RTS)
+// and NRST (default DTR). Most USB-UART adapters pull the pin low while the line is asserted,
+// so invert* defaults to true; set it to false for adapters/level shifters that don't invert.
+export const SIGNAL_SEQUENCES = ['reset', 'reset-to-bootloader', 'reset-to-app'];
+
+function buildSignalSequence(sequence, {
+  boot0Line = 'rts',
+  resetLine = 'dtr',
+  invertBoot0 = true,
+  invertReset = true,
+  resetPulseMs = 100,
+  settleMs = 50,
+  releaseBoot0 = true,
+} = {}) {
+  if (!['dtr', 'rts'].includes(boot0Line) || !['dtr', 'rts'].includes(resetLine)) {
+    throw new Error('boot0Line and resetLine must be "dtr" or "rts"');
+  }
+  if (boot0Line === resetLine) throw new Error('boot0Line and resetLine must use different lines');
+  const boot0 = (high) => ({ [boot0Line]: invertBoot0 ? !high : high });
+  const nrst = (high) => ({ [resetLine]: invertReset ? !high : high });
+  switch (sequence) {
+    case 'reset':
+      return [
+        { ...nrst(false), delayMs: resetPulseMs },
+        { ...nrst(true), delayMs: settleMs },
+      ];
+    case 'reset-to-bootloader': {
+      const steps = [
+        { ...boot0(true), ...nrst(false), delayMs: resetPulseMs },
+        { ...nrst(true), delayMs: settleMs },
+      ];
+      if (releaseBoot0) steps.push({ ...boot0(false) });
+      return steps;
+    }
+    case 'reset-to-app':
+      return [
+        { ...boot0(false), ...nrst(false), delayMs: resetPulseMs },
+        { ...nrst(true), delayMs: settleMs },
+      ];
+    default:
+      throw new Error(`Unknown signal sequence: ${sequence}. Known: ${SIGNAL_SEQUENCES.join(', ')}`);
+  }
+}
+
+// runSignalSequence: run a named sequence or explicit steps [{ dtr?, rts?, brk?, delayMs? }]
+export async function runSignalSequence({ sessionId, sequence, steps, flush = false, ...options } = {}) {
+  const s = ensureOpen(sessionId);
+  const plan = Array.isArray(steps) && steps.length > 0 ? steps : buildSignalSequence(sequence, options);
+  const applied = [];
+  for (const step of plan) {
+    const signals = await applySignals(s, step);
+    applied.push({ ...signals, delayMs: step.delayMs || 0 });
+    if (step.delayMs > 0) await sleep(step.delayMs);
+  }
+  // Optionally discard whatever arrived while the target was being reset
+  if (flush) clearBuffer(s);
+  return { sessionId: s.id, sequence: Array.isArray(steps) && steps.length > 0 ? 'custom' : sequence, steps: applied };
+}
+
+// ---------------------------
+// Baud rate detection
+// ---------------------------
+
+export const DEFAULT_BAUD_CANDIDATES = [115200, 9600, 57600, 38400, 19200, 230400, 460800, 921600, 4800, 2400, 1200];
+
+const PARITY_LETTERS = { N: 'none', E: 'even', O: 'odd', M: 'mark', S: 'space' };
+
+// '8N1' -> { dataBits: 8, parity: 'none', stopBits: 1 }
+function parseFramingSpec(spec) {
+  const m = /^([5-8])([NEOMS])([12])$/i.exec(String(spec));
+  if (!m) throw new Error(`Invalid framing "${spec}" (expected e.g. 8N1, 7E1)`);
+  return { dataBits: Number(m[1]), parity: PARITY_LETTERS[m[2].toUpperCase()], stopBits: Number(m[3]) };
+}
+
+function isPrintable(b) {
+  return (b >= 0x20 && b <= 0x7e) || b === 0x0a || b === 0x0d || b === 0x09;
+}
+
+// Score one capture: the share of printable bytes, scaled down while there is little data.
+// A pattern match ranks above any unmatched candidate.
+function scoreCapture(buf, re, minBytes) {
+  let printable = 0;
+  for (const b of buf) if (isPrintable(b)) printable += 1;
+  const printableRatio = buf.length ? printable / buf.length : 0;
+  const matched = re ? re.test(buf.toString('latin1')) : null;
+  let score = buf.length < minBytes ? 0 : printableRatio * Math.min(1, buf.length / 16);
+  if (matched) score += 1;
+  return { printableRatio: Math.round(printableRatio * 1000) / 1000, matched, score: Math.round(score * 1000) / 1000 };
+}
+
+// detectBaud: open the port at each candidate rate/framing, optionally send a probe, listen and
+// score what arrives. The port must not be open already; it is closed again after every try.
+export async function detectBaud({
+  name,
+  rates = DEFAULT_BAUD_CANDIDATES,
+  framings = ['8N1'],
+  listenMs = 500,
+  probe,
+  probeEncoding = 'utf8',
+  pattern,
+  flags = '',
+  minBytes = 4,
+  stopOnMatch = true,
+  onProgress,
+} = {}) {
+  const portPath = normalizeComName(name);
+  if (findSessionByPath(portPath)) throw new Error(`${portPath} is open; close it before detecting the baud rate`);
+  if (!Array.isArray(rates) || rates.length === 0) throw new Error('rates must be a non-empty array');
+  const specs = (framings || ['8N1']).map((f) => ({ name: String(f).toUpperCase(), ...parseFramingSpec(f) }));
+  const re = pattern != null ? new RegExp(pattern, flags.replace(/[gy]/g, '')) : null;
+  const probeBuf = probe != null && probe !== '' ? Buffer.from(probe, probeEncoding) : null;
+  const started = Date.now();
+  const total = rates.length * specs.length;
+  const candidates = [];
+  let stoppedEarly = false;
+
+  scan: for (const spec of specs) {
+    for (const baudRate of rates) {
+      onProgress?.({ phase: 'scan', done: candidates.length, total, message: `Trying ${baudRate} ${spec.name}` });
+      const c = { baudRate, framing: spec.name, bytes: 0 };
+      let sessionId = null;
+      try {
+        ({ sessionId } = await openPort({ name: portPath, baudRate, dataBits: spec.dataBits, parity: spec.parity, stopBits: spec.stopBits }));
+        const s = getSession(sessionId);
+        if (probeBuf) await writeBuffer(s, probeBuf);
+        // With a pattern, stop listening as soon as it shows up
+        if (re) await waitForBuffer(s, () => (re.test(peekBuffer(s).toString('latin1')) ? true : null), listenMs);
+        else await sleep(listenMs);
+        const data = Buffer.from(takeFromBuffer(s, s.rxLength));
+        Object.assign(c, { bytes: data.length, ...scoreCapture(data, re, minBytes), sample: escapeBytes(data.subarray(0, 64)) });
+      } catch (e) {
+        Object.assign(c, { score: 0, error: e?.message || String(e) });
+      } finally {
+        if (sessionId) await closePort({ sessionId }).catch(() => {});
+      }
+      candidates.push(c);
+      if (stopOnMatch && (re ? c.matched : c.score >= 0.95)) {
+        stoppedEarly = true;
+        break scan;
+      }
+    }
+  }
+
+  candidates.sort((a, b) => b.score - a.score || b.bytes - a.bytes);
+  const top = candidates[0];
+  const best = top && top.score > 0 ? { baudRate: top.baudRate, framing: top.framing, score: top.score } : null;
+  return {
+    path: portPath,
+    best,
+    candidates,
+    tried: candidates.length,
+    of: total,
+    stoppedEarly,
+    elapsedMs: Date.now() - started,
+    message: best ? `Best match: ${best.baudRate} ${best.framing} (score ${best.score})` : 'No candidate produced usable data',
+  };
+}
+
+export async function closePort({ sessionId } = {}) {
+  if ((sessionId == null || sessionId === '') && sessions.size === 0) return { message: 'No serial port open' };
+  const s = getSession(sessionId);
+  if (s.capture) endCapture(s);
+  try {
+    if (s.port.isOpen) {
+      await new Promise((resolve, reject) => {
+        s.port.close((err) => (err ? reject(err) : resolve()));
+      });
+    }
+  } finally {
+    sessions.delete(s.id);
+    for (const t of s.taps) {
+      try { t.close?.(); } catch {}
+    }
+    s.taps.clear();
+  }
+  clearBuffer(s);
+  return { sessionId: s.id, message: `Port closed: ${s.path}` };
+}
+
+export async function closeAll() {
+  const ids = Array.from(sessions.keys());
+  for (const id of ids) {
+    try { await closePort({ sessionId: id }); } catch {}
+  }
+  return { closed: ids.length };
+}
@@ -6,28 +6,36 @@
 // and try to fall back to ST-LINK_CLI.exe if configured via environment.
 //
 // Exposed functions:
-// - listDevices()
-// - flashFirmware({ path })
-// - readRegister({ addr })
-// - writeRegister({ addr, value })
-// - resetDevice()
-// - startDebug()
+// - listDevices() -> probe records (serial, version, chip id, flash/SRAM size, family)
+// - parseProbes(tool, text)
+// - flashFirmware({ path, serial | probeId })
+// - readRegister({ addr, serial | probeId })
+// - writeRegister({ addr, value }) over GDB RSP while a debug server runs
+// - resetDevice({ serial | probeId })
+// - startDebug({ port, serial | probeId })
 // - stopDebug()
+// - getDebugServer()
+// - setBreakpoint({ addr }), step(), readVar({ name | addr, elf }) over GDB RSP (gdbrsp.js)
 //
 // Note: startDebug() launches st-util in background and keeps its process handle.
-//       stopDebug() terminates it. read/writeRegister use st-util + GDB monitor when available
-//       is non-trivial; for MVP we use st-flash --read or ST-LINK_CLI if provided.
+//       stopDebug() terminates it. readRegister uses st-flash --read or STM32_Programmer_CLI.
+//       With several probes attached, `serial` (or `probeId`, an index into listDevices().probes)
+//       selects one; it is passed to each tool (st-flash/st-util --serial, ST-LINK_CLI -c SN=,
+//       STM32_Programmer_CLI sn=).
 
 import { spawn, execFile } from 'node:child_process';
 import { promisify } from 'node:util';
 import { access } from 'node:fs/promises';
 import { constants as fsConstants } from 'node:fs';
 import path from 'node:path';
+import * as gdbrsp from './gdbrsp.js';
+import * as dwarf from './dwarf.js';
 
 const execFileAsync = promisify(execFile);
 
 // Track st-util debug server process
 let stUtilProc = null;
+let stUtilSerial = null;
 let gdbPort = 4242;
 
 // Discover tool paths or names (assume PATH has them). Optionally set via env.
@@ -65,13 +73,67 @@ function parseIntHexOrDec(value, name) {
   return v >>> 0;
 }
 
+// ----------------------
+// Probe records and selection
+// ----------------------
+
+// Output keys -> record fields. st-info prints `serial:`/`version:`/`chipid:`/`flash:`/`sram:`/
+// `dev-type:` (`descr:` before stlink 1.7); ST-LINK_CLI and STM32_Programmer_CLI print
+// `ST-LINK SN :`/`ST-LINK FW :` plus `Device ID`/`Device flash Size`/`Device family`/`Board Name`.
+const PROBE_FIELDS = {
+  serial: 'serial', 'st-link sn': 'serial',
+  version: 'version', 'st-link fw': 'version',
+  chipid: 'chipId', 'device id': 'chipId',
+  flash: 'flashSize', 'device flash size': 'flashSize',
+  sram: 'sramSize',
+  'dev-type': 'family', descr: 'family', 'device family': 'family',
+  'board name': 'board',
+};
+
+function probeValue(field, value) {
+  if (field === 'serial' || field === 'version' || field === 'board') return value || null;
+  if (field === 'family') return value && !/^unknown/i.test(value) ? value : null;
+  // st-info reports 0 / 0x000 when the probe sees no target
+  if (field === 'chipId') {
+    const id = /^0x[0-9a-f]+/i.test(value) ? parseInt(value, 16) : NaN;
+    return id ? `0x${id.toString(16).padStart(3, '0')}` : null;
+  }
+  // Sizes: bytes from st-info, "1024 Kbytes" from the ST tools
+  const m = /^(\d+)\s*([km])?/i.exec(value);
+  if (!m) return null;
+  const bytes = Number(m[1]) * ({ k: 1024, m: 1024 * 1024 }[m[2]?.toLowerCase()] || 1);
+  return bytes || null;
+}
+
+// parseProbes: one record per probe from `st-info --probe`, `ST-LINK_CLI -List` or
+// `STM32_Programmer_CLI -l` output. Fields a tool does not report are null.
+export function parseProbes(tool, text) {
+  const probes = [];
+  let probe = null;
+  for (const line of String(text).split(/\r?\n/)) {
+    const m = /^\s*([A-Za-z][\w -]*?)\s*:\s*(.*?)\s*$/.exec(line);
+    const field = m && PROBE_FIELDS[m[1].toLowerCase().replace(/\s+/g, ' ')];
+    if (!field) continue;
+    // A repeated serial/version starts the next probe
+    if (!probe || ((field === 'serial' || field === 'version') && probe[field] != null)) {
+      probe = { index: probes.length, tool, serial: null, version: null, chipId: null, flashSize: null, sramSize: null, family: null, board: null };
+      probes.push(probe);
+    }
+    probe[field] = probeValue(field, m[2]);
+  }
+  return probes;
+}
+
+function probeList(tool, stdout) {
+  return { tool, probes: parseProbes(tool, stdout), output: stdout.trim() };
+}
+
 export async function listDevices() {
   // Try st-info --probe
   if (await isExecutable(ST_INFO)) {
     try {
       const { stdout } = await execFileAsync(ST_INFO, ['--probe'], { windowsHide: true });
-      const lines = stdout.split(/\r?\n/).filter(Boolean);
-      return { tool: 'st-info', devices: lines };
+      return probeList('st-info', stdout);
     } catch (e) {
       // fall through to other tools
     }
@@ -80,33 +142,56 @@ export async function listDevices() {
   if (await isExecutable(ST_LINK_CLI)) {
     try {
       const { stdout } = await execFileAsync(ST_LINK_CLI, ['-List'], { windowsHide: true });
-      return { tool: 'ST-LINK_CLI', devices: stdout.split(/\r?\n/).filter(Boolean) };
+      return probeList('ST-LINK_CLI', stdout);
     } catch {}
   }
   // Try STM32_Programmer_CLI.exe -l
   if (await isExecutable(STM32_PROGRAMMER_CLI)) {
     try {
       const { stdout } = await execFileAsync(STM32_PROGRAMMER_CLI, ['-l'], { windowsHide: true });
-      return { tool: 'STM32_Programmer_CLI', devices: stdout.split(/\r?\n/).filter(Boolean) };
+      return probeList('STM32_Programmer_CLI', stdout);
     } catch {}
   }
   // If none available
   throw new Error('No ST-Link tools found. Install stlink (st-info/st-flash/st-util) or STM32CubeProgrammer (STM32_Programmer_CLI.exe), or set env paths.');
 }
 
-export async function flashFirmware({ path: fwPath, addr }) {
+// The serial number to pass to the tools: `serial`, or the serial of probe `probeId` in
+// listDevices(), or null for "whichever probe the tool picks"
+async function selectSerial({ serial, probeId } = {}) {
+  if (serial != null && probeId != null) throw new Error('Pass serial or probeId, not both');
+  if (serial != null) {
+    if (!String(serial).trim()) throw new Error('serial is empty');
+    return String(serial).trim();
+  }
+  if (probeId == null) return null;
+  const id = parseIntHexOrDec(probeId, 'probeId');
+  const { tool, probes } = await listDevices();
+  if (!probes[id]) throw new Error(`No ST-Link probe ${id}; ${tool} lists ${probes.length} probe(s)`);
+  if (!probes[id].serial) throw new Error(`${tool} did not report a serial number for probe ${id}`);
+  return probes[id].serial;
+}
+
+// Probe selection arguments for st-flash/st-util, ST-LINK_CLI and STM32_Programmer_CLI
+const stUtilsSelect = (sn) => (sn ? ['--serial', sn] : []);
+const stLinkCliSelect = (sn) => (sn ? ['-c', `SN=${sn}`, 'SWD'] : []);
+const programmerConnect = (sn) => ['-c', 'port=SWD', ...(sn ? [`sn=${sn}`] : [])];
+const withSerial = (res, sn) => (sn ? { ...res, serial: sn } : res);
+
+export async function flashFirmware({ path: fwPath, addr, serial, probeId }) {
   if (typeof fwPath !== 'string' || fwPath.length === 0) {
     throw new Error('Invalid firmware path');
   }
   const abs = path.isAbsolute(fwPath) ? fwPath : path.resolve(process.cwd(), fwPath);
+  const sn = await selectSerial({ serial, probeId });
 
   // Try st-flash write <file> <address>
   if (await isExecutable(ST_FLASH)) {
     const address = addr != null ? parseIntHexOrDec(addr, 'addr') : 0x08000000;
-    const args = ['write', abs, '0x' + address.toString(16)];
+    const args = [...stUtilsSelect(sn), 'write', abs, '0x' + address.toString(16)];
     try {
       const { stdout, stderr } = await execFileAsync(ST_FLASH, args, { windowsHide: true });
-      return { tool: 'st-flash', stdout, stderr };
+      return withSerial({ tool: 'st-flash', stdout, stderr }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`st-flash failed: ${msg}`);
@@ -115,10 +200,10 @@ export async function flashFirmware({ path: fwPath, addr }) {
   // Fallback: ST-LINK_CLI.exe -P <file> <addr> -Rst
   if (await isExecutable(ST_LINK_CLI)) {
     const address = addr != null ? parseIntHexOrDec(addr, 'addr') : 0x08000000;
-    const args = ['-P', abs, address.toString(), '-V', '-Rst'];
+    const args = [...stLinkCliSelect(sn), '-P', abs, address.toString(), '-V', '-Rst'];
     try {
       const { stdout, stderr } = await execFileAsync(ST_LINK_CLI, args, { windowsHide: true });
-      return { tool: 'ST-LINK_CLI', stdout, stderr };
+      return withSerial({ tool: 'ST-LINK_CLI', stdout, stderr }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`ST-LINK_CLI failed: ${msg}`);
@@ -127,10 +212,10 @@ export async function flashFirmware({ path: fwPath, addr }) {
   // Fallback: STM32_Programmer_CLI.exe -c port=SWD -w <file> [addr] -v -rst
   if (await isExecutable(STM32_PROGRAMMER_CLI)) {
     const address = addr != null ? parseIntHexOrDec(addr, 'addr') : 0x08000000;
-    const args = ['-c', 'port=SWD', '-w', abs, '0x' + address.toString(16), '-v', '-rst'];
+    const args = [...programmerConnect(sn), '-w', abs, '0x' + address.toString(16), '-v', '-rst'];
     try {
       const { stdout, stderr } = await execFileAsync(STM32_PROGRAMMER_CLI, args, { windowsHide: true });
-      return { tool: 'STM32_Programmer_CLI', stdout, stderr };
+      return withSerial({ tool: 'STM32_Programmer_CLI', stdout, stderr }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`STM32_Programmer_CLI failed: ${msg}`);
@@ -139,18 +224,19 @@ export async function flashFirmware({ path: fwPath, addr }) {
   throw new Error('No ST-Link flasher tool available (st-flash, ST-LINK_CLI.exe, or STM32_Programmer_CLI.exe).');
 }
 
-export async function readRegister({ addr, length = 4 }) {
+export async function readRegister({ addr, length = 4, serial, probeId }) {
   const address = parseIntHexOrDec(addr, 'addr');
   const size = parseIntHexOrDec(length, 'length');
+  const sn = await selectSerial({ serial, probeId });
   // st-flash --read <file> <address> <size> can dump memory to file; for MVP we read small length to temp
   if (await isExecutable(ST_FLASH)) {
     const osTmp = process.env.TEMP || process.env.TMP || process.cwd();
     const tmpFile = path.join(osTmp, `stread_${Date.now()}_${Math.random().toString(16).slice(2)}.bin`);
     try {
-      const { stdout, stderr } = await execFileAsync(ST_FLASH, ['read', tmpFile, '0x' + address.toString(16), String(size)], { windowsHide: true });
+      const { stdout, stderr } = await execFileAsync(ST_FLASH, [...stUtilsSelect(sn), 'read', tmpFile, '0x' + address.toString(16), String(size)], { windowsHide: true });
       // Load the tmp file contents
       const data = await (await import('node:fs/promises')).readFile(tmpFile);
-      return { tool: 'st-flash', bytes: Array.from(data.values()) };
+      return withSerial({ tool: 'st-flash', bytes: Array.from(data.values()) }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`st-flash read failed: ${msg}`);
@@ -163,10 +249,10 @@ export async function readRegister({ addr, length = 4 }) {
     const osTmp = process.env.TEMP || process.env.TMP || process.cwd();
     const tmpFile = path.join(osTmp, `stread_${Date.now()}_${Math.random().toString(16).slice(2)}.bin`);
     try {
-      const args = ['-c', 'port=SWD', '-d', tmpFile, '0x' + address.toString(16), String(size)];
+      const args = [...programmerConnect(sn), '-d', tmpFile, '0x' + address.toString(16), String(size)];
       const { stdout, stderr } = await execFileAsync(STM32_PROGRAMMER_CLI, args, { windowsHide: true });
       const data = await (await import('node:fs/promises')).readFile(tmpFile);
-      return { tool: 'STM32_Programmer_CLI', bytes: Array.from(data.values()) };
+      return withSerial({ tool: 'STM32_Programmer_CLI', bytes: Array.from(data.values()) }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`STM32_Programmer_CLI read failed: ${msg}`);
@@ -178,20 +264,25 @@ export async function readRegister({ addr, length = 4 }) {
   throw new Error('readRegister requires st-flash or STM32_Programmer_CLI. Install one and set env path.');
 }
 
-export async function writeRegister({ addr, value }) {
+// writeRegister: one aligned 32-bit write through the running GDB server (st-util or `port`)
+export async function writeRegister({ addr, value, port }) {
   const address = parseIntHexOrDec(addr, 'addr');
   const val = parseIntHexOrDec(value, 'value');
-  // st-flash write is for images; for a single register write we can use st-util + GDB
-  // MVP: not trivial without GDB scripting; provide clear guidance
-  throw new Error('writeRegister via CLI is not directly supported without GDB scripting. Use debug session + GDB to set memory.');
+  if (address % 4) throw new Error('addr must be 32-bit aligned');
+  const gdb = await gdbClient(port);
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(val);
+  await gdb.writeMemory(address, buf);
+  return { ok: true, addr: hex32(address), value: hex32(val), tool: 'gdb' };
 }
 
-export async function resetDevice() {
+export async function resetDevice({ serial, probeId } = {}) {
+  const sn = await selectSerial({ serial, probeId });
   // st-flash reset
   if (await isExecutable(ST_FLASH)) {
     try {
-      const { stdout, stderr } = await execFileAsync(ST_FLASH, ['reset'], { windowsHide: true });
-      return { tool: 'st-flash', stdout, stderr };
+      const { stdout, stderr } = await execFileAsync(ST_FLASH, [...stUtilsSelect(sn), 'reset'], { windowsHide: true });
+      return withSerial({ tool: 'st-flash', stdout, stderr }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`st-flash reset failed: ${msg}`);
@@ -200,8 +291,8 @@ export async function resetDevice() {
   // ST-LINK_CLI.exe -Rst
   if (await isExecutable(ST_LINK_CLI)) {
     try {
-      const { stdout, stderr } = await execFileAsync(ST_LINK_CLI, ['-Rst'], { windowsHide: true });
-      return { tool: 'ST-LINK_CLI', stdout, stderr };
+      const { stdout, stderr } = await execFileAsync(ST_LINK_CLI, [...stLinkCliSelect(sn), '-Rst'], { windowsHide: true });
+      return withSerial({ tool: 'ST-LINK_CLI', stdout, stderr }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`ST-LINK_CLI reset failed: ${msg}`);
@@ -210,8 +301,8 @@ export async function resetDevice() {
   // STM32_Programmer_CLI.exe -c port=SWD -rst
   if (await isExecutable(STM32_PROGRAMMER_CLI)) {
     try {
-      const { stdout, stderr } = await execFileAsync(STM32_PROGRAMMER_CLI, ['-c', 'port=SWD', '-rst'], { windowsHide: true });
-      return { tool: 'STM32_Programmer_CLI', stdout, stderr };
+      const { stdout, stderr } = await execFileAsync(STM32_PROGRAMMER_CLI, [...programmerConnect(sn), '-rst'], { windowsHide: true });
+      return withSerial({ tool: 'STM32_Programmer_CLI', stdout, stderr }, sn);
     } catch (e) {
       const msg = e?.stderr || e?.stdout || e?.message || String(e);
       throw new Error(`STM32_Programmer_CLI reset failed: ${msg}`);
@@ -220,14 +311,22 @@ export async function resetDevice() {
   throw new Error('No ST-Link reset tool available (st-flash or ST-LINK_CLI.exe).');
 }
 
-export async function startDebug({ port = 4242 } = {}) {
-  if (stUtilProc) return { message: `st-util already running on :${gdbPort}` };
+export async function startDebug({ port = 4242, serial, probeId } = {}) {
+  if (stUtilProc) {
+    const running = `st-util already running on :${gdbPort}${stUtilSerial ? ` (probe ${stUtilSerial})` : ''}`;
+    if (serial == null && probeId == null) return { message: running };
+    // Reusing a server attached to another probe would debug the wrong board
+    const requested = await selectSerial({ serial, probeId });
+    if (requested !== stUtilSerial) throw new Error(`${running}, not probe ${requested}; stop it with st.stopDebug first`);
+    return { message: running };
+  }
   if (!(await isExecutable(ST_UTIL))) {
     throw new Error('st-util not found. Please install STM32 open-source tools (st-util).');
   }
+  const sn = await selectSerial({ serial, probeId });
   return await new Promise((resolve, reject) => {
     gdbPort = port || 4242;
-    const args = ['-p', String(gdbPort)];
+    const args = [...stUtilsSelect(sn), '-p', String(gdbPort)];
     const child = spawn(ST_UTIL, args, { stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
     let started = false;
     const onData = (data) => {
@@ -235,8 +334,9 @@ export async function startDebug({ port = 4242 } = {}) {
       if (!started && /Listening at|gdbserver/i.test(text)) {
         started = true;
         stUtilProc = child;
+        stUtilSerial = sn;
         cleanup();
-        resolve({ message: `st-util started on :${gdbPort}` });
+        resolve({ message: `st-util started on :${gdbPort}${sn ? ` (probe ${sn})` : ''}` });
       }
     };
     const onError = (err) => {
@@ -260,11 +360,19 @@ export async function startDebug({ port = 4242 } = {}) {
   });
 }
 
+// GDB port (and probe serial) of the st-util started by startDebug, or null
+export function getDebugServer() {
+  if (!stUtilProc) return null;
+  return stUtilSerial ? { server: 'stlink', port: gdbPort, serial: stUtilSerial } : { server: 'stlink', port: gdbPort };
+}
+
 export async function stopDebug() {
   if (!stUtilProc) return { message: 'st-util not running' };
+  gdbrsp.closeClient({ port: gdbPort });
   return await new Promise((resolve) => {
     const child = stUtilProc;
     stUtilProc = null;
+    stUtilSerial = null;
     try {
       child.once('exit', () => resolve({ message: 'st-util stopped' }));
       child.kill('SIGTERM');
@@ -280,45 +388,74 @@ export async function stopDebug() {
 // ----------------------
 // GDB helper operations
 // ----------------------
+// These talk GDB RSP (gdbrsp.js) to the st-util started by startDebug, or to a GDB server on
+// `port` started elsewhere. The connection is kept open between calls so breakpoints persist.
 
-import net from 'node:net';
+const hex32 = (v) => `0x${(v >>> 0).toString(16).padStart(8, '0')}`;
 
-async function gdbCommand(cmd) {
-  if (!stUtilProc) throw new Error('Debug server not running. Start with st.startDebug first.');
-  return await new Promise((resolve, reject) => {
-    const client = new net.Socket();
-    const chunks = [];
-    client.setNoDelay(true);
-    client.connect(gdbPort, '127.0.0.1', () => {
-      client.write(cmd.trim() + '\n');
-      // Ask GDB for prompt by sending empty command after
-      client.write('\n');
-    });
-    client.on('data', (d) => chunks.push(Buffer.from(d)));
-    client.on('error', (e) => { try { client.destroy(); } catch {} reject(e); });
-    client.setTimeout(600);
-    client.on('timeout', () => { try { client.end(); } catch {} resolve(Buffer.concat(chunks).toString('utf8')); });
-    client.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
-  });
+async function gdbClient(port) {
+  if (!stUtilProc && !port) throw new Error('Debug server not running. Start with st.startDebug first (or pass the GDB port).');
+  return await gdbrsp.getClient({ port: port || gdbPort });
 }
 
-export async function setBreakpoint({ addr }) {
-  if (addr == null) throw new Error('setBreakpoint requires addr');
-  const out = await gdbCommand(`monitor break 0x${parseIntHexOrDec(addr, 'addr').toString(16)}`);
-  return { ok: true, output: out };
+function describeStop(stop) {
+  if (!stop) return null;
+  const { registers, at, ...rest } = stop;
+  return rest;
 }
 
-export async function step() {
-  const out = await gdbCommand('monitor step');
-  return { ok: true, output: out };
+// setBreakpoint: Z0 (software) or Z1 (hardware) at addr, or z0/z1 to remove it. With resume,
+// continue ('c') and wait up to timeoutMs for the target to stop.
+export async function setBreakpoint({ addr, remove = false, hardware = false, resume = false, timeoutMs = 5000, port } = {}) {
+  if (addr == null) throw new Error('setBreakpoint requires addr');
+  const address = parseIntHexOrDec(addr, 'addr');
+  const gdb = await gdbClient(port);
+  const type = hardware ? 1 : 0;
+  if (remove) await gdb.removeBreakpoint(address, { type });
+  else await gdb.insertBreakpoint(address, { type });
+  const res = { ok: true, addr: hex32(address), type: hardware ? 'hardware' : 'software', action: remove ? 'removed' : 'inserted' };
+  if (!resume) return res;
+  const stop = await gdb.cont({ timeoutMs });
+  if (!stop) return { ...res, halted: false, message: `Target still running after ${timeoutMs} ms` };
+  const { pc } = await gdb.readRegisters();
+  return { ...res, halted: true, hit: pc === address, pc: hex32(pc), stop: describeStop(stop) };
 }
 
-export async function readVar({ name }) {
-  if (!name) throw new Error('readVar requires name');
-  // Use GDB eval print via monitor is not available; st-util supports monitor read/write regs/mem.
-  // As a simple MVP, attempt to evaluate symbol via GDB 'print' which requires a GDB session.
-  // Here we try a naive approach: send 'print name'. Many st-util builds expect a real GDB client.
-  const out = await gdbCommand(`print ${name}`);
-  return { ok: true, output: out };
+// step: single-step `count` instructions ('s') and report the new pc
+export async function step({ count = 1, timeoutMs = 2000, port } = {}) {
+  if (!Number.isInteger(count) || count < 1) throw new Error('count must be a positive integer');
+  const gdb = await gdbClient(port);
+  let stop = null;
+  for (let i = 0; i < count; i++) {
+    stop = await gdb.step({ timeoutMs });
+    if (!stop) throw new Error(`Target did not stop after step ${i + 1} within ${timeoutMs} ms`);
+    if (stop.reason === 'exited' || stop.reason === 'terminated') break;
+  }
+  const { pc } = await gdb.readRegisters();
+  return { ok: true, steps: count, pc: hex32(pc), stop: describeStop(stop) };
 }
 
+// readVar: a core register by name ('g'), `length` bytes of memory at addr ('m'), or with `elf`
+// a variable by name (e.g. `cfg.gain`) decoded with the ELF's DWARF types (dwarf.js).
+export async function readVar({ name, addr, length = 4, elf, maxElements, port } = {}) {
+  if (!name && addr == null) throw new Error('readVar requires name or addr');
+  const gdb = await gdbClient(port);
+  const reg = name ? name.trim().toLowerCase() : null;
+  if (reg && gdbrsp.CORE_REGISTERS.includes(reg)) {
+    const regs = await gdb.readRegisters();
+    if (regs[reg] == null) throw new Error(`The debug server did not report ${reg}`);
+    return { ok: true, name: reg, value: hex32(regs[reg]) };
+  }
+  if (addr == null && !/^(0x[0-9a-f]+|\d+)$/.test(reg)) {
+    if (elf) return { ok: true, ...(await dwarf.readVariable({ elf, name: name.trim(), maxElements, readMemory: (a, n) => gdb.readMemory(a, n) })) };
+    throw new Error(`Cannot resolve symbol "${name}" without an ELF; pass elf, addr, or a register name (${gdbrsp.CORE_REGISTERS.join(', ')})`);
+  }
+  const address = parseIntHexOrDec(addr ?? name, 'addr');
+  if (!Number.isInteger(length) || length < 1 || length > 65536) throw new Error('length must be 1..65536');
+  const data = await gdb.readMemory(address, length);
+  const res = { ok: true, addr: hex32(address), length: data.length, hex: data.toString('hex') };
+  if (data.length === 1) res.value = data.readUInt8(0);
+  else if (data.length === 2) res.value = data.readUInt16LE(0);
+  else if (data.length === 4) res.value = hex32(data.readUInt32LE(0));
+  return res;
+}
@@ -0,0 +1,468 @@
+// svd.js
+// CMSIS-SVD device descriptions: peripherals, registers, bitfields and enumerated values, with
+// decoding of register values and read-modify-write encoding of individual fields.
+// Exposes: loadSvd, parseSvd, listPeripherals, listRegisters, findRegister, decodeRegister,
+//          encodeFields, readRegister, writeFields
+//
+// Handles the parts of the format firmware work needs: derivedFrom (peripherals and registers),
+// clusters (flattened to `CLUSTER.REG`), dim arrays/lists (`%s`), inherited size/access/reset
+// values, bitOffset/bitWidth, lsb/msb and bitRange field positions, and enumerated values
+// (including `#1x0` don't-care patterns). Register names are `PERIPHERAL.REGISTER`, e.g.
+// GPIOA.ODR. Target access goes through readMemory/writeMemory callbacks (see debug.js).
+
+import { readFile, stat } from 'node:fs/promises';
+
+// ----------------------
+// Minimal XML reader
+// ----------------------
+// SVD files are plain element trees: no namespaces are needed, DTDs are not used, and mixed
+// content only appears in descriptions.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (all, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e] ?? all;
+  });
+}
+
+function parseXml(text) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const top = stack[stack.length - 1];
+    if (m[1] != null) {
+      top.text += m[1];
+    } else if (m[2]) {
+      if (top.name !== m[2]) throw new Error(`Malformed XML: </${m[2]}> closes <${top.name}>`);
+      stack.pop();
+    } else if (m[3]) {
+      const node = { name: m[3], attrs: {}, children: [], text: '' };
+      for (const a of m[4].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) node.attrs[a[1]] = decodeEntities(a[2] ?? a[3]);
+      top.children.push(node);
+      if (!m[5]) stack.push(node);
+    } else if (m[6] != null) {
+      top.text += decodeEntities(m[6]);
+    } else if (m[0][0] === '<' && !/^<[!?]/.test(m[0])) {
+      throw new Error(`Malformed XML near "${m[0].slice(0, 40)}"`);
+    }
+  }
+  if (stack.length > 1) throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is not closed`);
+  return root;
+}
+
+const child = (node, name) => node.children.find((c) => c.name === name) || null;
+const children = (node, name) => node.children.filter((c) => c.name === name);
+const text = (node, name) => {
+  const c = child(node, name);
+  return c ? c.text.trim().replace(/\s+/g, ' ') : null;
+};
+
+// SVD scalars: decimal, 0x hex, 0b or # binary
+function parseNumber(s, what) {
+  if (s == null) return null;
+  const t = String(s).trim().toLowerCase();
+  let v;
+  if (/^0x[0-9a-f]+$/.test(t)) v = parseInt(t.slice(2), 16);
+  else if (/^(0b|#)[01]+$/.test(t)) v = parseInt(t.replace(/^(0b|#)/, ''), 2);
+  else if (/^[+-]?\d+$/.test(t)) v = parseInt(t, 10);
+  else throw new Error(`Invalid number "${s}"${what ? ` for ${what}` : ''}`);
+  return v;
+}
+
+const hex = (v, bits = 32) => `0x${(v >>> 0).toString(16).padStart(Math.ceil(bits / 4), '0')}`;
+
+// ----------------------
+// SVD model
+// ----------------------
+
+function parseEnumerations(fieldNode) {
+  const sets = children(fieldNode, 'enumeratedValues');
+  if (!sets.length) return null;
+  // Prefer the set for reads (usage read or read-write); writes use the same names in practice
+  const set = sets.find((s) => text(s, 'usage') !== 'write') || sets[0];
+  const values = [];
+  for (const ev of children(set, 'enumeratedValue')) {
+    const name = text(ev, 'name');
+    const description = text(ev, 'description');
+    if (text(ev, 'isDefault') === 'true') {
+      values.push({ name, description, isDefault: true });
+      continue;
+    }
+    const raw = text(ev, 'value');
+    if (raw == null) continue;
+    const t = raw.toLowerCase();
+    if (/^(0b|#)[01x]+$/.test(t) && t.includes('x')) {
+      // Don't-care bits: match on the defined bits only
+      const bits = t.replace(/^(0b|#)/, '');
+      values.push({
+        name,
+        description,
+        mask: parseInt(bits.replace(/[01]/g, '1').replace(/x/g, '0'), 2),
+        value: parseInt(bits.replace(/x/g, '0'), 2),
+      });
+    } else {
+      values.push({ name, description, value: parseNumber(raw, `enumeratedValue ${name}`) });
+    }
+  }
+  return { name: text(set, 'name'), values };
+}
+
+function fieldPosition(node) {
+  const offset = text(node, 'bitOffset');
+  if (offset != null) return { lsb: parseNumber(offset, 'bitOffset'), width: parseNumber(text(node, 'bitWidth') ?? '1', 'bitWidth') };
+  const lsb = text(node, 'lsb');
+  if (lsb != null) return { lsb: parseNumber(lsb, 'lsb'), width: parseNumber(text(node, 'msb'), 'msb') - parseNumber(lsb, 'lsb') + 1 };
+  const range = /^\[(\d+):(\d+)\]$/.exec(text(node, 'bitRange') || '');
+  if (range) return { lsb: Number(range[2]), width: Number(range[1]) - Number(range[2]) + 1 };
+  throw new Error(`Field ${text(node, 'name')} has no bit position`);
+}
+
+// dim/dimIncrement/dimIndex: expand `%s` in name (and offset) for each index
+function expandDim(node, make) {
+  const dim = parseNumber(text(node, 'dim'));
+  const name = text(node, 'name');
+  if (!dim) return [make(name, 0)];
+  const increment = parseNumber(text(node, 'dimIncrement') ?? '0');
+  const indexSpec = text(node, 'dimIndex');
+  let indices = [...Array(dim).keys()].map(String);
+  if (indexSpec) {
+    const range = /^(\d+)-(\d+)$/.exec(indexSpec);
+    const letters = /^([A-Z])-([A-Z])$/.exec(indexSpec);
+    if (range) indices = [...Array(Number(range[2]) - Number(range[1]) + 1).keys()].map((i) => String(Number(range[1]) + i));
+    else if (letters) indices = [...Array(letters[2].charCodeAt(0) - letters[1].charCodeAt(0) + 1).keys()].map((i) => String.fromCharCode(letters[1].charCodeAt(0) + i));
+    else indices = indexSpec.split(',').map((s) => s.trim());
+  }
+  return indices.slice(0, dim).map((idx, i) => make(name.replace('%s', idx), i * increment));
+}
+
+function parseFields(regNode, regSize) {
+  const fieldsNode = child(regNode, 'fields');
+  if (!fieldsNode) return [];
+  const fields = [];
+  for (const f of children(fieldsNode, 'field')) {
+    const pos = fieldPosition(f);
+    const base = {
+      description: text(f, 'description'),
+      access: text(f, 'access'),
+      modifiedWriteValues: text(f, 'modifiedWriteValues'),
+      readAction: text(f, 'readAction'),
+      enums: parseEnumerations(f),
+    };
+    for (const one of expandDim(f, (name, step) => ({ name, lsb: pos.lsb + step, width: pos.width, ...base }))) {
+      if (one.lsb + one.width > regSize) throw new Error(`Field ${one.name} does not fit in a ${regSize}-bit register`);
+      fields.push(one);
+    }
+  }
+  return fields.sort((a, b) => b.lsb - a.lsb);
+}
+
+// Registers of a <registers> block, clusters flattened with their name as a prefix
+function parseRegisters(node, defaults, prefix = '', baseOffset = 0) {
+  const out = [];
+  if (!node) return out;
+  for (const c of node.children) {
+    if (c.name === 'cluster') {
+      const offset = baseOffset + parseNumber(text(c, 'addressOffset'), 'cluster addressOffset');
+      const clusterDefaults = registerDefaults(c, defaults);
+      for (const inst of expandDim(c, (name, step) => ({ name, step }))) {
+        out.push(...parseRegisters(c, clusterDefaults, `${prefix}${inst.name}.`, offset + inst.step));
+      }
+      continue;
+    }
+    if (c.name !== 'register') continue;
+    const d = registerDefaults(c, defaults);
+    const offset = baseOffset + parseNumber(text(c, 'addressOffset'), `register ${text(c, 'name')} addressOffset`);
+    const derivedFrom = c.attrs.derivedFrom || null;
+    const fields = parseFields(c, d.size);
+    for (const inst of expandDim(c, (name, step) => ({ name, step }))) {
+      out.push({
+        name: `${prefix}${inst.name}`,
+        description: text(c, 'description'),
+        offset: offset + inst.step,
+        size: d.size,
+        access: d.access,
+        resetValue: d.resetValue,
+        resetMask: d.resetMask,
+        readAction: text(c, 'readAction'),
+        fields,
+        derivedFrom: derivedFrom ? `${prefix}${derivedFrom}` : null,
+      });
+    }
+  }
+  return out;
+}
+
+function registerDefaults(node, parent = {}) {
+  return {
+    size: parseNumber(text(node, 'size')) ?? parent.size ?? 32,
+    access: text(node, 'access') ?? parent.access ?? 'read-write',
+    resetValue: parseNumber(text(node, 'resetValue')) ?? parent.resetValue ?? 0,
+    resetMask: parseNumber(text(node, 'resetMask')) ?? parent.resetMask ?? 0xffffffff,
+  };
+}
+
+// parseSvd: SVD XML text -> { name, peripherals: [{ name, baseAddress, registers: [...] }] }
+export function parseSvd(xml) {
+  const doc = parseXml(xml);
+  const device = child(doc, 'device');
+  if (!device) throw new Error('Not a CMSIS-SVD file (no <device> element)');
+  const defaults = registerDefaults(device);
+  const peripheralsNode = child(device, 'peripherals');
+  const peripherals = [];
+  const byName = new Map();
+  for (const p of peripheralsNode ? children(peripheralsNode, 'peripheral') : []) {
+    const d = registerDefaults(p, defaults);
+    const base = parseNumber(text(p, 'baseAddress'), `peripheral ${text(p, 'name')} baseAddress`);
+    for (const inst of expandDim(p, (name, step) => ({ name, step }))) {
+      const periph = {
+        name: inst.name,
+        description: text(p, 'description'),
+        groupName: text(p, 'groupName'),
+        baseAddress: base + inst.step,
+        derivedFrom: p.attrs.derivedFrom || null,
+        registers: parseRegisters(child(p, 'registers'), d),
+      };
+      peripherals.push(periph);
+      byName.set(periph.name, periph);
+    }
+  }
+  // derivedFrom: copy what the derived element does not define itself
+  for (const p of peripherals) {
+    if (!p.derivedFrom) continue;
+    const src = byName.get(p.derivedFrom);
+    if (!src) throw new Error(`Peripheral ${p.name} is derived from unknown ${p.derivedFrom}`);
+    if (!p.registers.length) p.registers = src.registers;
+    p.description = p.description ?? src.description;
+    p.groupName = p.groupName ?? src.groupName;
+  }
+  for (const p of peripherals) {
+    for (const r of p.registers) {
+      if (!r.derivedFrom) continue;
+      const src = p.registers.find((x) => x.name === r.derivedFrom);
+      if (!src) throw new Error(`Register ${p.name}.${r.name} is derived from unknown ${r.derivedFrom}`);
+      if (!r.fields.length) r.fields = src.fields;
+      r.description = r.description ?? src.description;
+    }
+  }
+  return {
+    name: text(device, 'name'),
+    description: text(device, 'description'),
+    width: parseNumber(text(device, 'width')) ?? 32,
+    peripherals,
+  };
+}
+
+const cache = new Map();
+
+// loadSvd: parse an SVD file, cached per path and mtime
+export async function loadSvd(filePath) {
+  if (!filePath) throw new Error('An SVD file path is required');
+  const st = await stat(filePath);
+  const hit = cache.get(filePath);
+  if (hit && hit.mtimeMs === st.mtimeMs) return hit.device;
+  const device = parseSvd(await readFile(filePath, 'utf8'));
+  device.path = filePath;
+  cache.set(filePath, { mtimeMs: st.mtimeMs, device });
+  return device;
+}
+
+// ----------------------
+// Lookup
+// ----------------------
+
+// Closest names for "did you mean" hints: prefix/substring matches first, then edit distance
+function suggest(name, candidates, max = 5) {
+  const n = name.toUpperCase();
+  const dist = (a, b) => {
+    const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let diag = prev[0];
+      prev[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const tmp = prev[j];
+        prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+        diag = tmp;
+      }
+    }
+    return prev[b.length];
+  };
+  return candidates
+    .map((c) => ({ c, score: c.toUpperCase().includes(n) || n.includes(c.toUpperCase()) ? 0 : dist(n, c.toUpperCase()) }))
+    .filter((x) => x.score <= Math.max(1, Math.floor(n.length / 3)))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, max)
+    .map((x) => x.c);
+}
+
+function notFound(kind, name, candidates, scope) {
+  const hints = suggest(name, candidates);
+  return new Error(`Unknown ${kind} ${name}${scope ? ` in ${scope}` : ''}${hints.length ? `; did you mean ${hints.join(', ')}?` : ''}`);
+}
+
+function findPeripheral(device, name) {
+  const p = device.peripherals.find((x) => x.name.toUpperCase() === String(name).toUpperCase());
+  if (!p) throw notFound('peripheral', name, device.peripherals.map((x) => x.name));
+  return p;
+}
+
+// findRegister: 'GPIOA.ODR' -> { peripheral, register, address }
+export function findRegister(device, fullName) {
+  const s = String(fullName || '').trim();
+  const dot = s.indexOf('.');
+  if (dot < 1) throw new Error(`Register name must be PERIPHERAL.REGISTER (e.g. GPIOA.ODR), got "${fullName}"`);
+  const peripheral = findPeripheral(device, s.slice(0, dot));
+  const regName = s.slice(dot + 1).toUpperCase();
+  const register = peripheral.registers.find((r) => r.name.toUpperCase() === regName);
+  if (!register) throw notFound('register', s.slice(dot + 1), peripheral.registers.map((r) => r.name), peripheral.name);
+  return { peripheral, register, address: (peripheral.baseAddress + register.offset) >>> 0 };
+}
+
+// listPeripherals: name, base address and register count, optionally filtered by name/group
+export function listPeripherals(device, { filter } = {}) {
+  const f = filter ? String(filter).toUpperCase() : null;
+  return device.peripherals
+    .filter((p) => !f || p.name.toUpperCase().includes(f) || (p.groupName || '').toUpperCase().includes(f))
+    .map((p) => ({
+      name: p.name,
+      baseAddress: hex(p.baseAddress),
+      groupName: p.groupName,
+      derivedFrom: p.derivedFrom,
+      description: p.description,
+      registers: p.registers.length,
+    }));
+}
+
+// listRegisters: registers of one peripheral with addresses and field layout
+export function listRegisters(device, peripheralName) {
+  const p = findPeripheral(device, peripheralName);
+  return {
+    peripheral: p.name,
+    baseAddress: hex(p.baseAddress),
+    registers: p.registers.map((r) => ({
+      name: r.name,
+      address: hex(p.baseAddress + r.offset),
+      offset: hex(r.offset, 0),
+      size: r.size,
+      access: r.access,
+      resetValue: hex(r.resetValue, r.size),
+      description: r.description,
+      fields: r.fields.map((f) => `${f.name}${bitsLabel(f)}`),
+    })),
+  };
+}
+
+const bitsLabel = (f) => (f.width === 1 ? `[${f.lsb}]` : `[${f.lsb + f.width - 1}:${f.lsb}]`);
+const fieldMask = (f) => (f.width >= 32 ? 0xffffffff : ((1 << f.width) - 1) << f.lsb) >>> 0;
+
+function enumFor(field, v) {
+  if (!field.enums) return null;
+  const exact = field.enums.values.find((e) => e.mask == null && !e.isDefault && e.value === v)
+    || field.enums.values.find((e) => e.mask != null && (v & e.mask) === e.value)
+    || field.enums.values.find((e) => e.isDefault);
+  return exact || null;
+}
+
+// ----------------------
+// Values
+// ----------------------
+
+// decodeRegister: raw value -> every field with its value and enumerated name
+export function decodeRegister(register, value) {
+  const v = value >>> 0;
+  return {
+    value: hex(v, register.size),
+    fields: register.fields.map((f) => {
+      const fv = ((v & fieldMask(f)) >>> f.lsb) >>> 0;
+      const out = { name: f.name, bits: bitsLabel(f), value: fv };
+      const e = enumFor(f, fv);
+      if (e) {
+        out.enum = e.name;
+        if (e.description) out.enumDescription = e.description;
+      }
+      if (f.access) out.access = f.access;
+      if (f.description) out.description = f.description;
+      return out;
+    }),
+  };
+}
+
+function findField(register, name) {
+  const f = register.fields.find((x) => x.name.toUpperCase() === String(name).toUpperCase());
+  if (!f) throw notFound('field', name, register.fields.map((x) => x.name), register.name);
+  return f;
+}
+
+function fieldValue(f, value) {
+  let v;
+  if (typeof value === 'string' && f.enums && !/^[+-]?(0x[0-9a-f]+|0b[01]+|#[01]+|\d+)$/i.test(value.trim())) {
+    const e = f.enums.values.find((x) => x.name && x.name.toUpperCase() === value.trim().toUpperCase() && x.mask == null && !x.isDefault);
+    if (!e) throw new Error(`${value} is not a value of ${f.name} (${f.enums.values.filter((x) => x.mask == null && !x.isDefault).map((x) => x.name).join(', ')})`);
+    v = e.value;
+  } else if (typeof value === 'boolean') {
+    v = value ? 1 : 0;
+  } else {
+    v = typeof value === 'number' ? value : parseNumber(value, f.name);
+  }
+  const max = 2 ** f.width - 1;
+  if (!Number.isInteger(v) || v < 0 || v > max) throw new Error(`${v} does not fit in ${f.name}${bitsLabel(f)} (0..${max})`);
+  return v;
+}
+
+// encodeFields: new register value with `fields` ({ NAME: value }) replaced in `current`.
+// Fields whose writes have side effects keep their neutral value: write-1-to-clear bits are
+// written as 0 and write-0-to-clear bits as 1, so flags the caller did not name are not cleared.
+export function encodeFields(register, current, fields) {
+  const names = Object.keys(fields || {});
+  if (!names.length) throw new Error('No fields to write');
+  let v = current >>> 0;
+  for (const f of register.fields) {
+    if (names.some((n) => n.toUpperCase() === f.name.toUpperCase())) continue;
+    if (['oneToClear', 'oneToToggle'].includes(f.modifiedWriteValues)) v &= ~fieldMask(f);
+    else if (['zeroToClear', 'zeroToToggle'].includes(f.modifiedWriteValues)) v |= fieldMask(f);
+  }
+  for (const n of names) {
+    const f = findField(register, n);
+    if (f.access === 'read-only' || (!f.access && register.access === 'read-only')) throw new Error(`${register.name}.${f.name} is read-only`);
+    v = (v & ~fieldMask(f)) | (fieldValue(f, fields[n]) << f.lsb);
+  }
+  return v >>> 0;
+}
+
+// ----------------------
+// Target access
+// ----------------------
+
+async function readRaw(readMemory, address, size) {
+  const buf = await readMemory(address, size / 8);
+  return buf.readUIntLE(0, size / 8);
+}
+
+// readRegister: read one register and decode its fields
+export async function readRegister({ device, name, readMemory }) {
+  const { peripheral, register, address } = findRegister(device, name);
+  if (register.access === 'write-only') throw new Error(`${peripheral.name}.${register.name} is write-only`);
+  const value = await readRaw(readMemory, address, register.size);
+  const res = { register: `${peripheral.name}.${register.name}`, address: hex(address), size: register.size, ...decodeRegister(register, value) };
+  if (register.readAction || register.fields.some((f) => f.readAction)) res.note = 'Reading this register has side effects (readAction)';
+  return res;
+}
+
+// writeFields: read-modify-write of the named fields; write-only registers start from resetValue
+export async function writeFields({ device, name, fields, readMemory, writeMemory }) {
+  const { peripheral, register, address } = findRegister(device, name);
+  if (register.access === 'read-only') throw new Error(`${peripheral.name}.${register.name} is read-only`);
+  const readable = register.access !== 'write-only' && register.access !== 'writeOnce';
+  const before = readable ? await readRaw(readMemory, address, register.size) : register.resetValue;
+  const after = encodeFields(register, before, fields);
+  const buf = Buffer.alloc(register.size / 8);
+  buf.writeUIntLE(after, 0, buf.length);
+  await writeMemory(address, buf);
+  const res = { register: `${peripheral.name}.${register.name}`, address: hex(address), before: hex(before, register.size), written: hex(after, register.size) };
+  if (readable) Object.assign(res, decodeRegister(register, await readRaw(readMemory, address, register.size)));
+  else res.note = 'Write-only register: other fields were written with their reset values';
+  return res;
+}
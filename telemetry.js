@@ -0,0 +1,268 @@
+// telemetry.js
+// Parses numeric telemetry out of a serial.js session's text stream into named series.
+// Exposes: startTelemetry, getTelemetry, stopTelemetry, parseLine
+//
+// Formats:
+// - kv: `adc=1234 temp=25.1C` or `adc: 1234, temp: 25.1` (every key=value / key: value pair;
+//   unit suffixes are ignored)
+// - csv: delimited numbers; names come from `columns`, a non-numeric header line, or col1..colN
+// - regex: a user pattern; named groups become channels (unnamed groups are g1..gN)
+// Each complete line gets a host timestamp. Statistics (count/min/max/mean/last) cover every
+// sample since start; the last maxRecords parsed lines are kept for downsampling and CSV export.
+// The session itself is untouched: telemetry taps the stream, so read/readLines still work.
+
+import fs from 'node:fs';
+import { StringDecoder } from 'node:string_decoder';
+import * as serial from './serial.js';
+
+const MAX_LINE = 4096;
+
+/** @type {Map<string, object>} sessionId -> telemetry state */
+const collectors = new Map();
+
+const NUMBER = String.raw`[-+]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)`;
+const KV_RE = new RegExp(String.raw`([A-Za-z_][\w.\-\[\]]*)\s*[=:]\s*(${NUMBER})(?![\d.])`, 'g');
+
+function toNumber(text) {
+  const t = text.trim();
+  if (t === '') return null;
+  const v = /^[-+]?0[xX]/.test(t) ? parseInt(t, 16) : Number(t);
+  return Number.isFinite(v) ? v : null;
+}
+
+// Parse one line into { name: value }; returns null when nothing numeric was found.
+// `state` carries CSV column names learned from a header line.
+export function parseLine(line, { format = 'kv', re, columns, delimiter = ',' } = {}, state = {}) {
+  const values = {};
+  if (format === 'kv') {
+    KV_RE.lastIndex = 0;
+    let m;
+    while ((m = KV_RE.exec(line))) {
+      const v = toNumber(m[2]);
+      if (v != null) values[m[1]] = v;
+    }
+  } else if (format === 'csv') {
+    const fields = line.split(delimiter).map((f) => f.trim());
+    const nums = fields.map(toNumber);
+    if (nums.every((v) => v == null)) {
+      // A line with no numbers at all is taken as the header, unless columns were given
+      if (!columns && fields.some((f) => f !== '')) state.header = fields;
+      return null;
+    }
+    const names = columns || state.header || [];
+    nums.forEach((v, i) => {
+      if (v != null) values[names[i] || `col${i + 1}`] = v;
+    });
+  } else if (format === 'regex') {
+    const m = re.exec(line);
+    if (!m) return null;
+    if (m.groups) {
+      for (const [k, text] of Object.entries(m.groups)) {
+        const v = text == null ? null : toNumber(text);
+        if (v != null) values[k] = v;
+      }
+    } else {
+      m.slice(1).forEach((text, i) => {
+        const v = text == null ? null : toNumber(text);
+        if (v != null) values[`g${i + 1}`] = v;
+      });
+    }
+  }
+  return Object.keys(values).length ? values : null;
+}
+
+function resolveCollector(sessionId) {
+  if (sessionId != null && collectors.has(String(sessionId))) return collectors.get(String(sessionId));
+  const id = serial.getPortInfo({ sessionId }).sessionId;
+  const c = collectors.get(id);
+  if (!c) throw new Error(`Telemetry is not running on session ${id}; call serial.startTelemetry first`);
+  return c;
+}
+
+// Retained records form a ring: once maxRecords are kept, each new record overwrites the oldest
+function pushRecord(c, record) {
+  if (c.records.length < c.maxRecords) {
+    c.records.push(record);
+    return;
+  }
+  c.records[c.recordHead] = record;
+  c.recordHead = (c.recordHead + 1) % c.maxRecords;
+}
+
+// Retained records, oldest first
+function orderedRecords(c) {
+  if (c.recordHead === 0) return c.records;
+  return c.records.slice(c.recordHead).concat(c.records.slice(0, c.recordHead));
+}
+
+function ingestLine(c, line, t) {
+  const values = parseLine(line, c.options, c.csvState);
+  if (!values) {
+    c.unparsedLines += 1;
+    return;
+  }
+  c.parsedLines += 1;
+  pushRecord(c, { t, values });
+  for (const [name, v] of Object.entries(values)) {
+    let ch = c.channels.get(name);
+    if (!ch) {
+      ch = { count: 0, min: v, max: v, sum: 0, last: v, firstT: t, lastT: t };
+      c.channels.set(name, ch);
+    }
+    ch.count += 1;
+    ch.sum += v;
+    if (v < ch.min) ch.min = v;
+    if (v > ch.max) ch.max = v;
+    ch.last = v;
+    ch.lastT = t;
+  }
+}
+
+function ingestChunk(c, chunk) {
+  c.partial += c.decoder.write(chunk);
+  let nl;
+  while ((nl = c.partial.indexOf('\n')) >= 0) {
+    const line = c.partial.slice(0, nl).replace(/\r$/, '');
+    c.partial = c.partial.slice(nl + 1);
+    ingestLine(c, line, Date.now());
+  }
+  // A stream without newlines must not grow without bound
+  if (c.partial.length > MAX_LINE) c.partial = c.partial.slice(-MAX_LINE);
+}
+
+// startTelemetry: begin parsing the session's incoming lines (restarting clears the series)
+export function startTelemetry({ sessionId, format = 'kv', pattern, flags = '', columns, delimiter = ',', encoding = 'utf8', maxRecords = 10000 } = {}) {
+  if (!['kv', 'csv', 'regex'].includes(format)) throw new Error('format must be kv, csv or regex');
+  if (format === 'regex' && !pattern) throw new Error('format "regex" requires a pattern');
+  if (!Number.isInteger(maxRecords) || maxRecords < 1) throw new Error('maxRecords must be a positive integer');
+  const info = serial.getPortInfo({ sessionId });
+  const id = info.sessionId;
+  if (info.framing.mode !== 'raw') throw new Error(`Telemetry needs a text stream; session ${id} uses ${info.framing.mode} framing`);
+  collectors.get(id)?.unsubscribe?.();
+
+  const c = {
+    sessionId: id,
+    path: info.path,
+    options: {
+      format,
+      re: format === 'regex' ? new RegExp(pattern, flags.replace(/[gy]/g, '')) : null,
+      columns: Array.isArray(columns) && columns.length ? columns : null,
+      delimiter,
+    },
+    decoder: new StringDecoder(encoding),
+    maxRecords,
+    csvState: {},
+    partial: '',
+    records: [],
+    recordHead: 0,
+    channels: new Map(),
+    parsedLines: 0,
+    unparsedLines: 0,
+    running: true,
+    startedAt: Date.now(),
+    stoppedAt: null,
+    unsubscribe: null,
+  };
+  c.unsubscribe = serial.subscribe({
+    sessionId: id,
+    data: (chunk) => ingestChunk(c, chunk),
+    close: () => {
+      c.running = false;
+      c.stoppedAt = Date.now();
+    },
+  });
+  collectors.set(id, c);
+  return { sessionId: id, format, maxRecords, message: `Collecting ${format} telemetry on ${info.path} (session ${id})` };
+}
+
+// Average samples into at most maxPoints equal time buckets: [[msSinceStart, mean], ...]
+function downsample(points, maxPoints, startedAt) {
+  if (points.length <= maxPoints) return points.map(([t, v]) => [t - startedAt, v]);
+  const t0 = points[0][0];
+  const span = points[points.length - 1][0] - t0 || 1;
+  const buckets = Array.from({ length: maxPoints }, () => ({ t: 0, v: 0, n: 0 }));
+  for (const [t, v] of points) {
+    const b = buckets[Math.min(maxPoints - 1, Math.floor(((t - t0) / span) * maxPoints))];
+    b.t += t;
+    b.v += v;
+    b.n += 1;
+  }
+  return buckets.filter((b) => b.n > 0).map((b) => [Math.round(b.t / b.n) - startedAt, b.v / b.n]);
+}
+
+function csvCell(v) {
+  const s = String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportCsv(c, records, filePath, names) {
+  const header = ['timestamp', 'elapsed_ms', ...names];
+  const rows = [header.map(csvCell).join(',')];
+  for (const r of records) {
+    if (!names.some((n) => n in r.values)) continue;
+    rows.push([new Date(r.t).toISOString(), r.t - c.startedAt, ...names.map((n) => (n in r.values ? r.values[n] : ''))].map(csvCell).join(','));
+  }
+  fs.writeFileSync(filePath, rows.join('\n') + '\n');
+  return rows.length - 1;
+}
+
+// getTelemetry: per-channel statistics and downsampled series; optionally write retained
+// records to a CSV file, and optionally reset the series afterwards
+export function getTelemetry({ sessionId, channels, maxPoints = 100, includeSamples = true, csvPath, reset = false } = {}) {
+  const c = resolveCollector(sessionId);
+  const names = (Array.isArray(channels) && channels.length ? channels : Array.from(c.channels.keys())).filter((n) => c.channels.has(n));
+  const records = orderedRecords(c);
+  const out = {};
+  for (const name of names) {
+    const ch = c.channels.get(name);
+    const seconds = (ch.lastT - ch.firstT) / 1000;
+    out[name] = {
+      count: ch.count,
+      min: ch.min,
+      max: ch.max,
+      mean: ch.sum / ch.count,
+      last: ch.last,
+      lastAt: new Date(ch.lastT).toISOString(),
+      ratePerSec: seconds > 0 ? Math.round(((ch.count - 1) / seconds) * 1000) / 1000 : null,
+    };
+    if (includeSamples) {
+      const points = records.filter((r) => name in r.values).map((r) => [r.t, r.values[name]]);
+      out[name].samples = downsample(points, maxPoints, c.startedAt);
+    }
+  }
+  const res = {
+    sessionId: c.sessionId,
+    path: c.path,
+    format: c.options.format,
+    running: c.running,
+    startedAt: new Date(c.startedAt).toISOString(),
+    elapsedMs: (c.stoppedAt || Date.now()) - c.startedAt,
+    parsedLines: c.parsedLines,
+    unparsedLines: c.unparsedLines,
+    retainedRecords: records.length,
+    channels: out,
+  };
+  if (csvPath) res.csv = { path: csvPath, rows: exportCsv(c, records, csvPath, names) };
+  if (reset) {
+    c.records = [];
+    c.recordHead = 0;
+    c.channels.clear();
+    c.parsedLines = 0;
+    c.unparsedLines = 0;
+    c.startedAt = Date.now();
+  }
+  return res;
+}
+
+// stopTelemetry: stop parsing and drop the series, returning the final statistics
+export function stopTelemetry({ sessionId } = {}) {
+  const c = resolveCollector(sessionId);
+  c.unsubscribe?.();
+  if (c.running) {
+    c.running = false;
+    c.stoppedAt = Date.now();
+  }
+  const summary = getTelemetry({ sessionId: c.sessionId, includeSamples: false });
+  collectors.delete(c.sessionId);
+  return { ...summary, message: `Telemetry stopped on session ${c.sessionId}` };
+}
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+// test/fixtures/fake-jlink.js
+// Stand-in for J-Link Commander (JLINK_EXE_PATH) used by test/test-jlink-stub.js: runs the
+// `-CommanderScript <file>` it is given against 1 KiB of RAM at 0x20000000 (kept in the file named
+// by FAKE_JLINK_MEM between runs) and a Cortex-M4 CPUID. FAKE_JLINK_NO_TARGET=1 answers like a probe without a target.
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+
+const RAM_BASE = 0x20000000;
+const RAM_SIZE = 0x400;
+const memFile = process.env.FAKE_JLINK_MEM;
+const ram = memFile && existsSync(memFile) ? readFileSync(memFile) : Buffer.alloc(RAM_SIZE);
+const noTarget = process.env.FAKE_JLINK_NO_TARGET === '1';
+
+const args = process.argv.slice(2);
+const scriptIdx = args.indexOf('-CommanderScript');
+const script = scriptIdx >= 0 ? readFileSync(args[scriptIdx + 1], 'utf8') : '';
+const out = ['SEGGER J-Link Commander V7.94e (Compiled Jan 15 2024 15:19:36)', 'DLL version V7.94e, compiled Jan 15 2024 15:18:31', ''];
+const hexN = (v, digits) => (v >>> 0).toString(16).toUpperCase().padStart(digits, '0');
+const num = (s) => parseInt(s, 16);
+
+const CPUID_ADDR = 0xe000ed00;
+
+function ramOff(addr, len) {
+  const off = addr - RAM_BASE;
+  return off >= 0 && off + len <= RAM_SIZE ? off : -1;
+}
+
+// The target needs a connection for these
+const TARGET_COMMANDS = new Set(['connect', 'r', 'g', 'h', 'mem8', 'mem16', 'mem32', 'w1', 'w2', 'w4', 'savebin', 'loadbin', 'loadfile']);
+
+for (const raw of script.split('\n')) {
+  const line = raw.trim();
+  if (!line) continue;
+  out.push(`J-Link>${line}`);
+  const cmd = line.split(/\s+/)[0];
+  const rest = line.slice(cmd.length);
+  const params = (rest.match(/"[^"]*"|[^\s,]+/g) || []).map((p) => p.replace(/^"|"$/g, ''));
+  if (TARGET_COMMANDS.has(cmd) && noTarget) {
+    out.push('Connecting to target via SWD', 'Cannot connect to target.');
+    continue;
+  }
+  switch (cmd) {
+    case 'device':
+    case 'if':
+    case 'speed':
+    case 'connect':
+    case 'g':
+    case 'h':
+      break;
+    case 'r':
+      out.push('Reset delay: 0 ms', 'Reset type NORMAL: Resets core & peripherals via SYSRESETREQ & VECTRESET bit.');
+      break;
+    case 'mem8':
+    case 'mem16':
+    case 'mem32': {
+      const size = Number(cmd.slice(3)) / 8;
+      const addr = num(params[0]);
+      const count = num(params[1]);
+      if (addr === CPUID_ADDR && size === 4 && count === 1) {
+        out.push(`${hexN(addr, 8)} = 410FC241 `);
+        break;
+      }
+      const off = ramOff(addr, count * size);
+      if (off < 0) {
+        out.push('Could not read memory.');
+        break;
+      }
+      const perLine = 16 / size;
+      for (let i = 0; i < count; i += perLine) {
+        const values = [];
+        for (let j = i; j < Math.min(count, i + perLine); j++) values.push(hexN(ram.readUIntLE(off + j * size, size), size * 2));
+        const ascii = size === 1 ? `  ${Array.from(ram.subarray(off + i, off + i + values.length), (b) => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('')}` : '';
+        out.push(`${hexN(addr + i * size, 8)} = ${values.join(' ')} ${ascii}`);
+      }
+      break;
+    }
+    case 'w1':
+    case 'w2':
+    case 'w4': {
+      const size = Number(cmd.slice(1));
+      const addr = num(params[0]);
+      const off = ramOff(addr, size);
+      if (off < 0) {
+        out.push('Could not write memory.');
+        break;
+      }
+      ram.writeUIntLE(num(params[1]), off, size);
+      out.push(`Writing ${hexN(num(params[1]), size * 2)} -> ${hexN(addr, 8)}`);
+      break;
+    }
+    case 'savebin': {
+      const [file, addrText, lenText] = params;
+      const off = ramOff(num(addrText), num(lenText));
+      out.push(`Opening binary file for writing... [${file}]`);
+      if (off < 0) {
+        out.push('Could not read memory.');
+        break;
+      }
+      writeFileSync(file, ram.subarray(off, off + num(lenText)));
+      out.push(`Reading ${num(lenText)} bytes from addr 0x${hexN(num(addrText), 8)} into file...O.K.`);
+      break;
+    }
+    case 'loadbin':
+    case 'loadfile': {
+      const file = params[0];
+      if (!existsSync(file)) {
+        out.push(`Failed to open file ${file}`);
+        break;
+      }
+      if (cmd === 'loadbin') {
+        const data = readFileSync(file);
+        const off = ramOff(num(params[1]), data.length);
+        if (off < 0) {
+          out.push('Writing target memory failed.');
+          break;
+        }
+        data.copy(ram, off);
+      }
+      out.push(`Downloading file [${file}]...`, 'O.K.');
+      break;
+    }
+    case 'ShowEmuList':
+      out.push('J-Link[0]: Connection: USB, Serial number: 801012345, ProductName: J-Link EDU');
+      break;
+    case 'exit':
+      out.push('', 'Script processing completed.');
+      break;
+    default:
+      out.push("Unknown command. '?' for help.");
+  }
+}
+if (memFile) writeFileSync(memFile, ram);
+process.stdout.write(`${out.join('\n')}\n`);
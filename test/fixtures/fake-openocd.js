@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// test/fixtures/fake-openocd.js
+// Stand-in for the openocd binary (OPENOCD_PATH) used by test/test-ocdrpc-stub.js: serves the Tcl
+// RPC and telnet ports given with `-c tcl_port N` / `-c telnet_port N` and answers a handful of
+// commands against 256 bytes of RAM at 0x20000000 (and a Cortex-M4 CPUID). FAKE_OCD_NO_CAPTURE=1 behaves like OpenOCD
+// before 0.11 (no `capture` command); with -d3 it reports FAKE_OCD_SCRIPTS as its scripts directory.
+import net from 'node:net';
+import { existsSync } from 'node:fs';
+
+const RAM_BASE = 0x20000000;
+const ram = Buffer.alloc(256);
+const CPUID_BASE = 0xe000ed00;
+const cpuid = Buffer.from([0x41, 0xc2, 0x0f, 0x41]);
+const ports = {};
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i++) {
+  const m = args[i - 1] === '-c' && /^(gdb|tcl|telnet)_port (\d+)$/.exec(args[i]);
+  if (m) ports[m[1]] = Number(m[2]);
+}
+const noCapture = process.env.FAKE_OCD_NO_CAPTURE === '1';
+if (args.includes('-d3') && process.env.FAKE_OCD_SCRIPTS) {
+  process.stderr.write(`Debug: 11 2 configuration.c:42 add_script_search_dir(): adding ${process.env.FAKE_OCD_SCRIPTS}\n`);
+}
+if (args.includes('shutdown')) process.exit(0);
+
+const hex8 = (v) => (v >>> 0).toString(16).padStart(8, '0');
+
+// -> [ok, output]
+function run(cmd) {
+  const words = cmd.trim().match(/\{[^}]*\}|\S+/g) || [];
+  const [name, ...rest] = words;
+  const arg = (i) => (rest[i] || '').replace(/^\{|\}$/g, '');
+  // -> [buffer, offset] of the memory holding addr..addr+len
+  const mem = (addr, len) => {
+    const a = parseInt(addr, 16);
+    for (const [base, buf] of [[RAM_BASE, ram], [CPUID_BASE, cpuid]]) {
+      if (a >= base && a + len <= base + buf.length) return [buf, a - base];
+    }
+    throw new Error(`Failed to read memory at ${addr}`);
+  };
+  try {
+    switch (name) {
+      case 'mdw':
+      case 'mdb': {
+        const size = name === 'mdw' ? 4 : 1;
+        const count = Number(arg(1) || 1);
+        const [buf, off] = mem(arg(0), count * size);
+        const base = parseInt(arg(0), 16);
+        const values = [];
+        for (let i = 0; i < count; i++) values.push(buf.readUIntLE(off + i * size, size).toString(16).padStart(size * 2, '0'));
+        const perLine = size === 4 ? 8 : 16;
+        const lines = [];
+        for (let i = 0; i < values.length; i += perLine) lines.push(`0x${hex8(base + i * size)}: ${values.slice(i, i + perLine).join(' ')} `);
+        return [true, lines.join('\n')];
+      }
+      case 'mww':
+      case 'mwh':
+      case 'mwb': {
+        const size = { mww: 4, mwh: 2, mwb: 1 }[name];
+        const [buf, off] = mem(arg(0), size);
+        buf.writeUIntLE(parseInt(arg(1), 16), off, size);
+        return [true, ''];
+      }
+      case 'write_memory': {
+        const values = arg(2).split(/\s+/).filter(Boolean);
+        const [buf, off] = mem(arg(0), values.length);
+        values.forEach((v, i) => { buf[off + i] = parseInt(v, 16); });
+        return [true, ''];
+      }
+      case 'reg':
+        if (rest.length) return [true, `${arg(0)} (/32): 0x08000194`];
+        return [true, '===== arm v7m registers\n(0) r0 (/32): 0x00000000\n(1) r1 (/32): 0x20000100\n(15) pc (/32): 0x08000194\n(16) xPSR (/32): 0x01000000'];
+      case 'halt':
+        return [true, '[stm32f4x.cpu] halted due to debug-request, current mode: Thread \nxPSR: 0x01000000 pc: 0x08000194 msp: 0x20001000'];
+      case 'reset':
+        return [true, ''];
+      case 'flash':
+        return [true, '#0 : stm32f4x.flash (stm32f2x) at 0x08000000, size 0x00100000, buswidth 0, chipwidth 0'];
+      case 'program':
+        if (!existsSync(arg(0))) return [false, `** Programming Failed **\nerror: couldn't open ${arg(0)}`];
+        return [true, '** Programming Started **\n** Programming Finished **\n** Verify Started **\n** Verified OK **\n** Resetting Target **'];
+      default:
+        return [false, `invalid command name "${name}"`];
+    }
+  } catch (e) {
+    return [false, e.message];
+  }
+}
+
+// Tcl RPC: only the wrapper scripts ocdrpc.js sends are understood
+function evalTcl(script) {
+  let m = /^set _mcp_rc \[catch \{capture \{(.*)\}\} _mcp_out\]; format "%d %s" \$_mcp_rc \$_mcp_out$/.exec(script);
+  if (m && noCapture) return '1 invalid command name "capture"';
+  if (!m) m = /^set _mcp_rc \[catch \{(.*)\} _mcp_out\]; format "%d %s" \$_mcp_rc \$_mcp_out$/.exec(script);
+  if (!m) return `1 unexpected script: ${script}`;
+  // Without capture, only the command's return value comes back (the printed output goes to the log)
+  const [ok, output] = run(m[1]);
+  return `${ok ? 0 : 1} ${ok && noCapture ? '' : output}`;
+}
+
+const listening = [];
+function listen(port, onSocket) {
+  if (!port) return;
+  listening.push(new Promise((resolve) => net.createServer(onSocket).listen(port, '127.0.0.1', resolve)));
+}
+
+listen(ports.tcl, (socket) => {
+  let buf = '';
+  socket.on('data', (d) => {
+    buf += d.toString('utf8');
+    let end;
+    while ((end = buf.indexOf('\x1a')) >= 0) {
+      const script = buf.slice(0, end);
+      buf = buf.slice(end + 1);
+      socket.write(`${evalTcl(script)}\x1a`);
+    }
+  });
+  socket.on('error', () => {});
+});
+
+listen(ports.telnet, (socket) => {
+  // IAC WILL ECHO, IAC WILL SUPPRESS-GO-AHEAD, then the banner and prompt
+  socket.write(Buffer.from([0xff, 0xfb, 0x01, 0xff, 0xfb, 0x03]));
+  socket.write('Open On-Chip Debugger\r\n> ');
+  let buf = '';
+  socket.on('data', (d) => {
+    buf += d.toString('latin1');
+    let end;
+    while ((end = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, end).replace(/\r$/, '');
+      buf = buf.slice(end + 1);
+      const [, output] = run(line);
+      socket.write(`${line}\r\n${output ? `${output.replace(/\n/g, '\r\n')}\r\n` : ''}> `);
+    }
+  });
+  socket.on('error', () => {});
+});
+
+listen(ports.gdb, (socket) => socket.on('error', () => {}));
+Promise.all(listening).then(() => process.stderr.write(`Info : Listening on port ${ports.gdb} for gdb connections\n`));
+process.on('SIGTERM', () => process.exit(0));
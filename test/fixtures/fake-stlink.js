@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// test/fixtures/fake-stlink.js
+// Stand-in for st-info, st-flash and st-util (ST_INFO_PATH/ST_FLASH_PATH/ST_UTIL_PATH) used by
+// test/test-stlink-stub.js, with two Nucleo probes attached. Each run appends its arguments as a
+// JSON line to FAKE_ST_LOG; `--serial` must name one of the probes.
+import { appendFileSync, writeFileSync } from 'node:fs';
+
+const PROBES = [
+  { version: 'V2J37S26', serial: '066DFF555051897267233656', flash: 524288, sram: 131072, chipid: '0x0469', type: 'STM32G47x_G48x' },
+  { version: 'V3J7M2', serial: '0670FF484957847167071621', flash: 1048576, sram: 196608, chipid: '0x0413', type: 'STM32F4x5_F4x7' },
+];
+
+const args = process.argv.slice(2);
+if (process.env.FAKE_ST_LOG) appendFileSync(process.env.FAKE_ST_LOG, `${JSON.stringify(args)}\n`);
+
+const fail = (text) => {
+  process.stderr.write(`${text}\n`);
+  process.exit(255);
+};
+
+let serial = null;
+const serialIdx = args.indexOf('--serial');
+if (serialIdx >= 0) {
+  serial = args[serialIdx + 1];
+  args.splice(serialIdx, 2);
+}
+const probe = serial ? PROBES.find((p) => p.serial === serial) : PROBES[0];
+if (!probe) fail(`Couldn't find any ST-Link devices with serial ${serial}`);
+
+if (args[0] === '--version') {
+  console.log('v1.7.0');
+} else if (args[0] === '--probe') {
+  // st-info
+  const out = [`Found ${PROBES.length} stlink programmers`];
+  for (const p of PROBES) {
+    out.push(`  version:    ${p.version}`, `  serial:     ${p.serial}`, `  flash:      ${p.flash} (pagesize: 2048)`,
+      `  sram:       ${p.sram}`, `  chipid:     ${p.chipid}`, `  dev-type:   ${p.type}`, '');
+  }
+  process.stdout.write(out.join('\n'));
+} else if (args[0] === 'write') {
+  console.log(`st-flash 1.7.0\n${args[1]}: ${probe.serial}\nFlash written and verified! jolly good!`);
+} else if (args[0] === 'read') {
+  // read <file> <addr> <size>: byte i of the dump is the low byte of addr + i, xor the chip id
+  const [, file, addrText, sizeText] = args;
+  const addr = parseInt(addrText, 16);
+  const chip = parseInt(probe.chipid, 16) & 0xff;
+  writeFileSync(file, Buffer.from(Array.from({ length: Number(sizeText) }, (_, i) => ((addr + i) ^ chip) & 0xff)));
+} else if (args[0] === 'reset') {
+  console.log('st-flash 1.7.0');
+} else if (args[0] === '-p') {
+  // st-util: announce and serve until stopped
+  process.stderr.write(`st-util 1.7.0\nListening at *:${args[1]}...\n`);
+  setInterval(() => {}, 1000);
+  process.on('SIGTERM', () => process.exit(0));
+} else {
+  fail(`unexpected arguments: ${args.join(' ')}`);
+}
@@ -0,0 +1,28 @@
+// Source of vars.elf, used by test/test-dwarf-vars.js. Rebuild with:
+//   gcc -m32 -g -O0 -nostdlib -static -fno-pie -no-pie -fdebug-prefix-map=$PWD=. -Wl,--section-start=.data=0x20000000 -o vars.elf vars.c
+// vars-dwarf4.elf is the same build with -gdwarf-4 (bitfields use DW_AT_bit_offset there).
+typedef enum { MODE_IDLE, MODE_RUN = 3, MODE_FAULT } mode_t;
+
+struct inner {
+  short a;
+  unsigned char flags[3];
+};
+
+struct config {
+  unsigned int id;
+  float gain;
+  mode_t mode;
+  struct inner in;
+  unsigned int bits : 3, on : 1;
+  int *ptr;
+};
+
+volatile unsigned int counter = 7;
+struct config cfg = { 0x1234, 1.5f, MODE_RUN, { -2, { 1, 2, 3 } }, 5, 1, 0 };
+short table[4][2] = { { 1, 2 }, { 3, 4 }, { 5, 6 }, { 7, 8 } };
+char label[8] = "board";
+double ratio = 0.25;
+
+void _start(void) {
+  for (;;) counter++;
+}
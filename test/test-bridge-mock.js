@@ -0,0 +1,208 @@
+// test/test-bridge-mock.js
+// Offline test for bridge.js: TCP clients on localhost share a serialport mock port, in raw mode
+// and with RFC 2217 negotiation. No hardware required: node test/test-bridge-mock.js
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as bridge from '../bridge.js';
+
+const IAC = 255;
+const WILL = 251;
+const DO = 253;
+const SB = 250;
+const SE = 240;
+const COM_PORT = 44;
+
+// Everything written to the mock ports, by path, and the open handles for injecting input
+const written = new Map();
+const handles = new Map();
+
+const TapBinding = {
+  ...SerialPortMock.binding,
+  async open(options) {
+    const port = await SerialPortMock.binding.open(options);
+    const write = port.write.bind(port);
+    handles.set(options.path, port);
+    port.write = async (buf) => {
+      await write(buf);
+      written.set(options.path, Buffer.concat([written.get(options.path) || Buffer.alloc(0), buf]));
+    };
+    return port;
+  },
+};
+
+class TapPort extends SerialPortMock {
+  static list = TapBinding.list;
+  constructor(options, cb) {
+    super({ ...options, binding: TapBinding }, cb);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// A TCP client that collects everything it receives
+async function connect(port) {
+  const socket = net.connect(port, '127.0.0.1');
+  await new Promise((resolve, reject) => socket.once('connect', resolve).once('error', reject));
+  const client = { socket, received: Buffer.alloc(0), ended: false };
+  socket.on('data', (d) => { client.received = Buffer.concat([client.received, d]); });
+  socket.on('close', () => { client.ended = true; });
+  client.waitFor = async (bytes, timeoutMs = 1000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (client.received.length < bytes) {
+      if (Date.now() > deadline) throw new Error(`Expected ${bytes} bytes, got ${client.received.toString('hex')}`);
+      await sleep(10);
+    }
+    const out = client.received.subarray(0, bytes);
+    client.received = client.received.subarray(bytes);
+    return out;
+  };
+  await sleep(20); // let the server register the client, so writer election order is the connect order
+  return client;
+}
+
+function comPort(code, ...value) {
+  return Buffer.from([IAC, SB, COM_PORT, code, ...value, IAC, SE]);
+}
+
+async function main() {
+  serial.setPortImplementation(TapPort);
+  SerialPortMock.binding.createPort('COM_RAW');
+  SerialPortMock.binding.createPort('COM_RFC');
+  SerialPortMock.binding.createPort('COM_SLOW');
+  try {
+    await testRaw();
+    await testRfc2217();
+    await testSlowClient();
+  } finally {
+    await bridge.stopAll();
+    await serial.closeAll();
+  }
+  console.log('bridge mock test passed');
+}
+
+async function testRaw() {
+  const { sessionId } = await serial.openPort({ name: 'COM_RAW' });
+  const started = await bridge.startBridge({ sessionId, maxClients: 2 });
+  assert.match(started.message, new RegExp(`^Serving session ${sessionId} \\(COM_RAW\\) over raw on 127\\.0\\.0\\.1:\\d+ \\(bridge b1\\)$`));
+  const first = await connect(started.port);
+  const second = await connect(started.port);
+  const full = await connect(started.port);
+  await sleep(50);
+  assert.deepEqual([full.received.toString(), full.ended], ['Bridge is full\r\n', true]);
+
+  // Port data reaches every client unchanged, and the session buffer still gets it
+  handles.get('COM_RAW').emitData(Buffer.from([0x00, 0xff, 0x41]));
+  assert.deepEqual(await first.waitFor(3), Buffer.from([0x00, 0xff, 0x41]));
+  assert.deepEqual(await second.waitFor(3), Buffer.from([0x00, 0xff, 0x41]));
+  assert.equal((await serial.read({ sessionId, encoding: 'hex' })).data, '00ff41');
+
+  // Only the first client writes; the writer role passes on when it leaves
+  second.socket.write('ignored');
+  first.socket.write('from first');
+  await sleep(50);
+  assert.equal(written.get('COM_RAW').toString(), 'from first');
+  assert.deepEqual(bridge.listBridges()[0].clients.map((c) => c.writer), [true, false]);
+  first.socket.destroy();
+  await sleep(50);
+  second.socket.write(' then second');
+  await sleep(50);
+  assert.equal(written.get('COM_RAW').toString(), 'from first then second');
+  const [info] = bridge.listBridges();
+  assert.deepEqual([info.clients.length, info.clients[0].writer, info.bytesToClients, info.bytesFromClients], [1, true, 6, 22]);
+
+  // A read-only bridge never writes
+  const ro = await bridge.startBridge({ sessionId, allowWrite: false });
+  const reader = await connect(ro.port);
+  reader.socket.write('nope');
+  await sleep(50);
+  assert.equal(written.get('COM_RAW').length, 22);
+  assert.deepEqual(bridge.listBridges().find((b) => b.bridgeId === ro.bridgeId).clients.map((c) => c.writer), [false]);
+
+  // Closing the session stops its bridges and drops their clients
+  await serial.closePort({ sessionId });
+  await sleep(50);
+  assert.deepEqual([bridge.listBridges(), second.ended, reader.ended], [[], true, true]);
+  await assert.rejects(bridge.stopBridge({ bridgeId: 'b1' }), /Unknown bridge: b1/);
+  await assert.rejects(bridge.startBridge({ sessionId, protocol: 'telnet' }), /protocol must be "raw" or "rfc2217"/);
+}
+
+async function testRfc2217() {
+  const { sessionId } = await serial.openPort({ name: 'COM_RFC', baudRate: 9600 });
+  const { port, bridgeId } = await bridge.startBridge({ sessionId, protocol: 'rfc2217' });
+  const writer = await connect(port);
+  const reader = await connect(port);
+  const greeting = Buffer.from([IAC, WILL, 0, IAC, DO, 0, IAC, WILL, 3, IAC, DO, COM_PORT]);
+  assert.deepEqual(await writer.waitFor(12), greeting);
+  assert.deepEqual(await reader.waitFor(12), greeting);
+
+  // SET-BAUDRATE 115200 is applied and confirmed with the server code (1 + 100)
+  writer.socket.write(comPort(1, 0x00, 0x01, 0xc2, 0x00));
+  assert.deepEqual(await writer.waitFor(10), comPort(101, 0x00, 0x01, 0xc2, 0x00));
+  assert.equal(serial.getPortInfo({ sessionId }).settings.baudRate, 115200);
+
+  // SET-CONTROL: DTR off (9), RTS on (11), then a query (7) reports DTR off
+  writer.socket.write(Buffer.concat([comPort(5, 9), comPort(5, 11), comPort(5, 7)]));
+  assert.deepEqual(await writer.waitFor(21), Buffer.concat([comPort(105, 9), comPort(105, 11), comPort(105, 9)]));
+  assert.deepEqual(serial.getPortInfo({ sessionId }).signals, { dtr: false, rts: true, brk: false });
+
+  // A request from a client that does not hold the writer role is answered but not applied
+  reader.socket.write(Buffer.concat([comPort(1, 0x00, 0x00, 0x25, 0x80), comPort(5, 8)]));
+  assert.deepEqual(await reader.waitFor(17), Buffer.concat([comPort(101, 0x00, 0x01, 0xc2, 0x00), comPort(105, 9)]));
+  assert.equal(serial.getPortInfo({ sessionId }).settings.baudRate, 115200);
+
+  // 0xFF is doubled on the wire in both directions; a request split across packets still works
+  handles.get('COM_RFC').emitData(Buffer.from([0x01, 0xff, 0x02]));
+  assert.deepEqual(await reader.waitFor(4), Buffer.from([0x01, 0xff, 0xff, 0x02]));
+  const request = comPort(3, 3);
+  writer.socket.write(Buffer.concat([Buffer.from([0x10, IAC, IAC, 0x20]), request.subarray(0, 4)]));
+  await sleep(30);
+  writer.socket.write(request.subarray(4));
+  assert.deepEqual(await writer.waitFor(4 + 7), Buffer.concat([Buffer.from([0x01, 0xff, 0xff, 0x02]), comPort(103, 3)]));
+  assert.deepEqual(written.get('COM_RFC'), Buffer.from([0x10, 0xff, 0x20]));
+  assert.equal(serial.getPortInfo({ sessionId }).settings.parity, 'even');
+
+  assert.deepEqual(await bridge.stopBridge({ sessionId }), { stopped: [bridgeId], message: `Stopped bridge ${bridgeId}` });
+  await sleep(50);
+  assert.deepEqual([writer.ended, reader.ended], [true, true]);
+  assert.deepEqual(await bridge.stopBridge({}), { stopped: [], message: 'No bridge running' });
+  await serial.closePort({ sessionId });
+}
+
+// A client that stops reading is dropped once its backlog passes maxBacklog; the others keep going
+async function testSlowClient() {
+  const { sessionId } = await serial.openPort({ name: 'COM_SLOW', bufferSize: 4096 });
+  await assert.rejects(bridge.startBridge({ sessionId, maxBacklog: 100 }), /maxBacklog must be an integer >= 1024/);
+  const { port, bridgeId, maxBacklog } = await bridge.startBridge({ sessionId, maxBacklog: 65536 });
+  assert.equal(maxBacklog, 65536);
+  const slow = await connect(port);
+  const fast = await connect(port);
+  slow.socket.pause();
+
+  // Kernel socket buffers absorb a few MB before the server-side backlog grows
+  const chunk = Buffer.alloc(65536, 0x55);
+  const info = () => bridge.listBridges().find((b) => b.bridgeId === bridgeId);
+  for (let sent = 0; info().clients.length === 2; sent += chunk.length) {
+    if (sent > 64 * 1024 * 1024) throw new Error('Slow client was never dropped');
+    handles.get('COM_SLOW').emitData(chunk);
+    await sleep(5);
+    fast.received = Buffer.alloc(0);
+  }
+  const after = info();
+  assert.deepEqual([after.slowClientsDropped, after.clients.length, after.clients[0].writer, fast.ended], [1, 1, true, false]);
+
+  // The remaining client still gets data and now holds the writer role
+  fast.socket.write('still here');
+  await sleep(50);
+  assert.equal(written.get('COM_SLOW').toString(), 'still here');
+  handles.get('COM_SLOW').emitData(Buffer.from('ok'));
+  await sleep(50);
+  assert.equal(fast.received.subarray(-2).toString(), 'ok');
+  slow.socket.destroy();
+  await serial.closePort({ sessionId });
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,165 @@
+// test/test-framing-mock.js
+// Offline test for framing.js and crc.js, and for framed serial.js sessions on a serialport mock
+// port that echoes every write back. No hardware required: node test/test-framing-mock.js
+import assert from 'node:assert/strict';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as framing from '../framing.js';
+import { crc16Xmodem, crc16CcittFalse, crc16Modbus, crc32, checksum8 } from '../crc.js';
+
+const CHECK = Buffer.from('123456789');
+
+// Payloads that hit the stuffing edge cases: delimiters, escapes and a full 254-byte COBS run
+const PAYLOADS = [
+  Buffer.from([0x00]),
+  Buffer.from([0xc0, 0xdb, 0xdc, 0xdd, 0x00, 0x00, 0x01]),
+  Buffer.alloc(254, 0xff),
+  Buffer.from(Array.from({ length: 600 }, (_, i) => (i * 37) & 0xff)),
+];
+
+// Feed wire bytes to a fresh decoder in uneven chunks so frames straddle push() calls
+function decodeInChunks(f, wire, chunkSize = 7) {
+  const decoder = framing.createDecoder(f);
+  const packets = [];
+  const errors = [];
+  for (let i = 0; i < wire.length; i += chunkSize) {
+    const got = decoder.push(wire.subarray(i, i + chunkSize));
+    packets.push(...got.packets);
+    errors.push(...got.errors);
+  }
+  return { packets, errors, pendingBytes: decoder.pendingBytes };
+}
+
+function testCrc() {
+  // Standard check values over "123456789"
+  assert.equal(crc16Xmodem(CHECK), 0x31c3);
+  assert.equal(crc16CcittFalse(CHECK), 0x29b1);
+  assert.equal(crc16Modbus(CHECK), 0x4b37);
+  assert.equal(crc32(CHECK), 0xcbf43926);
+  assert.equal(checksum8(Buffer.from([0x80, 0x80, 0x05])), 0x05);
+
+  // Trailers follow crcEndian; length-prefixed lengths count payload plus CRC
+  const lp = (crc, crcEndian) => framing.normalizeFraming({ mode: 'length-prefixed', lengthBytes: 1, crc, crcEndian });
+  assert.equal(framing.encodePacket(CHECK, lp('crc16-modbus')).toString('hex'), `0b${CHECK.toString('hex')}374b`);
+  assert.equal(framing.encodePacket(CHECK, lp('crc16-xmodem', 'big')).toString('hex'), `0b${CHECK.toString('hex')}31c3`);
+  assert.equal(framing.encodePacket(CHECK, lp('crc32', 'big')).toString('hex'), `0d${CHECK.toString('hex')}cbf43926`);
+  assert.equal(framing.encodePacket(CHECK, lp('crc32')).toString('hex'), `0d${CHECK.toString('hex')}2639f4cb`);
+}
+
+function testCodecs() {
+  assert.equal(framing.cobsEncode(Buffer.from([0x11, 0x22, 0x00, 0x33])).toString('hex'), '0311220233');
+  assert.equal(framing.cobsEncode(Buffer.from([0x00])).toString('hex'), '0101');
+  assert.deepEqual(framing.cobsDecode(Buffer.from([0x03, 0x11, 0x22, 0x02, 0x33])), Buffer.from([0x11, 0x22, 0x00, 0x33]));
+  assert.throws(() => framing.cobsDecode(Buffer.from([0x05, 0x01])), /COBS: truncated block/);
+  assert.equal(framing.slipEncode(Buffer.from([0x01, 0xc0, 0xdb])).toString('hex'), 'c001dbdcdbddc0');
+  assert.deepEqual(framing.slipDecode(Buffer.from([0x01, 0xdb, 0xdc, 0xdb, 0xdd])), Buffer.from([0x01, 0xc0, 0xdb]));
+  assert.throws(() => framing.slipDecode(Buffer.from([0xdb, 0x01])), /SLIP: invalid escape 0x1/);
+
+  // Every mode and CRC round-trips through encodePacket and the streaming decoder
+  for (const mode of ['cobs', 'slip', 'length-prefixed']) {
+    for (const crc of framing.CRC_TYPES) {
+      for (const crcEndian of ['little', 'big']) {
+        const f = framing.normalizeFraming({ mode, crc, crcEndian, lengthEndian: crcEndian });
+        const wire = Buffer.concat(PAYLOADS.map((p) => framing.encodePacket(p, f)));
+        const got = decodeInChunks(f, wire);
+        assert.deepEqual(got.errors, [], `${mode}/${crc}/${crcEndian}`);
+        assert.deepEqual(got.packets, PAYLOADS, `${mode}/${crc}/${crcEndian}`);
+        assert.equal(got.pendingBytes, 0);
+      }
+    }
+  }
+}
+
+function testErrors() {
+  // A corrupted CRC drops that frame only
+  for (const mode of ['cobs', 'slip', 'length-prefixed']) {
+    for (const crc of ['crc16-ccitt', 'crc32']) {
+      const f = framing.normalizeFraming({ mode, crc });
+      const bad = Buffer.concat([Buffer.from([0x55]), CHECK]);
+      const frames = [framing.encodePacket(CHECK, f), framing.encodePacket(bad, f), framing.encodePacket(PAYLOADS[1], f)];
+      frames[1][frames[1].length - 3] ^= 0x01; // inside the trailer for every mode
+      const got = decodeInChunks(f, Buffer.concat(frames));
+      assert.deepEqual(got.packets, [CHECK, PAYLOADS[1]], `${mode}/${crc}`);
+      assert.deepEqual(got.errors.map((e) => e.type), ['crc'], `${mode}/${crc}`);
+      assert.match(got.errors[0].message, new RegExp(`^${crc} mismatch: got 0x[0-9a-f]+, expected 0x[0-9a-f]+$`));
+    }
+  }
+  const short = decodeInChunks(framing.normalizeFraming({ mode: 'slip', crc: 'crc32' }), Buffer.from([0xc0, 0x01, 0x02, 0xc0]));
+  assert.deepEqual(short.errors, [{ type: 'crc', message: 'Frame of 2 bytes is shorter than the crc32 trailer', bytes: 2 }]);
+
+  // Undecodable frames are reported and decoding resumes at the next delimiter
+  const cobs = framing.normalizeFraming('cobs');
+  const cobsGot = decodeInChunks(cobs, Buffer.concat([Buffer.from([0x05, 0x01, 0x00]), framing.encodePacket(CHECK, cobs)]));
+  assert.deepEqual([cobsGot.packets, cobsGot.errors], [[CHECK], [{ type: 'decode', message: 'COBS: truncated block', bytes: 2 }]]);
+  const slip = framing.normalizeFraming('slip');
+  const slipGot = decodeInChunks(slip, Buffer.concat([Buffer.from([0xc0, 0x01, 0xdb, 0x02, 0xc0]), framing.encodePacket(CHECK, slip)]));
+  assert.deepEqual([slipGot.packets, slipGot.errors], [[CHECK], [{ type: 'decode', message: 'SLIP: invalid escape 0x2', bytes: 3 }]]);
+
+  // Oversize frames: discarded up to the delimiter, or skipped until a plausible length header
+  const small = framing.normalizeFraming({ mode: 'cobs', maxPacketSize: 8 });
+  const longGot = decodeInChunks(small, Buffer.concat([Buffer.alloc(20, 0x41), Buffer.from([0x00]), framing.encodePacket(CHECK.subarray(0, 8), small)]));
+  assert.deepEqual(longGot.packets, [CHECK.subarray(0, 8)]);
+  assert.deepEqual(longGot.errors, [{ type: 'oversize', message: 'Frame exceeds maxPacketSize 8; discarded', bytes: 20 }]);
+  const lp = framing.normalizeFraming({ mode: 'length-prefixed', lengthBytes: 1, maxPacketSize: 8 });
+  const lpGot = decodeInChunks(lp, Buffer.from([0xff, 0x03, 0x01, 0x02, 0x03]), 64);
+  assert.deepEqual(lpGot.packets, [Buffer.from([0x01, 0x02, 0x03])]);
+  assert.deepEqual(lpGot.errors, [{ type: 'oversize', message: 'Length header exceeded maxPacketSize 8; skipped 1 bytes to resync', bytes: 1 }]);
+  assert.throws(() => framing.encodePacket(Buffer.alloc(9), small), /Packet of 9 bytes exceeds maxPacketSize 8/);
+
+  // Option checks
+  assert.throws(() => framing.normalizeFraming({ mode: 'hdlc' }), /Unknown framing mode: hdlc/);
+  assert.throws(() => framing.normalizeFraming({ mode: 'cobs', crc: 'crc8' }), /Unknown framing crc: crc8/);
+  assert.throws(() => framing.normalizeFraming({ crc: 'crc32' }), /requires a packet framing mode/);
+  assert.throws(() => framing.normalizeFraming({ mode: 'length-prefixed', lengthBytes: 3 }), /lengthBytes must be 1, 2 or 4/);
+}
+
+async function main() {
+  testCrc();
+  testCodecs();
+  testErrors();
+
+  serial.setPortImplementation(SerialPortMock);
+  SerialPortMock.binding.createPort('COM_LOOP', { echo: true });
+  for (const mode of ['cobs', 'slip', 'length-prefixed']) {
+    const { sessionId } = await serial.openPort({ name: 'COM_LOOP', baudRate: 921600, framing: { mode, crc: 'crc32' } });
+    try {
+      await runSession(sessionId, mode);
+    } finally {
+      await serial.closePort({ sessionId });
+    }
+  }
+  console.log('framing mock test passed');
+}
+
+// Packets written on a framed session come back through the echo as whole packets
+async function runSession(sessionId, mode) {
+  const sent = await serial.write({ sessionId, data: PAYLOADS[1].toString('hex'), encoding: 'hex' });
+  assert.equal(sent.bytes, 7);
+  const one = await serial.read({ sessionId, timeoutMs: 1000 });
+  assert.deepEqual(one.packets, [{ data: 'c0dbdcdd000001', bytes: 7 }]);
+  assert.deepEqual(one.framingErrors, []);
+
+  // A damaged frame between two good ones shows up in framingErrors, not in the packets
+  const f = framing.normalizeFraming({ mode, crc: 'crc32' });
+  const damaged = framing.encodePacket(CHECK, f);
+  damaged[damaged.length - 3] ^= 0x80;
+  await serial.write({ sessionId, data: 'first' });
+  await serial.writeRaw({ sessionId, buffer: damaged });
+  await serial.write({ sessionId, data: 'second' });
+  const packets = [];
+  const errors = [];
+  for (let i = 0; i < 5 && packets.length < 2; i++) {
+    const got = await serial.read({ sessionId, encoding: 'utf8', timeoutMs: 1000 });
+    packets.push(...got.packets.map((p) => p.data));
+    errors.push(...got.framingErrors);
+  }
+  assert.deepEqual(packets, ['first', 'second']);
+  assert.deepEqual(errors.map((e) => e.type), ['crc']);
+  assert.match(errors[0].at, /^\d{4}-\d\d-\d\dT/);
+
+  const info = serial.getPortInfo({ sessionId }).framing;
+  assert.deepEqual([info.mode, info.packetsSent, info.packetsReceived, info.framingErrors], [mode, 3, 3, { decode: 0, crc: 1, oversize: 0 }]);
+  await assert.rejects(serial.readRaw({ sessionId, length: 1 }), new RegExp(`readRaw is not available on session ${sessionId}: it uses ${mode} framing`));
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
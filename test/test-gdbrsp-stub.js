@@ -0,0 +1,589 @@
+// test/test-gdbrsp-stub.js
+// Offline test for gdbrsp.js, the st.* GDB tools and debug.* tools: runs against a GDB RSP stub
+// server that models a halted Cortex-M core. No hardware required: node test/test-gdbrsp-stub.js
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { writeFile, unlink } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as gdbrsp from '../gdbrsp.js';
+import * as stlink from '../stlink.js';
+import * as debug from '../debug.js';
+import { loadElf, getSection } from '../elf.js';
+
+const RAM_BASE = 0x20000000;
+const SCB_BASE = 0xe000ed00;
+const DHCSR = 0xe000edf0;
+const DCRSR = 0xe000edf4;
+const DCRDR = 0xe000edf8;
+
+// Target description published in tdesc mode; system registers come from an xi:include
+const TARGET_XML = `<?xml version="1.0"?><target><architecture>arm</architecture>
+<feature name="org.gnu.gdb.arm.m-profile">${Array.from({ length: 13 }, (_, i) => `<reg name="r${i}" bitsize="32"/>`).join('')}
+<reg name="sp" bitsize="32" type="data_ptr"/><reg name="lr" bitsize="32"/><reg name="pc" bitsize="32" type="code_ptr"/>
+<reg name="xPSR" bitsize="32" regnum="25"/></feature><xi:include href="system.xml"/></target>`;
+const SYSTEM_XML = `<feature name="org.gnu.gdb.arm.m-system"><reg name="msp" bitsize="32" regnum="26"/><reg name="psp" bitsize="32"/>
+<reg name="primask" bitsize="1"/><reg name="basepri" bitsize="8"/><reg name="faultmask" bitsize="1"/><reg name="control" bitsize="2"/></feature>`;
+const SYSTEM_REGS = ['msp', 'psp', 'primask', 'basepri', 'faultmask', 'control'];
+
+// Run-length encode a run of '0': '0*' + chr(repeats + 29), skipping counts that would
+// produce '#', '$', '*' or '}' (6, 7, 13, 96)
+function rle(run) {
+  let out = '';
+  let left = run.length;
+  while (left > 0) {
+    let n = Math.min(left - 1, 97);
+    while ([6, 7, 13, 96].includes(n)) n -= 1;
+    out += n >= 3 ? `0*${String.fromCharCode(n + 29)}` : '0'.repeat(n + 1);
+    left -= n + 1;
+  }
+  return out;
+}
+
+// ELF32 image with only section headers, .symtab and .strtab: [{ name, value, size, type }]
+function buildElf(symbols) {
+  const names = ['', '.symtab', '.strtab', '.shstrtab'];
+  const shstr = Buffer.from(names.join('\0') + '\0');
+  const strtab = Buffer.from('\0' + symbols.map((s) => s.name).join('\0') + '\0');
+  const symtab = Buffer.alloc(16 * (symbols.length + 1));
+  let nameOff = 1;
+  symbols.forEach((sym, i) => {
+    const o = 16 * (i + 1);
+    symtab.writeUInt32LE(nameOff, o);
+    symtab.writeUInt32LE(sym.value, o + 4);
+    symtab.writeUInt32LE(sym.size, o + 8);
+    symtab[o + 12] = (1 << 4) | (sym.type === 'func' ? 2 : 1); // global func/object
+    symtab.writeUInt16LE(0xfff1, o + 14);
+    nameOff += sym.name.length + 1;
+  });
+  const header = Buffer.alloc(52);
+  const dataOff = 52;
+  const shoff = dataOff + symtab.length + strtab.length + shstr.length;
+  header.writeUInt32BE(0x7f454c46, 0);
+  header[4] = 1; // ELFCLASS32
+  header[5] = 1; // little endian
+  header[6] = 1;
+  header.writeUInt16LE(2, 16); // ET_EXEC
+  header.writeUInt16LE(40, 18); // EM_ARM
+  header.writeUInt32LE(shoff, 32);
+  header.writeUInt16LE(52, 40);
+  header.writeUInt16LE(40, 46);
+  header.writeUInt16LE(4, 48);
+  header.writeUInt16LE(3, 50);
+  const sh = Buffer.alloc(40 * 4);
+  const section = (i, name, type, offset, size, link, entsize) => {
+    const o = 40 * i;
+    sh.writeUInt32LE(shstr.indexOf(name + '\0'), o);
+    sh.writeUInt32LE(type, o + 4);
+    sh.writeUInt32LE(offset, o + 16);
+    sh.writeUInt32LE(size, o + 20);
+    sh.writeUInt32LE(link, o + 24);
+    sh.writeUInt32LE(entsize, o + 36);
+  };
+  section(1, '.symtab', 2, dataOff, symtab.length, 2, 16);
+  section(2, '.strtab', 3, dataOff + symtab.length, strtab.length, 0, 0);
+  section(3, '.shstrtab', 3, dataOff + symtab.length + strtab.length, shstr.length, 0, 0);
+  return Buffer.concat([header, symtab, strtab, shstr, sh]);
+}
+
+// Minimal all-stop GDB server: 1 KiB of RAM, r0..pc + xPSR, software breakpoints
+class StubTarget {
+  constructor({ corruptFirstReply = false, tdesc = false } = {}) {
+    this.tdesc = tdesc;
+    this.sys = { msp: RAM_BASE + 0x400, psp: RAM_BASE + 0x200, primask: 0, basepri: 0, faultmask: 0, control: 0 };
+    this.dcrdr = 0;
+    this.ram = Buffer.alloc(1024);
+    this.scb = Buffer.alloc(0x40); // ICSR..AFSR at 0xE000ED00
+    this.regs = new Array(17).fill(0);
+    this.regs[13] = RAM_BASE + 0x400;
+    this.regs[15] = 0x08000100;
+    this.regs[16] = 0x01000000;
+    this.breakpoints = new Set();
+    this.corrupt = corruptFirstReply;
+    this.running = null;
+    this.packets = [];
+    this.nacks = 0;
+  }
+
+  reply(socket, payload) {
+    let body = payload;
+    let sum = 0;
+    for (const ch of Buffer.from(body, 'latin1')) sum = (sum + ch) & 0xff;
+    let cs = sum.toString(16).padStart(2, '0');
+    if (this.corrupt && payload !== '') {
+      // Wrong checksum once: the client must answer '-' and get the packet again
+      this.corrupt = false;
+      this.lastReply = `$${body}#${cs}`;
+      cs = ((sum + 1) & 0xff).toString(16).padStart(2, '0');
+    } else {
+      this.lastReply = null;
+    }
+    if (this.delayNextReply) {
+      // Answer late once, after the client has given up on this packet
+      const ms = this.delayNextReply;
+      this.delayNextReply = 0;
+      setTimeout(() => socket.write(`$${body}#${cs}`), ms);
+      return;
+    }
+    socket.write(`$${body}#${cs}`);
+  }
+
+  stop(socket, payload) {
+    clearTimeout(this.running);
+    this.running = null;
+    this.reply(socket, payload);
+  }
+
+  handle(socket, pkt) {
+    this.packets.push(pkt);
+    const le32 = (v) => {
+      const b = Buffer.alloc(4);
+      b.writeUInt32LE(v >>> 0);
+      return b.toString('hex');
+    };
+    if (pkt.startsWith('qSupported')) return this.reply(socket, `PacketSize=40;QStartNoAckMode+;swbreak+${this.tdesc ? ';qXfer:features:read+' : ''}`);
+    let m = /^qXfer:features:read:([\w.]+):([0-9a-f]+),([0-9a-f]+)$/.exec(pkt);
+    if (m && this.tdesc) {
+      const doc = { 'target.xml': TARGET_XML, 'system.xml': SYSTEM_XML }[m[1]];
+      if (!doc) return this.reply(socket, 'E00');
+      const off = parseInt(m[2], 16);
+      const part = doc.slice(off, off + 30); // small chunks to exercise 'm' continuation
+      return this.reply(socket, `${off + 30 >= doc.length ? 'l' : 'm'}${part}`);
+    }
+    m = /^p([0-9a-f]+)$/.exec(pkt);
+    if (m && this.tdesc) {
+      const n = parseInt(m[1], 16);
+      if (n < 16) return this.reply(socket, le32(this.regs[n]));
+      if (n === 25) return this.reply(socket, le32(this.regs[16]));
+      const name = SYSTEM_REGS[n - 26];
+      if (!name) return this.reply(socket, 'E01');
+      return this.reply(socket, n < 28 ? le32(this.sys[name]) : this.sys[name].toString(16).padStart(2, '0'));
+    }
+    m = /^P([0-9a-f]+)=([0-9a-f]+)$/.exec(pkt);
+    if (m && this.tdesc) {
+      const n = parseInt(m[1], 16);
+      const v = Buffer.from(m[2], 'hex').readUIntLE(0, m[2].length / 2);
+      if (n < 16) this.regs[n] = v;
+      else if (n === 25) this.regs[16] = v;
+      else if (SYSTEM_REGS[n - 26]) this.sys[SYSTEM_REGS[n - 26]] = v;
+      else return this.reply(socket, 'E01');
+      return this.reply(socket, 'OK');
+    }
+    if (pkt.startsWith('G')) {
+      const buf = Buffer.from(pkt.slice(1), 'hex');
+      for (let i = 0; i < 17; i++) this.regs[i] = buf.readUInt32LE(i * 4);
+      return this.reply(socket, 'OK');
+    }
+    if (pkt === 'QStartNoAckMode') {
+      this.reply(socket, 'OK');
+      socket.noAck = true;
+      return;
+    }
+    if (pkt === '?') return this.reply(socket, 'S05');
+    if (pkt === 'g') {
+      // Run-length encode the zero registers like real servers do: "0*<n>" repeats '0'
+      const hex = this.regs.map(le32).join('');
+      return this.reply(socket, hex.replace(/0{4,}/g, rle));
+    }
+    m = /^m([0-9a-f]+),([0-9a-f]+)$/.exec(pkt);
+    if (m && parseInt(m[1], 16) >= DHCSR) {
+      const addr = parseInt(m[1], 16);
+      // DHCSR: S_REGRDY | S_HALT | C_HALT | C_DEBUGEN
+      return this.reply(socket, le32(addr === DHCSR ? 0x00030003 : addr === DCRDR ? this.dcrdr : 0));
+    }
+    if (m && parseInt(m[1], 16) >= SCB_BASE && parseInt(m[1], 16) < SCB_BASE + this.scb.length) {
+      const off = parseInt(m[1], 16) - SCB_BASE;
+      return this.reply(socket, this.scb.subarray(off, off + parseInt(m[2], 16)).toString('hex'));
+    }
+    if (m) {
+      const off = parseInt(m[1], 16) - RAM_BASE;
+      const len = parseInt(m[2], 16);
+      if (off < 0 || off + len > this.ram.length) return this.reply(socket, 'E01');
+      return this.reply(socket, this.ram.subarray(off, off + len).toString('hex'));
+    }
+    m = /^M([0-9a-f]+),([0-9a-f]+):([0-9a-f]*)$/.exec(pkt);
+    if (m && parseInt(m[1], 16) >= DHCSR) {
+      const addr = parseInt(m[1], 16);
+      const v = Buffer.from(m[3], 'hex').readUInt32LE(0);
+      if (addr === DCRDR) this.dcrdr = v;
+      if (addr === DCRSR) this.coreRegisterTransfer(v & 0x7f, (v & 0x10000) !== 0);
+      return this.reply(socket, 'OK');
+    }
+    if (m) {
+      const off = parseInt(m[1], 16) - RAM_BASE;
+      const data = Buffer.from(m[3], 'hex');
+      if (off < 0 || off + data.length > this.ram.length || data.length !== parseInt(m[2], 16)) return this.reply(socket, 'E01');
+      data.copy(this.ram, off);
+      return this.reply(socket, 'OK');
+    }
+    m = /^([Zz])[01],([0-9a-f]+),2$/.exec(pkt);
+    if (m) {
+      const addr = parseInt(m[2], 16);
+      if (m[1] === 'Z') this.breakpoints.add(addr);
+      else this.breakpoints.delete(addr);
+      return this.reply(socket, 'OK');
+    }
+    if (pkt === 's') {
+      this.regs[15] += 2;
+      return this.reply(socket, `T05${(15).toString(16).padStart(2, '0')}:${le32(this.regs[15])};thread:1;`);
+    }
+    if (pkt === 'c' && this.watchHit != null) {
+      // Next continue stops on a write watchpoint
+      const addr = this.watchHit;
+      this.watchHit = null;
+      this.running = setTimeout(() => {
+        this.regs[15] += 0x10;
+        this.stop(socket, `T05watch:${addr.toString(16)};thread:1;`);
+      }, 20);
+      return;
+    }
+    if (pkt === 'c') {
+      // Reach the next breakpoint after 30 ms; with none, run until interrupted
+      const next = [...this.breakpoints].filter((a) => a > this.regs[15]).sort((a, b) => a - b)[0];
+      if (next != null) {
+        this.running = setTimeout(() => {
+          this.regs[15] = next;
+          this.stop(socket, 'T05swbreak:;thread:1;');
+        }, 30);
+      } else {
+        this.running = setTimeout(() => {}, 60000);
+      }
+      return;
+    }
+    if (pkt.startsWith('qRcmd,')) {
+      const cmd = Buffer.from(pkt.slice(6), 'hex').toString();
+      this.reply(socket, `O${Buffer.from(`echo: ${cmd}\n`).toString('hex')}`);
+      return this.reply(socket, 'OK');
+    }
+    return this.reply(socket, '');
+  }
+
+  // DCRSR REGSEL: 0-15 r0-pc, 16 xPSR, 17 MSP, 18 PSP, 20 CONTROL/FAULTMASK/BASEPRI/PRIMASK
+  coreRegisterTransfer(sel, write) {
+    const s = this.sys;
+    if (sel <= 16) {
+      if (write) this.regs[sel] = this.dcrdr;
+      else this.dcrdr = this.regs[sel];
+    } else if (sel === 17 || sel === 18) {
+      const name = sel === 17 ? 'msp' : 'psp';
+      if (write) s[name] = this.dcrdr;
+      else this.dcrdr = s[name];
+    } else if (sel === 20) {
+      if (write) {
+        [s.primask, s.basepri, s.faultmask, s.control] = [0, 8, 16, 24].map((sh) => (this.dcrdr >>> sh) & 0xff);
+      } else {
+        this.dcrdr = (s.primask | (s.basepri << 8) | (s.faultmask << 16) | (s.control << 24)) >>> 0;
+      }
+    }
+  }
+
+  listen() {
+    const server = net.createServer((socket) => {
+      let buf = '';
+      socket.on('data', (d) => {
+        buf += d.toString('latin1');
+        for (;;) {
+          if (buf[0] === '\x03') {
+            buf = buf.slice(1);
+            if (this.ignoreInterrupt) this.ignoreInterrupt = false;
+            else if (this.running) this.stop(socket, 'S02');
+            continue;
+          }
+          if (buf[0] === '+') {
+            buf = buf.slice(1);
+            continue;
+          }
+          if (buf[0] === '-') {
+            buf = buf.slice(1);
+            this.nacks += 1;
+            if (this.lastReply) socket.write(this.lastReply);
+            continue;
+          }
+          const end = buf.indexOf('#');
+          if (buf[0] !== '$' || end < 0 || buf.length < end + 3) break;
+          const pkt = buf.slice(1, end).replace(/\}(.)/g, (_, c) => String.fromCharCode(c.charCodeAt(0) ^ 0x20));
+          buf = buf.slice(end + 3);
+          if (!socket.noAck) socket.write('+');
+          this.handle(socket, pkt);
+        }
+      });
+      socket.on('error', () => {});
+      // Like real servers: a client that goes away leaves a halted core and no breakpoints
+      socket.on('close', () => {
+        clearTimeout(this.running);
+        this.running = null;
+        this.breakpoints.clear();
+      });
+    });
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+  }
+}
+
+async function main() {
+  // Codec pieces
+  assert.equal(gdbrsp.framePacket('a#b').toString(), '$a}\x03b#43');
+  assert.equal(gdbrsp.decodePayload(Buffer.from('0* }]x')).toString(), '0000}x');
+  assert.deepEqual(gdbrsp.parseStopReply('T05swbreak:;0f:00010008;thread:1;'), {
+    reason: 'swbreak', signal: 5, signalName: 'SIGTRAP', raw: 'T05swbreak:;0f:00010008;thread:1;', registers: { pc: 0x08000100 }, thread: '1',
+  });
+
+  const sim = new StubTarget({ corruptFirstReply: true });
+  const server = await sim.listen();
+  const { port } = server.address();
+
+  const gdb = await gdbrsp.getClient({ port });
+  assert.equal(sim.nacks, 1, 'corrupted reply must be NAKed');
+  assert.ok(gdb.noAck);
+  assert.equal(gdb.features.PacketSize, 0x40);
+  assert.equal(gdb.lastStop.signal, 5);
+
+  // Registers through the run-length encoded 'g' reply
+  const regs = await gdb.readRegisters();
+  assert.equal(regs.pc, 0x08000100);
+  assert.equal(regs.sp, RAM_BASE + 0x400);
+  assert.equal(regs.xpsr, 0x01000000);
+  assert.equal(regs.r0, 0);
+
+  // Memory round trip, split over several packets by the small PacketSize
+  const pattern = Buffer.from(Array.from({ length: 100 }, (_, i) => (i * 7) & 0xff));
+  await gdb.writeMemory(RAM_BASE + 0x10, pattern);
+  assert.deepEqual(await gdb.readMemory(RAM_BASE + 0x10, 100), pattern);
+  assert.ok(sim.packets.filter((p) => p.startsWith('M')).length > 1);
+  await assert.rejects(gdb.readMemory(0x40000000, 4), (e) => e.gdbError === 'E01');
+
+  assert.equal(await gdb.monitor('reset halt'), 'echo: reset halt\n');
+
+  // Tools on top of the client (port given, as for a server started elsewhere)
+  const s1 = await stlink.step({ port, count: 2 });
+  assert.equal(s1.pc, '0x08000104');
+  const bp = await stlink.setBreakpoint({ port, addr: '0x08000200', resume: true, timeoutMs: 2000 });
+  console.log('breakpoint:', JSON.stringify(bp));
+  assert.equal(bp.hit, true);
+  assert.equal(bp.stop.reason, 'swbreak');
+  assert.ok(sim.packets.includes('Z0,8000200,2'));
+  await stlink.setBreakpoint({ port, addr: '0x08000200', remove: true });
+  assert.ok(!sim.breakpoints.has(0x08000200));
+
+  // Continue without breakpoints: still running at the deadline, then interrupted
+  const run = await stlink.setBreakpoint({ port, addr: '0x08000100', resume: true, timeoutMs: 100 });
+  assert.equal(run.halted, false);
+  assert.ok(gdb.running);
+  await assert.rejects(gdb.readRegisters(), /running/);
+  const halt = await gdb.interrupt();
+  assert.equal(halt.signalName, 'SIGINT');
+
+  sim.ram.writeUInt32LE(0xdeadbeef, 0x20);
+  const v = await stlink.readVar({ port, addr: '0x20000020' });
+  assert.equal(v.value, '0xdeadbeef');
+  const pc = await stlink.readVar({ port, name: 'PC' });
+  assert.equal(pc.value, '0x08000200');
+  await assert.rejects(stlink.readVar({ port, name: 'counter' }), /without an ELF/);
+
+  // debug.* run control against the same server
+  const elfPath = path.join(os.tmpdir(), `gdbrsp_${process.pid}.elf`);
+  await writeFile(elfPath, buildElf([
+    { name: 'main', value: 0x08000301, size: 0x40, type: 'func' },
+    { name: 'loop', value: 0x08000341, size: 0x20, type: 'func' },
+    { name: 'counter', value: 0x20000020, size: 4, type: 'object' },
+  ]));
+  await assert.rejects(debug.getStatus(), /No debug server running/);
+  const st = await debug.getStatus({ port, elf: elfPath });
+  assert.equal(st.state, 'halted');
+  assert.equal(st.reason, 'interrupted');
+
+  const to = await debug.runTo({ port, symbol: 'main', elf: elfPath });
+  console.log('runTo:', JSON.stringify(to));
+  assert.equal(to.reached, true);
+  assert.equal(to.pc, '0x08000300');
+  assert.equal(to.symbol, 'main');
+  assert.equal(to.breakpoint.type, 'hardware');
+  assert.ok(sim.packets.includes('Z1,8000300,2') && sim.packets.includes('z1,8000300,2'));
+  assert.ok(!sim.breakpoints.has(0x08000300), 'temporary breakpoint must be removed');
+
+  // Breakpoint set earlier is reported as the stop reason
+  await stlink.setBreakpoint({ port, addr: '0x08000342' });
+  const hit = await debug.resume({ port, wait: true, timeoutMs: 2000, elf: elfPath });
+  assert.equal(hit.reason, 'breakpoint');
+  assert.deepEqual(hit.breakpoint, { addr: '0x08000342', type: 'software' });
+  assert.equal(hit.symbol, 'loop+0x2');
+
+  sim.watchHit = 0x20000020;
+  const w = await debug.resume({ port, wait: true, timeoutMs: 2000 });
+  assert.equal(w.reason, 'watchpoint');
+  assert.deepEqual(w.watchpoint, { addr: '0x20000020', kind: 'write' });
+
+  // No breakpoint ahead: continue without waiting, then halt
+  await stlink.setBreakpoint({ port, addr: '0x08000342', remove: true });
+  const r = await debug.resume({ port });
+  assert.equal(r.state, 'running');
+  assert.equal((await debug.getStatus({ port })).state, 'running');
+  await assert.rejects(debug.resume({ port }), /already running/);
+  const h = await debug.halt({ port });
+  assert.equal(h.reason, 'interrupted');
+  assert.equal(h.alreadyHalted, false);
+
+  // runTo that never arrives halts the core and reports it
+  const miss = await debug.runTo({ port, addr: '0x08000100', timeoutMs: 100 });
+  assert.equal(miss.reached, false);
+  assert.equal(miss.timedOut, true);
+  assert.equal(miss.state, 'halted');
+  await unlink(elfPath);
+
+  // Register and memory writes without a target description: 'G' for core registers
+  // (the stub has no 'P'), DCRSR/DCRDR for the system registers
+  let core = await debug.readCoreRegisters({ port });
+  assert.equal(core.targetDescription, false);
+  assert.equal(core.registers.msp, '0x20000400');
+  assert.equal(core.registers.psp, '0x20000200');
+  let wr = await debug.writeCoreRegister({ port, name: 'r3', value: '0x1234' });
+  assert.ok(wr.ok);
+  assert.equal(sim.regs[3], 0x1234);
+  wr = await debug.writeCoreRegister({ port, name: 'psp', value: '0x20000300' });
+  assert.equal(wr.value, '0x20000300');
+  await debug.writeCoreRegister({ port, name: 'basepri', value: '0x40' });
+  assert.equal(sim.sys.basepri, 0x40);
+  await debug.writeCoreRegister({ port, name: 'control', value: '2' });
+  assert.deepEqual([sim.sys.control, sim.sys.basepri], [2, 0x40]);
+  await assert.rejects(debug.writeCoreRegister({ port, name: 'primask', value: '2' }), /0\.\.1/);
+  await assert.rejects(debug.writeCoreRegister({ port, name: 'r99', value: '1' }), /Unknown core register/);
+
+  const mw = await debug.writeMemory({ port, addr: '0x20000042', value: '0xbeef', width: 16, verify: true });
+  assert.equal(mw.verified, true);
+  assert.equal(sim.ram.readUInt16LE(0x42), 0xbeef);
+  await debug.writeMemory({ port, addr: '0x20000050', data: [1, 2, 3] });
+  await debug.writeMemory({ port, addr: '0x20000053', data: '04 05' });
+  assert.deepEqual(sim.ram.subarray(0x50, 0x55), Buffer.from([1, 2, 3, 4, 5]));
+  await assert.rejects(debug.writeMemory({ port, addr: '0x20000041', value: '1', width: 32 }), /aligned/);
+  const sw = await stlink.writeRegister({ port, addr: '0x20000060', value: '0xcafef00d' });
+  assert.equal(sw.value, '0xcafef00d');
+  assert.equal(sim.ram.readUInt32LE(0x60), 0xcafef00d);
+
+  // With a target description: 'p'/'P' by the published register numbers
+  const sim2 = new StubTarget({ tdesc: true });
+  const server2 = await sim2.listen();
+  const port2 = server2.address().port;
+  core = await debug.readCoreRegisters({ port: port2 });
+  assert.equal(core.targetDescription, true);
+  assert.equal(core.registers.xpsr, '0x01000000');
+  assert.equal(core.registers.msp, '0x20000400');
+  await debug.writeCoreRegister({ port: port2, name: 'xpsr', value: '0x21000000' });
+  await debug.writeCoreRegister({ port: port2, name: 'control', value: '3' });
+  await debug.writeCoreRegister({ port: port2, name: 'r15', value: '0x08000401' });
+  assert.equal(sim2.regs[16], 0x21000000);
+  assert.equal(sim2.sys.control, 3);
+  assert.equal(sim2.regs[15], 0x08000401);
+  assert.ok(sim2.packets.includes('P19=00000021') && sim2.packets.includes('P1f=03'));
+  assert.ok(!sim2.packets.some((p) => p.startsWith('M')), 'no DCRSR access needed with a target description');
+
+  // Variables by name with DWARF types: the fixture's .data image is the target RAM
+  for (const fixture of ['vars.elf', 'vars-dwarf4.elf']) {
+    const varsElf = fileURLToPath(new URL(`./fixtures/${fixture}`, import.meta.url));
+    const image = await loadElf(varsElf);
+    getSection(image, '.data').copy(sim2.ram, 0);
+    const cfg = await debug.readVariable({ port: port2, elf: varsElf, name: 'cfg' });
+    assert.equal(cfg.addr, '0x20000004');
+    assert.equal(cfg.type, 'struct config');
+    const m = cfg.value.members;
+    assert.deepEqual([m.id.value, m.gain.value, m.mode.enumerator, m.in.members.a.value], [0x1234, 1.5, 'MODE_RUN', -2]);
+    assert.deepEqual(m.in.members.flags.elements.map((e) => e.value), [1, 2, 3]);
+    assert.deepEqual([m.bits.value, m.on.value, m.ptr.value], [5, 1, '0x00000000']);
+    assert.equal((await debug.readVariable({ port: port2, elf: varsElf, name: 'table[2][1]' })).value.value, 6);
+    assert.equal((await debug.readVariable({ port: port2, elf: varsElf, name: 'label' })).value.string, 'board');
+    assert.equal((await debug.readVariable({ port: port2, elf: varsElf, name: 'ratio' })).value.value, 0.25);
+    const rv = await stlink.readVar({ port: port2, elf: varsElf, name: 'counter' });
+    assert.deepEqual([rv.type, rv.value.value], ['volatile unsigned int', 7]);
+
+    const bits = await debug.writeVariable({ port: port2, elf: varsElf, name: 'cfg.bits', value: 2 });
+    assert.deepEqual([bits.bitSize, bits.value.value], [3, 2]);
+    assert.equal((await debug.readVariable({ port: port2, elf: varsElf, name: 'cfg.on' })).value.value, 1, 'neighbouring bitfield kept');
+    const mode = await debug.writeVariable({ port: port2, elf: varsElf, name: 'cfg.mode', value: 'MODE_FAULT' });
+    assert.deepEqual([mode.value.value, mode.value.enumerator], [4, 'MODE_FAULT']);
+    await debug.writeVariable({ port: port2, elf: varsElf, name: 'cfg.gain', value: -0.5 });
+    assert.equal(sim2.ram.readFloatLE(0x08), -0.5);
+    await assert.rejects(debug.writeVariable({ port: port2, elf: varsElf, name: 'cfg.bits', value: 8 }), /3-bit field/);
+    await assert.rejects(debug.writeVariable({ port: port2, elf: varsElf, name: 'cfg.in.a', value: 40000 }), /does not fit/);
+    await assert.rejects(debug.writeVariable({ port: port2, elf: varsElf, name: 'cfg', value: 1 }), /members or elements/);
+    await assert.rejects(debug.readVariable({ port: port2, elf: varsElf, name: 'table[4]' }), /out of bounds/);
+    await assert.rejects(debug.readVariable({ port: port2, elf: varsElf, name: 'cfg.nope' }), /no member nope/);
+  }
+
+  // Fault analysis: a precise bus fault escalated to HardFault, frame on PSP
+  const varsElf = fileURLToPath(new URL('./fixtures/vars.elf', import.meta.url));
+  sim2.scb.writeUInt32LE(0x00008200, 0x28); // CFSR: BFARVALID | PRECISERR
+  sim2.scb.writeUInt32LE(0x40000000, 0x2c); // HFSR: FORCED
+  sim2.scb.writeUInt32LE(0x40001234, 0x38); // BFAR
+  sim2.regs[14] = 0xfffffffd; // EXC_RETURN: thread mode, PSP, basic frame
+  sim2.regs[16] = 0x01000003; // IPSR 3 (HardFault)
+  sim2.sys.psp = RAM_BASE + 0x100;
+  const stacked = [1, 2, 3, 4, 12, 0x08049011, 0x08049004, 0x01000200];
+  stacked.forEach((v, i) => sim2.ram.writeUInt32LE(v, 0x100 + i * 4));
+  const fault = await debug.analyzeFault({ port: port2, elf: varsElf });
+  console.log('fault:', fault.summary);
+  assert.equal(fault.faulted, true);
+  assert.equal(fault.exception.name, 'HardFault');
+  assert.deepEqual(fault.faults.map((f) => f.name), ['PRECISERR', 'BFARVALID', 'FORCED']);
+  assert.equal(fault.faultAddress, '0x40001234');
+  assert.deepEqual([fault.excReturn.stack, fault.excReturn.returnMode, fault.excReturn.fpFrame], ['psp', 'thread', false]);
+  assert.equal(fault.stackedFrame.addr, '0x20000100');
+  assert.equal(fault.stackedFrame.r12, '0x0000000c');
+  assert.equal(fault.spBeforeException, '0x20000124', 'xPSR bit 9 adds the alignment word');
+  assert.deepEqual([fault.pc.addr, fault.pc.symbol, fault.pc.file, fault.pc.line], ['0x08049004', '_start+0x4', './vars.c', 27]);
+  assert.equal(fault.lr.symbol, '_start+0x10');
+  assert.match(fault.summary, /^PRECISERR: .*fault address 0x40001234; at _start\+0x4 \(\.\/vars\.c:27\)$/);
+
+  sim2.regs[14] = 0x08000101; // handler already called out: LR no longer EXC_RETURN
+  const lost = await debug.analyzeFault({ port: port2 });
+  assert.equal(lost.stackedFrame, null);
+  assert.match(lost.notes[0], /excReturn/);
+  sim2.sys.msp = RAM_BASE + 0x100;
+  const forced = await debug.analyzeFault({ port: port2, excReturn: '0xfffffff1' });
+  assert.deepEqual([forced.excReturn.stack, forced.stackedFrame.pc], ['msp', '0x08049004']);
+
+  // SVD peripheral registers through the server (the sample device lives in stub RAM)
+  const svdPath = fileURLToPath(new URL('./fixtures/sample.svd', import.meta.url));
+  sim2.ram.writeUInt32LE(0xa8000400, 0x200);
+  const moder = await debug.readPeripheral({ port: port2, svd: svdPath, register: 'GPIOA.MODER' });
+  assert.equal(moder.fields.find((f) => f.name === 'MODER5').enum, 'Output');
+  const setPin = await debug.writePeripheral({ port: port2, svd: svdPath, register: 'GPIOA.MODER', field: 'MODER6', value: 'Alternate' });
+  assert.equal(setPin.written, '0xa8002400');
+  assert.equal(sim2.ram.readUInt32LE(0x200), 0xa8002400);
+  const offline = await debug.readPeripheral({ svd: svdPath, register: 'USART1.CR1', value: '0x2200' });
+  assert.equal(offline.fields.find((f) => f.name === 'PS').enum, 'Odd');
+
+  // A reply that arrives after the timeout must not answer the next packet
+  sim.ram.writeUInt32LE(0x11111111, 0x100);
+  sim.ram.writeUInt32LE(0x22222222, 0x104);
+  const slow = await gdbrsp.getClient({ port });
+  sim.delayNextReply = 300;
+  await assert.rejects(slow.request('m20000100,4', { timeoutMs: 100 }), /No reply from GDB server to m20000100 within 100 ms; connection closed/);
+  assert.equal(slow.closed, true);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  const fresh = await gdbrsp.getClient({ port });
+  assert.notEqual(fresh, slow);
+  assert.equal(await fresh.request('m20000104,4'), '22222222');
+  assert.equal(await fresh.request('m20000100,4'), '11111111');
+
+  // runTo whose interrupt gets no reply: the connection is dropped rather than leaving the
+  // temporary breakpoint armed, and the next call starts with a clean breakpoint list
+  sim.ignoreInterrupt = true;
+  await assert.rejects(debug.runTo({ port, addr: '0x08000000', timeoutMs: 50 }),
+    /Target did not halt within 2000 ms; GDB connection closed to drop the temporary breakpoint at 0x08000000/);
+  assert.ok(fresh.closed);
+  assert.ok(sim.packets.includes('Z1,8000000,2'));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.ok(!sim.breakpoints.has(0x08000000));
+  const after = await debug.getStatus({ port });
+  assert.deepEqual([after.state, after.breakpoints], ['halted', []]);
+
+  // Plain ack mode when no-ack is declined
+  const acked = await gdbrsp.connect({ port, noAck: false });
+  assert.equal(acked.noAck, false);
+  gdbrsp.closeAll();
+  acked.close();
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => server2.close(resolve));
+  console.log('gdbrsp stub test passed');
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
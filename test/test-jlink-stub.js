@@ -0,0 +1,82 @@
+// test/test-jlink-stub.js
+// Offline test for the J-Link Commander memory tools in jlink.js: runs
+// test/fixtures/fake-jlink.js as JLinkExe. No hardware required: node test/test-jlink-stub.js
+import assert from 'node:assert/strict';
+import { writeFile, rm, chmod, mkdtemp } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import os from 'node:os';
+import path from 'node:path';
+import * as jlink from '../jlink.js';
+
+const FAKE_JLINK = fileURLToPath(new URL('./fixtures/fake-jlink.js', import.meta.url));
+const target = { device: 'STM32F407VG', if: 'SWD', speed: 4000 };
+
+async function main() {
+  await chmod(FAKE_JLINK, 0o755);
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'jlink-test-'));
+  process.env.JLINK_EXE_PATH = FAKE_JLINK;
+  process.env.FAKE_JLINK_MEM = path.join(dir, 'ram.bin');
+  try {
+    await runTests(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+  console.log('jlink stub test passed');
+}
+
+async function runTests(dir) {
+  // Single-value writes (w4/w2/w1) and parsed mem32/mem16/mem8 reads
+  const w4 = await jlink.writeMemory({ ...target, addr: '0x20000010', value: '0xdeadbeef' });
+  assert.deepEqual(w4, { tool: 'jlink', addr: '0x20000010', access: 'w4', bytes: 4, data: 'efbeadde' });
+  const r32 = await jlink.readRegister({ ...target, addr: '0x20000010', length: 8 });
+  assert.deepEqual([r32.access, r32.bytes], ['mem32', [0xef, 0xbe, 0xad, 0xde, 0, 0, 0, 0]]);
+  assert.deepEqual((await jlink.readRegister({ ...target, addr: '0x20000011', length: 3 })).bytes, [0xbe, 0xad, 0xde]);
+  const r16 = await jlink.readRegister({ ...target, addr: '0x20000010', length: 4, width: 16 });
+  assert.deepEqual([r16.access, r16.bytes], ['mem16', [0xef, 0xbe, 0xad, 0xde]]);
+  await jlink.writeMemory({ ...target, addr: 0x20000012, value: 0x1234, width: 16, verify: true }).then((r) => assert.equal(r.verified, true));
+  await jlink.writeMemory({ ...target, addr: '0x20000010', value: '65', width: 8 });
+  // mem8 lines carry an ASCII column after the values
+  const r8 = await jlink.readRegister({ ...target, addr: '0x20000000', length: 20, width: 8 });
+  assert.deepEqual(r8.bytes.slice(16), [0x41, 0xbe, 0x34, 0x12]);
+
+  // Byte data: w1 per byte when short, loadbin when long; long reads use savebin
+  const short = await jlink.writeMemory({ ...target, addr: '0x20000020', data: 'cafe', verify: true });
+  assert.deepEqual([short.access, short.verified], ['w1', true]);
+  const pattern = Array.from({ length: 300 }, (_, i) => i & 0xff);
+  const long = await jlink.writeMemory({ ...target, addr: '0x20000100', data: pattern, verify: true });
+  assert.deepEqual([long.access, long.bytes, long.verified, long.data], ['loadbin', 300, true, undefined]);
+  const bulk = await jlink.readRegister({ ...target, addr: '0x20000100', length: 300 });
+  assert.deepEqual([bulk.access, bulk.bytes], ['savebin', pattern]);
+  const bin = path.join(dir, 'blob file.bin');
+  await writeFile(bin, Buffer.from([1, 2, 3, 4]));
+  assert.equal((await jlink.writeMemory({ ...target, addr: '0x20000300', path: bin })).access, 'loadbin');
+  assert.deepEqual((await jlink.readRegister({ ...target, addr: '0x20000300', length: 4 })).bytes, [1, 2, 3, 4]);
+
+  // Argument checks
+  await assert.rejects(jlink.readRegister({ ...target, addr: '0x20000001', length: 4, width: 32 }), /4-byte aligned/);
+  await assert.rejects(jlink.readRegister({ ...target, addr: '0x20000000', width: 64 }), /width must be 8, 16 or 32/);
+  await assert.rejects(jlink.writeMemory({ ...target, addr: '0x20000000', value: 0x1ff, width: 8 }), /does not fit in 8 bits/);
+  await assert.rejects(jlink.writeMemory({ ...target, addr: '0x20000000' }), /requires value \(with width\), data or path/);
+
+  // Commander error lines become structured errors
+  await assert.rejects(jlink.readRegister({ ...target, addr: '0x30000000', length: 4 }), (e) => {
+    assert.match(e.message, /^J-Link read failed: Could not read memory\.$/);
+    assert.equal(e.code, 'MEMORY');
+    assert.match(e.output, /J-Link>mem32 0x30000000, 0x1/);
+    return true;
+  });
+  await assert.rejects(jlink.writeMemory({ ...target, addr: '0x30000000', value: 1 }), { code: 'MEMORY', message: 'J-Link write failed: Could not write memory.' });
+  await assert.rejects(jlink.flashFirmware({ ...target, path: path.join(dir, 'missing.bin') }), { code: 'FILE' });
+  process.env.FAKE_JLINK_NO_TARGET = '1';
+  try {
+    await assert.rejects(jlink.resetDevice(target), (e) => {
+      assert.equal(e.message, 'J-Link reset failed: Cannot connect to target.');
+      assert.deepEqual([e.code, e.lines], ['NO_TARGET', ['Cannot connect to target.', 'Cannot connect to target.']]);
+      return true;
+    });
+  } finally {
+    delete process.env.FAKE_JLINK_NO_TARGET;
+  }
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
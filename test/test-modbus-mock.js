@@ -0,0 +1,190 @@
+// test/test-modbus-mock.js
+// Offline test for modbus.js: a simulated Modbus RTU slave (unit 1) answers on the serialport
+// mock binding. No hardware required: node test/test-modbus-mock.js
+import assert from 'node:assert/strict';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as modbus from '../modbus.js';
+import { crc16Modbus } from '../crc.js';
+
+function withCrc(bytes) {
+  const pdu = Buffer.from(bytes);
+  const crc = crc16Modbus(pdu);
+  return Buffer.concat([pdu, Buffer.from([crc & 0xff, crc >> 8])]);
+}
+
+// Slave with 100 holding registers and 100 coils. Requests are parsed by function code;
+// replies go out a few ms later, like a real device.
+class SimSlave {
+  constructor(send) {
+    this.send = send;
+    this.unitId = 1;
+    this.registers = new Array(100).fill(0);
+    this.coils = new Array(100).fill(false);
+    this.rx = Buffer.alloc(0);
+    this.requests = [];
+    this.corruptReplies = 0; // flip a CRC bit in the next n replies
+    this.silent = 0; // ignore the next n requests
+  }
+
+  feed(buf) {
+    this.rx = Buffer.concat([this.rx, buf]);
+    for (;;) {
+      if (this.rx.length < 8) return;
+      const fc = this.rx[1];
+      const len = fc === 0x0f || fc === 0x10 ? 9 + this.rx[6] : 8;
+      if (this.rx.length < len) return;
+      const frame = this.rx.subarray(0, len);
+      this.rx = this.rx.subarray(len);
+      this.handle(frame);
+    }
+  }
+
+  reply(bytes) {
+    const frame = withCrc(bytes);
+    if (this.corruptReplies > 0) {
+      this.corruptReplies -= 1;
+      frame[frame.length - 1] ^= 0x01;
+    }
+    setTimeout(() => this.send(frame), 5);
+  }
+
+  handle(frame) {
+    assert.equal(frame.readUInt16LE(frame.length - 2), crc16Modbus(frame.subarray(0, frame.length - 2)), 'request CRC');
+    const [unit, fc] = frame;
+    const addr = frame.readUInt16BE(2);
+    const qty = frame.readUInt16BE(4);
+    this.requests.push({ unit, fc, addr });
+    if (unit !== this.unitId) return;
+    if (this.silent > 0) {
+      this.silent -= 1;
+      return;
+    }
+    const table = fc === 0x01 || fc === 0x05 || fc === 0x0f ? this.coils : this.registers;
+    const count = fc === 0x05 || fc === 0x06 ? 1 : qty;
+    if (![0x01, 0x03, 0x05, 0x06, 0x0f, 0x10].includes(fc)) return this.reply([unit, fc | 0x80, 0x01]);
+    if (addr + count > table.length) return this.reply([unit, fc | 0x80, 0x02]);
+    if (fc === 0x01) {
+      const bytes = Buffer.alloc(Math.ceil(qty / 8));
+      for (let i = 0; i < qty; i++) if (this.coils[addr + i]) bytes[i >> 3] |= 1 << (i & 7);
+      return this.reply([unit, fc, bytes.length, ...bytes]);
+    }
+    if (fc === 0x03) {
+      const data = Buffer.alloc(qty * 2);
+      for (let i = 0; i < qty; i++) data.writeUInt16BE(this.registers[addr + i], i * 2);
+      return this.reply([unit, fc, data.length, ...data]);
+    }
+    if (fc === 0x05) this.coils[addr] = qty === 0xff00;
+    if (fc === 0x06) this.registers[addr] = qty;
+    if (fc === 0x0f) for (let i = 0; i < qty; i++) this.coils[addr + i] = ((frame[7 + (i >> 3)] >> (i & 7)) & 1) === 1;
+    if (fc === 0x10) for (let i = 0; i < qty; i++) this.registers[addr + i] = frame.readUInt16BE(7 + i * 2);
+    return this.reply(frame.subarray(0, 6));
+  }
+}
+
+let slave = null;
+
+const SimBinding = {
+  ...SerialPortMock.binding,
+  async open(options) {
+    const port = await SerialPortMock.binding.open(options);
+    const write = port.write.bind(port);
+    slave = new SimSlave((bytes) => port.isOpen && port.emitData(bytes));
+    port.write = async (buf) => {
+      await write(buf);
+      slave.feed(buf);
+    };
+    return port;
+  },
+};
+
+class SimPort extends SerialPortMock {
+  static list = SimBinding.list;
+  constructor(options, cb) {
+    super({ ...options, binding: SimBinding }, cb);
+  }
+}
+
+async function main() {
+  // Register decoding needs no bus: 10.0f is 0x41200000
+  assert.deepEqual(modbus.encodeValues([10], { type: 'float32' }), [0x4120, 0x0000]);
+  assert.deepEqual(modbus.encodeValues([10], { type: 'float32', wordOrder: 'little' }), [0x0000, 0x4120]);
+  assert.deepEqual(modbus.encodeValues([10], { type: 'float32', byteOrder: 'little' }), [0x2041, 0x0000]);
+  assert.deepEqual(modbus.decodeRegisters([0x0000, 0x4120], { type: 'float32', wordOrder: 'little' }), [10]);
+  assert.deepEqual(modbus.decodeRegisters([0x5678, 0x1234, 0xffff], { type: 'uint32', wordOrder: 'little' }), [0x12345678]);
+  assert.deepEqual(modbus.decodeRegisters([0xfffe], { type: 'int16' }), [-2]);
+
+  serial.setPortImplementation(SimPort);
+  SerialPortMock.binding.createPort('COM_MODBUS');
+  const { sessionId } = await serial.openPort({ name: 'COM_MODBUS', baudRate: 19200 });
+  try {
+    await runTests(sessionId);
+  } finally {
+    await serial.closePort({ sessionId });
+  }
+  console.log('modbus mock test passed');
+}
+
+async function runTests(sessionId) {
+  // Registers: 16-bit values and 32-bit values in each word order
+  await modbus.writeSingleRegister({ sessionId, address: 0, value: -1, type: 'int16' });
+  assert.equal(slave.registers[0], 0xffff);
+  await modbus.writeMultipleRegisters({ sessionId, address: 10, values: [1.5, -2.25], type: 'float32', wordOrder: 'little' });
+  assert.deepEqual(slave.registers.slice(10, 14), [0x0000, 0x3fc0, 0x0000, 0xc010]);
+  const floats = await modbus.readHoldingRegisters({ sessionId, address: 10, count: 2, type: 'float32', wordOrder: 'little' });
+  assert.deepEqual([floats.raw, floats.values], [[0x0000, 0x3fc0, 0x0000, 0xc010], [1.5, -2.25]]);
+  const bigEndian = await modbus.readHoldingRegisters({ sessionId, address: 10, count: 1, type: 'uint32' });
+  assert.deepEqual(bigEndian.values, [0x00003fc0]);
+  await modbus.writeMultipleRegisters({ sessionId, address: 20, values: [0x11223344], type: 'int32', byteOrder: 'little' });
+  assert.deepEqual(slave.registers.slice(20, 22), [0x2211, 0x4433]);
+
+  // Coils
+  await modbus.writeMultipleCoils({ sessionId, address: 3, values: [true, false, true, true, false, false, false, false, true] });
+  await modbus.writeSingleCoil({ sessionId, address: 4, value: true });
+  const coils = await modbus.readCoils({ sessionId, address: 3, count: 9 });
+  assert.deepEqual(coils.values, [true, true, true, true, false, false, false, false, true]);
+
+  // Exception replies are reported, not retried
+  slave.requests = [];
+  await assert.rejects(modbus.readHoldingRegisters({ sessionId, address: 99, count: 2, retries: 3 }), (e) => {
+    assert.match(e.message, /^Modbus exception 2 \(Illegal data address\) from unit 1 for function 0x03$/);
+    assert.deepEqual([e.exceptionCode, e.exceptionText], [2, 'Illegal data address']);
+    return true;
+  });
+  assert.equal(slave.requests.length, 1);
+  await assert.rejects(modbus.readInputRegisters({ sessionId, address: 0 }), { exceptionCode: 1 });
+
+  // CRC errors and missing replies are retried
+  slave.registers[50] = 0xbeef;
+  slave.corruptReplies = 1;
+  await assert.rejects(modbus.readHoldingRegisters({ sessionId, address: 50, timeoutMs: 200 }), /Modbus CRC error in response from unit 1/);
+  slave.corruptReplies = 1;
+  assert.deepEqual((await modbus.readHoldingRegisters({ sessionId, address: 50, timeoutMs: 200, retries: 1 })).values, [0xbeef]);
+  slave.silent = 1;
+  assert.deepEqual((await modbus.readHoldingRegisters({ sessionId, address: 50, timeoutMs: 200, retries: 1 })).values, [0xbeef]);
+  await assert.rejects(modbus.readHoldingRegisters({ sessionId, unitId: 7, address: 50, timeoutMs: 100 }), /Modbus timeout waiting for response from unit 7/);
+
+  // Broadcast writes expect no reply
+  await modbus.writeSingleRegister({ sessionId, unitId: 0, address: 1, value: 5 });
+
+  // Concurrent requests on one session each get their own response
+  slave.registers.splice(60, 3, 0x0601, 0x0602, 0x0603);
+  const reads = await Promise.all([60, 61, 62].map((address) => modbus.readHoldingRegisters({ sessionId, address, timeoutMs: 500 })));
+  assert.deepEqual(reads.map((r) => r.values[0]), [0x0601, 0x0602, 0x0603]);
+
+  // Argument checks happen before any traffic
+  await assert.rejects(modbus.readHoldingRegisters({ sessionId, count: 126 }), /count of uint16 values must be an integer in 1\.\.125/);
+  await assert.rejects(modbus.readInputRegisters({ sessionId, count: 63, type: 'float32' }), /count of float32 values must be an integer in 1\.\.62/);
+  await assert.rejects(modbus.readCoils({ sessionId, count: 2001 }), /count must be an integer in 1\.\.2000/);
+  await assert.rejects(modbus.readCoils({ sessionId, unitId: 0 }), /unitId must be 1\.\.247/);
+  await assert.rejects(modbus.writeSingleRegister({ sessionId, address: 0, value: 1, type: 'float32' }), /supports uint16\/int16/);
+
+  // Values that do not fit the register type are refused rather than wrapped or truncated
+  await assert.rejects(modbus.writeMultipleRegisters({ sessionId, address: 0, values: [1, 70000] }), /uint16 value 70000 at index 1 must be an integer in 0\.\.65535/);
+  await assert.rejects(modbus.writeMultipleRegisters({ sessionId, address: 0, values: [-1], type: 'uint32' }), /uint32 value -1 at index 0 must be an integer in 0\.\.4294967295/);
+  await assert.rejects(modbus.writeMultipleRegisters({ sessionId, address: 0, values: [2, 1.7], type: 'int32' }), /int32 value 1\.7 at index 1 must be an integer/);
+  await assert.rejects(modbus.writeSingleRegister({ sessionId, address: 0, value: 40000, type: 'int16' }), /int16 value 40000 at index 0 must be an integer in -32768\.\.32767/);
+  await assert.rejects(modbus.writeMultipleRegisters({ sessionId, address: 0, values: [1e39], type: 'float32' }), /float32 value 1e\+39 at index 0 must be a finite number/);
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
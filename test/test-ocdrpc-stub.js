@@ -0,0 +1,186 @@
+// test/test-ocdrpc-stub.js
+// Offline test for ocdrpc.js and the OpenOCD tools that use a running server: starts
+// test/fixtures/fake-openocd.js as the openocd binary and talks to its Tcl RPC and telnet ports.
+// Config discovery runs against a scripts directory created in the temp dir.
+// No hardware required: node test/test-ocdrpc-stub.js
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { writeFile, unlink, chmod, mkdtemp, mkdir, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import os from 'node:os';
+import path from 'node:path';
+import * as ocdrpc from '../ocdrpc.js';
+import * as openocd from '../openocd.js';
+
+const FAKE_OPENOCD = fileURLToPath(new URL('./fixtures/fake-openocd.js', import.meta.url));
+
+const SCRIPTS = {
+  'interface/stlink.cfg': '# SPDX-License-Identifier: GPL-2.0-or-later\n\n#\n# STMicroelectronics ST-LINK/V1, ST-LINK/V2, ST-LINK/V2-1, STLINK-V3 in-circuit\n# debugger/programmer\n#\n\nadapter driver hla\n',
+  'interface/ftdi/olimex-arm-usb-ocd.cfg': '#\n# Olimex ARM-USB-OCD\n#\nadapter driver ftdi\n',
+  'target/stm32f4x.cfg': '# script for stm32f4x family\n\nsource [find target/swj-dp.tcl]\n',
+  'target/stm32f1x.cfg': '# script for stm32f1x family\n',
+  'board/st_nucleo_f4.cfg': 'source [find interface/stlink.cfg]\nsource [find target/stm32f4x.cfg]\n',
+};
+
+async function makeScriptsDir() {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'ocd-scripts-'));
+  for (const [rel, text] of Object.entries(SCRIPTS)) {
+    await mkdir(path.dirname(path.join(dir, rel)), { recursive: true });
+    await writeFile(path.join(dir, rel), text);
+  }
+  return dir;
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Tcl RPC server whose first reply arrives after `delayMs`; replies name the request they answer
+async function slowTclServer(delayMs) {
+  let requests = 0;
+  const srv = net.createServer((sock) => {
+    let buf = '';
+    sock.on('data', (d) => {
+      buf += d.toString('latin1');
+      let end;
+      while ((end = buf.indexOf('\x1a')) >= 0) {
+        buf = buf.slice(end + 1);
+        const n = ++requests;
+        setTimeout(() => sock.write(`0 reply-to-${n}\x1a`), n === 1 ? delayMs : 0);
+      }
+    });
+  });
+  await new Promise((resolve) => srv.listen(0, '127.0.0.1', resolve));
+  return srv;
+}
+
+async function main() {
+  // Quoting and parsers
+  assert.equal(ocdrpc.tclQuote('mdw 0x08000000 4'), '{mdw 0x08000000 4}');
+  assert.equal(ocdrpc.tclQuote('echo }{'), 'echo\\ \\}\\{');
+  assert.deepEqual(ocdrpc.parseOutput('mdw 0x08000000 3', '0x08000000: 20001000 08000195 0800019d \n'), {
+    addr: '0x08000000', width: 32, values: ['0x20001000', '0x08000195', '0x0800019d'],
+  });
+  assert.deepEqual(ocdrpc.parseOutput('reg pc', 'pc (/32): 0x08000194'), { registers: { pc: '0x08000194' } });
+  assert.deepEqual(ocdrpc.parseOutput('targets', '    TargetName         Type       Endian TapName            State       \n--  ------------------ ---------- ------ ------------------ ------------\n 0* stm32f4x.cpu       hla_target little stm32f4x.cpu       halted\n').targets[0], {
+    index: 0, current: true, name: 'stm32f4x.cpu', type: 'hla_target', endian: 'little', tapName: 'stm32f4x.cpu', state: 'halted',
+  });
+  assert.equal(ocdrpc.parseOutput('mww 0x20000000 1', ''), null);
+
+  // A reply that arrives after the timeout must not be taken as the next command's
+  const slow = await slowTclServer(300);
+  try {
+    const { port } = slow.address();
+    const c1 = await ocdrpc.getClient({ port });
+    await assert.rejects(c1.command('version', { timeoutMs: 100 }), /did not answer within 100 ms; connection closed/);
+    assert.equal(c1.closed, true);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    const c2 = await ocdrpc.getClient({ port });
+    assert.notEqual(c2, c1);
+    assert.deepEqual(await c2.command('version'), { ok: true, output: 'reply-to-2' });
+    assert.deepEqual(await c2.command('version'), { ok: true, output: 'reply-to-3' });
+    ocdrpc.closeClient({ port });
+  } finally {
+    slow.close();
+  }
+
+  await chmod(FAKE_OPENOCD, 0o755);
+  process.env.OPENOCD_PATH = FAKE_OPENOCD;
+  const scriptsDir = await makeScriptsDir();
+  process.env.FAKE_OCD_SCRIPTS = scriptsDir;
+  try {
+    await runTests(scriptsDir);
+  } finally {
+    await rm(scriptsDir, { recursive: true, force: true });
+  }
+  ocdrpc.closeAll();
+  console.log('ocdrpc stub test passed');
+}
+
+async function runTests(scriptsDir) {
+  // Config discovery: the scripts directory comes from `openocd -d3` output
+  const configs = await openocd.listConfigs();
+  assert.deepEqual([configs.scriptsDir, configs.source], [scriptsDir, 'openocd']);
+  assert.deepEqual(configs.interface, [
+    { name: 'ftdi/olimex-arm-usb-ocd', description: 'Olimex ARM-USB-OCD' },
+    { name: 'stlink', description: 'STMicroelectronics ST-LINK/V1, ST-LINK/V2, ST-LINK/V2-1, STLINK-V3 in-circuit' },
+  ]);
+  assert.deepEqual(configs.board, [{ name: 'st_nucleo_f4', description: null }]);
+  const f4 = await openocd.listConfigs({ searchDir: scriptsDir, kind: 'target', filter: 'F4' });
+  assert.deepEqual(f4, { scriptsDir, source: 'searchDir', target: [{ name: 'stm32f4x', description: 'script for stm32f4x family' }] });
+  await assert.rejects(openocd.listConfigs({ kind: 'boards' }), /kind must be one of interface, target, board/);
+
+  // Names are checked before openocd is launched
+  await assert.rejects(openocd.startDebug({ interface: 'stlink', target: 'stm32f4' }), /Unknown OpenOCD target config stm32f4 .*; did you mean stm32f4x/);
+  await assert.rejects(openocd.resetDevice({ interface: 'olimex-arm-usb-ocd' }), /did you mean ftdi\/olimex-arm-usb-ocd\?/);
+  await assert.rejects(openocd.flashFirmware({ path: 'fw.bin', board: 'st_nucleo_f5' }), /Unknown OpenOCD board config st_nucleo_f5 .*; did you mean st_nucleo_f4\?/);
+  await assert.rejects(openocd.startDebug({ target: 'esp32' }), /Unknown OpenOCD target config esp32 .*; see ocd\.listConfigs/);
+  assert.equal(openocd.getDebugServer(), null);
+
+  await assert.rejects(openocd.command({ command: 'halt' }), /ocd\.startDebug/);
+
+  const [gdbPort, tclPort, telnetPort] = [await freePort(), await freePort(), await freePort()];
+  const started = await openocd.startDebug({ interface: 'stlink', target: 'stm32f4x', port: gdbPort, tclPort, telnetPort });
+  assert.match(started.message, new RegExp(`Tcl RPC :${tclPort}`));
+  assert.deepEqual(openocd.getDebugServer(), { server: 'openocd', port: gdbPort, tclPort, telnetPort });
+  try {
+    // Commands over Tcl RPC with parsed results
+    const halted = await openocd.command({ command: 'halt' });
+    assert.equal(halted.via, 'tcl');
+    assert.deepEqual(halted.result, { state: 'halted', reason: 'debug-request', mode: 'Thread', xpsr: '0x01000000', pc: '0x08000194', msp: '0x20001000' });
+    assert.equal((await openocd.command({ command: 'mww 0x20000010 0xdeadbeef' })).ok, true);
+    const md = await openocd.command({ command: 'mdw 0x20000010 2' });
+    assert.deepEqual(md.result.values, ['0xdeadbeef', '0x00000000']);
+    const regs = await openocd.command({ command: 'reg' });
+    assert.equal(regs.result.registers.xPSR, '0x01000000');
+    const banks = await openocd.command({ command: 'flash banks' });
+    assert.deepEqual(banks.result.banks, [{ index: 0, name: 'stm32f4x.flash', driver: 'stm32f2x', base: '0x08000000', size: 0x100000 }]);
+    const bad = await openocd.command({ command: 'frobnicate' });
+    assert.deepEqual([bad.ok, bad.output, bad.result], [false, 'invalid command name "frobnicate"', undefined]);
+    const raw = await openocd.command({ command: 'mdw 0x20000010', parse: false });
+    assert.equal(raw.result, undefined);
+
+    // Existing tools go through the running server instead of spawning openocd
+    const mem = await openocd.readRegister({ addr: '0x20000010', length: 4 });
+    assert.deepEqual([mem.via, mem.bytes], ['tcl', [0xef, 0xbe, 0xad, 0xde]]);
+    await assert.rejects(openocd.readRegister({ addr: '0x30000000', length: 4 }), /openocd read failed: Failed to read memory/);
+    assert.equal((await openocd.resetDevice({})).via, 'tcl');
+    const fw = path.join(os.tmpdir(), `ocdrpc-test-${process.pid} fw.bin`);
+    await writeFile(fw, Buffer.alloc(16));
+    try {
+      const flashed = await openocd.flashFirmware({ path: fw, addr: '0x08000000' });
+      assert.match(flashed.output, /Verified OK/);
+    } finally {
+      await unlink(fw);
+    }
+    await assert.rejects(openocd.flashFirmware({ path: path.join(os.tmpdir(), 'missing-fw.bin') }), /openocd program failed: \*\* Programming Failed/);
+
+    // Telnet port
+    const tn = await openocd.command({ command: 'mdw 0x20000010', telnetPort });
+    assert.deepEqual([tn.via, tn.result.values], ['telnet', ['0xdeadbeef']]);
+    const tnBad = await openocd.command({ command: 'frobnicate', telnetPort });
+    assert.equal(tnBad.ok, false);
+  } finally {
+    assert.equal((await openocd.stopDebug()).message, 'openocd stopped');
+  }
+
+  // A server without `capture` (OpenOCD < 0.11): status still comes back, output does not
+  process.env.FAKE_OCD_NO_CAPTURE = '1';
+  const [g2, t2] = [await freePort(), await freePort()];
+  await openocd.startDebug({ board: 'st_nucleo_f4.cfg', port: g2, tclPort: t2, telnetPort: await freePort() });
+  try {
+    const old = await openocd.command({ command: 'mww 0x20000000 1' });
+    assert.equal(old.ok, true);
+    assert.equal((await openocd.command({ command: 'frobnicate' })).ok, false);
+  } finally {
+    await openocd.stopDebug();
+    delete process.env.FAKE_OCD_NO_CAPTURE;
+  }
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
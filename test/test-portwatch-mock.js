@@ -0,0 +1,126 @@
+// test/test-portwatch-mock.js
+// Offline test for portwatch.js: USB adapters are plugged and unplugged by editing the port list
+// of a serialport mock binding. No hardware required: node test/test-portwatch-mock.js
+import assert from 'node:assert/strict';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as portwatch from '../portwatch.js';
+
+// Ports currently "plugged in", by path; only these are listed and can be opened
+const plugged = new Map();
+
+const HotplugBinding = {
+  ...SerialPortMock.binding,
+  async list() {
+    return Array.from(plugged.values());
+  },
+  async open(options) {
+    if (!plugged.has(options.path)) throw new Error(`No such file or directory, cannot open ${options.path}`);
+    return SerialPortMock.binding.open(options);
+  },
+};
+
+class HotplugPort extends SerialPortMock {
+  static list = HotplugBinding.list;
+  constructor(options, cb) {
+    super({ ...options, binding: HotplugBinding }, cb);
+  }
+}
+
+function plug(path, identity = {}) {
+  plugged.set(path, { path, manufacturer: 'FTDI', ...identity });
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const events = [];
+
+async function waitForEvent(type, sessionId, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const e = events.find((x) => x.type === type && (!sessionId || x.sessionId === sessionId));
+    if (e) return e;
+    if (Date.now() > deadline) throw new Error(`No ${type} event within ${timeoutMs} ms`);
+    await sleep(20);
+  }
+}
+
+// Sessions are picked up by the next poll after they open
+async function nextPoll() {
+  const { polls } = portwatch.getWatchStatus();
+  while (portwatch.getWatchStatus().polls === polls) await sleep(20);
+}
+
+async function main() {
+  serial.setPortImplementation(HotplugPort);
+  for (const p of ['COM3', 'COM4', 'COM7']) SerialPortMock.binding.createPort(p);
+  try {
+    await runTests();
+  } finally {
+    portwatch.stopWatch();
+    await serial.closeAll();
+  }
+  console.log('portwatch mock test passed');
+}
+
+async function runTests() {
+  const ftdi = { serialNumber: 'A10K3', vendorId: '0403', productId: '6001' };
+  plug('COM3', ftdi);
+  plug('COM7'); // no USB identity, like a built-in UART
+
+  await assert.rejects(portwatch.startWatch({ intervalMs: 50 }), /intervalMs must be an integer >= 100/);
+  await assert.rejects(portwatch.startWatch({ autoClose: false, autoReopen: true }), /autoReopen requires autoClose/);
+  const status = await portwatch.startWatch({ intervalMs: 100, autoReopen: true, onEvent: (e) => events.push(e) });
+  assert.deepEqual([status.running, status.polls, status.ports, status.events], [true, 1, ['COM3', 'COM7'], []]);
+
+  const a = (await serial.openPort({ name: 'COM3', baudRate: 57600, bufferSize: 4096 })).sessionId;
+  const b = (await serial.openPort({ name: 'COM7' })).sessionId;
+  await nextPoll();
+
+  // The adapter is unplugged and comes back on another path: same session id and settings
+  plugged.delete('COM3');
+  const closed = await waitForEvent('session-closed', a);
+  assert.deepEqual([closed.path, closed.reason], ['COM3', 'device removed']);
+  assert.deepEqual(events.filter((e) => e.type === 'removed').map((e) => [e.path, e.serialNumber]), [['COM3', 'A10K3']]);
+  assert.deepEqual(serial.listOpenPorts().map((s) => s.sessionId), [b]);
+  assert.deepEqual(portwatch.getWatchStatus().pendingReopen.map((p) => [p.sessionId, p.path, p.serialNumber]), [[a, 'COM3', 'A10K3']]);
+
+  plug('COM4', { ...ftdi, serialNumber: 'OTHER' }); // a different adapter is not mistaken for it
+  await waitForEvent('added');
+  await sleep(250);
+  assert.equal(events.some((e) => e.type === 'session-reopened'), false);
+  plugged.delete('COM4');
+  await sleep(150);
+  plug('COM4', ftdi);
+  const reopened = await waitForEvent('session-reopened', a);
+  assert.deepEqual([reopened.path, reopened.previousPath], ['COM4', 'COM3']);
+  const info = serial.getPortInfo({ sessionId: a });
+  assert.deepEqual([info.path, info.settings.baudRate, info.bufferSize], ['COM4', 57600, 4096]);
+  assert.deepEqual(portwatch.getWatchStatus().pendingReopen, []);
+
+  // Without USB identity the session only comes back on the same path
+  plugged.delete('COM7');
+  await waitForEvent('session-closed', b);
+  plug('COM7');
+  assert.equal((await waitForEvent('session-reopened', b)).path, 'COM7');
+  assert.deepEqual(serial.listOpenPorts().map((s) => [s.sessionId, s.path]).sort(), [[a, 'COM4'], [b, 'COM7']]);
+
+  // A session the user closed is not reopened; one that stays away expires
+  await serial.closePort({ sessionId: b });
+  await portwatch.startWatch({ intervalMs: 100, autoReopen: true, reopenWindowMs: 150, onEvent: (e) => events.push(e) });
+  plugged.delete('COM7');
+  plugged.delete('COM4');
+  assert.equal((await waitForEvent('reopen-expired', a)).path, 'COM4');
+  assert.equal(events.filter((e) => e.type === 'session-closed' && e.sessionId === b).length, 1);
+  assert.deepEqual(serial.listOpenPorts(), []);
+
+  const stopped = portwatch.stopWatch();
+  assert.equal(stopped.message, 'Port watcher stopped');
+  assert.ok(stopped.polls > 5);
+  assert.deepEqual(portwatch.getWatchStatus(), { running: false });
+  assert.equal(portwatch.stopWatch().message, 'Port watcher is not running');
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,95 @@
+// test/test-probe-stub.js
+// Offline test for probe.js: the J-Link backend runs test/fixtures/fake-jlink.js as Commander,
+// OpenOCD runs test/fixtures/fake-openocd.js, and the ST-Link tools are absent.
+// No hardware required: node test/test-probe-stub.js
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { chmod, mkdtemp, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import os from 'node:os';
+import path from 'node:path';
+
+const FAKE_JLINK = fileURLToPath(new URL('./fixtures/fake-jlink.js', import.meta.url));
+const FAKE_OPENOCD = fileURLToPath(new URL('./fixtures/fake-openocd.js', import.meta.url));
+
+function freePort() {
+  return new Promise((resolve) => {
+    const srv = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+async function main() {
+  await chmod(FAKE_JLINK, 0o755);
+  await chmod(FAKE_OPENOCD, 0o755);
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'probe-test-'));
+  process.env.JLINK_EXE_PATH = FAKE_JLINK;
+  process.env.FAKE_JLINK_MEM = path.join(dir, 'ram.bin');
+  process.env.OPENOCD_PATH = FAKE_OPENOCD;
+  // stlink.js reads its tool paths at load time
+  for (const name of ['ST_INFO_PATH', 'ST_FLASH_PATH', 'ST_UTIL_PATH', 'ST_LINK_CLI_PATH', 'STM32_PROGRAMMER_CLI_PATH']) {
+    process.env[name] = path.join(dir, 'missing', name.toLowerCase());
+  }
+  const probe = await import('../probe.js');
+  try {
+    await runTests(probe, dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+  (await import('../ocdrpc.js')).closeAll();
+  console.log('probe stub test passed');
+}
+
+async function runTests(probe, dir) {
+  const jl = { backend: 'jlink', device: 'STM32F407VG', interface: 'SWD' };
+
+  // Listing: J-Link probes, ST-Link tools missing, capability matrix for every backend
+  const list = await probe.listProbes();
+  assert.deepEqual(list.probes, [{ backend: 'jlink', tool: 'jlink', serial: '801012345', description: 'J-Link EDU', connection: 'USB' }]);
+  assert.deepEqual(list.errors.map((e) => [e.backend, e.code]), [['stlink', 'TOOL_NOT_FOUND']]);
+  assert.deepEqual(Object.keys(list.capabilities), ['stlink', 'openocd', 'jlink']);
+  assert.equal(list.capabilities.openocd.listProbes, false);
+  assert.deepEqual(Object.keys((await probe.listProbes({ backend: 'jlink' })).capabilities), ['jlink']);
+
+  // J-Link through Commander
+  const conn = await probe.connect(jl);
+  assert.deepEqual([conn.ok, conn.backend, conn.operation, conn.cpuid, conn.core, conn.revision], [true, 'jlink', 'connect', '0x410fc241', 'Cortex-M4', 'r0p1']);
+  const w = await probe.writeMemory({ ...jl, addr: '0x20000040', value: '0xbeef', width: 16, verify: true });
+  assert.deepEqual(w, { ok: true, backend: 'jlink', operation: 'writeMemory', tool: 'jlink', addr: '0x20000040', length: 2, verified: true });
+  await probe.writeMemory({ ...jl, addr: '0x20000042', data: [1, 2] });
+  const r = await probe.readMemory({ ...jl, addr: 0x20000040, length: 4, width: 16 });
+  assert.deepEqual([r.tool, r.addr, r.length, r.bytes, r.hex], ['jlink', '0x20000040', 4, [0xef, 0xbe, 1, 2], 'efbe0102']);
+  const reset = await probe.reset(jl);
+  assert.match(reset.output, /Reset type NORMAL/);
+
+  // Normalized errors
+  await assert.rejects(probe.flash({ ...jl, path: path.join(dir, 'nope.bin') }), { code: 'FILE', backend: 'jlink', operation: 'flash' });
+  await assert.rejects(probe.readMemory({ ...jl, addr: '0x30000000' }), { code: 'MEMORY', backend: 'jlink', operation: 'readMemory' });
+  await assert.rejects(probe.readMemory({ ...jl }), { code: 'INVALID_ARGUMENT', message: 'readMemory requires addr' });
+  await assert.rejects(probe.readMemory({ backend: 'stlink', addr: '0x20000000' }), { code: 'TOOL_NOT_FOUND', backend: 'stlink' });
+  await assert.rejects(probe.writeMemory({ backend: 'stlink', addr: '0x20000000', value: 1 }), { code: 'NOT_RUNNING', backend: 'stlink' });
+  await assert.rejects(probe.readMemory({ backend: 'openocd', addr: '0x20000000', width: 32 }), { code: 'UNSUPPORTED', backend: 'openocd' });
+  await assert.rejects(probe.reset({ backend: 'pyocd' }), { code: 'INVALID_ARGUMENT', message: /Unknown backend pyocd/ });
+  await assert.rejects(probe.reset({}), { code: 'INVALID_ARGUMENT', message: /backend is required .*no debug server is running/ });
+  assert.deepEqual(probe.describeError(new Error('x')), { code: 'FAILED', backend: null, operation: null, message: 'x' });
+
+  // OpenOCD: memory goes to the running server; without backend the running one is used
+  const [gdbPort, tclPort, telnetPort] = [await freePort(), await freePort(), await freePort()];
+  const started = await probe.startDebug({ backend: 'openocd', port: gdbPort, options: { tclPort, telnetPort } });
+  assert.deepEqual([started.tool, started.server, started.port], ['openocd', 'openocd', gdbPort]);
+  try {
+    assert.equal((await probe.connect({})).core, 'Cortex-M4');
+    const ow = await probe.writeMemory({ addr: '0x20000010', value: '0x11223344', verify: true });
+    assert.deepEqual([ow.backend, ow.tool, ow.verified], ['openocd', 'openocd', true]);
+    await probe.writeMemory({ addr: '0x20000014', data: 'aabb' });
+    assert.equal((await probe.readMemory({ addr: '0x20000010', length: 6 })).hex, '44332211aabb');
+    assert.equal((await probe.reset({})).backend, 'openocd');
+    await assert.rejects(probe.readMemory({ addr: '0x30000000' }), { code: 'MEMORY', backend: 'openocd' });
+  } finally {
+    assert.equal((await probe.stopDebug({ backend: 'openocd' })).message, 'openocd stopped');
+  }
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
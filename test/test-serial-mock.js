@@ -0,0 +1,341 @@
+// test/test-serial-mock.js
+// Offline test for serial.js sessions, framed reads, transactions, buffering, capture, control
+// lines, baud detection and read rendering on the serialport mock binding.
+// No hardware required: node test/test-serial-mock.js
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as render from '../render.js';
+
+// Open mock handles by path, so tests can inject received bytes. `device.reply` answers writes,
+// `device.onOpen` sees every open, and control line changes are recorded in `device.signals`.
+const handles = new Map();
+const device = { reply: null, onOpen: null, signals: [] };
+
+const SimBinding = {
+  ...SerialPortMock.binding,
+  async open(options) {
+    const port = await SerialPortMock.binding.open(options);
+    handles.set(options.path, port);
+    const write = port.write.bind(port);
+    const set = port.set.bind(port);
+    port.write = async (buf) => {
+      await write(buf);
+      device.reply?.(options.path, Buffer.from(buf));
+    };
+    port.set = async (flags) => {
+      await set(flags);
+      device.signals.push({ path: options.path, ...flags, at: Date.now() });
+    };
+    device.onOpen?.(options, port);
+    return port;
+  },
+};
+
+class SimPort extends SerialPortMock {
+  static list = SimBinding.list;
+  constructor(options, cb) {
+    super({ ...options, binding: SimBinding }, cb);
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Bytes arrive through serialport's stream a few ticks after emitData
+async function feed(portPath, data) {
+  handles.get(portPath).emitData(Buffer.from(data));
+  await sleep(10);
+}
+
+async function testSessions() {
+  const listed = await serial.listPorts();
+  assert.deepEqual(listed.map((p) => p.path).slice(0, 2), ['COM_A', 'COM_B']);
+  assert.equal(listed.find((p) => p.path === 'COM_A').manufacturer, 'The J5 Robotics Company');
+
+  const a = await serial.openPort({ name: 'COM_A', baudRate: 115200 });
+  const b = await serial.openPort({ name: 'COM_B' });
+  assert.deepEqual([a.sessionId, b.sessionId], ['s1', 's2']);
+  assert.equal(a.message, 'Opened COM_A @ 115200 baud (session s1)');
+  await assert.rejects(serial.openPort({ name: 'COM_A' }), /COM_A is already open as session s1\. Close it first\./);
+
+  // Each session has its own buffer and counters; the port name works as an id
+  await feed('COM_A', 'from A');
+  await feed('COM_B', 'from B!');
+  await serial.write({ sessionId: 's2', data: 'hi', appendNewline: true });
+  assert.deepEqual(await serial.read({ sessionId: 'COM_B' }), { sessionId: 's2', data: 'from B!', bytes: 7 });
+  const open = serial.listOpenPorts();
+  assert.deepEqual(open.map((s) => [s.sessionId, s.path, s.settings.baudRate, s.bytesReceived, s.bytesSent, s.buffered]), [
+    ['s1', 'COM_A', 115200, 6, 0, 6],
+    ['s2', 'COM_B', 9600, 7, 3, 0],
+  ]);
+  assert.deepEqual(handles.get('COM_B').lastWrite, Buffer.from('hi\n'));
+
+  // Without an id, calls need exactly one open session
+  await assert.rejects(serial.read({}), /Multiple serial ports are open; specify sessionId: s1 \(COM_A\), s2 \(COM_B\)/);
+  await assert.rejects(serial.read({ sessionId: 's9' }), /Unknown serial session: s9/);
+  assert.equal((await serial.closePort({ sessionId: 's2' })).message, 'Port closed: COM_B');
+  assert.deepEqual(await serial.read({ encoding: 'hex' }), { sessionId: 's1', data: Buffer.from('from A').toString('hex'), bytes: 6 });
+  const pending = serial.read({ timeoutMs: 1000 });
+  await feed('COM_A', 'late');
+  assert.equal((await pending).data, 'late');
+  assert.deepEqual(await serial.read({ timeoutMs: 20 }), { sessionId: 's1', data: '', bytes: 0 });
+  assert.deepEqual(await serial.closeAll(), { closed: 1 });
+  assert.deepEqual(await serial.closePort({}), { message: 'No serial port open' });
+  await assert.rejects(serial.write({ data: 'x' }), /Serial port is not open/);
+}
+
+async function testFramedReads() {
+  const { sessionId } = await serial.openPort({ name: 'COM_A' });
+  await feed('COM_A', 'abc\r\ndef\n\npartial');
+  assert.deepEqual(await serial.readLines({ sessionId, skipEmpty: true }), { sessionId, lines: ['abc', 'def'], buffered: 7 });
+  await feed('COM_A', ' line\r\nOK 42\r\nrest');
+  assert.deepEqual(await serial.readUntil({ sessionId, delimiter: '\r\n', includeDelimiter: true }), {
+    sessionId, matched: true, data: 'partial line\r\n', bytes: 14, buffered: 11,
+  });
+  const m = await serial.readUntil({ sessionId, pattern: 'OK (\\d+)(x)?\\r\\n' });
+  assert.deepEqual([m.data, m.match, m.groups, m.buffered], ['', 'OK 42\r\n', ['42', null], 4]);
+  assert.deepEqual(await serial.readUntil({ sessionId, length: 2, encoding: 'hex' }), { sessionId, matched: true, data: '7265', bytes: 2, buffered: 2 });
+
+  // A timeout consumes nothing; a later chunk completes the frame
+  assert.deepEqual(await serial.readUntil({ sessionId, delimiter: '0d0a', delimiterEncoding: 'hex', timeoutMs: 20 }), {
+    sessionId, matched: false, data: '', bytes: 0, buffered: 2,
+  });
+  const waiting = serial.readUntil({ sessionId, delimiter: '0d0a', delimiterEncoding: 'hex', timeoutMs: 1000 });
+  await feed('COM_A', '\r');
+  await feed('COM_A', '\nnext');
+  assert.deepEqual(await waiting, { sessionId, matched: true, data: 'st', bytes: 2, buffered: 4 });
+  const lines = serial.readLines({ sessionId, maxLines: 1, timeoutMs: 1000 });
+  await feed('COM_A', '1\n2\n');
+  assert.deepEqual((await lines).lines, ['next1']);
+  assert.deepEqual((await serial.readLines({ sessionId })).lines, ['2']);
+
+  await assert.rejects(serial.readUntil({ sessionId, delimiter: '\n', length: 2 }), /exactly one of delimiter, pattern or length/);
+  await assert.rejects(serial.readUntil({ sessionId, delimiter: '' }), /delimiter must not be empty/);
+  await assert.rejects(serial.readUntil({ sessionId, length: 0 }), /length must be a positive integer/);
+  await serial.closePort({ sessionId });
+}
+
+async function testTransact() {
+  const { sessionId } = await serial.openPort({ name: 'COM_A' });
+  // Modem: AT -> OK, AT+BAD -> ERROR (with a later OK), AT+SLOW answers only every other time
+  let slowCalls = 0;
+  device.reply = (p, buf) => {
+    const cmd = buf.toString();
+    let answer = null;
+    if (cmd === 'AT\r') answer = '\r\nOK\r\n';
+    if (cmd === 'AT+BAD\r') answer = '\r\n+CME ERROR: 10\r\nOK\r\n';
+    if (cmd === 'AT+SLOW\r' && ++slowCalls % 2 === 0) answer = '\r\n+SLOW: 1\r\nOK\r\n';
+    if (answer) setTimeout(() => handles.get(p).emitData(Buffer.from(answer)), 5);
+  };
+  try {
+    await feed('COM_A', 'stale');
+    const ok = await serial.transact({ sessionId, send: 'AT\r', expect: ['OK'], errors: ['ERROR'] });
+    assert.deepEqual([ok.ok, ok.outcome, ok.attempts, ok.response, ok.matched], [true, 'ok', 1, '\r\nOK', { pattern: 'OK', text: 'OK', groups: [] }]);
+    assert.deepEqual(ok.transcript, [
+      { attempt: 1, dir: 'flushed', data: 'stale' },
+      { attempt: 1, dir: 'tx', data: 'AT\r' },
+      { attempt: 1, dir: 'rx', data: '\r\nOK' },
+    ]);
+    await serial.read({ sessionId });
+
+    // The earliest match wins, so the trailing OK cannot hide the error
+    const bad = await serial.transact({ sessionId, send: 'AT+BAD\r', expect: ['OK'], errors: ['ERROR: (\\d+)'], retries: 1 });
+    assert.deepEqual([bad.ok, bad.outcome, bad.attempts, bad.matched.groups], [false, 'error', 2, ['10']]);
+    await serial.read({ sessionId });
+
+    const slow = await serial.transact({ sessionId, send: 'AT+SLOW\r', expect: '\\+SLOW: (\\d)', timeoutMs: 100, retries: 2 });
+    assert.deepEqual([slow.ok, slow.attempts, slow.matched.groups], [true, 2, ['1']]);
+    assert.deepEqual(slow.transcript.map((t) => [t.attempt, t.dir]), [[1, 'tx'], [1, 'rx'], [2, 'tx'], [2, 'rx']]);
+    await serial.read({ sessionId });
+    const timeout = await serial.transact({ sessionId, send: 'AT+NONE\r', expect: ['OK'], timeoutMs: 30 });
+    assert.deepEqual([timeout.ok, timeout.outcome, timeout.response], [false, 'timeout', '']);
+    assert.deepEqual(await serial.transact({ sessionId, send: 'x' }).then((r) => [r.ok, r.outcome]), [true, 'sent']);
+
+    // runScript stops at the first failed step and names it
+    const script = await serial.runScript({
+      sessionId,
+      steps: [
+        { name: 'ping', send: 'AT\r', expect: ['OK'] },
+        { name: 'bad', send: 'AT+BAD\r', expect: ['OK'], errors: ['ERROR'] },
+        { name: 'never', send: 'AT\r', expect: ['OK'] },
+      ],
+    });
+    assert.deepEqual([script.ok, script.steps.map((s) => s.outcome), script.failedStep.name, script.failedStep.outcome], [false, ['ok', 'error'], 'bad', 'error']);
+    assert.deepEqual(script.transcript.filter((t) => t.dir === 'tx').map((t) => [t.step, t.data]), [[0, 'AT\r'], [1, 'AT+BAD\r']]);
+    const all = await serial.runScript({ sessionId, stopOnError: false, steps: [{ send: 'AT+NONE\r', expect: ['OK'], timeoutMs: 20 }, { send: 'AT\r', expect: ['OK'], delayMs: 5 }] });
+    assert.deepEqual([all.ok, all.failedStep.step, all.steps.map((s) => s.ok)], [false, 0, [false, true]]);
+    await assert.rejects(serial.runScript({ sessionId, steps: [] }), /non-empty steps array/);
+  } finally {
+    device.reply = null;
+    await serial.closePort({ sessionId });
+  }
+}
+
+async function testBufferAndCapture(dir) {
+  // Only the newest bufferSize bytes are kept; drops are counted
+  const { sessionId } = await serial.openPort({ name: 'COM_BUF', bufferSize: 8 });
+  await feed('COM_BUF', '12345');
+  await feed('COM_BUF', '6789AB');
+  let info = serial.listOpenPorts()[0];
+  assert.deepEqual([info.buffered, info.bufferSize, info.droppedBytes, info.overflows, info.bytesReceived], [8, 8, 3, 1, 11]);
+  assert.equal((await serial.read({ sessionId, maxBytes: 3 })).data, '456');
+  await feed('COM_BUF', 'CDEFGHIJKLMNOPQRST');
+  info = serial.listOpenPorts()[0];
+  assert.deepEqual([info.buffered, info.droppedBytes, info.overflows], [8, 18, 2]);
+  assert.equal((await serial.read({ sessionId })).data, 'MNOPQRST');
+  await assert.rejects(serial.openPort({ name: 'COM_A', bufferSize: 0 }), /bufferSize must be a positive integer/);
+
+  // Text capture stamps each line, including a line split across chunks
+  const textLog = path.join(dir, 'logs', 'uart.log');
+  const started = serial.startCapture({ sessionId, path: textLog });
+  assert.equal(started.capture.mode, 'text');
+  assert.throws(() => serial.startCapture({ sessionId, path: textLog }), /is already capturing to/);
+  await feed('COM_BUF', 'boot\nrea');
+  await feed('COM_BUF', 'dy\n');
+  const stopped = serial.stopCapture({ sessionId });
+  assert.deepEqual([stopped.capture.bytesCaptured, stopped.capture.rotations], [11, 0]);
+  const text = (await readFile(textLog, 'utf8')).split('\n');
+  assert.equal(text.length, 3);
+  assert.match(text[0], /^\[\d{4}-\d\d-\d\dT[\d:.]+Z\] boot$/);
+  assert.match(text[1], /^\[[^\]]+\] ready$/);
+  assert.equal(serial.stopCapture({ sessionId }).message, 'No capture running');
+
+  // Raw capture with rotation: uart.bin -> uart.bin.1 -> uart.bin.2, at most maxFiles kept
+  const rawLog = path.join(dir, 'uart.bin');
+  serial.startCapture({ sessionId, path: rawLog, mode: 'raw', maxFileBytes: 6, maxFiles: 2 });
+  for (const chunk of ['aaaa', 'bbbb', 'cccc', 'dd']) await feed('COM_BUF', chunk);
+  const info2 = serial.listOpenPorts()[0].capture;
+  assert.deepEqual([info2.bytesCaptured, info2.rotations, info2.fileBytes], [14, 2, 6]);
+  await serial.closePort({ sessionId }); // closing stops the capture
+  assert.deepEqual((await readdir(dir)).filter((f) => f.startsWith('uart.bin')).sort(), ['uart.bin', 'uart.bin.1', 'uart.bin.2']);
+  assert.deepEqual(await Promise.all(['', '.1', '.2'].map((s) => readFile(`${rawLog}${s}`, 'latin1'))), ['ccccdd', 'bbbb', 'aaaa']);
+  assert.throws(() => serial.startCapture({ path: rawLog }), /Serial port is not open/);
+}
+
+async function testSignals() {
+  const { sessionId } = await serial.openPort({ name: 'COM_SIG' });
+  device.signals = [];
+  try {
+    assert.deepEqual(await serial.setSignals({ sessionId, dtr: false }), { sessionId, signals: { dtr: false, rts: true, brk: false } });
+    assert.deepEqual(await serial.getSignals({ sessionId }), {
+      sessionId, inputs: { cts: true, dsr: false, dcd: false }, outputs: { dtr: false, rts: true, brk: false },
+    });
+
+    device.signals = [];
+    await serial.sendBreak({ sessionId, durationMs: 40 });
+    assert.deepEqual(device.signals.map((s) => s.brk), [true, false]);
+    assert.ok(device.signals[1].at - device.signals[0].at >= 35, 'BREAK held for durationMs');
+
+    // BOOT0 on RTS and NRST on DTR, both inverted: asserted line = pin low
+    device.signals = [];
+    const boot = await serial.runSignalSequence({ sessionId, sequence: 'reset-to-bootloader', resetPulseMs: 10, settleMs: 5 });
+    assert.deepEqual(boot.steps, [
+      { dtr: true, rts: false, brk: false, delayMs: 10 },
+      { dtr: false, rts: false, brk: false, delayMs: 5 },
+      { dtr: false, rts: true, brk: false, delayMs: 0 },
+    ]);
+    assert.deepEqual(device.signals.map(({ dtr, rts }) => [dtr, rts]), [[true, false], [false, false], [false, true]]);
+    const app = await serial.runSignalSequence({ sessionId, sequence: 'reset-to-app', invertBoot0: false, invertReset: false, boot0Line: 'dtr', resetLine: 'rts', resetPulseMs: 1, settleMs: 1 });
+    assert.deepEqual(app.steps.map(({ dtr, rts }) => [dtr, rts]), [[false, false], [false, true]]);
+
+    // Explicit steps, and flush discards what arrived during the reset
+    await feed('COM_SIG', 'noise');
+    const custom = await serial.runSignalSequence({ sessionId, steps: [{ dtr: true, delayMs: 1 }, { rts: false }], flush: true });
+    assert.deepEqual([custom.sequence, custom.steps.length, serial.listOpenPorts()[0].buffered], ['custom', 2, 0]);
+    await assert.rejects(serial.runSignalSequence({ sessionId, sequence: 'reset', boot0Line: 'dtr' }), /must use different lines/);
+    await assert.rejects(serial.runSignalSequence({ sessionId, sequence: 'dfu' }), /Unknown signal sequence: dfu\. Known: reset, reset-to-bootloader, reset-to-app/);
+  } finally {
+    await serial.closePort({ sessionId });
+  }
+}
+
+// A device on COM_BAUD that talks only at 38400 8N1; other settings produce line noise
+async function testDetectBaud() {
+  const noise = Buffer.from([0x00, 0xf3, 0x9e, 0x80, 0x1c, 0xff, 0x07, 0xa5, 0x00, 0xe0, 0x81, 0xfe]);
+  const speaks = (o) => o.baudRate === 38400 && o.dataBits === 8 && o.parity === 'none';
+  device.onOpen = (o, port) => {
+    if (o.path !== 'COM_BAUD') return;
+    setTimeout(() => port.isOpen && port.emitData(speaks(o) ? Buffer.from('U-Boot 2020.01 (Jan 01 2020)\r\n') : noise), 5);
+  };
+  device.reply = (p, buf) => {
+    const o = handles.get(p).openOptions;
+    if (p === 'COM_BAUD' && buf.toString() === 'ver\r' && speaks(o)) handles.get(p).emitData(Buffer.from('\r\nv1.2 OK\r\n'));
+  };
+  try {
+    const scan = await serial.detectBaud({ name: 'COM_BAUD', rates: [9600, 38400, 115200], listenMs: 40 });
+    assert.deepEqual([scan.best.baudRate, scan.best.framing, scan.best.score, scan.tried, scan.of, scan.stoppedEarly], [38400, '8N1', 1, 2, 3, true]);
+    assert.deepEqual(scan.candidates.map((c) => c.baudRate), [38400, 9600]);
+    assert.match(scan.candidates[0].sample, /^U-Boot 2020\.01 \(Jan 01 2020\)/);
+    assert.ok(scan.candidates[1].printableRatio < 0.5);
+
+    const full = await serial.detectBaud({ name: 'COM_BAUD', rates: [38400, 9600], framings: ['7E1', '8N1'], listenMs: 30, stopOnMatch: false });
+    assert.deepEqual([full.tried, full.best.baudRate, full.best.framing], [4, 38400, '8N1']);
+
+    // Probe and pattern: a match outranks everything and stops the scan
+    const probed = await serial.detectBaud({ name: 'COM_BAUD', rates: [115200, 38400, 9600], probe: 'ver\r', pattern: 'v(\\d+)\\.\\d+ OK', listenMs: 200 });
+    assert.deepEqual([probed.best.baudRate, probed.tried, probed.candidates[0].matched, probed.candidates[1].matched], [38400, 2, true, false]);
+    assert.ok(probed.best.score > 1);
+    assert.ok(probed.elapsedMs < 400, 'stops listening once the pattern shows up');
+
+    const { sessionId } = await serial.openPort({ name: 'COM_BAUD' });
+    await assert.rejects(serial.detectBaud({ name: 'COM_BAUD' }), /COM_BAUD is open; close it before detecting the baud rate/);
+    await serial.closePort({ sessionId });
+    await assert.rejects(serial.detectBaud({ name: 'COM_BAUD', framings: ['9N1'] }), /Invalid framing "9N1"/);
+    const missing = await serial.detectBaud({ name: 'COM_NONE', rates: [9600], listenMs: 1 });
+    assert.deepEqual([missing.best, missing.candidates[0].score], [null, 0]);
+    assert.match(missing.candidates[0].error, /Port not found: COM_NONE/);
+  } finally {
+    device.onOpen = null;
+    device.reply = null;
+  }
+}
+
+async function testRendering() {
+  const bytes = Buffer.concat([Buffer.from('Hello'), Buffer.from([0x00, 0x01, 0x02]), Buffer.from(' world\r\n')]);
+  assert.equal(render.hexdump(bytes), '00000000  48 65 6c 6c 6f 00 01 02  20 77 6f 72 6c 64 0d 0a  |Hello... world..|');
+  assert.equal(render.hexdump(Buffer.from('0123456789abcdefXY'), { startOffset: 0x100 }).split('\n')[1],
+    '00000110  58 59                                             |XY|');
+  assert.equal(render.escapeBytes(bytes), 'Hello\\x00\\x01\\x02 world\\r\\n\n');
+  // Valid UTF-8 stays readable; invalid sequences, C1 controls and backslashes are escaped
+  assert.equal(render.escapeBytes(Buffer.from('°C ✓ \\')), '°C ✓ \\\\');
+  assert.equal(render.escapeBytes(Buffer.from([0xc3, 0x28, 0xc2, 0x85, 0xe2, 0x82])), '\\xc3(\\xc2\\x85\\xe2\\x82');
+  assert.throws(() => render.renderBytes(bytes, { format: 'binary' }), /Unknown read format: binary \(expected text, hexdump, escaped\)/);
+
+  // Per-call format, and a session default from openPort
+  const { sessionId } = await serial.openPort({ name: 'COM_A', format: 'escaped' });
+  await feed('COM_A', bytes);
+  assert.equal((await serial.read({ sessionId, maxBytes: 8, format: 'hexdump' })).data, '00000000  48 65 6c 6c 6f 00 01 02                           |Hello...|');
+  assert.equal((await serial.read({ sessionId })).data, ' world\\r\\n\n');
+  await feed('COM_A', 'ok');
+  await assert.rejects(serial.read({ sessionId, format: 'binary' }), /Unknown read format/);
+  assert.equal((await serial.read({ sessionId, format: 'text' })).data, 'ok');
+  assert.equal(serial.getPortInfo({ sessionId }).format, 'escaped');
+  await serial.closePort({ sessionId });
+  await assert.rejects(serial.openPort({ name: 'COM_A', format: 'binary' }), /format must be one of text, hexdump, escaped/);
+}
+
+async function main() {
+  serial.setPortImplementation(SimPort);
+  for (const name of ['COM_A', 'COM_B', 'COM_BUF', 'COM_SIG', 'COM_BAUD']) SerialPortMock.binding.createPort(name);
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'serial-test-'));
+  try {
+    await testSessions();
+    await testFramedReads();
+    await testTransact();
+    await testBufferAndCapture(dir);
+    await testSignals();
+    await testDetectBaud();
+    await testRendering();
+  } finally {
+    await serial.closeAll();
+    await rm(dir, { recursive: true, force: true });
+  }
+  console.log('serial mock test passed');
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,138 @@
+// test/test-stlink-stub.js
+// Offline test for ST-Link probe records and probe selection in stlink.js: runs
+// test/fixtures/fake-stlink.js as st-info/st-flash/st-util with two probes attached.
+// No hardware required: node test/test-stlink-stub.js
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import os from 'node:os';
+import path from 'node:path';
+
+const FAKE_STLINK = fileURLToPath(new URL('./fixtures/fake-stlink.js', import.meta.url));
+const [SN0, SN1] = ['066DFF555051897267233656', '0670FF484957847167071621'];
+
+const ST_LINK_CLI_LIST = `STM32 ST-LINK CLI v3.6.0.0
+STM32 ST-LINK Command Line Interface
+
+===== ST-LINK 0 =====
+ST-LINK SN : ${SN0}
+ST-LINK FW : V2J37M26
+
+===== ST-LINK 1 =====
+ST-LINK SN : ${SN1}
+ST-LINK FW : V3J7M2
+`;
+
+const PROGRAMMER_LIST = `      -------------------------------------------------------------------
+                        STM32CubeProgrammer v2.15.0
+      -------------------------------------------------------------------
+
+===== DFU Interface   =====
+
+No STM32 device in DFU mode connected
+
+===== STLink Interface =====
+
+-------- Connected ST-LINK Probes List --------
+
+ST-Link Probe 0 :
+   ST-LINK SN  : ${SN0}
+   ST-LINK FW  : V2J37M26
+   Access Port Number  : 2
+   Board Name  : NUCLEO-G474RE
+-----------------------------------------------
+`;
+
+// st-info before 1.7: no version line, `descr:`, and zeros without a target
+const OLD_ST_INFO = `Found 2 stlink programmers
+ serial: 303636464646353434383531
+openocd: "\\x30\\x36\\x36\\x46\\x46\\x46\\x35\\x34\\x34\\x38\\x35\\x31"
+  flash: 131072 (pagesize: 1024)
+   sram: 20480
+ chipid: 0x0410
+  descr: F1 Medium-density device
+ serial: 303636414646353434383532
+openocd: "\\x30\\x36\\x36\\x41\\x46\\x46\\x35\\x34\\x34\\x38\\x35\\x32"
+  flash: 0 (pagesize: 0)
+   sram: 0
+ chipid: 0x0000
+  descr: unknown device
+`;
+
+async function main() {
+  await chmod(FAKE_STLINK, 0o755);
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'stlink-test-'));
+  process.env.FAKE_ST_LOG = path.join(dir, 'calls.log');
+  // stlink.js reads its tool paths at load time
+  process.env.ST_INFO_PATH = FAKE_STLINK;
+  process.env.ST_FLASH_PATH = FAKE_STLINK;
+  process.env.ST_UTIL_PATH = FAKE_STLINK;
+  process.env.ST_LINK_CLI_PATH = path.join(dir, 'missing', 'st-link_cli');
+  process.env.STM32_PROGRAMMER_CLI_PATH = path.join(dir, 'missing', 'stm32_programmer_cli');
+  const stlink = await import('../stlink.js');
+  try {
+    await runTests(stlink, dir);
+  } finally {
+    await stlink.stopDebug();
+    await rm(dir, { recursive: true, force: true });
+  }
+  console.log('stlink stub test passed');
+}
+
+async function runTests(stlink, dir) {
+  // Probe records from each tool's listing
+  const list = await stlink.listDevices();
+  assert.equal(list.tool, 'st-info');
+  assert.deepEqual(list.probes[1], {
+    index: 1, tool: 'st-info', serial: SN1, version: 'V3J7M2', chipId: '0x413', flashSize: 1048576, sramSize: 196608, family: 'STM32F4x5_F4x7', board: null,
+  });
+  assert.deepEqual(list.probes.map((p) => p.serial), [SN0, SN1]);
+  assert.match(list.output, /^Found 2 stlink programmers/);
+  const cli = stlink.parseProbes('ST-LINK_CLI', ST_LINK_CLI_LIST);
+  assert.deepEqual(cli.map((p) => [p.index, p.serial, p.version, p.chipId]), [[0, SN0, 'V2J37M26', null], [1, SN1, 'V3J7M2', null]]);
+  const prog = stlink.parseProbes('STM32_Programmer_CLI', PROGRAMMER_LIST);
+  assert.deepEqual(prog.map((p) => [p.serial, p.version, p.board]), [[SN0, 'V2J37M26', 'NUCLEO-G474RE']]);
+  const old = stlink.parseProbes('st-info', OLD_ST_INFO);
+  assert.deepEqual(old.map((p) => [p.serial, p.version, p.chipId, p.flashSize, p.sramSize, p.family]), [
+    ['303636464646353434383531', null, '0x410', 131072, 20480, 'F1 Medium-density device'],
+    ['303636414646353434383532', null, null, null, null, null],
+  ]);
+  assert.deepEqual(stlink.parseProbes('ST-LINK_CLI', 'Device ID:0x413\nDevice flash Size : 1024 Kbytes\nDevice family :STM32F40xx/F41xx').map((p) => [p.chipId, p.flashSize, p.family]), [['0x413', 1048576, 'STM32F40xx/F41xx']]);
+
+  // serial / probeId select the probe on every tool
+  const log = path.join(dir, 'calls.log');
+  await rm(log, { force: true });
+  const flashed = await stlink.flashFirmware({ path: 'app.bin', serial: SN1 });
+  assert.deepEqual([flashed.tool, flashed.serial], ['st-flash', SN1]);
+  assert.match(flashed.stdout, new RegExp(SN1));
+  const read = await stlink.readRegister({ addr: '0x20000000', length: 4, probeId: 1 });
+  assert.deepEqual([read.serial, read.bytes], [SN1, [0x13, 0x12, 0x11, 0x10]]);
+  assert.deepEqual((await stlink.readRegister({ addr: '0x20000000', length: 2 })).bytes, [0x69, 0x68]);
+  assert.equal((await stlink.resetDevice({ serial: SN0 })).serial, SN0);
+  const calls = (await readFile(log, 'utf8')).trim().split('\n').map((l) => JSON.parse(l));
+  assert.deepEqual(calls.filter((a) => a[0] !== '--version'), [
+    ['--serial', SN1, 'write', path.resolve('app.bin'), '0x8000000'],
+    ['--probe'],
+    ['--serial', SN1, 'read', calls.find((a) => a[2] === 'read')[3], '0x20000000', '4'],
+    ['read', calls.find((a) => a[0] === 'read')[1], '0x20000000', '2'],
+    ['--serial', SN0, 'reset'],
+  ]);
+
+  // st-util on the selected probe
+  const started = await stlink.startDebug({ port: 4243, probeId: '0' });
+  assert.equal(started.message, `st-util started on :4243 (probe ${SN0})`);
+  assert.deepEqual(stlink.getDebugServer(), { server: 'stlink', port: 4243, serial: SN0 });
+  assert.equal((await stlink.startDebug({ serial: SN0 })).message, `st-util already running on :4243 (probe ${SN0})`);
+  assert.equal((await stlink.startDebug({})).message, `st-util already running on :4243 (probe ${SN0})`);
+  await assert.rejects(stlink.startDebug({ serial: SN1 }), { message: `st-util already running on :4243 (probe ${SN0}), not probe ${SN1}; stop it with st.stopDebug first` });
+  await assert.rejects(stlink.startDebug({ probeId: 1 }), /not probe 0670FF484957847167071621/);
+  assert.equal((await stlink.stopDebug()).message, 'st-util stopped');
+  assert.equal(stlink.getDebugServer(), null);
+
+  // Selection errors
+  await assert.rejects(stlink.resetDevice({ probeId: 2 }), { message: 'No ST-Link probe 2; st-info lists 2 probe(s)' });
+  await assert.rejects(stlink.resetDevice({ serial: SN0, probeId: 0 }), /Pass serial or probeId, not both/);
+  await assert.rejects(stlink.resetDevice({ serial: 'nope' }), /st-flash reset failed: Couldn't find any ST-Link devices with serial nope/);
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
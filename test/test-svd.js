@@ -0,0 +1,88 @@
+// test/test-svd.js
+// Offline test for svd.js: parses test/fixtures/sample.svd and reads/writes registers in a
+// memory buffer standing in for the target. No hardware required: node test/test-svd.js
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import * as svd from '../svd.js';
+
+const SVD_PATH = fileURLToPath(new URL('./fixtures/sample.svd', import.meta.url));
+const MEM_BASE = 0x20000000;
+
+async function main() {
+  const device = await svd.loadSvd(SVD_PATH);
+  assert.equal(device.name, 'SAMPLE32');
+  assert.equal(device.description, 'Sample device & test fixture');
+
+  // Peripherals, derivedFrom, dim arrays and clusters
+  const periphs = svd.listPeripherals(device);
+  assert.deepEqual(periphs.map((p) => p.name), ['GPIOA', 'GPIOB', 'USART1', 'DMA1']);
+  const gpiob = periphs.find((p) => p.name === 'GPIOB');
+  assert.deepEqual([gpiob.baseAddress, gpiob.derivedFrom, gpiob.registers, gpiob.groupName], ['0x20000240', 'GPIOA', 6, 'GPIO']);
+  assert.deepEqual(svd.listPeripherals(device, { filter: 'gpio' }).map((p) => p.name), ['GPIOA', 'GPIOB']);
+
+  const gpioa = svd.listRegisters(device, 'gpioa');
+  assert.deepEqual(gpioa.registers.map((r) => r.name), ['MODER', 'IDR', 'ODR', 'BSRR', 'AFR[0]', 'AFR[1]']);
+  assert.equal(gpioa.registers[0].fields.length, 16);
+  assert.equal(gpioa.registers[0].fields[0], 'MODER15[31:30]');
+  assert.equal(gpioa.registers[5].address, '0x20000224');
+  const dma = svd.listRegisters(device, 'DMA1');
+  assert.deepEqual(dma.registers.map((r) => `${r.name}@${r.address}`), [
+    'ISR@0x20000300', 'CH1.CCR@0x20000308', 'CH1.CNDTR@0x2000030c', 'CH2.CCR@0x2000031c', 'CH2.CNDTR@0x20000320',
+  ]);
+  assert.equal(svd.listRegisters(device, 'USART1').registers[1].size, 16);
+
+  // Decoding: enumerated values, bitRange/lsb-msb positions, don't-care patterns
+  const { register: cr1 } = svd.findRegister(device, 'USART1.CR1');
+  const decoded = svd.decodeRegister(cr1, 0x2600);
+  assert.equal(decoded.value, '0x2600');
+  assert.deepEqual(decoded.fields.map((f) => [f.name, f.value, f.enum]), [['UE', 1, undefined], ['PS', 3, 'Reserved']]);
+  const { register: moder } = svd.findRegister(device, 'GPIOA.MODER');
+  assert.equal(svd.decodeRegister(moder, 0xa8000400).fields.find((f) => f.name === 'MODER5').enum, 'Output');
+
+  // Reads and read-modify-writes against a memory image
+  const mem = Buffer.alloc(0x400);
+  const readMemory = async (addr, n) => Buffer.from(mem.subarray(addr - MEM_BASE, addr - MEM_BASE + n));
+  const writes = [];
+  const writeMemory = async (addr, buf) => {
+    writes.push({ addr, len: buf.length });
+    buf.copy(mem, addr - MEM_BASE);
+  };
+  mem.writeUInt32LE(0xa8000400, 0x200);
+  const odr = await svd.readRegister({ device, name: 'GPIOB.MODER', readMemory });
+  assert.equal(odr.address, '0x20000240');
+  const w = await svd.writeFields({ device, name: 'GPIOA.MODER', fields: { MODER6: 'Output', moder0: 3 }, readMemory, writeMemory });
+  assert.deepEqual([w.before, w.written], ['0xa8000400', '0xa8001403']);
+  assert.equal(mem.readUInt32LE(0x200), 0xa8001403);
+
+  // Write-0-to-clear flags that were not named are written as 1 so they stay set
+  mem.writeUInt32LE(0xe8, 0x280);
+  const sr = await svd.writeFields({ device, name: 'USART1.SR', fields: { RXNE: 0 }, readMemory, writeMemory });
+  assert.equal(sr.written, '0x000000c8');
+  // 16-bit register: one 2-byte access
+  writes.length = 0;
+  await svd.writeFields({ device, name: 'USART1.CR1', fields: { PS: 'Odd', UE: 1 }, readMemory, writeMemory });
+  assert.deepEqual(writes, [{ addr: 0x2000028c, len: 2 }]);
+  assert.equal(mem.readUInt16LE(0x28c), 0x2200);
+  // Write-only register starts from its reset value and is not read back
+  const bsrr = await svd.writeFields({ device, name: 'GPIOA.BSRR', fields: { BS: 0x20 }, readMemory, writeMemory });
+  assert.equal(bsrr.written, '0x00000020');
+  assert.match(bsrr.note, /Write-only/);
+  await svd.writeFields({ device, name: 'DMA1.CH2.CNDTR', fields: { NDT: '0x64' }, readMemory, writeMemory });
+  assert.equal(mem.readUInt32LE(0x320), 100);
+
+  // Errors with suggestions
+  await assert.rejects(svd.readRegister({ device, name: 'GPIOA.ODRR', readMemory }), /Unknown register ODRR in GPIOA; did you mean ODR\?/);
+  assert.throws(() => svd.findRegister(device, 'GPIOX.ODR'), /did you mean GPIOA, GPIOB/);
+  assert.throws(() => svd.findRegister(device, 'ODR'), /PERIPHERAL\.REGISTER/);
+  await assert.rejects(svd.writeFields({ device, name: 'GPIOA.ODR', fields: { ODR6: 1 }, readMemory, writeMemory }), /Unknown field ODR6 in ODR; did you mean ODR5/);
+  await assert.rejects(svd.writeFields({ device, name: 'GPIOA.ODR', fields: { ODR5: 2 }, readMemory, writeMemory }), /does not fit in ODR5\[5\] \(0\.\.1\)/);
+  await assert.rejects(svd.writeFields({ device, name: 'GPIOA.MODER', fields: { MODER3: 'Out' }, readMemory, writeMemory }), /Input, Output, Alternate, Analog/);
+  await assert.rejects(svd.writeFields({ device, name: 'USART1.SR', fields: { TXE: 1 }, readMemory, writeMemory }), /read-only/);
+  await assert.rejects(svd.writeFields({ device, name: 'GPIOA.IDR', fields: { IDR: 1 }, readMemory, writeMemory }), /read-only/);
+  assert.throws(() => svd.parseSvd('<device><peripherals><peripheral></device>'), /Malformed XML/);
+  assert.throws(() => svd.parseSvd('<root/>'), /Not a CMSIS-SVD file/);
+
+  console.log('svd test passed');
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,200 @@
+// test/test-uartboot-mock.js
+// Offline test for uartboot.js: flashes against a simulated STM32 USART bootloader (AN3155)
+// running on the serialport mock binding. No hardware required: node test/test-uartboot-mock.js
+import assert from 'node:assert/strict';
+import { writeFile, unlink } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as uartboot from '../uartboot.js';
+
+const ACK = 0x79;
+const NACK = 0x1f;
+const FLASH_BASE = 0x08000000;
+
+// Byte-driven bootloader model: run() yields the number of bytes it needs next
+class SimBootloader {
+  constructor(send) {
+    this.send = send;
+    this.flash = Buffer.alloc(64 * 1024, 0x00);
+    this.rx = Buffer.alloc(0);
+    this.started = null;
+    this.erased = false;
+    // Flash words programmed since the last erase: like real flash, a word is written once
+    this.programmed = new Set();
+    this.gen = this.run();
+    this.need = this.gen.next().value;
+  }
+
+  feed(buf) {
+    this.rx = Buffer.concat([this.rx, buf]);
+    while (this.need != null && this.rx.length >= this.need) {
+      const chunk = this.rx.subarray(0, this.need);
+      this.rx = this.rx.subarray(this.need);
+      this.need = this.gen.next(chunk).value;
+    }
+  }
+
+  *readAddress() {
+    const a = yield 5;
+    const cs = a[0] ^ a[1] ^ a[2] ^ a[3];
+    return cs === a[4] ? a.readUInt32BE(0) : null;
+  }
+
+  *run() {
+    for (;;) {
+      const [b] = yield 1;
+      if (b === 0x7f) { this.send([ACK]); break; }
+    }
+    for (;;) {
+      const [cmd, cmp] = yield 2;
+      if ((cmd ^ cmp) !== 0xff) { this.send([NACK]); continue; }
+      if (cmd === 0x00) {
+        const cmds = [0x00, 0x01, 0x02, 0x11, 0x21, 0x31, 0x44];
+        this.send([ACK, cmds.length, 0x31, ...cmds, ACK]);
+      } else if (cmd === 0x02) {
+        this.send([ACK, 0x01, 0x04, 0x13, ACK]);
+      } else if (cmd === 0x44) {
+        this.send([ACK]);
+        const head = yield 2;
+        if (head[0] === 0xff && head[1] === 0xff) {
+          yield 1;
+          this.flash.fill(0xff);
+          this.erased = true;
+          this.programmed.clear();
+        } else {
+          yield (head.readUInt16BE(0) + 1) * 2 + 1;
+        }
+        this.send([ACK]);
+      } else if (cmd === 0x31) {
+        this.send([ACK]);
+        const addr = yield* this.readAddress();
+        if (addr == null) { this.send([NACK]); continue; }
+        this.send([ACK]);
+        const [n] = yield 1;
+        const rest = yield n + 2;
+        const data = rest.subarray(0, n + 1);
+        let cs = n;
+        for (const x of data) cs ^= x;
+        if (cs !== rest[n + 1]) { this.send([NACK]); continue; }
+        // Word-aligned address and length, each word programmed at most once
+        const words = Array.from({ length: data.length / 4 }, (_, i) => addr + i * 4);
+        if (addr % 4 || data.length % 4 || words.some((w) => this.programmed.has(w))) { this.send([NACK]); continue; }
+        for (const w of words) this.programmed.add(w);
+        data.copy(this.flash, addr - FLASH_BASE);
+        this.send([ACK]);
+      } else if (cmd === 0x11) {
+        this.send([ACK]);
+        const addr = yield* this.readAddress();
+        this.send([ACK]);
+        const [n] = yield 2;
+        const off = addr - FLASH_BASE;
+        this.send([ACK, ...this.flash.subarray(off, off + n + 1)]);
+      } else if (cmd === 0x21) {
+        this.send([ACK]);
+        this.started = yield* this.readAddress();
+        this.send([ACK]);
+      } else {
+        this.send([NACK]);
+      }
+    }
+  }
+}
+
+let sim = null;
+
+// One Intel HEX data record at a 16-bit offset
+function hexRecord(offset, bytes) {
+  const rec = Buffer.from([bytes.length, offset >> 8, offset & 0xff, 0x00, ...bytes]);
+  const sum = rec.reduce((a, b) => (a + b) & 0xff, 0);
+  return `:${Buffer.concat([rec, Buffer.from([(0x100 - sum) & 0xff])]).toString('hex').toUpperCase()}`;
+}
+
+// Mock binding whose ports answer like the ROM bootloader, but only when opened 8E1
+const SimBinding = {
+  ...SerialPortMock.binding,
+  async open(options) {
+    const port = await SerialPortMock.binding.open(options);
+    const write = port.write.bind(port);
+    sim = new SimBootloader((bytes) => setImmediate(() => port.isOpen && port.emitData(Buffer.from(bytes))));
+    port.write = async (buf) => {
+      await write(buf);
+      if (options.parity === 'even') sim.feed(buf);
+    };
+    return port;
+  },
+};
+
+class SimPort extends SerialPortMock {
+  static list = SimBinding.list;
+  constructor(options, cb) {
+    super({ ...options, binding: SimBinding }, cb);
+  }
+}
+
+async function main() {
+  serial.setPortImplementation(SimPort);
+  SerialPortMock.binding.createPort('COM_BOOT');
+
+  // Raw binary, not block aligned, with verify and GO
+  const image = Buffer.alloc(1000);
+  for (let i = 0; i < image.length; i++) image[i] = (i * 7 + 3) & 0xff;
+  const binPath = path.join(os.tmpdir(), `uartboot_${process.pid}.bin`);
+  await writeFile(binPath, image);
+  const phases = new Set();
+  const res = await uartboot.flashFirmware({ port: 'COM_BOOT', path: binPath, onProgress: (p) => phases.add(p.phase) });
+  console.log('flash .bin:', JSON.stringify(res));
+  assert.equal(res.bytesWritten, 1000);
+  assert.equal(res.pid, '0x0413');
+  assert.equal(res.started, '0x08000000');
+  assert.ok(sim.erased);
+  assert.deepEqual(sim.flash.subarray(0, 1000), image);
+  assert.deepEqual(sim.flash.subarray(1000, 1004), Buffer.from([0xff, 0xff, 0xff, 0xff]));
+  assert.deepEqual([...phases], ['sync', 'erase', 'write', 'verify', 'go']);
+  assert.equal(serial.listOpenPorts().length, 0, 'port opened by flashFirmware must be closed');
+  await unlink(binPath);
+
+  // Intel HEX with an extended linear address record
+  const hexPath = path.join(os.tmpdir(), `uartboot_${process.pid}.hex`);
+  await writeFile(hexPath, [
+    ':020000040800F2',
+    ':10010000000102030405060708090A0B0C0D0E0F77',
+    ':00000001FF',
+  ].join('\n'));
+  const res2 = await uartboot.flashFirmware({ port: 'COM_BOOT', path: hexPath, go: false });
+  console.log('flash .hex:', JSON.stringify(res2));
+  assert.deepEqual(res2.segments, [{ address: '0x08000100', size: 16 }]);
+  assert.deepEqual(sim.flash.subarray(0x100, 0x110), Buffer.from([...Array(16).keys()]));
+  assert.equal(sim.started, null);
+  await unlink(hexPath);
+
+  // Segments closer than a word: padding must not overwrite the next one's bytes
+  const nearPath = path.join(os.tmpdir(), `uartboot_${process.pid}_near.hex`);
+  await writeFile(nearPath, [
+    ':020000040800F2',
+    hexRecord(0x202, [0xa1, 0xa2, 0xa3]),
+    hexRecord(0x206, [0xb1, 0xb2, 0xb3, 0xb4]),
+    hexRecord(0x400, [0xc1]),
+    ':00000001FF',
+  ].join('\n'));
+  const res3 = await uartboot.flashFirmware({ port: 'COM_BOOT', path: nearPath, go: false });
+  assert.deepEqual(res3.segments.map((s) => s.address), ['0x08000202', '0x08000206', '0x08000400']);
+  assert.equal(res3.bytesWritten, 8);
+  assert.deepEqual(sim.flash.subarray(0x200, 0x20c), Buffer.from([0xff, 0xff, 0xa1, 0xa2, 0xa3, 0xff, 0xb1, 0xb2, 0xb3, 0xb4, 0xff, 0xff]));
+  assert.deepEqual(sim.flash.subarray(0x400, 0x404), Buffer.from([0xc1, 0xff, 0xff, 0xff]));
+  await unlink(nearPath);
+
+  // A session opened 8N1 is rejected before any traffic
+  const { sessionId } = await serial.openPort({ name: 'COM_BOOT', baudRate: 115200 });
+  await assert.rejects(uartboot.getInfo({ sessionId }), /even parity/);
+  await serial.closePort({ sessionId });
+
+  const info = await uartboot.getInfo({ port: 'COM_BOOT' });
+  console.log('getInfo:', JSON.stringify(info));
+  assert.equal(info.bootloaderVersion, '3.1');
+
+  console.log('uartboot mock test passed');
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
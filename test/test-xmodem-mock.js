@@ -0,0 +1,151 @@
+// test/test-xmodem-mock.js
+// Offline test for xmodem.js: sendFile and receiveFile talk to each other over two serialport
+// mock ports wired back to back (a null-modem cable). No hardware required: node test/test-xmodem-mock.js
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SerialPortMock } from 'serialport';
+import * as serial from '../serial.js';
+import * as xmodem from '../xmodem.js';
+
+const SOH = 0x01;
+const STX = 0x02;
+const CAN = 0x18;
+const CRC_START = 0x43;
+
+// Bytes written on one port arrive on the other; `tamper` may rewrite them in flight
+const link = { ports: new Map(), tamper: null };
+
+const LinkBinding = {
+  ...SerialPortMock.binding,
+  async open(options) {
+    const port = await SerialPortMock.binding.open(options);
+    const write = port.write.bind(port);
+    link.ports.set(options.path, port);
+    port.write = async (buf) => {
+      await write(buf);
+      const out = link.tamper ? link.tamper(options.path, Buffer.from(buf)) : buf;
+      const peer = link.ports.get(options.path === 'COM_A' ? 'COM_B' : 'COM_A');
+      setImmediate(() => peer?.isOpen && peer.emitData(out));
+    };
+    return port;
+  },
+};
+
+class LinkPort extends SerialPortMock {
+  static list = LinkBinding.list;
+  constructor(options, cb) {
+    super({ ...options, binding: LinkBinding }, cb);
+  }
+}
+
+// Deterministic test data with no SUB padding bytes at the end
+function pattern(length, seed) {
+  const buf = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) buf[i] = (i * 7 + seed) & 0x7f;
+  return buf;
+}
+
+// Flip one payload byte in the next `count` data blocks written on `from`
+function corruptBlocks(from, count) {
+  link.tamper = (src, buf) => {
+    if (src === from && count > 0 && (buf[0] === SOH || buf[0] === STX) && buf[1] !== 0) {
+      count -= 1;
+      buf[10] ^= 0x40;
+    }
+    return buf;
+  };
+}
+
+async function main() {
+  serial.setPortImplementation(LinkPort);
+  SerialPortMock.binding.createPort('COM_A');
+  SerialPortMock.binding.createPort('COM_B');
+  const a = (await serial.openPort({ name: 'COM_A', baudRate: 115200 })).sessionId;
+  const b = (await serial.openPort({ name: 'COM_B', baudRate: 115200 })).sessionId;
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'xmodem-test-'));
+  try {
+    await runTests(a, b, dir);
+  } finally {
+    await serial.closeAll();
+    await rm(dir, { recursive: true, force: true });
+  }
+  console.log('xmodem mock test passed');
+}
+
+async function transfer(send, receive) {
+  const [sent, received] = await Promise.all([xmodem.sendFile(send), xmodem.receiveFile(receive)]);
+  return { sent, received };
+}
+
+async function runTests(a, b, dir) {
+  const small = path.join(dir, 'small.bin');
+  const large = path.join(dir, 'large.bin');
+  await writeFile(small, pattern(300, 1));
+  await writeFile(large, pattern(2100, 2));
+
+  // XMODEM, checksum and CRC as chosen by the receiver; padding is trimmed on receipt
+  for (const crc of [false, true]) {
+    const out = path.join(dir, `xmodem-${crc}.bin`);
+    const { sent, received } = await transfer({ sessionId: a, path: small }, { sessionId: b, path: out, crc });
+    assert.deepEqual(await readFile(out), await readFile(small));
+    assert.deepEqual([sent.crc, sent.blocks, sent.bytes, sent.naks], [crc, 3, 300, 0]);
+    assert.deepEqual([received.crc, received.blocks, received.bytes], [crc, 3, 300]);
+  }
+
+  // A checksum-only receiver is refused by XMODEM-1K, and the CAN it gets stops it too
+  const [noCrcSend, noCrcReceive] = await Promise.allSettled([
+    xmodem.sendFile({ sessionId: a, protocol: 'xmodem-1k', path: small, startTimeoutMs: 2000 }),
+    xmodem.receiveFile({ sessionId: b, path: path.join(dir, 'no.bin'), crc: false, startTimeoutMs: 2000 }),
+  ]);
+  assert.match(noCrcSend.reason.message, /XMODEM-1K requires CRC/);
+  assert.equal(noCrcReceive.reason.remoteCancelled, true);
+
+  // XMODEM-1K: 1024-byte blocks with a 128-byte tail (2100 bytes -> 1024, 1024, 128)
+  const out1k = path.join(dir, 'large-1k.bin');
+  const onek = await transfer({ sessionId: a, protocol: 'xmodem-1k', path: large }, { sessionId: b, protocol: 'xmodem-1k', path: out1k });
+  assert.deepEqual(await readFile(out1k), await readFile(large));
+  assert.equal(onek.sent.blocks, 3);
+
+  // A corrupted block is NAKed and sent again
+  const outBad = path.join(dir, 'corrupted.bin');
+  corruptBlocks('COM_A', 1);
+  const bad = await transfer({ sessionId: a, protocol: 'xmodem-1k', path: large }, { sessionId: b, protocol: 'xmodem-1k', path: outBad });
+  link.tamper = null;
+  assert.deepEqual(await readFile(outBad), await readFile(large));
+  assert.deepEqual([bad.sent.naks, bad.sent.retries, bad.received.naks], [1, 1, 1]);
+
+  // YMODEM batch: names and exact sizes come from block 0
+  const inbox = path.join(dir, 'inbox');
+  const batch = await transfer({ sessionId: a, protocol: 'ymodem', paths: [small, large] }, { sessionId: b, protocol: 'ymodem', path: inbox });
+  assert.deepEqual(batch.sent.files.map((f) => [f.name, f.size]), [['small.bin', 300], ['large.bin', 2100]]);
+  assert.deepEqual(batch.received.files.map((f) => [f.name, f.size]), [['small.bin', 300], ['large.bin', 2100]]);
+  assert.deepEqual(await readFile(path.join(inbox, 'small.bin')), await readFile(small));
+  assert.deepEqual(await readFile(path.join(inbox, 'large.bin')), await readFile(large));
+  assert.equal(batch.received.bytes, 2400);
+
+  // CAN CAN from the receiver stops the sender
+  const sending = xmodem.sendFile({ sessionId: a, path: large, startTimeoutMs: 2000, blockTimeoutMs: 2000 });
+  await serial.writeRaw({ sessionId: b, buffer: Buffer.from([CRC_START]) });
+  const firstBlock = await serial.readRaw({ sessionId: b, length: 133, timeoutMs: 2000 });
+  assert.equal(firstBlock[0], SOH);
+  await serial.writeRaw({ sessionId: b, buffer: Buffer.from([CAN, CAN]) });
+  await assert.rejects(sending, (e) => e.remoteCancelled === true && /cancelled by remote \(CAN\)/.test(e.message));
+
+  // An aborted sender sends CAN CAN CAN, which stops the receiver
+  const controller = new AbortController();
+  const [sendResult, receiveResult] = await Promise.allSettled([
+    xmodem.sendFile({ sessionId: a, protocol: 'xmodem-1k', path: large, signal: controller.signal, onProgress: () => controller.abort() }),
+    xmodem.receiveFile({ sessionId: b, protocol: 'xmodem-1k', path: path.join(dir, 'aborted.bin'), blockTimeoutMs: 2000 }),
+  ]);
+  assert.match(sendResult.reason.message, /Transfer aborted/);
+  assert.equal(receiveResult.reason.remoteCancelled, true);
+
+  // Argument checks
+  await assert.rejects(xmodem.sendFile({ sessionId: a, protocol: 'zmodem', path: small }), /Unknown protocol: zmodem/);
+  await assert.rejects(xmodem.sendFile({ sessionId: a, paths: [small, large] }), /use ymodem for batches/);
+  await assert.rejects(xmodem.receiveFile({ sessionId: b, protocol: 'ymodem' }), /requires a target directory/);
+}
+
+main().catch((e) => { console.error('Fatal:', e); process.exit(1); });
@@ -0,0 +1,380 @@
+// uartboot.js
+// STM32 built-in USART bootloader client (ST application note AN3155), driven over serial.js.
+// Exposes: getInfo, flashFirmware, loadFirmware, parseIntelHex
+//
+// The ROM bootloader auto-detects the baud rate after the 0x7F sync byte and always uses
+// 8 data bits + even parity + 1 stop bit. When a `port` name is given the port is opened
+// with that framing and closed afterwards; an existing `sessionId` must already use it.
+// Flash sequence: sync, GET, GET_ID, (extended) erase, WRITE_MEMORY in 256-byte blocks,
+// READ_MEMORY verify, GO.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import * as serial from './serial.js';
+
+const ACK = 0x79;
+const NACK = 0x1f;
+const SYNC = 0x7f;
+
+const CMD = {
+  GET: 0x00,
+  GET_ID: 0x02,
+  READ_MEMORY: 0x11,
+  GO: 0x21,
+  WRITE_MEMORY: 0x31,
+  ERASE: 0x43,
+  EXTENDED_ERASE: 0x44,
+};
+
+const BLOCK_SIZE = 256;
+const DEFAULT_FLASH_BASE = 0x08000000;
+
+function hex(v, width = 2) {
+  return '0x' + (v >>> 0).toString(16).padStart(width, '0');
+}
+
+function parseIntHexOrDec(value, name) {
+  if (typeof value === 'number') return value >>> 0;
+  if (typeof value !== 'string') throw new Error(`${name} must be hex string (0x...) or number`);
+  const v = value.trim().toLowerCase().startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+  if (!Number.isFinite(v)) throw new Error(`${name} is not a valid number`);
+  return v >>> 0;
+}
+
+function xorChecksum(bytes) {
+  let c = 0;
+  for (const b of bytes) c ^= b;
+  return c;
+}
+
+function addressFrame(addr) {
+  const b = Buffer.alloc(5);
+  b.writeUInt32BE(addr >>> 0, 0);
+  b[4] = xorChecksum(b.subarray(0, 4));
+  return b;
+}
+
+// ---------------------------
+// Firmware images
+// ---------------------------
+
+// parseIntelHex: returns contiguous segments [{ address, data }] and the start address if present
+export function parseIntelHex(text) {
+  const bytes = new Map();
+  let base = 0;
+  let startAddress = null;
+  const lines = String(text).split(/\r?\n/);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.length === 0) continue;
+    if (line[0] !== ':') throw new Error(`Intel HEX line ${i + 1}: missing ':'`);
+    const rec = Buffer.from(line.slice(1), 'hex');
+    if (rec.length < 5 || rec.length !== rec[0] + 5) throw new Error(`Intel HEX line ${i + 1}: bad record length`);
+    let sum = 0;
+    for (const b of rec) sum = (sum + b) & 0xff;
+    if (sum !== 0) throw new Error(`Intel HEX line ${i + 1}: checksum mismatch`);
+    const len = rec[0];
+    const offset = rec.readUInt16BE(1);
+    const type = rec[3];
+    const data = rec.subarray(4, 4 + len);
+    if (type === 0x00) {
+      for (let j = 0; j < len; j++) bytes.set((base + offset + j) >>> 0, data[j]);
+    } else if (type === 0x01) {
+      break;
+    } else if (type === 0x02) {
+      base = data.readUInt16BE(0) * 16;
+    } else if (type === 0x04) {
+      base = (data.readUInt16BE(0) << 16) >>> 0;
+    } else if (type === 0x03) {
+      startAddress = (data.readUInt16BE(0) * 16 + data.readUInt16BE(2)) >>> 0;
+    } else if (type === 0x05) {
+      startAddress = data.readUInt32BE(0);
+    }
+  }
+  const addrs = Array.from(bytes.keys()).sort((a, b) => a - b);
+  const segments = [];
+  let cur = null;
+  for (const a of addrs) {
+    if (!cur || a !== cur.address + cur.bytes.length) {
+      cur = { address: a, bytes: [] };
+      segments.push(cur);
+    }
+    cur.bytes.push(bytes.get(a));
+  }
+  return { segments: segments.map((s) => ({ address: s.address, data: Buffer.from(s.bytes) })), startAddress };
+}
+
+// loadFirmware: .hex files carry their own addresses; anything else is a raw binary at addr
+export async function loadFirmware({ path: fwPath, addr }) {
+  if (typeof fwPath !== 'string' || fwPath.length === 0) throw new Error('Invalid firmware path');
+  const abs = path.isAbsolute(fwPath) ? fwPath : path.resolve(process.cwd(), fwPath);
+  const raw = await readFile(abs);
+  if (/\.(hex|ihex)$/i.test(abs)) {
+    const { segments, startAddress } = parseIntelHex(raw.toString('latin1'));
+    if (segments.length === 0) throw new Error(`No data records in ${abs}`);
+    return { path: abs, segments, startAddress };
+  }
+  const address = addr != null ? parseIntHexOrDec(addr, 'addr') : DEFAULT_FLASH_BASE;
+  return { path: abs, segments: [{ address, data: raw }], startAddress: null };
+}
+
+// Word-aligned write regions. WRITE_MEMORY takes whole words, so each segment is widened to
+// 4-byte boundaries and segments that then touch or overlap are merged (gaps filled with 0xFF);
+// padding a segment on its own would overwrite the first bytes of a segment close behind it.
+function writeRegions(segments) {
+  const regions = [];
+  for (const seg of [...segments].sort((a, b) => a.address - b.address)) {
+    const start = seg.address - (seg.address % 4);
+    const end = seg.address + seg.data.length + ((4 - ((seg.address + seg.data.length) % 4)) % 4);
+    let r = regions[regions.length - 1];
+    if (!r || start > r.end) {
+      r = { address: start, end, parts: [] };
+      regions.push(r);
+    }
+    r.end = Math.max(r.end, end);
+    r.parts.push(seg);
+  }
+  return regions.map((r) => {
+    const data = Buffer.alloc(r.end - r.address, 0xff);
+    for (const seg of r.parts) seg.data.copy(data, seg.address - r.address);
+    return { address: r.address, data, parts: r.parts };
+  });
+}
+
+// Image bytes (not padding) in [address, address + length) of a region
+function imageBytes(parts, address, length) {
+  let n = 0;
+  for (const seg of parts) {
+    n += Math.max(0, Math.min(seg.address + seg.data.length, address + length) - Math.max(seg.address, address));
+  }
+  return n;
+}
+
+// ---------------------------
+// Bootloader protocol
+// ---------------------------
+
+async function readBytes(sessionId, length, timeoutMs, what) {
+  const buf = await serial.readRaw({ sessionId, length, timeoutMs });
+  if (!buf) throw new Error(`Bootloader timeout waiting for ${what}`);
+  return buf;
+}
+
+async function expectAck(sessionId, what, timeoutMs) {
+  const [b] = await readBytes(sessionId, 1, timeoutMs, `ACK (${what})`);
+  if (b === ACK) return;
+  if (b === NACK) throw new Error(`Bootloader NACK: ${what}`);
+  throw new Error(`Unexpected bootloader reply ${hex(b)} to ${what}`);
+}
+
+async function sendCommand(sessionId, cmd, what, timeoutMs) {
+  await serial.writeRaw({ sessionId, buffer: Buffer.from([cmd, cmd ^ 0xff]) });
+  await expectAck(sessionId, what, timeoutMs);
+}
+
+async function sync(sessionId, { attempts = 5, timeoutMs = 500 } = {}) {
+  for (let i = 1; i <= attempts; i++) {
+    serial.flushInput({ sessionId });
+    await serial.writeRaw({ sessionId, buffer: Buffer.from([SYNC]) });
+    const reply = await serial.readRaw({ sessionId, length: 1, timeoutMs });
+    // A NACK means the bootloader was already synchronised and took 0x7F as a bad command
+    if (reply && (reply[0] === ACK || reply[0] === NACK)) return { attempts: i, alreadySynced: reply[0] === NACK };
+  }
+  throw new Error(`No response from bootloader after ${attempts} sync attempts. Is BOOT0 high and the port opened with even parity?`);
+}
+
+async function cmdGet(sessionId, timeoutMs) {
+  await sendCommand(sessionId, CMD.GET, 'GET', timeoutMs);
+  const [n] = await readBytes(sessionId, 1, timeoutMs, 'GET length');
+  const data = await readBytes(sessionId, n + 1, timeoutMs, 'GET data');
+  await expectAck(sessionId, 'GET end', timeoutMs);
+  return { version: `${data[0] >> 4}.${data[0] & 0x0f}`, commands: Array.from(data.subarray(1)) };
+}
+
+async function cmdGetId(sessionId, timeoutMs) {
+  await sendCommand(sessionId, CMD.GET_ID, 'GET_ID', timeoutMs);
+  const [n] = await readBytes(sessionId, 1, timeoutMs, 'GET_ID length');
+  const pid = await readBytes(sessionId, n + 1, timeoutMs, 'GET_ID data');
+  await expectAck(sessionId, 'GET_ID end', timeoutMs);
+  return pid.length === 2 ? pid.readUInt16BE(0) : parseInt(pid.toString('hex'), 16);
+}
+
+async function cmdReadMemory(sessionId, address, length, timeoutMs) {
+  await sendCommand(sessionId, CMD.READ_MEMORY, 'READ_MEMORY', timeoutMs);
+  await serial.writeRaw({ sessionId, buffer: addressFrame(address) });
+  await expectAck(sessionId, `READ_MEMORY address ${hex(address, 8)} (read protection active?)`, timeoutMs);
+  await serial.writeRaw({ sessionId, buffer: Buffer.from([length - 1, (length - 1) ^ 0xff]) });
+  await expectAck(sessionId, 'READ_MEMORY length', timeoutMs);
+  return await readBytes(sessionId, length, timeoutMs, `READ_MEMORY data at ${hex(address, 8)}`);
+}
+
+async function cmdWriteMemory(sessionId, address, data, timeoutMs) {
+  // The bootloader requires a multiple of 4 bytes (writeRegions already aligns image data); pad
+  // with erased-flash value
+  const padded = data.length % 4 === 0 ? data : Buffer.concat([data, Buffer.alloc(4 - (data.length % 4), 0xff)]);
+  await sendCommand(sessionId, CMD.WRITE_MEMORY, 'WRITE_MEMORY', timeoutMs);
+  await serial.writeRaw({ sessionId, buffer: addressFrame(address) });
+  await expectAck(sessionId, `WRITE_MEMORY address ${hex(address, 8)} (write protection active?)`, timeoutMs);
+  const frame = Buffer.concat([Buffer.from([padded.length - 1]), padded]);
+  await serial.writeRaw({ sessionId, buffer: Buffer.concat([frame, Buffer.from([xorChecksum(frame)])]) });
+  await expectAck(sessionId, `WRITE_MEMORY data at ${hex(address, 8)}`, timeoutMs);
+}
+
+async function cmdErase(sessionId, commands, pages, timeoutMs, eraseTimeoutMs) {
+  const extended = commands.includes(CMD.EXTENDED_ERASE);
+  if (!extended && !commands.includes(CMD.ERASE)) throw new Error('Bootloader supports neither ERASE nor EXTENDED_ERASE');
+  let payload;
+  if (extended) {
+    await sendCommand(sessionId, CMD.EXTENDED_ERASE, 'EXTENDED_ERASE', timeoutMs);
+    if (!pages) {
+      payload = Buffer.from([0xff, 0xff, 0x00]);
+    } else {
+      const body = Buffer.alloc(2 + pages.length * 2);
+      body.writeUInt16BE(pages.length - 1, 0);
+      pages.forEach((p, i) => body.writeUInt16BE(p, 2 + i * 2));
+      payload = Buffer.concat([body, Buffer.from([xorChecksum(body)])]);
+    }
+  } else {
+    await sendCommand(sessionId, CMD.ERASE, 'ERASE', timeoutMs);
+    if (!pages) {
+      payload = Buffer.from([0xff, 0x00]);
+    } else {
+      if (pages.length > 255 || pages.some((p) => p > 255)) throw new Error('Legacy ERASE supports at most 255 pages numbered below 256');
+      const body = Buffer.from([pages.length - 1, ...pages]);
+      payload = Buffer.concat([body, Buffer.from([xorChecksum(body)])]);
+    }
+  }
+  await serial.writeRaw({ sessionId, buffer: payload });
+  await expectAck(sessionId, pages ? `erase of ${pages.length} page(s)` : 'mass erase', eraseTimeoutMs);
+  return { method: extended ? 'extended' : 'legacy', pages: pages ? pages.length : 'all' };
+}
+
+async function cmdGo(sessionId, address, timeoutMs) {
+  await sendCommand(sessionId, CMD.GO, 'GO', timeoutMs);
+  await serial.writeRaw({ sessionId, buffer: addressFrame(address) });
+  await expectAck(sessionId, `GO address ${hex(address, 8)}`, timeoutMs);
+}
+
+// Open (8E1) and close the port around fn when given a port name; otherwise reuse the session
+async function withBootloaderSession({ sessionId, port, baudRate = 115200 }, fn) {
+  if (port) {
+    const opened = await serial.openPort({ name: port, baudRate, dataBits: 8, stopBits: 1, parity: 'even' });
+    try {
+      return await fn(opened.sessionId);
+    } finally {
+      try { await serial.closePort({ sessionId: opened.sessionId }); } catch {}
+    }
+  }
+  const info = serial.getPortInfo({ sessionId });
+  if (info.settings.parity !== 'even') {
+    throw new Error(`Session ${info.sessionId} uses parity "${info.settings.parity}"; the STM32 bootloader requires even parity. Reopen with parity: 'even' or pass port.`);
+  }
+  return await fn(info.sessionId);
+}
+
+async function connect(id, { enterBootloader, signalOptions, syncAttempts, ackTimeoutMs }) {
+  if (enterBootloader) await serial.runSignalSequence({ ...(signalOptions || {}), sessionId: id, sequence: 'reset-to-bootloader' });
+  const synced = await sync(id, { attempts: syncAttempts });
+  const info = await cmdGet(id, ackTimeoutMs);
+  const pid = await cmdGetId(id, ackTimeoutMs);
+  return { synced, info, pid };
+}
+
+// getInfo: sync and report bootloader version, supported commands and product id
+export async function getInfo({ sessionId, port, baudRate, enterBootloader = false, signalOptions, syncAttempts = 5, ackTimeoutMs = 1000 } = {}) {
+  return await withBootloaderSession({ sessionId, port, baudRate }, async (id) => {
+    const { info, pid } = await connect(id, { enterBootloader, signalOptions, syncAttempts, ackTimeoutMs });
+    return { sessionId: id, bootloaderVersion: info.version, commands: info.commands.map((c) => hex(c)), pid: hex(pid, 4) };
+  });
+}
+
+// flashFirmware: erase, program, verify and start a .bin/.hex image through the ROM bootloader.
+// onProgress({ phase, done, total }) is called as blocks are written and verified.
+export async function flashFirmware({
+  sessionId,
+  port,
+  baudRate,
+  path: fwPath,
+  addr,
+  erase = 'mass',
+  pages,
+  verify = true,
+  go = true,
+  goAddress,
+  enterBootloader = false,
+  signalOptions,
+  syncAttempts = 5,
+  ackTimeoutMs = 1000,
+  eraseTimeoutMs = 60000,
+  onProgress,
+} = {}) {
+  const image = await loadFirmware({ path: fwPath, addr });
+  const total = image.segments.reduce((n, s) => n + s.data.length, 0);
+  const report = (phase, done, message) => {
+    if (typeof onProgress === 'function') {
+      try { onProgress({ phase, done, total, message }); } catch {}
+    }
+  };
+  if (erase === 'pages' && (!Array.isArray(pages) || pages.length === 0)) throw new Error('erase "pages" requires a non-empty pages array');
+  if (!['mass', 'pages', 'none'].includes(erase)) throw new Error(`Unknown erase mode: ${erase}`);
+
+  const started = Date.now();
+  return await withBootloaderSession({ sessionId, port, baudRate }, async (id) => {
+    report('sync', 0, 'Connecting to bootloader');
+    const { info, pid } = await connect(id, { enterBootloader, signalOptions, syncAttempts, ackTimeoutMs });
+
+    let erased = null;
+    if (erase !== 'none') {
+      report('erase', 0, erase === 'mass' ? 'Mass erase' : `Erasing ${pages.length} page(s)`);
+      erased = await cmdErase(id, info.commands, erase === 'pages' ? pages : null, ackTimeoutMs, eraseTimeoutMs);
+    }
+
+    let written = 0;
+    for (const region of writeRegions(image.segments)) {
+      for (let off = 0; off < region.data.length; off += BLOCK_SIZE) {
+        const block = region.data.subarray(off, off + BLOCK_SIZE);
+        await cmdWriteMemory(id, region.address + off, block, ackTimeoutMs);
+        written += imageBytes(region.parts, region.address + off, block.length);
+        report('write', written);
+      }
+    }
+
+    if (verify) {
+      let checked = 0;
+      for (const seg of image.segments) {
+        for (let off = 0; off < seg.data.length; off += BLOCK_SIZE) {
+          const expected = seg.data.subarray(off, off + BLOCK_SIZE);
+          const actual = await cmdReadMemory(id, seg.address + off, expected.length, ackTimeoutMs);
+          const bad = expected.findIndex((b, i) => actual[i] !== b);
+          if (bad >= 0) {
+            throw new Error(`Verify failed at ${hex(seg.address + off + bad, 8)}: expected ${hex(expected[bad])}, read ${hex(actual[bad])}`);
+          }
+          checked += expected.length;
+          report('verify', checked);
+        }
+      }
+    }
+
+    let startedAt = null;
+    if (go) {
+      startedAt = goAddress != null ? parseIntHexOrDec(goAddress, 'goAddress') : image.segments[0].address;
+      report('go', total, `Starting application at ${hex(startedAt, 8)}`);
+      await cmdGo(id, startedAt, ackTimeoutMs);
+    }
+
+    return {
+      ok: true,
+      tool: 'stm32-uart-bootloader',
+      sessionId: id,
+      file: image.path,
+      bootloaderVersion: info.version,
+      pid: hex(pid, 4),
+      segments: image.segments.map((s) => ({ address: hex(s.address, 8), size: s.data.length })),
+      erased,
+      bytesWritten: written,
+      verified: verify,
+      started: startedAt != null ? hex(startedAt, 8) : null,
+      elapsedMs: Date.now() - started,
+    };
+  });
+}
@@ -0,0 +1,401 @@
+// xmodem.js
+// XMODEM / XMODEM-1K / YMODEM file transfer over an open serial.js session.
+// Exposes: sendFile, receiveFile
+//
+// - xmodem:    128-byte blocks; checksum or CRC-16 as requested by the receiver ('C' vs NAK)
+// - xmodem-1k: 1024-byte blocks (128-byte blocks for a short tail), CRC-16
+// - ymodem:    batch mode; block 0 carries "name\0size", an empty block 0 ends the batch
+// Both directions retry on NAK/timeout, honour CAN CAN from the remote, and send CAN CAN CAN
+// when aborting (error, retry limit or the caller's AbortSignal).
+
+import { readFile, writeFile, mkdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import * as serial from './serial.js';
+import { crc16Xmodem, checksum8 } from './crc.js';
+
+const SOH = 0x01;
+const STX = 0x02;
+const EOT = 0x04;
+const ACK = 0x06;
+const NAK = 0x15;
+const CAN = 0x18;
+const SUB = 0x1a;
+const CRC_START = 0x43; // 'C'
+
+const PROTOCOLS = ['xmodem', 'xmodem-1k', 'ymodem'];
+
+function resolvePath(p) {
+  return path.isAbsolute(p) ? p : path.resolve(process.cwd(), p);
+}
+
+function checkAborted(signal) {
+  if (signal?.aborted) throw new Error('Transfer aborted');
+}
+
+async function sendCancel(sessionId) {
+  try { await serial.writeRaw({ sessionId, buffer: Buffer.from([CAN, CAN, CAN]) }); } catch {}
+}
+
+// Wait for one byte in short slices so an aborted transfer stops promptly
+async function readByte(sessionId, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  do {
+    checkAborted(signal);
+    const b = await serial.readRaw({ sessionId, length: 1, timeoutMs: Math.max(1, Math.min(250, deadline - Date.now())) });
+    if (b) return b[0];
+  } while (Date.now() < deadline);
+  return null;
+}
+
+function makeStats(protocol) {
+  return { protocol, files: [], bytes: 0, blocks: 0, retries: 0, naks: 0, startedAt: Date.now() };
+}
+
+function finishStats(stats) {
+  const { startedAt, ...rest } = stats;
+  const elapsedMs = Date.now() - startedAt;
+  return { ...rest, elapsedMs, bytesPerSecond: elapsedMs > 0 ? Math.round((stats.bytes * 1000) / elapsedMs) : null };
+}
+
+// Run body; on failure tell the remote to stop before rethrowing
+async function withCancelOnError(sessionId, body) {
+  try {
+    return await body();
+  } catch (e) {
+    if (!e.remoteCancelled) await sendCancel(sessionId);
+    throw e;
+  }
+}
+
+function remoteCancelled() {
+  const e = new Error('Transfer cancelled by remote (CAN)');
+  e.remoteCancelled = true;
+  return e;
+}
+
+// ---------------------------
+// Sender
+// ---------------------------
+
+function buildBlock(num, data, size, useCrc, padByte = SUB) {
+  const payload = Buffer.alloc(size, padByte);
+  data.copy(payload);
+  const head = Buffer.from([size === 1024 ? STX : SOH, num & 0xff, 0xff - (num & 0xff)]);
+  let tail;
+  if (useCrc) {
+    tail = Buffer.alloc(2);
+    tail.writeUInt16BE(crc16Xmodem(payload), 0);
+  } else {
+    tail = Buffer.from([checksum8(payload)]);
+  }
+  return Buffer.concat([head, payload, tail]);
+}
+
+// Wait for the receiver's 'C' (CRC) or NAK (checksum) invitation
+async function waitForStart(sessionId, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  let lastWasCan = false;
+  while (Date.now() < deadline) {
+    checkAborted(signal);
+    const b = await readByte(sessionId, Math.min(1000, Math.max(1, deadline - Date.now())), signal);
+    if (b === CRC_START) return true;
+    if (b === NAK) return false;
+    if (b === CAN) {
+      if (lastWasCan) throw remoteCancelled();
+      lastWasCan = true;
+    } else if (b != null) {
+      lastWasCan = false;
+    }
+  }
+  throw new Error(`Receiver did not start within ${timeoutMs} ms`);
+}
+
+async function sendFrame(sessionId, frame, { blockTimeoutMs, retries, signal, stats, label }) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    checkAborted(signal);
+    if (attempt > 0) stats.retries += 1;
+    await serial.writeRaw({ sessionId, buffer: frame });
+    let lastWasCan = false;
+    for (;;) {
+      const b = await readByte(sessionId, blockTimeoutMs, signal);
+      if (b === ACK) return;
+      if (b === NAK) { stats.naks += 1; break; }
+      if (b == null) break;
+      if (b === CAN) {
+        if (lastWasCan) throw remoteCancelled();
+        lastWasCan = true;
+        continue;
+      }
+      lastWasCan = false; // line noise or a stray 'C'; keep waiting for ACK/NAK
+    }
+  }
+  throw new Error(`No ACK for ${label} after ${retries + 1} attempts`);
+}
+
+async function sendEot(sessionId, { blockTimeoutMs, retries, signal }) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    await serial.writeRaw({ sessionId, buffer: Buffer.from([EOT]) });
+    const b = await readByte(sessionId, blockTimeoutMs, signal);
+    if (b === ACK) return;
+    if (b === CAN) throw remoteCancelled();
+    // YMODEM receivers NAK the first EOT by convention; just send it again
+  }
+  throw new Error('Receiver did not acknowledge EOT');
+}
+
+async function sendData(sessionId, data, { blockSize, useCrc, opts, report }) {
+  let num = 1;
+  let off = 0;
+  while (off < data.length) {
+    // With 1K blocks, a short tail goes out as a 128-byte block to save padding
+    const size = blockSize === 1024 && data.length - off <= 128 ? 128 : blockSize;
+    const chunk = data.subarray(off, off + size);
+    await sendFrame(sessionId, buildBlock(num, chunk, size, useCrc), { ...opts, label: `block ${num}` });
+    opts.stats.blocks += 1;
+    opts.stats.bytes += chunk.length;
+    off += chunk.length;
+    num += 1;
+    report(off, data.length);
+  }
+  await sendEot(sessionId, opts);
+}
+
+function ymodemHeader(name, size, mtime) {
+  const info = `${name}\0${size} ${Math.floor(mtime / 1000).toString(8)}`;
+  const body = Buffer.from(info, 'latin1');
+  if (body.length > 1024) throw new Error(`File name too long for YMODEM: ${name}`);
+  return body;
+}
+
+export async function sendFile({
+  sessionId,
+  protocol = 'xmodem',
+  path: filePath,
+  paths,
+  startTimeoutMs = 60000,
+  blockTimeoutMs = 10000,
+  retries = 10,
+  onProgress,
+  signal,
+} = {}) {
+  if (!PROTOCOLS.includes(protocol)) throw new Error(`Unknown protocol: ${protocol}. Use ${PROTOCOLS.join(', ')}`);
+  const list = Array.isArray(paths) && paths.length > 0 ? paths : filePath ? [filePath] : [];
+  if (list.length === 0) throw new Error('sendFile requires path (or paths for ymodem)');
+  if (protocol !== 'ymodem' && list.length > 1) throw new Error(`${protocol} sends a single file; use ymodem for batches`);
+  const id = serial.getPortInfo({ sessionId }).sessionId;
+  const stats = makeStats(protocol);
+  const opts = { blockTimeoutMs, retries, signal, stats };
+  const report = (file) => (done, total) => {
+    if (typeof onProgress === 'function') {
+      try { onProgress({ phase: `send ${file}`, done, total }); } catch {}
+    }
+  };
+
+  await withCancelOnError(id, async () => {
+    serial.flushInput({ sessionId: id });
+    if (protocol !== 'ymodem') {
+      const abs = resolvePath(list[0]);
+      const data = await readFile(abs);
+      const useCrc = await waitForStart(id, startTimeoutMs, signal);
+      if (protocol === 'xmodem-1k' && !useCrc) throw new Error('Receiver requested checksum mode; XMODEM-1K requires CRC');
+      stats.crc = useCrc;
+      await sendData(id, data, { blockSize: protocol === 'xmodem-1k' ? 1024 : 128, useCrc, opts, report: report(path.basename(abs)) });
+      stats.files.push({ name: path.basename(abs), path: abs, size: data.length });
+      return;
+    }
+    for (const p of list) {
+      const abs = resolvePath(p);
+      const [data, st] = await Promise.all([readFile(abs), stat(abs)]);
+      const name = path.basename(abs);
+      stats.crc = await waitForStart(id, startTimeoutMs, signal);
+      const header = ymodemHeader(name, data.length, st.mtimeMs);
+      await sendFrame(id, buildBlock(0, header, header.length > 128 ? 1024 : 128, stats.crc, 0), { ...opts, label: `header for ${name}` });
+      await waitForStart(id, blockTimeoutMs, signal);
+      await sendData(id, data, { blockSize: 1024, useCrc: true, opts, report: report(name) });
+      stats.files.push({ name, path: abs, size: data.length });
+    }
+    // Empty block 0 closes the batch
+    await waitForStart(id, blockTimeoutMs, signal);
+    await sendFrame(id, buildBlock(0, Buffer.alloc(0), 128, true, 0), { ...opts, label: 'end of batch' });
+  });
+  return { sessionId: id, ok: true, direction: 'send', ...finishStats(stats) };
+}
+
+// ---------------------------
+// Receiver
+// ---------------------------
+
+// Invite the sender ('C' or NAK every few seconds) until the first header byte arrives
+async function invite(sessionId, useCrc, timeoutMs, signal) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    checkAborted(signal);
+    await serial.writeRaw({ sessionId, buffer: Buffer.from([useCrc ? CRC_START : NAK]) });
+    const b = await readByte(sessionId, Math.min(3000, Math.max(1, deadline - Date.now())), signal);
+    if (b === SOH || b === STX || b === EOT) return b;
+    if (b === CAN) {
+      const next = await readByte(sessionId, 1000, signal);
+      if (next === CAN) throw remoteCancelled();
+    }
+  }
+  throw new Error(`Sender did not start within ${timeoutMs} ms`);
+}
+
+// Read the remainder of a block whose header byte is already known; returns null on a bad block
+async function readBlockBody(sessionId, head, useCrc, timeoutMs) {
+  const size = head === STX ? 1024 : 128;
+  const body = await serial.readRaw({ sessionId, length: 2 + size + (useCrc ? 2 : 1), timeoutMs });
+  if (!body) return null;
+  const num = body[0];
+  if ((num ^ body[1]) !== 0xff) return null;
+  const data = body.subarray(2, 2 + size);
+  const ok = useCrc ? crc16Xmodem(data) === body.readUInt16BE(2 + size) : checksum8(data) === body[2 + size];
+  return ok ? { num, data: Buffer.from(data) } : null;
+}
+
+async function nextHeader(sessionId, timeoutMs, signal) {
+  for (;;) {
+    const b = await readByte(sessionId, timeoutMs, signal);
+    if (b == null || b === SOH || b === STX || b === EOT) return b;
+    if (b === CAN) {
+      const next = await readByte(sessionId, 1000, signal);
+      if (next === CAN) throw remoteCancelled();
+    }
+  }
+}
+
+async function purge(sessionId) {
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  serial.flushInput({ sessionId });
+}
+
+// Receive blocks numbered from 1 until EOT; first holds the already-read header byte
+async function receiveData(sessionId, first, { useCrc, blockTimeoutMs, retries, signal, stats, nakFirstEot, expectedSize, report }) {
+  const chunks = [];
+  let expected = 1;
+  let errors = 0;
+  let head = first;
+  let eotSeen = false;
+  let received = 0;
+  for (;;) {
+    checkAborted(signal);
+    if (head === EOT) {
+      // YMODEM convention: NAK the first EOT and ACK the repeat
+      if (nakFirstEot && !eotSeen) {
+        eotSeen = true;
+        await serial.writeRaw({ sessionId, buffer: Buffer.from([NAK]) });
+      } else {
+        await serial.writeRaw({ sessionId, buffer: Buffer.from([ACK]) });
+        break;
+      }
+    } else {
+      const block = head == null ? null : await readBlockBody(sessionId, head, useCrc, blockTimeoutMs);
+      if (!block) {
+        errors += 1;
+        stats.naks += 1;
+        if (errors > retries) throw new Error(`Too many errors receiving block ${expected}`);
+        await purge(sessionId);
+        await serial.writeRaw({ sessionId, buffer: Buffer.from([NAK]) });
+      } else if (block.num === ((expected - 1) & 0xff)) {
+        // Duplicate of the previous block (our ACK was lost)
+        stats.retries += 1;
+        await serial.writeRaw({ sessionId, buffer: Buffer.from([ACK]) });
+      } else if (block.num !== (expected & 0xff)) {
+        throw new Error(`Block sequence error: expected ${expected & 0xff}, got ${block.num}`);
+      } else {
+        errors = 0;
+        chunks.push(block.data);
+        received += block.data.length;
+        stats.blocks += 1;
+        expected += 1;
+        await serial.writeRaw({ sessionId, buffer: Buffer.from([ACK]) });
+        report(expectedSize != null ? Math.min(received, expectedSize) : received, expectedSize);
+      }
+    }
+    head = await nextHeader(sessionId, blockTimeoutMs, signal);
+    if (head == null) {
+      errors += 1;
+      if (errors > retries) throw new Error(`Timed out waiting for block ${expected}`);
+      await serial.writeRaw({ sessionId, buffer: Buffer.from([NAK]) });
+      head = await nextHeader(sessionId, blockTimeoutMs, signal);
+    }
+  }
+  return Buffer.concat(chunks);
+}
+
+function trimSub(buf) {
+  let end = buf.length;
+  while (end > 0 && buf[end - 1] === SUB) end -= 1;
+  return buf.subarray(0, end);
+}
+
+export async function receiveFile({
+  sessionId,
+  protocol = 'xmodem',
+  path: outPath,
+  crc = true,
+  trimPadding = true,
+  startTimeoutMs = 60000,
+  blockTimeoutMs = 10000,
+  retries = 10,
+  onProgress,
+  signal,
+} = {}) {
+  if (!PROTOCOLS.includes(protocol)) throw new Error(`Unknown protocol: ${protocol}. Use ${PROTOCOLS.join(', ')}`);
+  if (!outPath) throw new Error(protocol === 'ymodem' ? 'receiveFile requires a target directory in path' : 'receiveFile requires a target file path');
+  const id = serial.getPortInfo({ sessionId }).sessionId;
+  const useCrc = protocol === 'xmodem' ? crc : true;
+  const stats = makeStats(protocol);
+  stats.crc = useCrc;
+  const opts = { useCrc, blockTimeoutMs, retries, signal, stats };
+  const report = (file) => (done, total) => {
+    if (typeof onProgress === 'function') {
+      try { onProgress({ phase: `receive ${file}`, done, total }); } catch {}
+    }
+  };
+
+  await withCancelOnError(id, async () => {
+    serial.flushInput({ sessionId: id });
+    if (protocol !== 'ymodem') {
+      const abs = resolvePath(outPath);
+      const first = await invite(id, useCrc, startTimeoutMs, signal);
+      let data = await receiveData(id, first, { ...opts, nakFirstEot: false, report: report(path.basename(abs)) });
+      if (trimPadding) data = trimSub(data);
+      await mkdir(path.dirname(abs), { recursive: true });
+      await writeFile(abs, data);
+      stats.bytes += data.length;
+      stats.files.push({ name: path.basename(abs), path: abs, size: data.length });
+      return;
+    }
+    const dir = resolvePath(outPath);
+    await mkdir(dir, { recursive: true });
+    for (;;) {
+      const head = await invite(id, true, startTimeoutMs, signal);
+      if (head === EOT) {
+        await serial.writeRaw({ sessionId: id, buffer: Buffer.from([ACK]) });
+        continue;
+      }
+      const block0 = await readBlockBody(id, head, true, blockTimeoutMs);
+      if (!block0 || block0.num !== 0) {
+        await purge(id);
+        continue; // invite() NAKs with 'C' again
+      }
+      await serial.writeRaw({ sessionId: id, buffer: Buffer.from([ACK]) });
+      const nul = block0.data.indexOf(0);
+      const name = block0.data.subarray(0, nul < 0 ? 0 : nul).toString('latin1');
+      if (name.length === 0) break; // end of batch
+      const meta = block0.data.subarray(nul + 1).toString('latin1').replace(/\0.*$/s, '').trim().split(/\s+/);
+      const size = meta[0] ? parseInt(meta[0], 10) : null;
+      // Never let a remote file name escape the target directory
+      const safeName = path.basename(name.replace(/\\/g, '/'));
+      const first = await invite(id, true, blockTimeoutMs, signal);
+      let data = await receiveData(id, first, { ...opts, nakFirstEot: true, expectedSize: Number.isFinite(size) ? size : null, report: report(safeName) });
+      data = Number.isFinite(size) ? data.subarray(0, size) : trimPadding ? trimSub(data) : data;
+      const abs = path.join(dir, safeName);
+      await writeFile(abs, data);
+      stats.bytes += data.length;
+      stats.files.push({ name: safeName, path: abs, size: data.length });
+    }
+  });
+  return { sessionId: id, ok: true, direction: 'receive', ...finishStats(stats) };
+}